@@ -0,0 +1,177 @@
+/**
+ * Service Worker
+ * Caches the app shell so the dashboard opens without a network connection.
+ * Pages are network-first with the cached index.html as fallback; built
+ * assets have hashed names, so they are served cache-first once seen. Other
+ * requests go straight to the network. Assets the cached index.html no
+ * longer references, i.e. those of earlier deploys, are dropped whenever a
+ * new index.html is cached and when a new worker takes over.
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shipmenttrackr-shell-${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/index.html'];
+// Vite's build output, with content hashes in the file names
+const ASSET_PATH = '/assets/';
+const ASSET_PATTERN = /\/assets\/[^"'\s?#>]+/g;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Delete cached assets the cached index.html doesn't load
+const pruneAssets = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const index = await cache.match('/index.html');
+  if (!index) return;
+
+  const current = new Set((await index.text()).match(ASSET_PATTERN) || []);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => {
+      const { pathname } = new URL(request.url);
+      return pathname.startsWith(ASSET_PATH) && !current.has(pathname);
+    })
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('shipmenttrackr-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(pruneAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache a copy of the response; resolves once it is stored
+const cacheResponse = async (request, response) => {
+  if (!response.ok) return;
+  const copy = response.clone();
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.put(request, copy);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Leave carrier APIs and anything else off-origin to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Client-side routes all render index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          event.waitUntil(cacheResponse('/index.html', response).then(pruneAssets));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  if (!url.pathname.startsWith(ASSET_PATH)) return;
+
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      event.waitUntil(cacheResponse(request, response));
+      return response;
+    }))
+  );
+});
+
+/*
+ * Notifications
+ * The app posts { type: 'showNotification', notification } while it is open;
+ * the push server sends the same notification object as a Web Push payload
+ * when it isn't. Button clicks are passed to an open window, or handled here
+ * when there is none.
+ */
+
+// Must match snoozeService.js
+const SNOOZE_CACHE = 'shipmenttrackr-snoozes';
+const SNOOZE_MINUTES = 60;
+const snoozeUrl = (shipmentId) => `/__snoozes/${encodeURIComponent(shipmentId)}`;
+const alertSnoozeUrl = (alertId) => `/__alert-snoozes/${encodeURIComponent(alertId)}`;
+
+const isMuted = async (shipmentId) => {
+  const cached = await caches.open(SNOOZE_CACHE).then(cache => cache.match(snoozeUrl(shipmentId)));
+  return Boolean(cached && (await cached.json()).muted);
+};
+
+// Snoozes just this alert; the app picks it up next time it opens
+const saveAlertSnooze = async (alertId, until) => {
+  const cache = await caches.open(SNOOZE_CACHE);
+  await cache.put(alertSnoozeUrl(alertId), new Response(JSON.stringify({ alertId, until })));
+};
+
+const showShipmentNotification = async (notification) => {
+  const { title, body, tag, shipmentId, alertId, priority } = notification;
+  if (shipmentId && await isMuted(shipmentId)) return;
+
+  await self.registration.showNotification(title || 'ShipmentTrackr', {
+    body,
+    tag,
+    requireInteraction: priority === 'high',
+    data: { shipmentId, alertId },
+    actions: [
+      ...(shipmentId ? [{ action: 'view', title: 'View shipment' }] : []),
+      ...(alertId ? [{ action: 'snooze', title: `Snooze ${SNOOZE_MINUTES / 60} hour` }] : [])
+    ]
+  });
+};
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'showNotification') {
+    event.waitUntil(showShipmentNotification(event.data.notification));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let notification;
+  try {
+    notification = event.data ? event.data.json() : {};
+  } catch (error) {
+    notification = { body: event.data.text() };
+  }
+  event.waitUntil(showShipmentNotification(notification));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { shipmentId, alertId } = event.notification.data || {};
+  const action = event.action === 'snooze' ? 'snooze' : 'view';
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (action === 'snooze') {
+      const until = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000).toISOString();
+      if (windows.length === 0) {
+        if (alertId) await saveAlertSnooze(alertId, until);
+        return;
+      }
+      windows.forEach(client => client.postMessage({ type: 'notificationAction', action, shipmentId, alertId, until }));
+      return;
+    }
+
+    const path = shipmentId ? `/shipments/${encodeURIComponent(shipmentId)}` : '/';
+    const [client] = windows;
+    if (!client) {
+      await self.clients.openWindow(path);
+      return;
+    }
+    await client.focus();
+    client.postMessage({ type: 'notificationAction', action, shipmentId, alertId });
+  })());
+});
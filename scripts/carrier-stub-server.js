@@ -0,0 +1,104 @@
+/**
+ * Local stand-in for the carrier tracking APIs
+ * Serves the recorded payloads in src/services/carriers/fixtures so the app can
+ * run in live tracking mode without network access or carrier credentials.
+ *
+ *   npm run carriers:stub
+ *   VITE_TRACKING_MODE=live VITE_CARRIER_API_BASE_URL=http://localhost:4010 npm run dev
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.CARRIER_STUB_PORT) || 4010;
+const FIXTURE_DIR = new URL('../src/services/carriers/fixtures/', import.meta.url);
+
+const loadFixtures = (carrier) => {
+  return JSON.parse(readFileSync(fileURLToPath(new URL(`${carrier}.json`, FIXTURE_DIR)), 'utf8'));
+};
+
+const fixtures = {
+  ups: loadFixtures('ups'),
+  fedex: loadFixtures('fedex'),
+  usps: loadFixtures('usps'),
+  dhl: loadFixtures('dhl')
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+/**
+ * Map a request onto the carrier whose API it imitates and the tracking number it asks for
+ */
+const resolveRequest = async (req, url) => {
+  let match;
+
+  if (req.method === 'GET' && (match = url.pathname.match(/^\/track\/v1\/details\/([^/]+)$/))) {
+    return { carrier: 'ups', trackingNumber: decodeURIComponent(match[1]) };
+  }
+
+  if (req.method === 'POST' && url.pathname === '/track/v1/trackingnumbers') {
+    const body = JSON.parse(await readBody(req) || '{}');
+    return {
+      carrier: 'fedex',
+      trackingNumber: body.trackingInfo?.[0]?.trackingNumberInfo?.trackingNumber
+    };
+  }
+
+  if (req.method === 'GET' && (match = url.pathname.match(/^\/tracking\/v3\/tracking\/([^/]+)$/))) {
+    return { carrier: 'usps', trackingNumber: decodeURIComponent(match[1]) };
+  }
+
+  if (req.method === 'GET' && url.pathname === '/track/shipments') {
+    return { carrier: 'dhl', trackingNumber: url.searchParams.get('trackingNumber') };
+  }
+
+  return null;
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const target = await resolveRequest(req, url);
+
+    if (!target) {
+      send(res, 404, { error: `No stub route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    const payload = fixtures[target.carrier][target.trackingNumber];
+    if (!payload) {
+      send(res, 404, { error: `No ${target.carrier} fixture for ${target.trackingNumber}` });
+      return;
+    }
+
+    console.log(`${req.method} ${url.pathname} -> ${target.carrier} ${target.trackingNumber}`);
+    send(res, 200, payload);
+  } catch (error) {
+    send(res, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Carrier stub server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,120 @@
+/**
+ * Local mail relay
+ * Receives emails from the app's http and smtp transports, writes each one to
+ * MAILBOX_DIR as an .eml file and, when SMTP_HOST is set, delivers it to that
+ * SMTP server (e.g. a local Mailpit or MailHog; no TLS or auth).
+ *
+ *   npm run mail:relay
+ *   VITE_EMAIL_TRANSPORT=smtp VITE_SMTP_RELAY_URL=http://localhost:4025 npm run dev
+ *   VITE_EMAIL_TRANSPORT=http VITE_EMAIL_API_URL=http://localhost:4025/send npm run dev
+ */
+
+import http from 'node:http';
+import net from 'node:net';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { buildMimeMessage, getAddress } from '../src/services/email/mime.js';
+
+const PORT = Number(process.env.MAIL_RELAY_PORT) || 4025;
+const MAILBOX_DIR = resolve(process.env.MAILBOX_DIR || '.mailbox');
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const saveToMailbox = (raw) => {
+  mkdirSync(MAILBOX_DIR, { recursive: true });
+  const file = join(MAILBOX_DIR, `${Date.now()}-${Math.random().toString(36).substr(2, 6)}.eml`);
+  writeFileSync(file, raw);
+  return file;
+};
+
+/**
+ * Deliver a raw message over plain SMTP: one command per reply, failing on any 4xx/5xx
+ */
+const deliverSmtp = ({ from, to, raw }) => new Promise((resolve, reject) => {
+  // Lines starting with a dot are escaped, and the body ends with a lone dot
+  const data = `${raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..').replace(/\r\n$/, '')}\r\n.`;
+  const commands = ['EHLO localhost', `MAIL FROM:<${from}>`, ...to.map(rcpt => `RCPT TO:<${rcpt}>`), 'DATA', data, 'QUIT'];
+  const socket = net.createConnection(SMTP_PORT, SMTP_HOST);
+  let buffer = '';
+
+  socket.setTimeout(10000, () => socket.destroy(new Error('SMTP server timed out')));
+  socket.on('error', reject);
+  socket.on('close', () => (commands.length ? reject(new Error('SMTP connection closed early')) : resolve()));
+  socket.on('data', chunk => {
+    buffer += chunk;
+    // A reply is complete at a line like "250 OK" (continuation lines use "250-")
+    const replies = buffer.split('\r\n');
+    buffer = replies.pop();
+    replies.filter(line => /^\d{3} /.test(line)).forEach(line => {
+      if (Number(line.slice(0, 3)) >= 400) {
+        socket.destroy(new Error(`SMTP server said: ${line}`));
+        return;
+      }
+      const next = commands.shift();
+      if (next !== undefined) socket.write(`${next}\r\n`);
+    });
+  });
+});
+
+const relay = async (message) => {
+  const file = saveToMailbox(message.raw);
+  if (SMTP_HOST) await deliverSmtp(message);
+  console.log(`Mail to ${message.to.join(', ')} -> ${file}${SMTP_HOST ? ` and ${SMTP_HOST}:${SMTP_PORT}` : ''}`);
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const body = JSON.parse(await readBody(req) || '{}');
+
+    if (req.method === 'POST' && url.pathname === '/smtp') {
+      // From the smtp transport: MIME already built
+      await relay(body);
+      send(res, 202, { queued: true });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/send') {
+      // From the http transport, shaped like an email provider's API
+      const to = Array.isArray(body.to) ? body.to : [body.to];
+      const messageId = `${Date.now()}.${Math.random().toString(36).substr(2, 8)}@mail-relay`;
+      await relay({
+        from: getAddress(body.from),
+        to: to.map(getAddress),
+        raw: buildMimeMessage({ ...body, messageId })
+      });
+      send(res, 202, { id: messageId });
+      return;
+    }
+
+    send(res, 404, { error: `No relay route for ${req.method} ${url.pathname}` });
+  } catch (error) {
+    send(res, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mail relay listening on http://localhost:${PORT}, saving to ${MAILBOX_DIR}`);
+});
@@ -0,0 +1,211 @@
+/**
+ * Local push server
+ * A Web Push application server for trying out notifications while the app
+ * is closed. It makes a VAPID key pair on first run, keeps the browsers that
+ * subscribe from Settings and sends them encrypted pushes (RFC 8291/8292)
+ * through their push service, using only node:crypto.
+ *
+ *   npm run push:server
+ *   VITE_PUSH_SERVER_URL=http://localhost:4030 npm run build && npm run preview
+ *   curl -X POST localhost:4030/send -d '{"title":"📦 Delivery Today","body":"Out for delivery","shipmentId":"..."}'
+ *
+ * /send takes the notification object the service worker shows:
+ * { title, body, tag, shipmentId, alertId, priority }.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+const PORT = Number(process.env.PUSH_SERVER_PORT) || 4030;
+const DATA_DIR = resolve(process.env.PUSH_SERVER_DIR || '.push-server');
+const KEYS_FILE = join(DATA_DIR, 'vapid.json');
+const SUBSCRIPTIONS_FILE = join(DATA_DIR, 'subscriptions.json');
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:notifications@shipmenttrackr.com';
+// Seconds the push service keeps a push for an offline browser
+const TTL = 24 * 60 * 60;
+
+const base64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+const readJson = (file, fallback) => (existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : fallback);
+
+const writeJson = (file, value) => {
+  mkdirSync(DATA_DIR, { recursive: true });
+  writeFileSync(file, JSON.stringify(value, null, 2));
+};
+
+// The VAPID key pair as a JWK, made once and kept so subscriptions stay valid
+const loadVapidKeys = () => {
+  const saved = readJson(KEYS_FILE, null);
+  if (saved) return saved;
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = privateKey.export({ format: 'jwk' });
+  writeJson(KEYS_FILE, jwk);
+  return jwk;
+};
+
+const vapidJwk = loadVapidKeys();
+const vapidPrivateKey = crypto.createPrivateKey({ key: vapidJwk, format: 'jwk' });
+// Uncompressed P-256 point, the form browsers take as applicationServerKey
+const vapidPublicKey = base64Url(Buffer.concat([Buffer.from([4]), fromBase64Url(vapidJwk.x), fromBase64Url(vapidJwk.y)]));
+
+let subscriptions = readJson(SUBSCRIPTIONS_FILE, []);
+
+const saveSubscriptions = (next) => {
+  subscriptions = next;
+  writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+};
+
+/**
+ * Signed VAPID header for the push service at `endpoint` (RFC 8292)
+ */
+const vapidAuthorization = (endpoint) => {
+  const header = base64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: VAPID_SUBJECT
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key: vapidPrivateKey, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${base64Url(signature)}, k=${vapidPublicKey}`;
+};
+
+/**
+ * Encrypt a payload for one subscription with aes128gcm (RFC 8291): a fresh
+ * ECDH key per message, combined with the browser's key and auth secret
+ */
+const encryptPayload = (subscription, payload) => {
+  const browserKey = fromBase64Url(subscription.keys.p256dh);
+  const authSecret = fromBase64Url(subscription.keys.auth);
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(browserKey);
+  const salt = crypto.randomBytes(16);
+
+  const hkdf = (ikm, hkdfSalt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, hkdfSalt, info, length));
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), browserKey, serverKey]);
+  const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+  const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // One record: the payload followed by the last-record delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const encrypted = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(4096);
+  return Buffer.concat([salt, recordSize, Buffer.from([serverKey.length]), serverKey, encrypted]);
+};
+
+/**
+ * Push to one subscription. Resolves to the push service's status code.
+ */
+const pushTo = async (subscription, notification) => {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: vapidAuthorization(subscription.endpoint),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(TTL),
+      Urgency: notification.priority === 'high' ? 'high' : 'normal'
+    },
+    body: encryptPayload(subscription, JSON.stringify(notification))
+  });
+  return response.status;
+};
+
+const sendToAll = async (notification) => {
+  const results = await Promise.all(subscriptions.map(async subscription => {
+    try {
+      return { subscription, status: await pushTo(subscription, notification) };
+    } catch (error) {
+      return { subscription, status: 0, error: error.message };
+    }
+  }));
+
+  // 404 and 410 mean the browser unsubscribed or the subscription expired
+  const gone = results.filter(({ status }) => status === 404 || status === 410).map(({ subscription }) => subscription.endpoint);
+  if (gone.length) saveSubscriptions(subscriptions.filter(subscription => !gone.includes(subscription.endpoint)));
+
+  return {
+    sent: results.filter(({ status }) => status >= 200 && status < 300).length,
+    failed: results
+      .filter(({ status }) => status < 200 || status >= 300)
+      .map(({ subscription, status, error }) => ({ endpoint: subscription.endpoint, status, error }))
+  };
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'GET' && url.pathname === '/vapid-public-key') {
+      send(res, 200, { publicKey: vapidPublicKey });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/subscriptions') {
+      send(res, 200, { subscriptions: subscriptions.map(({ endpoint }) => endpoint) });
+      return;
+    }
+
+    const body = JSON.parse(await readBody(req) || '{}');
+
+    if (req.method === 'POST' && url.pathname === '/subscriptions') {
+      if (!body.endpoint || !body.keys?.p256dh || !body.keys?.auth) {
+        send(res, 400, { error: 'Expected a PushSubscription with endpoint and keys' });
+        return;
+      }
+      saveSubscriptions([...subscriptions.filter(({ endpoint }) => endpoint !== body.endpoint), body]);
+      console.log(`Subscribed ${body.endpoint}`);
+      send(res, 201, { subscribed: true });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/unsubscribe') {
+      saveSubscriptions(subscriptions.filter(({ endpoint }) => endpoint !== body.endpoint));
+      send(res, 200, { subscribed: false });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/send') {
+      const result = await sendToAll({ title: 'ShipmentTrackr', ...body });
+      console.log(`Pushed "${body.title || 'ShipmentTrackr'}" to ${result.sent} of ${result.sent + result.failed.length} subscription(s)`);
+      send(res, 200, result);
+      return;
+    }
+
+    send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+  } catch (error) {
+    send(res, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Push server listening on http://localhost:${PORT} with ${subscriptions.length} subscription(s)`);
+});
@@ -1,34 +1,171 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { LayoutGrid, List, ArrowUp, ArrowDown, Archive } from 'lucide-react';
 import NavHeader from './components/NavHeader';
 import TrackingInput from './components/TrackingInput';
 import ShipmentCard from './components/ShipmentCard';
 import AlertNotification from './components/AlertNotification';
 import SubscriptionModal from './components/SubscriptionModal';
 import SettingsModal from './components/SettingsModal';
+import ShipmentDetailPanel from './components/ShipmentDetailPanel';
+import ShipmentTable from './components/ShipmentTable';
+import BulkImportModal from './components/BulkImportModal';
+import ShipmentHistoryModal from './components/ShipmentHistoryModal';
+import AlertInbox from './components/AlertInbox';
+import OfflineBanner from './components/OfflineBanner';
 import ErrorBoundary from './components/ErrorBoundary';
 import { useShipmentStore } from './hooks/useShipmentStore';
 import { useAlerts } from './hooks/useAlerts';
-import { canAddShipment, getUsageStats } from './services/subscriptionService.js';
+import { useRefreshScheduler } from './hooks/useRefreshScheduler';
+import { useTabLeader } from './hooks/useTabLeader';
+import { useOfflineSync } from './hooks/useOfflineSync';
+import { useAutoBackup } from './hooks/useAutoBackup';
+import { useArchiveRetention } from './hooks/useArchiveRetention';
+import { useWeeklyDigest } from './hooks/useWeeklyDigest';
+import { useShipmentSnoozes } from './hooks/useShipmentSnoozes';
+import { useRouter } from './hooks/useRouter';
+import { canAddShipment, getUsageStats, getRetentionPolicy } from './services/subscriptionService.js';
+import { appStateStorage, storageQuota } from './services/storageService.js';
+import { publish, subscribe } from './services/tabSync.js';
+import { SORT_OPTIONS, sortShipments } from './services/shipmentSort.js';
+import { parseSearchQuery, matchesSearchQuery } from './services/searchQuery.js';
+import { getActiveShipments, getExpiredShipments } from './services/archiveService.js';
+import { onNotificationAction } from './services/pushNotifications.js';
+import { muteShipment, unmuteShipment } from './services/snoozeService.js';
+
+const FILTERS = [
+  { key: 'all', label: 'All Shipments' },
+  { key: 'active', label: 'Active' },
+  { key: 'delivered', label: 'Delivered' },
+  { key: 'delayed', label: 'Delayed' }
+];
 
 function App() {
   const {
     shipments,
     addShipment,
-    updateShipmentStatus,
+    addShipments,
+    updateShipment,
     deleteShipment,
+    deleteShipments,
+    archiveShipments,
+    restoreShipment,
     refreshShipment,
     refreshAllShipments,
+    applyTrackingUpdate,
+    reload: reloadShipments,
     isLoading,
     error,
     isInitialized
   } = useShipmentStore();
+
+  // Archived shipments only show in the history view
+  const activeShipments = useMemo(() => getActiveShipments(shipments), [shipments]);
+  const archivedCount = shipments.length - activeShipments.length;
+  // History past the plan's limit waits for the user to delete it
+  const expiredCount = useMemo(() => getExpiredShipments(shipments, getRetentionPolicy()).length, [shipments]);
   
-  const { alerts, dismissAlert, clearAllAlerts, getAlertCounts } = useAlerts(shipments);
-  const [showSubscriptionModal, setShowSubscriptionModal] = useState(false);
-  const [showSettingsModal, setShowSettingsModal] = useState(false);
-  const [filter, setFilter] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  const isLeaderTab = useTabLeader();
+  const {
+    alerts,
+    dismissedAlerts,
+    dismissAlert,
+    dismissAlerts,
+    clearAllAlerts,
+    getAlertCounts,
+    getShipmentAlerts,
+    markAlertAsRead,
+    markAlertsAsRead,
+    snoozeAlert,
+    reload: reloadAlerts
+  } = useAlerts(shipments, isLeaderTab);
+  const { route, query, navigate, setQuery } = useRouter();
   const [usageStats, setUsageStats] = useState(null);
+  const [sort, setSort] = useState(() => {
+    const { sortBy, sortOrder } = appStateStorage.load();
+    return SORT_OPTIONS[sortBy] ? { sortBy, sortOrder } : { sortBy: 'lastUpdated', sortOrder: 'desc' };
+  });
+  const [viewMode, setViewMode] = useState(() => appStateStorage.load().viewMode === 'table' ? 'table' : 'grid');
+  const [savedSearches, setSavedSearches] = useState(() => appStateStorage.load().savedSearches || []);
+
+  // URL state wins; fall back to the persisted app state when the URL has none
+  useEffect(() => {
+    if (query.filter || query.q) return;
+    
+    const savedState = appStateStorage.load();
+    const restored = {
+      filter: savedState.filter && savedState.filter !== 'all' ? savedState.filter : null,
+      q: savedState.searchTerm || null
+    };
+    if (restored.filter || restored.q) {
+      setQuery(restored, { replace: true });
+    }
+  }, []);
+
+  const filter = FILTERS.some(f => f.key === query.filter) ? query.filter : 'all';
+  const searchTerm = query.q || '';
+  const searchQuery = useMemo(() => parseSearchQuery(searchTerm), [searchTerm]);
+  const showSubscriptionModal = route.name === 'upgrade';
+  const showSettingsModal = route.name === 'settings';
+  const showBulkImportModal = route.name === 'bulkAdd';
+  const showHistoryModal = route.name === 'history';
+  const showAlertInbox = route.name === 'alerts';
+  const selectedShipmentId = route.name === 'shipment' ? route.params.shipmentId : null;
+
+  const setFilter = (key) => {
+    setQuery({ filter: key === 'all' ? null : key });
+    appStateStorage.updateFilter(key);
+  };
+
+  const setSearchTerm = (term) => {
+    setQuery({ q: term || null }, { replace: true });
+    appStateStorage.updateSearch(term);
+  };
+
+  // Picking the current column again flips the order; a new column starts at its default
+  const handleSort = (sortBy, sortOrder) => {
+    const order = sortOrder || (sortBy === sort.sortBy
+      ? (sort.sortOrder === 'asc' ? 'desc' : 'asc')
+      : SORT_OPTIONS[sortBy].defaultOrder);
+    setSort({ sortBy, sortOrder: order });
+    appStateStorage.updateSort(sortBy, order);
+  };
+
+  const handleViewMode = (mode) => {
+    setViewMode(mode);
+    appStateStorage.updateViewMode(mode);
+  };
+
+  // Pick up sort, view and saved searches after an import rewrote them
+  const reloadAppState = () => {
+    const savedState = appStateStorage.load();
+    if (SORT_OPTIONS[savedState.sortBy]) {
+      setSort({ sortBy: savedState.sortBy, sortOrder: savedState.sortOrder });
+    }
+    setViewMode(savedState.viewMode === 'table' ? 'table' : 'grid');
+    setSavedSearches(savedState.savedSearches || []);
+  };
+
+  useEffect(() => subscribe('dataImported', reloadAppState), []);
+
+  // Show imported data right away here and in other open tabs
+  const handleDataImported = () => {
+    reloadShipments();
+    reloadAlerts();
+    reloadAppState();
+    publish('dataImported', null);
+  };
+
+  // Storage filled up: recovery may have pruned records, so reload and say what happened
+  const [storageNotice, setStorageNotice] = useState(null);
+  useEffect(() => storageQuota.onRecovery(({ recovered, actions, requested }) => {
+    // Clean-ups started from Settings report there
+    if (requested) return;
+    const done = actions.map(action => action.message).join(', ');
+    setStorageNotice(recovered
+      ? { variant: 'warning', message: `Storage was full, so we ${done || 'retried the save'}. Your changes were saved.` }
+      : { variant: 'error', message: `Storage is full and some changes could not be saved${done ? ` (we ${done})` : ''}. Free up space in Settings → Data.` });
+    if (actions.length) handleDataImported();
+  }), []);
 
   // Load usage stats
   useEffect(() => {
@@ -36,24 +173,48 @@ function App() {
     setUsageStats(stats);
   }, [shipments]);
 
-  // Simulate real-time updates
+  // Poll carriers in the background
+  const { schedule, now, checkNow } = useRefreshScheduler(activeShipments, applyTrackingUpdate, isInitialized, isLeaderTab);
+
+  // Queue work while offline and replay it on reconnect
+  const { isOnline, queuedActions, isReplaying } = useOfflineSync(
+    activeShipments,
+    applyTrackingUpdate,
+    isInitialized && isLeaderTab
+  );
+
+  // Daily restore points of everything stored locally
+  useAutoBackup(isInitialized && isLeaderTab);
+
+  // Move delivered shipments to history per the plan
+  useArchiveRetention(shipments, { archiveShipments }, isInitialized && isLeaderTab);
+
+  // Weekly summary email on the user's chosen day and time
+  useWeeklyDigest(shipments, isInitialized && isLeaderTab);
+
+  const snoozes = useShipmentSnoozes();
+
+  // Buttons on browser notifications
+  useEffect(() => onNotificationAction(({ action, shipmentId, alertId, until }) => {
+    if (action === 'snooze') {
+      if (alertId) snoozeAlert(alertId, until ? { until } : 'hour');
+      return;
+    }
+    if (alertId) markAlertAsRead(alertId);
+    if (shipmentId) navigate(`/shipments/${encodeURIComponent(shipmentId)}`);
+  }), [markAlertAsRead, snoozeAlert, navigate]);
+
+  const selectedShipment = shipments.find(s => s.shipmentId === selectedShipmentId);
+
+  // Deep links to shipments that no longer exist go back to the dashboard
   useEffect(() => {
-    if (!isInitialized) return;
-    
-    const interval = setInterval(() => {
-      shipments.forEach(shipment => {
-        if (shipment.status !== 'delivered' && Math.random() < 0.1) {
-          updateShipmentStatus(shipment.shipmentId);
-        }
-      });
-    }, 30000); // Check every 30 seconds
-
-    return () => clearInterval(interval);
-  }, [shipments, updateShipmentStatus, isInitialized]);
-
-  const filteredShipments = shipments.filter(shipment => {
-    const matchesSearch = shipment.nickname.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         shipment.trackingNumber.toLowerCase().includes(searchTerm.toLowerCase());
+    if (isInitialized && selectedShipmentId && !selectedShipment) {
+      navigate('/', { replace: true });
+    }
+  }, [isInitialized, selectedShipmentId, selectedShipment, navigate]);
+
+  const filteredShipments = sortShipments(activeShipments.filter(shipment => {
+    const matchesSearch = matchesSearchQuery(shipment, searchQuery, now);
     
     if (filter === 'all') return matchesSearch;
     if (filter === 'active') return matchesSearch && shipment.status !== 'delivered';
@@ -61,11 +222,18 @@ function App() {
     if (filter === 'delayed') return matchesSearch && shipment.status === 'delayed';
     
     return matchesSearch;
-  });
+  }), sort.sortBy, sort.sortOrder);
+
+  const exportScope = {
+    shipments: filteredShipments,
+    label: [FILTERS.find(f => f.key === filter).label, searchTerm && `search "${searchTerm}"`]
+      .filter(Boolean)
+      .join(' · ')
+  };
 
   const handleAddShipment = (trackingData) => {
-    if (!canAddShipment(shipments.length)) {
-      setShowSubscriptionModal(true);
+    if (!canAddShipment(activeShipments.length)) {
+      navigate('/upgrade');
       return;
     }
     addShipment(trackingData);
@@ -76,12 +244,29 @@ function App() {
       <NavHeader 
         onSearch={setSearchTerm}
         searchTerm={searchTerm}
-        onUpgrade={() => setShowSubscriptionModal(true)}
-        onSettings={() => setShowSettingsModal(true)}
-        alertCount={getAlertCounts().total}
+        searchErrors={searchQuery.errors}
+        savedSearches={savedSearches}
+        onSaveSearch={(name, savedQuery) => setSavedSearches(appStateStorage.saveSearch(name, savedQuery))}
+        onDeleteSavedSearch={(searchId) => setSavedSearches(appStateStorage.removeSavedSearch(searchId))}
+        onUpgrade={() => navigate('/upgrade')}
+        onSettings={() => navigate('/settings')}
+        onAlerts={() => navigate('/alerts')}
+        alertCount={getAlertCounts().unread}
       />
+
+      <OfflineBanner isOnline={isOnline} queuedCount={queuedActions.length} isReplaying={isReplaying} />
       
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {storageNotice && (
+          <div className="mb-4">
+            <AlertNotification
+              variant={storageNotice.variant}
+              message={storageNotice.message}
+              onDismiss={() => setStorageNotice(null)}
+            />
+          </div>
+        )}
+
         {/* Alerts Section */}
         {alerts.length > 0 && (
           <div className="mb-8 space-y-4">
@@ -91,6 +276,11 @@ function App() {
                 variant={alert.type}
                 message={alert.message}
                 onDismiss={() => dismissAlert(alert.id)}
+                onSnooze={(option) => snoozeAlert(alert.id, option)}
+                onMute={() => {
+                  muteShipment(alert.shipmentId);
+                  dismissAlert(alert.id);
+                }}
               />
             ))}
           </div>
@@ -100,19 +290,18 @@ function App() {
         <div className="mb-8">
           <div className="card">
             <h2 className="text-2xl font-bold text-text mb-6">Add New Shipment</h2>
-            <TrackingInput onAddShipment={handleAddShipment} isLoading={isLoading} />
+            <TrackingInput
+              onAddShipment={handleAddShipment}
+              onBulkAdd={() => navigate('/bulk-add')}
+              isLoading={isLoading}
+            />
           </div>
         </div>
 
         {/* Filter Tabs */}
-        <div className="mb-6">
+        <div className="mb-6 flex flex-wrap items-center justify-between gap-4">
           <div className="flex flex-wrap gap-2">
-            {[
-              { key: 'all', label: 'All Shipments' },
-              { key: 'active', label: 'Active' },
-              { key: 'delivered', label: 'Delivered' },
-              { key: 'delayed', label: 'Delayed' }
-            ].map(({ key, label }) => (
+            {FILTERS.map(({ key, label }) => (
               <button
                 key={key}
                 onClick={() => setFilter(key)}
@@ -125,6 +314,58 @@ function App() {
                 {label}
               </button>
             ))}
+            <button
+              onClick={() => navigate('/history')}
+              className="px-4 py-2 rounded-md font-medium bg-surface text-text hover:bg-gray-50 transition-colors duration-150 flex items-center space-x-2"
+            >
+              <Archive className="w-4 h-4" />
+              <span>History{archivedCount > 0 && ` (${archivedCount})`}</span>
+              {expiredCount > 0 && (
+                <span
+                  className="w-2 h-2 rounded-full bg-yellow-400"
+                  title={`${expiredCount} shipment(s) past your plan's history limit`}
+                />
+              )}
+            </button>
+          </div>
+
+          {/* Sort & View Controls */}
+          <div className="flex items-center gap-2">
+            <label htmlFor="sort-by" className="text-sm text-gray-500">Sort by</label>
+            <select
+              id="sort-by"
+              value={sort.sortBy}
+              onChange={(e) => handleSort(e.target.value, SORT_OPTIONS[e.target.value].defaultOrder)}
+              className="px-3 py-2 rounded-md border border-gray-200 bg-surface text-sm focus:border-primary outline-none"
+            >
+              {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                <option key={key} value={key}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => handleSort(sort.sortBy, sort.sortOrder === 'asc' ? 'desc' : 'asc')}
+              className="p-2 rounded-md bg-surface text-gray-500 hover:text-gray-700 transition-colors duration-150"
+              title={sort.sortOrder === 'asc' ? 'Ascending' : 'Descending'}
+            >
+              {sort.sortOrder === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+            </button>
+            <div className="flex rounded-md bg-surface overflow-hidden">
+              {[
+                { mode: 'grid', icon: LayoutGrid, label: 'Grid view' },
+                { mode: 'table', icon: List, label: 'Table view' }
+              ].map(({ mode, icon: Icon, label }) => (
+                <button
+                  key={mode}
+                  onClick={() => handleViewMode(mode)}
+                  className={`p-2 transition-colors duration-150 ${
+                    viewMode === mode ? 'bg-primary text-white' : 'text-gray-500 hover:text-gray-700'
+                  }`}
+                  title={label}
+                >
+                  <Icon className="w-4 h-4" />
+                </button>
+              ))}
+            </div>
           </div>
         </div>
 
@@ -132,20 +373,39 @@ function App() {
         {filteredShipments.length === 0 ? (
           <div className="card text-center py-12">
             <div className="text-gray-400 text-lg mb-4">
-              {shipments.length === 0 ? 'No shipments tracked yet' : 'No shipments match your filter'}
+              {activeShipments.length === 0 ? 'No shipments tracked yet' : 'No shipments match your filter'}
             </div>
-            {shipments.length === 0 && (
+            {activeShipments.length === 0 && (
               <p className="text-gray-500">
                 Add your first tracking number above to get started!
               </p>
             )}
           </div>
+        ) : viewMode === 'table' ? (
+          <ShipmentTable
+            shipments={filteredShipments}
+            sortBy={sort.sortBy}
+            sortOrder={sort.sortOrder}
+            onSort={(sortBy) => handleSort(sortBy)}
+            isOffline={!isOnline}
+            onOpenDetails={(shipmentId) => navigate(`/shipments/${encodeURIComponent(shipmentId)}`)}
+            onDelete={deleteShipment}
+          />
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {filteredShipments.map(shipment => (
               <ShipmentCard
                 key={shipment.shipmentId}
                 shipment={shipment}
+                refreshState={schedule.shipments[shipment.shipmentId]}
+                refreshPaused={schedule.paused}
+                isOffline={!isOnline}
+                now={now}
+                onCheckNow={() => (isOnline && schedule.shipments[shipment.shipmentId]
+                  ? checkNow(shipment.shipmentId)
+                  : refreshShipment(shipment.shipmentId))}
+                onOpenDetails={() => navigate(`/shipments/${encodeURIComponent(shipment.shipmentId)}`)}
+                onArchive={() => archiveShipments([shipment.shipmentId])}
                 onDelete={() => deleteShipment(shipment.shipmentId)}
               />
             ))}
@@ -166,15 +426,70 @@ function App() {
       {/* Subscription Modal */}
       {showSubscriptionModal && (
         <SubscriptionModal
-          onClose={() => setShowSubscriptionModal(false)}
-          currentShipments={shipments.length}
+          onClose={() => navigate('/')}
+          currentShipments={activeShipments.length}
+        />
+      )}
+
+      {/* Bulk Import Modal */}
+      {showBulkImportModal && (
+        <BulkImportModal
+          shipments={shipments}
+          onImport={addShipments}
+          onUpgrade={() => navigate('/upgrade')}
+          onClose={() => navigate('/')}
+        />
+      )}
+
+      {/* Shipment History Modal */}
+      {showHistoryModal && (
+        <ShipmentHistoryModal
+          shipments={shipments}
+          onRestore={restoreShipment}
+          onDelete={deleteShipment}
+          onDeleteMany={deleteShipments}
+          onUpgrade={() => navigate('/upgrade')}
+          onOpenDetails={(shipmentId) => navigate(`/shipments/${encodeURIComponent(shipmentId)}`)}
+          onClose={() => navigate('/')}
+        />
+      )}
+
+      {/* Alert Inbox */}
+      {showAlertInbox && (
+        <AlertInbox
+          alerts={alerts}
+          dismissedAlerts={dismissedAlerts}
+          shipments={shipments}
+          onMarkRead={markAlertsAsRead}
+          onDismiss={dismissAlerts}
+          onOpenShipment={(shipmentId) => navigate(`/shipments/${encodeURIComponent(shipmentId)}`)}
+          onClose={() => navigate('/')}
+        />
+      )}
+
+      {/* Shipment Detail Panel */}
+      {selectedShipment && (
+        <ShipmentDetailPanel
+          shipment={selectedShipment}
+          alerts={getShipmentAlerts(selectedShipment.shipmentId)}
+          snooze={snoozes[selectedShipment.shipmentId]}
+          onUpdate={(updates) => updateShipment(selectedShipment.shipmentId, updates)}
+          onToggleMute={() => (snoozes[selectedShipment.shipmentId]?.muted
+            ? unmuteShipment(selectedShipment.shipmentId)
+            : muteShipment(selectedShipment.shipmentId))}
+          onClose={() => navigate('/')}
         />
       )}
 
       {/* Settings Modal */}
       {showSettingsModal && (
         <SettingsModal
-          onClose={() => setShowSettingsModal(false)}
+          activeTab={route.params.tab}
+          onTabChange={(tab) => navigate(`/settings/${tab}`, { replace: true })}
+          onClose={() => navigate('/')}
+          exportScope={exportScope}
+          onDataImported={handleDataImported}
+          shipments={shipments}
         />
       )}
     </div>
@@ -0,0 +1,286 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { X, Inbox, CheckCheck, Mail, MailOpen, Trash2, ChevronRight } from 'lucide-react';
+import { format, isToday, isYesterday, startOfDay } from 'date-fns';
+
+const VIEWS = [
+  { id: 'inbox', label: 'Inbox' },
+  { id: 'dismissed', label: 'Dismissed' }
+];
+
+const GROUPINGS = [
+  { id: 'shipment', label: 'Shipment' },
+  { id: 'day', label: 'Day' }
+];
+
+const PRIORITIES = ['all', 'high', 'medium', 'low'];
+
+const PRIORITY_BADGES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-700'
+};
+
+const dayLabel = (date) => {
+  if (isToday(date)) return 'Today';
+  if (isYesterday(date)) return 'Yesterday';
+  return format(date, 'EEEE, MMM d');
+};
+
+// [{ key, label, alerts }], newest group first and newest alert first within each
+const groupAlerts = (alerts, grouping, shipmentsById) => {
+  const groups = new Map();
+  [...alerts]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .forEach(alert => {
+      const day = startOfDay(new Date(alert.timestamp));
+      const key = grouping === 'day' ? day.toISOString() : alert.shipmentId;
+      if (!groups.has(key)) {
+        const shipment = shipmentsById.get(alert.shipmentId);
+        groups.set(key, {
+          key,
+          label: grouping === 'day' ? dayLabel(day) : shipment?.nickname || alert.trackingNumber || 'Removed shipment',
+          shipmentId: grouping === 'day' ? null : alert.shipmentId,
+          alerts: []
+        });
+      }
+      groups.get(key).alerts.push(alert);
+    });
+  return [...groups.values()];
+};
+
+/**
+ * Drawer listing every alert, grouped by shipment or by day. Dismissed
+ * alerts stay in their own view until the 7-day cleanup removes them.
+ */
+const AlertInbox = ({
+  alerts,
+  dismissedAlerts,
+  shipments,
+  onMarkRead,
+  onDismiss,
+  onOpenShipment,
+  onClose
+}) => {
+  const [view, setView] = useState('inbox');
+  const [grouping, setGrouping] = useState('shipment');
+  const [priority, setPriority] = useState('all');
+  const [selectedIds, setSelectedIds] = useState(new Set());
+
+  const shipmentsById = useMemo(
+    () => new Map(shipments.map(shipment => [shipment.shipmentId, shipment])),
+    [shipments]
+  );
+  const source = view === 'inbox' ? alerts : dismissedAlerts;
+  const visible = useMemo(
+    () => source.filter(alert => priority === 'all' || alert.priority === priority),
+    [source, priority]
+  );
+  const groups = useMemo(() => groupAlerts(visible, grouping, shipmentsById), [visible, grouping, shipmentsById]);
+  const unreadCount = alerts.filter(alert => !alert.read).length;
+
+  // Selection only covers what's on screen
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [view, priority]);
+
+  const selected = visible.filter(alert => selectedIds.has(alert.id));
+  const allSelected = visible.length > 0 && selected.length === visible.length;
+
+  const toggleSelected = (alertIds, isSelected) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      alertIds.forEach(id => (isSelected ? next.add(id) : next.delete(id)));
+      return next;
+    });
+  };
+
+  const handleBulk = (action) => {
+    const ids = selected.map(alert => alert.id);
+    if (action === 'read') onMarkRead(ids, true);
+    if (action === 'unread') onMarkRead(ids, false);
+    if (action === 'dismiss') onDismiss(ids);
+    setSelectedIds(new Set());
+  };
+
+  const handleOpen = (alert) => {
+    if (!alert.read) onMarkRead([alert.id], true);
+    if (shipmentsById.has(alert.shipmentId)) onOpenShipment(alert.shipmentId);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50" onClick={onClose}>
+      <div
+        className="bg-surface w-full max-w-xl h-full flex flex-col animate-slide-up"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <Inbox className="w-6 h-6 text-primary" />
+              <div>
+                <h2 className="text-2xl font-bold text-text">Alerts</h2>
+                <p className="text-sm text-gray-500">
+                  {unreadCount > 0 ? `${unreadCount} unread` : 'All caught up'}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              {unreadCount > 0 && (
+                <button
+                  onClick={() => onMarkRead(alerts.filter(alert => !alert.read).map(alert => alert.id), true)}
+                  className="flex items-center space-x-1 text-sm text-primary hover:text-blue-600"
+                >
+                  <CheckCheck className="w-4 h-4" />
+                  <span>Mark all read</span>
+                </button>
+              )}
+              <button
+                onClick={onClose}
+                className="p-2 hover:bg-gray-100 rounded-md transition-colors duration-150"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Views and filters */}
+          <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+            <div className="flex rounded-md border border-gray-200 overflow-hidden">
+              {VIEWS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setView(option.id)}
+                  className={`px-3 py-1 ${view === option.id ? 'bg-primary text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                >
+                  {option.label}
+                  {option.id === 'dismissed' && dismissedAlerts.length > 0 && ` (${dismissedAlerts.length})`}
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center space-x-1 text-gray-600">
+              <span>Group by</span>
+              <select value={grouping} onChange={(e) => setGrouping(e.target.value)} className="input w-auto py-1 text-sm">
+                {GROUPINGS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center space-x-1 text-gray-600">
+              <span>Priority</span>
+              <select value={priority} onChange={(e) => setPriority(e.target.value)} className="input w-auto py-1 text-sm capitalize">
+                {PRIORITIES.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {/* Bulk actions */}
+          {visible.length > 0 && (
+            <div className="mt-3 flex items-center justify-between text-sm">
+              <label className="flex items-center space-x-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={(e) => toggleSelected(visible.map(alert => alert.id), e.target.checked)}
+                  className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                />
+                <span>{selected.length > 0 ? `${selected.length} selected` : 'Select all'}</span>
+              </label>
+              {selected.length > 0 && (
+                <div className="flex items-center space-x-3">
+                  <button onClick={() => handleBulk('read')} className="flex items-center space-x-1 text-primary hover:text-blue-600">
+                    <MailOpen className="w-4 h-4" />
+                    <span>Mark read</span>
+                  </button>
+                  <button onClick={() => handleBulk('unread')} className="flex items-center space-x-1 text-primary hover:text-blue-600">
+                    <Mail className="w-4 h-4" />
+                    <span>Mark unread</span>
+                  </button>
+                  {view === 'inbox' && (
+                    <button onClick={() => handleBulk('dismiss')} className="flex items-center space-x-1 text-red-600 hover:text-red-800">
+                      <Trash2 className="w-4 h-4" />
+                      <span>Dismiss</span>
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Alerts */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {groups.length === 0 && (
+            <p className="text-center py-8 text-gray-500">
+              {view === 'inbox'
+                ? (priority === 'all' ? 'No alerts right now' : `No ${priority} priority alerts`)
+                : 'Dismissed alerts show here for 7 days'}
+            </p>
+          )}
+
+          {groups.map(group => (
+            <section key={group.key}>
+              <div className="flex items-center justify-between mb-2">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={group.alerts.every(alert => selectedIds.has(alert.id))}
+                    onChange={(e) => toggleSelected(group.alerts.map(alert => alert.id), e.target.checked)}
+                    className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                  />
+                  <h3 className="font-medium text-text">{group.label}</h3>
+                </label>
+                {group.shipmentId && shipmentsById.has(group.shipmentId) && (
+                  <button
+                    onClick={() => onOpenShipment(group.shipmentId)}
+                    className="flex items-center text-sm text-primary hover:text-blue-600"
+                  >
+                    <span>Details</span>
+                    <ChevronRight className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+                {group.alerts.map(alert => (
+                  <li key={alert.id} className={`p-3 flex items-start space-x-3 ${alert.read ? '' : 'bg-blue-50'}`}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(alert.id)}
+                      onChange={(e) => toggleSelected([alert.id], e.target.checked)}
+                      className="mt-1 h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                    />
+                    <button onClick={() => handleOpen(alert)} className="flex-1 min-w-0 text-left">
+                      <div className="flex items-center justify-between">
+                        <span className={`text-sm text-text ${alert.read ? '' : 'font-semibold'}`}>
+                          {alert.icon} {alert.title}
+                        </span>
+                        <span className="text-xs text-gray-500 flex-shrink-0 ml-2">
+                          {format(new Date(alert.timestamp), grouping === 'day' ? 'h:mm a' : 'MMM d, h:mm a')}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600">{alert.message}</p>
+                      <div className="mt-1 flex items-center space-x-2 text-xs">
+                        <span className={`px-1.5 py-0.5 rounded capitalize ${PRIORITY_BADGES[alert.priority] || PRIORITY_BADGES.low}`}>
+                          {alert.priority}
+                        </span>
+                        {grouping === 'day' && (
+                          <span className="text-gray-500">
+                            {shipmentsById.get(alert.shipmentId)?.nickname || alert.trackingNumber}
+                          </span>
+                        )}
+                        {alert.dismissedAt && (
+                          <span className="text-gray-400">Dismissed {format(new Date(alert.dismissedAt), 'MMM d')}</span>
+                        )}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertInbox;
@@ -1,5 +1,6 @@
-import React from 'react';
-import { AlertTriangle, Info, CheckCircle, X } from 'lucide-react';
+import React, { useState } from 'react';
+import { AlertTriangle, Info, CheckCircle, X, Clock, BellOff } from 'lucide-react';
+import { SNOOZE_OPTIONS } from '../services/snoozeService.js';
 
 const variantConfig = {
   info: {
@@ -32,9 +33,19 @@ const variantConfig = {
   }
 };
 
-const AlertNotification = ({ variant = 'info', message, onDismiss }) => {
+/**
+ * A dismissible banner. Shipment alerts also pass `onSnooze(optionId)` and
+ * `onMute`, which add a snooze menu.
+ */
+const AlertNotification = ({ variant = 'info', message, onDismiss, onSnooze, onMute }) => {
   const config = variantConfig[variant];
   const Icon = config.icon;
+  const [showSnooze, setShowSnooze] = useState(false);
+
+  const handleSnooze = (optionId) => {
+    setShowSnooze(false);
+    onSnooze(optionId);
+  };
 
   return (
     <div className={`${config.bg} ${config.border} border rounded-lg p-4 animate-slide-up`}>
@@ -43,6 +54,42 @@ const AlertNotification = ({ variant = 'info', message, onDismiss }) => {
         <div className={`flex-1 ${config.text}`}>
           <p className="text-sm font-medium">{message}</p>
         </div>
+        {(onSnooze || onMute) && (
+          <div className="relative">
+            <button
+              onClick={() => setShowSnooze(!showSnooze)}
+              title="Snooze"
+              className={`${config.iconColor} hover:opacity-70 transition-opacity duration-150`}
+            >
+              <Clock className="w-4 h-4" />
+            </button>
+            {showSnooze && (
+              <div className="absolute right-0 mt-2 w-56 bg-surface border border-gray-200 rounded-md shadow-lg z-10 py-1">
+                {onSnooze && SNOOZE_OPTIONS.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => handleSnooze(option.id)}
+                    className="w-full text-left px-3 py-2 text-sm text-text hover:bg-gray-50"
+                  >
+                    {option.label}
+                  </button>
+                ))}
+                {onMute && (
+                  <button
+                    onClick={() => {
+                      setShowSnooze(false);
+                      onMute();
+                    }}
+                    className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-text hover:bg-gray-50 border-t border-gray-100"
+                  >
+                    <BellOff className="w-4 h-4 text-gray-500" />
+                    <span>Mute this shipment</span>
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
         {onDismiss && (
           <button
             onClick={onDismiss}
@@ -56,4 +103,4 @@ const AlertNotification = ({ variant = 'info', message, onDismiss }) => {
   );
 };
 
-export default AlertNotification;
\ No newline at end of file
+export default AlertNotification;
@@ -0,0 +1,355 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, X, Crown } from 'lucide-react';
+import { alertRulesStorage } from '../services/storageService.js';
+import { hasPremiumFeatures } from '../services/subscriptionService.js';
+import {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  SEVERITIES,
+  resolveRules,
+  createCustomRule,
+  validateRule,
+  describeRule
+} from '../services/alertRules.js';
+
+const operatorsFor = (fieldKey) => Object.entries(RULE_OPERATORS)
+  .filter(([, operator]) => operator.kinds.includes(RULE_FIELDS[fieldKey].kind));
+
+const defaultValue = (fieldKey, op) => {
+  const field = RULE_FIELDS[fieldKey];
+  if (field.kind === 'number') return 0;
+  return ['in', 'notIn'].includes(op) ? [field.values[0]] : field.values[0];
+};
+
+const newCondition = () => ({ field: 'status', op: 'eq', value: 'in_transit' });
+
+const SeveritySelect = ({ value, onChange, allowDefault = false }) => (
+  <select value={value || ''} onChange={(e) => onChange(e.target.value || null)} className="input w-auto py-1 text-sm">
+    {allowDefault && <option value="">Default</option>}
+    {SEVERITIES.map(severity => (
+      <option key={severity} value={severity}>{severity.charAt(0).toUpperCase() + severity.slice(1)}</option>
+    ))}
+  </select>
+);
+
+const ConditionRow = ({ condition, onChange, onRemove }) => {
+  const field = RULE_FIELDS[condition.field];
+  const isList = ['in', 'notIn'].includes(condition.op);
+
+  const changeField = (fieldKey) => {
+    const [op] = operatorsFor(fieldKey)[0];
+    onChange({ field: fieldKey, op, value: defaultValue(fieldKey, op) });
+  };
+
+  const changeOperator = (op) => {
+    const wasList = isList;
+    const nowList = ['in', 'notIn'].includes(op);
+    const value = wasList === nowList ? condition.value : defaultValue(condition.field, op);
+    onChange({ ...condition, op, value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-start gap-2">
+      <select value={condition.field} onChange={(e) => changeField(e.target.value)} className="input w-auto py-1 text-sm">
+        {Object.entries(RULE_FIELDS).map(([key, definition]) => (
+          <option key={key} value={key}>{definition.description}</option>
+        ))}
+      </select>
+      <select value={condition.op} onChange={(e) => changeOperator(e.target.value)} className="input w-auto py-1 text-sm">
+        {operatorsFor(condition.field).map(([key, operator]) => (
+          <option key={key} value={key}>{operator.label}</option>
+        ))}
+      </select>
+      {field.kind === 'number' ? (
+        <input
+          type="number"
+          value={condition.value}
+          onChange={(e) => onChange({ ...condition, value: e.target.value === '' ? '' : Number(e.target.value) })}
+          className="input w-24 py-1 text-sm"
+        />
+      ) : (
+        <select
+          multiple={isList}
+          value={condition.value}
+          onChange={(e) => onChange({
+            ...condition,
+            value: isList ? [...e.target.selectedOptions].map(option => option.value) : e.target.value
+          })}
+          className="input w-auto py-1 text-sm"
+        >
+          {field.values.map(value => (
+            <option key={value} value={value}>{value.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+      )}
+      {field.unit && <span className="py-1 text-sm text-gray-500">{field.unit}</span>}
+      <button onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove condition">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+const RuleEditor = ({ rule, shipments, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(rule);
+  const [errors, setErrors] = useState([]);
+  const scoped = draft.scope.shipmentIds.length > 0 || draft.scopeToShipments;
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const updateCondition = (index, condition) => {
+    update({ conditions: draft.conditions.map((existing, i) => (i === index ? condition : existing)) });
+  };
+
+  const toggleShipment = (shipmentId, checked) => {
+    const shipmentIds = checked
+      ? [...draft.scope.shipmentIds, shipmentId]
+      : draft.scope.shipmentIds.filter(id => id !== shipmentId);
+    update({ scope: { shipmentIds } });
+  };
+
+  const handleSave = () => {
+    const { scopeToShipments, ...rule } = { ...draft, name: draft.name.trim() };
+    const problems = validateRule(rule);
+    if (scopeToShipments && rule.scope.shipmentIds.length === 0) problems.push('Pick at least one shipment');
+    setErrors(problems);
+    if (problems.length === 0) onSave(rule);
+  };
+
+  return (
+    <div className="p-4 border border-primary rounded-lg space-y-4">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => update({ name: e.target.value })}
+        placeholder="Rule name, e.g. Slow DHL packages"
+        className="input"
+      />
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-text">Alert when all of these are true</p>
+        {draft.conditions.map((condition, index) => (
+          <ConditionRow
+            key={index}
+            condition={condition}
+            onChange={(next) => updateCondition(index, next)}
+            onRemove={() => update({ conditions: draft.conditions.filter((_, i) => i !== index) })}
+          />
+        ))}
+        <button
+          onClick={() => update({ conditions: [...draft.conditions, newCondition()] })}
+          className="flex items-center space-x-1 text-sm text-primary hover:text-blue-600"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add condition</span>
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-2 text-sm">
+        <span className="text-text">Severity</span>
+        <SeveritySelect value={draft.severity} onChange={(severity) => update({ severity })} />
+      </div>
+
+      <div className="space-y-1 text-sm text-text">
+        <label className="flex items-center space-x-2">
+          <input
+            type="radio"
+            checked={!scoped}
+            onChange={() => update({ scope: { shipmentIds: [] }, scopeToShipments: false })}
+          />
+          <span>All shipments</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="radio" checked={scoped} onChange={() => update({ scopeToShipments: true })} />
+          <span>Only these shipments</span>
+        </label>
+        {scoped && (
+          <div className="ml-6 max-h-40 overflow-y-auto space-y-1">
+            {shipments.length === 0 && <p className="text-gray-500">No shipments to choose from.</p>}
+            {shipments.map(shipment => (
+              <label key={shipment.shipmentId} className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={draft.scope.shipmentIds.includes(shipment.shipmentId)}
+                  onChange={(e) => toggleShipment(shipment.shipmentId, e.target.checked)}
+                />
+                <span>{shipment.nickname || shipment.trackingNumber}</span>
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="p-3 rounded-md bg-red-50 text-sm text-red-700 list-disc ml-0 pl-8">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="btn-secondary">Cancel</button>
+        <button onClick={handleSave} className="btn-primary">Save rule</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Built-in alert rules with on/off and severity, plus the user's own rules.
+ * Changes are picked up the next time alerts are generated.
+ */
+const AlertRulesPanel = ({ shipments = [], onMessage }) => {
+  const [settings, setSettings] = useState(alertRulesStorage.load);
+  // Custom rule being created or edited
+  const [editing, setEditing] = useState(null);
+  const rules = resolveRules(settings);
+  const premium = hasPremiumFeatures();
+  const shipmentNames = new Map(shipments.map(shipment => [shipment.shipmentId, shipment.nickname || shipment.trackingNumber]));
+
+  const save = (next) => {
+    if (alertRulesStorage.save(next)) {
+      setSettings(next);
+      return true;
+    }
+    onMessage('error', 'Could not save alert rules');
+    return false;
+  };
+
+  const updateBuiltIn = (ruleId, changes) => save({
+    ...settings,
+    overrides: { ...settings.overrides, [ruleId]: { ...settings.overrides[ruleId], ...changes } }
+  });
+
+  const updateCustom = (rule) => {
+    const exists = settings.custom.some(existing => existing.id === rule.id);
+    return save({
+      ...settings,
+      custom: exists
+        ? settings.custom.map(existing => (existing.id === rule.id ? rule : existing))
+        : [...settings.custom, rule]
+    });
+  };
+
+  const handleSaveRule = (rule) => {
+    if (updateCustom(rule)) {
+      setEditing(null);
+      onMessage('success', `Saved "${rule.name}"`);
+    }
+  };
+
+  const handleDelete = (rule) => {
+    if (!confirm(`Delete the rule "${rule.name}"?`)) return;
+    save({ ...settings, custom: settings.custom.filter(existing => existing.id !== rule.id) });
+  };
+
+  const describeScope = (rule) => {
+    const { shipmentIds } = rule.scope;
+    if (shipmentIds.length === 0) return 'All shipments';
+    return shipmentIds.map(id => shipmentNames.get(id) || 'Removed shipment').join(', ');
+  };
+
+  const builtInRules = rules.filter(rule => rule.builtIn);
+  const customRules = rules.filter(rule => !rule.builtIn);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-text">Your Rules</h3>
+          {!editing && (
+            <button
+              onClick={() => setEditing(createCustomRule({ conditions: [newCondition()] }))}
+              className="flex items-center space-x-1 text-sm text-primary hover:text-blue-600"
+            >
+              <Plus className="w-4 h-4" />
+              <span>New rule</span>
+            </button>
+          )}
+        </div>
+
+        {editing && (
+          <div className="mb-4">
+            <RuleEditor
+              rule={editing}
+              shipments={shipments}
+              onSave={handleSaveRule}
+              onCancel={() => setEditing(null)}
+            />
+          </div>
+        )}
+
+        {customRules.length === 0 && !editing ? (
+          <p className="text-sm text-gray-500">
+            Create a rule to get alerts the built-in ones don't cover, like a DHL package in transit for more than 4 days.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {customRules.map(rule => (
+              <li key={rule.id} className="py-3 flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="font-medium text-text">{rule.name}</div>
+                  <div className="text-sm text-gray-500">{describeRule(rule)}</div>
+                  <div className="text-xs text-gray-500">{describeScope(rule)}</div>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  <SeveritySelect value={rule.severity} onChange={(severity) => updateCustom({ ...rule, severity })} />
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateCustom({ ...rule, enabled: e.target.checked })}
+                    className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                    title={rule.enabled ? 'Turn off' : 'Turn on'}
+                  />
+                  <button onClick={() => setEditing(rule)} className="p-1 text-gray-400 hover:text-gray-600" title="Edit rule">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="p-1 text-gray-400 hover:text-red-600" title="Delete rule">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-medium text-text mb-4">Built-in Rules</h3>
+        <ul className="divide-y divide-gray-100">
+          {builtInRules.map(rule => (
+            <li key={rule.id} className="py-3 flex items-start justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="font-medium text-text">{rule.name}</span>
+                  {rule.premium && !premium && (
+                    <span className="flex items-center space-x-1 text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">
+                      <Crown className="w-3 h-3" />
+                      <span>Premium</span>
+                    </span>
+                  )}
+                </div>
+                <div className="text-sm text-gray-500">{describeRule(rule)}</div>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                <SeveritySelect
+                  value={rule.severity}
+                  allowDefault
+                  onChange={(severity) => updateBuiltIn(rule.id, { severity })}
+                />
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateBuiltIn(rule.id, { enabled: e.target.checked })}
+                  className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                  title={rule.enabled ? 'Turn off' : 'Turn on'}
+                />
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRulesPanel;
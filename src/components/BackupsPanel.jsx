@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { History, Plus, GitCompare, Trash2 } from 'lucide-react';
+import { format, formatDistanceToNow } from 'date-fns';
+import {
+  BACKUP_REASONS,
+  MAX_BACKUPS,
+  isBackupAvailable,
+  listBackups,
+  createBackup,
+  compareBackup,
+  deleteBackup
+} from '../services/backupService.js';
+import { dataImport } from '../services/storageService.js';
+import { IMPORT_MODES } from '../services/importPlan.js';
+import ImportPreviewPanel from './ImportPreviewPanel';
+
+const formatSize = (chars) => (chars >= 1024 * 1024
+  ? `${(chars / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(chars / 1024))} KB`);
+
+/**
+ * Lists automatic and manual backups. Comparing one shows what restoring it
+ * would change; restoring goes through the import path so it can be undone.
+ */
+const BackupsPanel = ({ onRestored, onMessage }) => {
+  const [backups, setBackups] = useState([]);
+  // { backup, plan } while a backup is being compared
+  const [comparing, setComparing] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const loadBackups = () => listBackups().then(setBackups);
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  if (!isBackupAvailable()) {
+    return (
+      <div className="p-4 border border-gray-200 rounded-lg text-sm text-gray-500">
+        Automatic backups need IndexedDB, which isn't available in this browser.
+      </div>
+    );
+  }
+
+  const handleBackupNow = async () => {
+    setIsWorking(true);
+    try {
+      const backup = await createBackup(BACKUP_REASONS.MANUAL);
+      onMessage(backup ? 'success' : 'error', backup ? 'Backup created' : 'Could not create a backup');
+      loadBackups();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCompare = async (backup, mode = IMPORT_MODES.REPLACE) => {
+    try {
+      setComparing({ backup, plan: await compareBackup(backup.id, mode) });
+    } catch (error) {
+      onMessage('error', `Could not read backup: ${error.message}`);
+    }
+  };
+
+  const handleRestore = async () => {
+    setIsWorking(true);
+    try {
+      const { success, error } = await dataImport.apply(comparing.plan);
+      if (success) {
+        onMessage('success', `Restored the backup from ${format(comparing.backup.createdAt, 'MMM d, yyyy h:mm a')}`);
+        setComparing(null);
+        onRestored?.();
+      } else {
+        onMessage('error', `Restore failed: ${error}. Your data was not changed.`);
+      }
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDelete = async (backup) => {
+    if (!confirm(`Delete the backup from ${format(backup.createdAt, 'MMM d, yyyy h:mm a')}?`)) return;
+    await deleteBackup(backup.id);
+    loadBackups();
+  };
+
+  if (comparing) {
+    return (
+      <ImportPreviewPanel
+        plan={comparing.plan}
+        title="Restore backup"
+        fileName={`${format(comparing.backup.createdAt, 'MMM d, yyyy h:mm a')} · ${comparing.backup.reason} backup`}
+        confirmLabel="Restore"
+        onModeChange={(mode) => handleCompare(comparing.backup, mode)}
+        onConfirm={handleRestore}
+        onCancel={() => setComparing(null)}
+        isApplying={isWorking}
+      />
+    );
+  }
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center space-x-2">
+          <History className="w-4 h-4 text-gray-500" />
+          <h4 className="font-medium text-text">Backups</h4>
+        </div>
+        <button
+          onClick={handleBackupNow}
+          disabled={isWorking}
+          className="flex items-center space-x-1 text-sm text-primary hover:text-blue-600 transition-colors duration-150 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Back up now</span>
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-3">
+        Shipments, alerts and preferences are backed up daily on this device. The last {MAX_BACKUPS} daily and {MAX_BACKUPS} manual backups are kept.
+      </p>
+
+      {backups.length === 0 ? (
+        <p className="text-sm text-gray-500">No backups yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {backups.map(backup => (
+            <li key={backup.id} className="py-2 flex items-center justify-between text-sm">
+              <div>
+                <div className="text-text">
+                  {format(backup.createdAt, 'MMM d, yyyy h:mm a')}
+                  <span className="text-gray-500"> · {formatDistanceToNow(backup.createdAt, { addSuffix: true })}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {backup.reason === BACKUP_REASONS.AUTOMATIC ? 'Automatic' : 'Manual'} ·{' '}
+                  {backup.counts.shipments} shipments, {backup.counts.alerts} alerts · {formatSize(backup.size)}
+                </div>
+              </div>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => handleCompare(backup)}
+                  className="flex items-center space-x-1 px-2 py-1 rounded-md text-gray-600 hover:bg-gray-100"
+                  title="Compare with current data and restore"
+                >
+                  <GitCompare className="w-4 h-4" />
+                  <span>Compare &amp; restore</span>
+                </button>
+                <button
+                  onClick={() => handleDelete(backup)}
+                  className="p-1 rounded-md text-gray-400 hover:text-red-600 hover:bg-gray-100"
+                  title="Delete backup"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BackupsPanel;
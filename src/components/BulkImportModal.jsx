@@ -0,0 +1,249 @@
+import React, { useState, useMemo } from 'react';
+import { X, ListPlus, Upload, AlertTriangle, CheckCircle, Crown, Truck } from 'lucide-react';
+import { getRegisteredCarriers } from '../services/carriers/index.js';
+import { extractTrackingNumbers, buildReviewRows, applyPlanLimit } from '../services/bulkImport.js';
+import { getRemainingShipments } from '../services/subscriptionService.js';
+import { getActiveShipments } from '../services/archiveService.js';
+
+const carriers = getRegisteredCarriers();
+
+const RowStatus = ({ row }) => {
+  if (row.duplicate) {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">Already tracked</span>;
+  }
+  if (row.overLimit) {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">Over plan limit</span>;
+  }
+  if (row.checkDigit === 'invalid') {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700">Check digit mismatch</span>;
+  }
+  if (row.confidence === 0) {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">Unknown format</span>;
+  }
+  return null;
+};
+
+const BulkImportModal = ({ shipments, onImport, onUpgrade, onClose }) => {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const remaining = getRemainingShipments(getActiveShipments(shipments).length);
+  const reviewRows = useMemo(() => (rows ? applyPlanLimit(rows, remaining) : []), [rows, remaining]);
+  const toAdd = reviewRows.filter(row => row.selected && !row.duplicate && !row.overLimit);
+  const overLimitCount = reviewRows.filter(row => row.overLimit).length;
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    setText(await file.text());
+    setFileName(file.name);
+    event.target.value = '';
+  };
+
+  const handleExtract = () => {
+    setRows(buildReviewRows(extractTrackingNumbers(text, fileName), shipments));
+    setResult(null);
+  };
+
+  const updateRow = (id, updates) => {
+    setRows(current => current.map(row => (row.id === id ? { ...row, ...updates } : row)));
+  };
+
+  const handleAdd = async () => {
+    setIsAdding(true);
+    try {
+      const outcome = await onImport(toAdd.map(row => ({
+        trackingNumber: row.trackingNumber,
+        carrier: row.carrier,
+        nickname: row.nickname.trim()
+      })));
+      const addedNumbers = new Set(outcome.added.map(shipment => shipment.trackingNumber));
+      setRows(current => current.map(row => (addedNumbers.has(row.trackingNumber)
+        ? { ...row, duplicate: true, selected: false }
+        : row)));
+      setResult(outcome);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-surface rounded-lg max-w-4xl w-full max-h-[90vh] flex flex-col animate-slide-up">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <ListPlus className="w-6 h-6 text-primary" />
+            <div>
+              <h2 className="text-2xl font-bold text-text">Bulk Add Shipments</h2>
+              <p className="text-gray-600 text-sm">
+                Paste text, a forwarded order email, or upload a CSV file
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-md transition-colors duration-150"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-6">
+          {rows === null ? (
+            <div className="space-y-4">
+              <textarea
+                value={text}
+                onChange={(e) => { setText(e.target.value); setFileName(''); }}
+                placeholder="Paste tracking numbers, a spreadsheet, or an order confirmation email"
+                rows={10}
+                className="input font-mono text-sm"
+              />
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="btn-secondary flex items-center space-x-2 cursor-pointer">
+                  <Upload className="w-4 h-4" />
+                  <span>Upload file</span>
+                  <input type="file" accept=".csv,.txt,.eml,text/csv,text/plain,message/rfc822" onChange={handleFile} className="hidden" />
+                </label>
+                {fileName && <span className="text-sm text-gray-600">{fileName}</span>}
+                <p className="text-xs text-gray-500">
+                  CSV files with a "Tracking" column can also include Carrier and Nickname columns.
+                </p>
+              </div>
+            </div>
+          ) : reviewRows.length === 0 ? (
+            <div className="text-center py-8 text-gray-600">
+              <AlertTriangle className="w-8 h-8 mx-auto mb-2 text-yellow-600" />
+              <p>No tracking numbers found. Check the text and try again.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-2"></th>
+                    <th className="py-2 pr-4">Tracking Number</th>
+                    <th className="py-2 pr-4">Carrier</th>
+                    <th className="py-2 pr-4">Nickname</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reviewRows.map(row => (
+                    <tr key={row.id} className={`border-b border-gray-100 ${row.duplicate ? 'opacity-50' : ''}`}>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="checkbox"
+                          checked={row.selected && !row.duplicate}
+                          disabled={row.duplicate}
+                          onChange={(e) => updateRow(row.id, { selected: e.target.checked })}
+                        />
+                      </td>
+                      <td className="py-2 pr-4">
+                        <div className="font-mono">{row.trackingNumber}</div>
+                        <div className="text-xs text-gray-500">
+                          {row.format}
+                          {row.confidence > 0 && ` · ${Math.round(row.confidence * 100)}%`}
+                          {row.checkDigit === 'valid' && ' · check digit verified'}
+                          {row.occurrences > 1 && ` · found ${row.occurrences} times`}
+                        </div>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <select
+                          value={row.carrier}
+                          onChange={(e) => updateRow(row.id, { carrier: e.target.value })}
+                          disabled={row.duplicate}
+                          className="input py-1"
+                        >
+                          {carriers.map(carrier => (
+                            <option key={carrier.id} value={carrier.id}>{carrier.name}</option>
+                          ))}
+                          <option value="other">Other</option>
+                        </select>
+                      </td>
+                      <td className="py-2 pr-4">
+                        <input
+                          type="text"
+                          value={row.nickname}
+                          onChange={(e) => updateRow(row.id, { nickname: e.target.value })}
+                          placeholder={`Package ${row.trackingNumber.slice(-4)}`}
+                          disabled={row.duplicate}
+                          className="input py-1"
+                        />
+                      </td>
+                      <td className="py-2">
+                        <RowStatus row={row} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {overLimitCount > 0 && (
+            <div className="flex items-center justify-between p-3 rounded-md bg-yellow-50 text-yellow-800 text-sm">
+              <span>
+                Your plan has room for {remaining} more shipment{remaining === 1 ? '' : 's'};{' '}
+                {overLimitCount} selected row{overLimitCount === 1 ? '' : 's'} won't be added.
+              </span>
+              <button onClick={onUpgrade} className="flex items-center space-x-1 font-medium hover:underline">
+                <Crown className="w-4 h-4" />
+                <span>Upgrade</span>
+              </button>
+            </div>
+          )}
+
+          {result && (
+            <div className="p-3 rounded-md bg-green-50 text-green-800 text-sm space-y-1">
+              <p className="flex items-center space-x-2">
+                <CheckCircle className="w-4 h-4" />
+                <span>Added {result.added.length} shipment{result.added.length === 1 ? '' : 's'}.</span>
+              </p>
+              {result.skipped.map(({ trackingNumber, reason }) => (
+                <p key={trackingNumber} className="text-yellow-800">Skipped {trackingNumber}: {reason}</p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex justify-between">
+          {rows === null ? (
+            <>
+              <button onClick={onClose} className="btn-secondary">Cancel</button>
+              <button onClick={handleExtract} disabled={!text.trim()} className="btn-primary disabled:opacity-50">
+                Find tracking numbers
+              </button>
+            </>
+          ) : (
+            <>
+              <button onClick={() => { setRows(null); setResult(null); }} className="btn-secondary">
+                Back
+              </button>
+              <button
+                onClick={handleAdd}
+                disabled={isAdding || toAdd.length === 0}
+                className="btn-primary flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isAdding ? (
+                  <>
+                    <Truck className="w-4 h-4 animate-pulse" />
+                    <span>Adding...</span>
+                  </>
+                ) : (
+                  <span>Add {toAdd.length} shipment{toAdd.length === 1 ? '' : 's'}</span>
+                )}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkImportModal;
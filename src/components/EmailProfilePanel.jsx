@@ -0,0 +1,239 @@
+import React, { useState } from 'react';
+import { Mail, CheckCircle, Inbox, Send } from 'lucide-react';
+import { format } from 'date-fns';
+import {
+  getProfile,
+  startEmailVerification,
+  confirmEmailVerification,
+  cancelEmailVerification,
+  removeEmail
+} from '../services/profileService.js';
+import { getActiveTransport, sendEmail } from '../services/email/index.js';
+import { mailboxStorage } from '../services/storageService.js';
+
+const SAMPLE_ALERT = {
+  shipmentId: 'sample',
+  trackingNumber: '1Z999AA10123456784',
+  title: 'Shipment Delayed',
+  message: 'Sample package is 1 day(s) overdue',
+  priority: 'high',
+  timestamp: new Date(),
+  metadata: { status: 'in_transit' }
+};
+
+/**
+ * Messages kept by the local mailbox transport, so verification codes and
+ * notifications can be read without a mail server
+ */
+const MailboxList = ({ messages, onClear }) => {
+  const [openId, setOpenId] = useState(null);
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center space-x-2">
+          <Inbox className="w-4 h-4 text-gray-500" />
+          <h4 className="font-medium text-text">Local Mailbox</h4>
+        </div>
+        {messages.length > 0 && (
+          <button onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">Clear</button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-3">
+        No mail server is configured, so emails are kept here instead of being sent.
+      </p>
+      {messages.length === 0 ? (
+        <p className="text-sm text-gray-500">No emails yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-72 overflow-y-auto">
+          {messages.map(message => (
+            <li key={message.messageId} className="py-2 text-sm">
+              <button
+                onClick={() => setOpenId(openId === message.messageId ? null : message.messageId)}
+                className="w-full text-left"
+              >
+                <div className="text-text truncate">{message.subject}</div>
+                <div className="text-xs text-gray-500">
+                  To {message.to} · {message.type} · {format(new Date(message.sentAt), 'MMM d, h:mm a')}
+                </div>
+              </button>
+              {openId === message.messageId && (
+                <pre className="mt-2 p-3 bg-gray-50 rounded-md text-xs whitespace-pre-wrap">{message.text}</pre>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * The address notifications go to, with the send-code / enter-code flow
+ * for confirming it
+ */
+const EmailProfilePanel = ({ onMessage }) => {
+  const [profile, setProfile] = useState(getProfile);
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [mailbox, setMailbox] = useState(mailboxStorage.load);
+  const transport = getActiveTransport();
+
+  const refresh = () => {
+    setProfile(getProfile());
+    setMailbox(mailboxStorage.load());
+  };
+
+  const handleSendCode = async (address) => {
+    setIsWorking(true);
+    try {
+      const result = await startEmailVerification(address);
+      if (result.success) {
+        setCode('');
+        onMessage('success', `We sent a code to ${address.trim()}`);
+      } else {
+        onMessage('error', result.error, 5000);
+      }
+      refresh();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleVerify = () => {
+    const result = confirmEmailVerification(code);
+    if (result.success) {
+      setEmail('');
+      onMessage('success', `${result.email} is confirmed`);
+    } else {
+      onMessage('error', result.error);
+    }
+    refresh();
+  };
+
+  const handleCancel = () => {
+    cancelEmailVerification();
+    refresh();
+  };
+
+  const handleRemove = () => {
+    if (!confirm(`Stop sending notifications to ${profile.email}?`)) return;
+    removeEmail();
+    refresh();
+  };
+
+  const handleSendTest = async () => {
+    setIsWorking(true);
+    try {
+      const result = await sendEmail({ to: profile.email, type: 'alert', data: { alert: SAMPLE_ALERT } });
+      onMessage(result.success ? 'success' : 'error', result.success
+        ? `Test email sent to ${profile.email}`
+        : `Test email failed: ${result.error}`);
+      refresh();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+        <div className="flex items-center space-x-2">
+          <Mail className="w-4 h-4 text-gray-500" />
+          <h4 className="font-medium text-text">Email Address</h4>
+        </div>
+
+        {profile.email && profile.verifiedAt ? (
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2 text-sm">
+              <CheckCircle className="w-4 h-4 text-green-500" />
+              <span className="text-text">{profile.email}</span>
+              <span className="text-gray-500">
+                · confirmed {format(new Date(profile.verifiedAt), 'MMM d, yyyy')}
+              </span>
+            </div>
+            <div className="flex items-center space-x-3 text-sm">
+              <button
+                onClick={handleSendTest}
+                disabled={isWorking}
+                className="flex items-center space-x-1 text-primary hover:text-blue-600 disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" />
+                <span>Send test</span>
+              </button>
+              <button onClick={handleRemove} className="text-red-600 hover:text-red-800">Remove</button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            Add an email address and confirm it with the code we send to get shipment notifications by email.
+          </p>
+        )}
+
+        <p className="text-xs text-gray-500">
+          Codes are checked on this device. This catches a mistyped address but doesn't prove who owns it.
+        </p>
+
+        {profile.pending ? (
+          <div className="space-y-2">
+            <p className="text-sm text-text">
+              Enter the 6-digit code we sent to <strong>{profile.pending.email}</strong>.
+            </p>
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                placeholder="123456"
+                className="input w-32 font-mono tracking-widest"
+              />
+              <button onClick={handleVerify} disabled={code.length !== 6} className="btn-primary disabled:opacity-50">
+                Confirm
+              </button>
+              <button
+                onClick={() => handleSendCode(profile.pending.email)}
+                disabled={isWorking}
+                className="text-sm text-primary hover:text-blue-600 disabled:opacity-50"
+              >
+                Resend
+              </button>
+              <button onClick={handleCancel} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex items-center space-x-2">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder={profile.email ? 'Use a different address' : 'you@example.com'}
+              className="input flex-1"
+            />
+            <button
+              onClick={() => handleSendCode(email)}
+              disabled={isWorking || !email.trim()}
+              className="btn-secondary disabled:opacity-50"
+            >
+              {isWorking ? 'Sending...' : 'Send code'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {transport.id === 'mailbox' && (
+        <MailboxList
+          messages={mailbox}
+          onClear={() => {
+            mailboxStorage.clear();
+            refresh();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EmailProfilePanel;
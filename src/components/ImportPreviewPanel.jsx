@@ -0,0 +1,171 @@
+import React from 'react';
+import { FileJson, AlertTriangle, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { IMPORT_MODES, hasImportChanges } from '../services/importPlan.js';
+
+const shipmentName = (shipment) => shipment.nickname || shipment.trackingNumber;
+
+const ChangeList = ({ title, icon: Icon, color, items }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <details className="text-sm">
+      <summary className={`cursor-pointer flex items-center space-x-2 ${color}`}>
+        <Icon className="w-4 h-4" />
+        <span>{title} ({items.length})</span>
+      </summary>
+      <ul className="mt-2 ml-6 space-y-1 text-gray-700 max-h-40 overflow-y-auto">
+        {items.map(item => (
+          <li key={item.key}>
+            {item.label}
+            {item.detail && <span className="text-gray-500"> — {item.detail}</span>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+/**
+ * Shows what an import plan would change and lets the user pick merge or
+ * replace. Also used to compare and restore backups, via `title` and `confirmLabel`.
+ */
+const ImportPreviewPanel = ({
+  plan,
+  fileName,
+  exportDate,
+  onModeChange,
+  onConfirm,
+  onCancel,
+  isApplying,
+  title = 'Import preview',
+  confirmLabel = 'Import'
+}) => {
+  const { shipments, alerts, preferences, appState, errors } = plan;
+  const skipped = errors.filter(error => error.skipped);
+  const repaired = errors.filter(error => !error.skipped);
+  const canImport = hasImportChanges(plan) && !isApplying;
+
+  return (
+    <div className="p-4 border border-primary rounded-lg space-y-4">
+      <div className="flex items-start space-x-3">
+        <FileJson className="w-5 h-5 text-primary mt-0.5" />
+        <div>
+          <h4 className="font-medium text-text">{title}</h4>
+          <p className="text-sm text-gray-500">
+            {fileName}
+            {exportDate && ` · exported ${format(new Date(exportDate), 'MMM d, yyyy h:mm a')}`}
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-1 text-sm text-text">
+        <label className="flex items-start space-x-2">
+          <input
+            type="radio"
+            className="mt-1"
+            checked={plan.mode === IMPORT_MODES.MERGE}
+            onChange={() => onModeChange(IMPORT_MODES.MERGE)}
+          />
+          <span>
+            <strong>Merge</strong>
+            <span className="text-gray-500"> — keep current data, add missing shipments and update matching ones</span>
+          </span>
+        </label>
+        <label className="flex items-start space-x-2">
+          <input
+            type="radio"
+            className="mt-1"
+            checked={plan.mode === IMPORT_MODES.REPLACE}
+            onChange={() => onModeChange(IMPORT_MODES.REPLACE)}
+          />
+          <span>
+            <strong>Replace</strong>
+            <span className="text-gray-500"> — make current data match this copy exactly</span>
+          </span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+        {[
+          { label: 'Added', value: shipments.added.length, color: 'text-green-700' },
+          { label: 'Updated', value: shipments.updated.length, color: 'text-blue-700' },
+          { label: 'Removed', value: shipments.removed.length, color: 'text-red-700' },
+          { label: 'Unchanged', value: shipments.unchanged, color: 'text-gray-600' }
+        ].map(({ label, value, color }) => (
+          <div key={label} className="bg-gray-50 rounded-md p-2">
+            <div className={`text-xl font-bold ${color}`}>{value}</div>
+            <div className="text-xs text-gray-500">{label} shipments</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <ChangeList
+          title="New shipments"
+          icon={Plus}
+          color="text-green-700"
+          items={shipments.added.map(shipment => ({ key: shipment.shipmentId, label: shipmentName(shipment) }))}
+        />
+        <ChangeList
+          title="Updated shipments"
+          icon={RefreshCw}
+          color="text-blue-700"
+          items={shipments.updated.map(({ before, fields }) => ({
+            key: before.shipmentId,
+            label: shipmentName(before),
+            detail: fields.join(', ')
+          }))}
+        />
+        <ChangeList
+          title="Removed shipments"
+          icon={Trash2}
+          color="text-red-700"
+          items={shipments.removed.map(shipment => ({ key: shipment.shipmentId, label: shipmentName(shipment) }))}
+        />
+      </div>
+
+      {(alerts.added > 0 || alerts.removed > 0 || preferences.changed || appState.changed) && (
+        <ul className="text-sm text-gray-600 list-disc ml-5">
+          {(alerts.added > 0 || alerts.removed > 0) && (
+            <li>Alerts: {alerts.added} added, {alerts.removed} removed</li>
+          )}
+          {preferences.changed && <li>Notification preferences will be updated</li>}
+          {appState.changed && <li>Saved searches and view settings will be updated</li>}
+        </ul>
+      )}
+
+      {errors.length > 0 && (
+        <div className="p-3 rounded-md bg-yellow-50 text-sm text-yellow-800 space-y-1">
+          <p className="flex items-center space-x-2 font-medium">
+            <AlertTriangle className="w-4 h-4" />
+            <span>
+              {skipped.length > 0 && `${skipped.length} record(s) will be skipped`}
+              {skipped.length > 0 && repaired.length > 0 && ', '}
+              {repaired.length > 0 && `${repaired.length} record(s) have fields that will be cleared`}
+            </span>
+          </p>
+          <ul className="ml-6 space-y-1 max-h-40 overflow-y-auto">
+            {errors.map((error, index) => (
+              <li key={index}>
+                <strong>{error.label}</strong> ({error.skipped ? 'skipped' : 'repaired'}): {error.errors.join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-500">Your current data is saved first so this can be undone.</p>
+        <div className="flex space-x-2">
+          <button onClick={onCancel} className="btn-secondary">Cancel</button>
+          <button onClick={onConfirm} disabled={!canImport} className="btn-primary disabled:opacity-50">
+            {isApplying ? 'Working...' : hasImportChanges(plan) ? confirmLabel : 'No changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPreviewPanel;
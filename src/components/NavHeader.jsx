@@ -1,7 +1,19 @@
 import React from 'react';
-import { Search, Package, Crown, Settings, Bell } from 'lucide-react';
+import { Package, Crown, Settings, Bell } from 'lucide-react';
+import SearchBox from './SearchBox';
 
-const NavHeader = ({ onSearch, searchTerm, onUpgrade, onSettings, alertCount = 0 }) => {
+const NavHeader = ({
+  onSearch,
+  searchTerm,
+  searchErrors,
+  savedSearches,
+  onSaveSearch,
+  onDeleteSavedSearch,
+  onUpgrade,
+  onSettings,
+  onAlerts,
+  alertCount = 0
+}) => {
   return (
     <header className="bg-surface border-b border-gray-200 sticky top-0 z-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -19,23 +31,22 @@ const NavHeader = ({ onSearch, searchTerm, onUpgrade, onSettings, alertCount = 0
 
           {/* Search Bar */}
           <div className="flex-1 max-w-md mx-4">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-              <input
-                type="text"
-                placeholder="Search shipments..."
-                value={searchTerm}
-                onChange={(e) => onSearch(e.target.value)}
-                className="w-full pl-10 pr-4 py-2 border border-gray-200 rounded-md focus:border-primary focus:ring-2 focus:ring-primary/20 outline-none transition-colors duration-150"
-              />
-            </div>
+            <SearchBox
+              value={searchTerm}
+              onChange={onSearch}
+              errors={searchErrors}
+              savedSearches={savedSearches}
+              onSaveSearch={onSaveSearch}
+              onDeleteSavedSearch={onDeleteSavedSearch}
+            />
           </div>
 
           {/* Action Buttons */}
           <div className="flex items-center space-x-3">
             {/* Alerts Button */}
             <button
-              onClick={onSettings}
+              onClick={onAlerts}
+              title="Alerts"
               className="relative p-2 text-gray-500 hover:text-gray-700 transition-colors duration-150"
             >
               <Bell className="w-5 h-5" />
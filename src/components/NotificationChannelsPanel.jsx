@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { BellRing, BellOff, Send, Radio } from 'lucide-react';
+import {
+  getNotificationPermission,
+  requestNotificationPermission,
+  showTestNotification,
+  isPushServerConfigured,
+  getPushServerUrl,
+  getPushSubscription,
+  subscribeToPush,
+  unsubscribeFromPush
+} from '../services/pushNotifications.js';
+import { CHANNELS, ROUTABLE_ALERT_TYPES, getChannelRouting, setChannelRoute } from '../services/notificationChannels.js';
+
+const PERMISSION_TEXT = {
+  granted: 'Browser notifications are on for this site.',
+  default: 'Get a notification when something happens to a shipment, even with the app in the background.',
+  denied: 'Notifications are blocked for this site. Allow them in your browser\'s site settings to turn them on.',
+  unsupported: 'This browser doesn\'t support notifications.'
+};
+
+/**
+ * Asks for notification permission and, when a push server is configured,
+ * subscribes this browser so notifications arrive while the app is closed
+ */
+const PushPermission = ({ onMessage }) => {
+  const [permission, setPermission] = useState(getNotificationPermission);
+  const [subscribed, setSubscribed] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    getPushSubscription().then(subscription => setSubscribed(Boolean(subscription)));
+  }, []);
+
+  const whileWorking = async (task) => {
+    setIsWorking(true);
+    try {
+      await task();
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const subscribe = async () => {
+    try {
+      await subscribeToPush();
+      setSubscribed(true);
+      onMessage('success', 'This browser will get notifications while the app is closed');
+    } catch (error) {
+      onMessage('error', `Couldn't subscribe to push: ${error.message}`, 5000);
+    }
+  };
+
+  const handleEnable = () => whileWorking(async () => {
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    if (result === 'granted' && isPushServerConfigured()) await subscribe();
+  });
+
+  const handleSubscribe = () => whileWorking(subscribe);
+
+  const handleUnsubscribe = () => whileWorking(async () => {
+    await unsubscribeFromPush();
+    setSubscribed(false);
+  });
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          {permission === 'granted'
+            ? <BellRing className="w-4 h-4 text-green-500" />
+            : <BellOff className="w-4 h-4 text-gray-500" />}
+          <h4 className="font-medium text-text">Browser Notifications</h4>
+        </div>
+        {permission === 'default' && (
+          <button onClick={handleEnable} disabled={isWorking} className="btn-primary text-sm disabled:opacity-50">
+            Turn on
+          </button>
+        )}
+        {permission === 'granted' && (
+          <button
+            onClick={() => showTestNotification()}
+            className="flex items-center space-x-1 text-sm text-primary hover:text-blue-600"
+          >
+            <Send className="w-4 h-4" />
+            <span>Send test</span>
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500">{PERMISSION_TEXT[permission]}</p>
+
+      {permission === 'granted' && (
+        <div className="flex items-center justify-between text-sm">
+          <div className="flex items-center space-x-2 text-gray-500">
+            <Radio className="w-4 h-4" />
+            <span>
+              {!isPushServerConfigured()
+                ? 'Notifications show while the app is open. Set VITE_PUSH_SERVER_URL to get them when it\'s closed.'
+                : subscribed
+                  ? `Subscribed to push from ${getPushServerUrl()}`
+                  : 'Not subscribed to push, so notifications only show while the app is open.'}
+            </span>
+          </div>
+          {isPushServerConfigured() && (
+            <button
+              onClick={subscribed ? handleUnsubscribe : handleSubscribe}
+              disabled={isWorking}
+              className="ml-3 shrink-0 text-primary hover:text-blue-600 disabled:opacity-50"
+            >
+              {subscribed ? 'Unsubscribe' : 'Subscribe'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Browser notification permission plus which channels each kind of alert
+ * is delivered on
+ */
+const NotificationChannelsPanel = ({ preferences, onChange, onMessage }) => {
+  const routing = getChannelRouting(preferences);
+
+  const handleToggle = (alertType, channel, enabled) => {
+    onChange('channels', setChannelRoute(preferences, alertType, channel, enabled).channels);
+  };
+
+  return (
+    <div className="space-y-4">
+      <PushPermission onMessage={onMessage} />
+
+      <div>
+        <h4 className="font-medium text-text mb-1">Where alerts go</h4>
+        <p className="text-sm text-gray-500 mb-3">
+          Pick the channels for each kind of alert. Email also needs email notifications on and a confirmed address.
+        </p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-2 font-medium">Alert</th>
+              {CHANNELS.map(channel => (
+                <th key={channel.id} className="py-2 font-medium text-center" title={channel.description}>
+                  {channel.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {ROUTABLE_ALERT_TYPES.map(alertType => (
+              <tr key={alertType.key}>
+                <td className="py-2 text-text">
+                  <span className="mr-2">{alertType.icon}</span>
+                  {alertType.label}
+                </td>
+                {CHANNELS.map(channel => (
+                  <td key={channel.id} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${alertType.label}: ${channel.label}`}
+                      checked={routing[alertType.key][channel.id]}
+                      onChange={(e) => handleToggle(alertType.key, channel.id, e.target.checked)}
+                      className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationChannelsPanel;
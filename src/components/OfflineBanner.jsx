@@ -0,0 +1,33 @@
+import React from 'react';
+import { WifiOff, RefreshCw } from 'lucide-react';
+
+const describeQueue = (count) => (count === 1 ? '1 change' : `${count} changes`);
+
+const OfflineBanner = ({ isOnline, queuedCount = 0, isReplaying = false }) => {
+  if (isOnline && !isReplaying) return null;
+
+  if (isOnline) {
+    return (
+      <div className="bg-blue-50 border-b border-blue-200 text-blue-800 text-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center space-x-2">
+          <RefreshCw className="w-4 h-4 animate-spin" />
+          <span>Back online. Syncing {describeQueue(queuedCount)} made while offline...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 text-yellow-800 text-sm" role="status">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center space-x-2">
+        <WifiOff className="w-4 h-4 flex-shrink-0" />
+        <span>
+          You're offline. Showing shipments saved on this device.
+          {queuedCount > 0 && ` ${describeQueue(queuedCount)} will sync when you reconnect.`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineBanner;
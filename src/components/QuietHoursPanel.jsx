@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import { Moon, BellOff } from 'lucide-react';
+import { format } from 'date-fns';
+import { getQuietHours, getQuietHoursEnd, getTimeZones } from '../services/quietHours.js';
+import { unmuteShipment } from '../services/snoozeService.js';
+import { useShipmentSnoozes } from '../hooks/useShipmentSnoozes';
+
+/**
+ * Shipments whose notifications are muted, with a way to turn them back on
+ */
+const MutedShipments = ({ shipments }) => {
+  const snoozes = useShipmentSnoozes();
+  const muted = shipments.filter(shipment => snoozes[shipment.shipmentId]?.muted);
+
+  if (muted.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className="font-medium text-text mb-2">Muted shipments</h4>
+      <ul className="divide-y divide-gray-100 text-sm">
+        {muted.map(shipment => (
+          <li key={shipment.shipmentId} className="py-2 flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <BellOff className="w-4 h-4 text-gray-400" />
+              <span className="text-text">{shipment.nickname || shipment.trackingNumber}</span>
+            </div>
+            <button
+              onClick={() => unmuteShipment(shipment.shipmentId)}
+              className="text-primary hover:text-blue-600"
+            >
+              Unmute
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * The nightly window when push and email notifications wait, plus the
+ * shipments the user has muted
+ */
+const QuietHoursPanel = ({ preferences, onChange, shipments = [] }) => {
+  const quietHours = getQuietHours(preferences);
+  const timeZones = useMemo(getTimeZones, []);
+  const quietUntil = getQuietHoursEnd(quietHours);
+
+  const update = (changes) => onChange('quietHours', { ...quietHours, ...changes });
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Moon className="w-4 h-4 text-gray-500" />
+            <h4 className="font-medium text-text">Quiet Hours</h4>
+          </div>
+          <input
+            type="checkbox"
+            checked={quietHours.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+          />
+        </div>
+        <p className="text-sm text-gray-500">
+          Push and email notifications wait until quiet hours end, then arrive together. Alerts still show in the app.
+        </p>
+
+        {quietHours.enabled && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-sm text-text">
+              <span>From</span>
+              <input
+                type="time"
+                value={quietHours.start}
+                onChange={(e) => e.target.value && update({ start: e.target.value })}
+                className="input w-auto py-1 text-sm"
+              />
+              <span>to</span>
+              <input
+                type="time"
+                value={quietHours.end}
+                onChange={(e) => e.target.value && update({ end: e.target.value })}
+                className="input w-auto py-1 text-sm"
+              />
+              <span>in</span>
+              <select
+                value={quietHours.timeZone}
+                onChange={(e) => update({ timeZone: e.target.value })}
+                className="input w-auto py-1 text-sm"
+              >
+                {timeZones.map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+              </select>
+            </div>
+            {quietUntil && (
+              <p className="text-sm text-gray-500">
+                Quiet hours are on now, until {format(quietUntil, 'h:mm a')} your time.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      <MutedShipments shipments={shipments} />
+    </div>
+  );
+};
+
+export default QuietHoursPanel;
@@ -0,0 +1,137 @@
+import React, { useState, useRef } from 'react';
+import { Search, Bookmark, X, AlertCircle } from 'lucide-react';
+import { getSearchSuggestions } from '../services/searchQuery.js';
+
+const SearchBox = ({
+  value,
+  onChange,
+  errors = [],
+  savedSearches = [],
+  onSaveSearch,
+  onDeleteSavedSearch
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const inputRef = useRef(null);
+
+  const suggestions = isOpen ? getSearchSuggestions(value, savedSearches) : [];
+
+  const applySuggestion = (suggestion) => {
+    onChange(suggestion.value);
+    setHighlighted(-1);
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions.length) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && highlighted >= 0) {
+      e.preventDefault();
+      applySuggestion(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const handleSave = () => {
+    const name = prompt('Name this search', value.trim());
+    if (name && name.trim()) {
+      onSaveSearch(name.trim(), value.trim());
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder='Search, e.g. carrier:fedex status:delayed eta:<3d "gift"'
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+          setHighlighted(-1);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        aria-invalid={errors.length > 0}
+        className={`w-full pl-10 ${onSaveSearch ? 'pr-10' : 'pr-4'} py-2 border rounded-md focus:ring-2 outline-none transition-colors duration-150 ${
+          errors.length > 0
+            ? 'border-yellow-400 focus:border-yellow-500 focus:ring-yellow-200'
+            : 'border-gray-200 focus:border-primary focus:ring-primary/20'
+        }`}
+      />
+      {onSaveSearch && value.trim() && errors.length === 0 && (
+        <button
+          onClick={handleSave}
+          className="absolute right-2 top-1/2 transform -translate-y-1/2 p-1 text-gray-400 hover:text-primary transition-colors duration-150"
+          title="Save this search"
+        >
+          <Bookmark className="w-4 h-4" />
+        </button>
+      )}
+
+      {isOpen && (suggestions.length > 0 || errors.length > 0) && (
+        <div className="absolute left-0 right-0 mt-1 z-50 bg-surface border border-gray-200 rounded-md shadow-card overflow-hidden">
+          {errors.map(error => (
+            <div
+              key={`${error.start}-${error.end}`}
+              className="flex items-start space-x-2 px-3 py-2 text-sm text-yellow-800 bg-yellow-50"
+            >
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <span>{error.message}</span>
+            </div>
+          ))}
+          <ul role="listbox">
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={`${suggestion.label}-${index}`}
+                role="option"
+                aria-selected={index === highlighted}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  applySuggestion(suggestion);
+                }}
+                onMouseEnter={() => setHighlighted(index)}
+                className={`flex items-center justify-between px-3 py-2 text-sm cursor-pointer ${
+                  index === highlighted ? 'bg-gray-100' : ''
+                }`}
+              >
+                <span className="flex items-center space-x-2 min-w-0">
+                  {suggestion.savedSearchId && <Bookmark className="w-3 h-3 text-primary flex-shrink-0" />}
+                  <span className={suggestion.savedSearchId ? 'font-medium text-text' : 'font-mono text-text'}>
+                    {suggestion.label}
+                  </span>
+                  <span className="text-gray-500 truncate">{suggestion.description}</span>
+                </span>
+                {suggestion.savedSearchId && onDeleteSavedSearch && (
+                  <button
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      e.stopPropagation();
+                      onDeleteSavedSearch(suggestion.savedSearchId);
+                    }}
+                    className="p-1 text-gray-400 hover:text-red-500 transition-colors duration-150"
+                    title="Delete saved search"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
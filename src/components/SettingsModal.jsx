@@ -1,26 +1,85 @@
 import React, { useState, useEffect } from 'react';
-import { X, Bell, Mail, Download, Upload, Trash2, Settings } from 'lucide-react';
+import { X, Bell, Mail, Download, Upload, Trash2, Settings, Undo2, SlidersHorizontal } from 'lucide-react';
+import { format } from 'date-fns';
 import { getUserPreferences, updateUserPreferences } from '../services/api.js';
 import { getSubscriptionStatus, cancelSubscription } from '../services/subscriptionService.js';
 import { dataExport, dataImport } from '../services/storageService.js';
+import TrackingCachePanel from './TrackingCachePanel';
+import ImportPreviewPanel from './ImportPreviewPanel';
+import BackupsPanel from './BackupsPanel';
+import StorageHealthPanel from './StorageHealthPanel';
+import AlertRulesPanel from './AlertRulesPanel';
+import EmailProfilePanel from './EmailProfilePanel';
+import WeeklyDigestPanel from './WeeklyDigestPanel';
+import NotificationChannelsPanel from './NotificationChannelsPanel';
+import QuietHoursPanel from './QuietHoursPanel';
+import { resetDigestSchedule } from '../services/weeklyDigest.js';
+import { getActiveShipments } from '../services/archiveService.js';
+import { getVerifiedEmail } from '../services/profileService.js';
+import { IMPORT_MODES } from '../services/importPlan.js';
 
-const SettingsModal = ({ onClose }) => {
-  const [activeTab, setActiveTab] = useState('notifications');
+const TAB_IDS = ['notifications', 'rules', 'account', 'data'];
+
+const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON backup', extension: 'json', type: 'application/json' },
+  { id: 'csv', label: 'CSV spreadsheet', extension: 'csv', type: 'text/csv' },
+  { id: 'ics', label: 'Calendar of expected deliveries (.ics)', extension: 'ics', type: 'text/calendar' },
+  { id: 'pdf', label: 'Printable report (PDF)', extension: 'html', type: 'text/html' },
+  { id: 'html', label: 'HTML report', extension: 'html', type: 'text/html' }
+];
+
+const downloadFile = (data, fileName, type) => {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * `exportScope` is the dashboard's current view, { shipments, label }, so
+ * exports can be limited to what the active filter and search show.
+ * `onDataImported` is called after an import or undo rewrites stored data.
+ * `shipments` (archived included) feed the digest preview and alert rule scoping.
+ */
+const SettingsModal = ({
+  activeTab: requestedTab,
+  onTabChange,
+  onClose,
+  exportScope,
+  onDataImported,
+  shipments = []
+}) => {
+  const [localTab, setLocalTab] = useState('notifications');
+  const activeTab = TAB_IDS.includes(requestedTab) ? requestedTab : (onTabChange ? 'notifications' : localTab);
+  const setActiveTab = onTabChange || setLocalTab;
   const [preferences, setPreferences] = useState({
     emailNotifications: true,
     delayAlerts: true,
     deliveryAlerts: true,
-    weeklyDigest: false
+    weeklyDigest: false,
+    digestDay: 1,
+    digestTime: '09:00'
   });
   const [subscription, setSubscription] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
+  const [exportFormat, setExportFormat] = useState('json');
+  const [exportCurrentView, setExportCurrentView] = useState(false);
+  // { parsed, plan, fileName } while an import is being previewed
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importSnapshot, setImportSnapshot] = useState(null);
 
   useEffect(() => {
     loadSettings();
   }, []);
 
   const loadSettings = async () => {
+    dataImport.getSnapshot().then(setImportSnapshot);
     try {
       const userPrefs = await getUserPreferences();
       setPreferences(userPrefs);
@@ -35,6 +94,7 @@ const SettingsModal = ({ onClose }) => {
   const handlePreferenceChange = async (key, value) => {
     const updatedPrefs = { ...preferences, [key]: value };
     setPreferences(updatedPrefs);
+    if (key === 'weeklyDigest' && value) resetDigestSchedule();
     
     try {
       await updateUserPreferences('user', updatedPrefs);
@@ -46,47 +106,98 @@ const SettingsModal = ({ onClose }) => {
     }
   };
 
-  const handleExportData = (format) => {
+  const handleExportData = async (format) => {
+    const { extension, type } = EXPORT_FORMATS.find(option => option.id === format);
+    const scoped = exportCurrentView && exportScope;
+    // Opened before any await so the popup counts as part of the click
+    const reportWindow = format === 'pdf' ? window.open('', '_blank') : null;
+
     try {
-      const data = dataExport.exportAll();
-      const blob = new Blob([data], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `shipmenttrackr-export-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      const options = scoped ? { shipments: exportScope.shipments, scope: exportScope.label } : {};
+      let data;
+      if (format === 'json' && !scoped) {
+        data = await dataExport.exportAll();
+      } else {
+        data = await dataExport.exportShipments(format === 'pdf' ? 'html' : format, options);
+      }
+
+      if (reportWindow) {
+        reportWindow.document.write(data);
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+      } else {
+        // Falls back to a download if the report window was blocked
+        const date = new Date().toISOString().split('T')[0];
+        const name = format === 'pdf' || format === 'html' ? 'report' : 'export';
+        downloadFile(data, `shipmenttrackr-${name}-${date}.${extension}`, type);
+      }
       
       setMessage({ type: 'success', text: 'Data exported successfully' });
       setTimeout(() => setMessage({ type: '', text: '' }), 3000);
     } catch (error) {
+      reportWindow?.close();
       setMessage({ type: 'error', text: 'Failed to export data' });
       setTimeout(() => setMessage({ type: '', text: '' }), 3000);
     }
   };
 
-  const handleImportData = (event) => {
+  const showMessage = (type, text, duration = 3000) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage({ type: '', text: '' }), duration);
+  };
+
+  const handleImportData = async (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const success = dataImport.importAll(e.target.result);
-        if (success) {
-          setMessage({ type: 'success', text: 'Data imported successfully. Please refresh the page.' });
-        } else {
-          setMessage({ type: 'error', text: 'Failed to import data. Please check the file format.' });
-        }
-        setTimeout(() => setMessage({ type: '', text: '' }), 5000);
-      } catch (error) {
-        setMessage({ type: 'error', text: 'Invalid file format' });
-        setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+    try {
+      const parsed = dataImport.parse(await file.text());
+      const plan = await dataImport.preview(parsed, IMPORT_MODES.MERGE);
+      setPendingImport({ parsed, plan, fileName: file.name });
+    } catch (error) {
+      showMessage('error', `Can't import ${file.name}: ${error.message}`, 5000);
+    }
+  };
+
+  const handleImportModeChange = async (mode) => {
+    const plan = await dataImport.preview(pendingImport.parsed, mode);
+    setPendingImport(current => current && { ...current, plan });
+  };
+
+  const handleConfirmImport = async () => {
+    setIsLoading(true);
+    try {
+      const { success, skipped, error } = await dataImport.apply(pendingImport.plan);
+      if (success) {
+        const skippedText = skipped > 0 ? ` ${skipped} malformed record(s) were skipped.` : '';
+        showMessage('success', `Data imported successfully.${skippedText}`, 5000);
+        setPendingImport(null);
+        onDataImported?.();
+        loadSettings();
+      } else {
+        showMessage('error', `Import failed: ${error}. Your data was not changed.`, 5000);
       }
-    };
-    reader.readAsText(file);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleUndoImport = async () => {
+    setIsLoading(true);
+    try {
+      const { success, error } = await dataImport.undo();
+      if (success) {
+        showMessage('success', 'Import undone. Your previous data is back.');
+        onDataImported?.();
+        loadSettings();
+      } else {
+        showMessage('error', `Could not undo the import: ${error}`, 5000);
+      }
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   const handleCancelSubscription = async () => {
@@ -113,6 +224,7 @@ const SettingsModal = ({ onClose }) => {
 
   const tabs = [
     { id: 'notifications', label: 'Notifications', icon: Bell },
+    { id: 'rules', label: 'Alert Rules', icon: SlidersHorizontal },
     { id: 'account', label: 'Account', icon: Settings },
     { id: 'data', label: 'Data', icon: Download }
   ];
@@ -178,6 +290,14 @@ const SettingsModal = ({ onClose }) => {
                     <div>
                       <label className="text-sm font-medium text-text">Email Notifications</label>
                       <p className="text-sm text-gray-500">Receive email updates about your shipments</p>
+                      {preferences.emailNotifications && !getVerifiedEmail() && (
+                        <button
+                          onClick={() => setActiveTab('account')}
+                          className="text-sm text-primary hover:text-blue-600"
+                        >
+                          Confirm an email address to start getting emails
+                        </button>
+                      )}
                     </div>
                     <input
                       type="checkbox"
@@ -225,13 +345,48 @@ const SettingsModal = ({ onClose }) => {
                       className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
                     />
                   </div>
+
+                  {preferences.weeklyDigest && (
+                    <WeeklyDigestPanel
+                      preferences={preferences}
+                      onChange={handlePreferenceChange}
+                      shipments={shipments}
+                    />
+                  )}
                 </div>
               </div>
+
+              <div>
+                <h3 className="text-lg font-medium text-text mb-4">Channels</h3>
+                <NotificationChannelsPanel
+                  preferences={preferences}
+                  onChange={handlePreferenceChange}
+                  onMessage={showMessage}
+                />
+              </div>
+
+              <div>
+                <h3 className="text-lg font-medium text-text mb-4">Pause Notifications</h3>
+                <QuietHoursPanel
+                  preferences={preferences}
+                  onChange={handlePreferenceChange}
+                  shipments={getActiveShipments(shipments)}
+                />
+              </div>
             </div>
           )}
 
+          {activeTab === 'rules' && (
+            <AlertRulesPanel shipments={getActiveShipments(shipments)} onMessage={showMessage} />
+          )}
+
           {activeTab === 'account' && (
             <div className="space-y-6">
+              <div>
+                <h3 className="text-lg font-medium text-text mb-4">Profile</h3>
+                <EmailProfilePanel onMessage={showMessage} />
+              </div>
+
               <div>
                 <h3 className="text-lg font-medium text-text mb-4">Subscription</h3>
                 {subscription && (
@@ -270,36 +425,121 @@ const SettingsModal = ({ onClose }) => {
               <div>
                 <h3 className="text-lg font-medium text-text mb-4">Data Management</h3>
                 <div className="space-y-4">
-                  <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                  <div className="p-4 border border-gray-200 rounded-lg space-y-3">
                     <div>
                       <h4 className="font-medium text-text">Export Data</h4>
-                      <p className="text-sm text-gray-500">Download all your shipment data and settings</p>
+                      <p className="text-sm text-gray-500">
+                        Download your shipments as a backup, spreadsheet, calendar or report
+                      </p>
                     </div>
-                    <button
-                      onClick={() => handleExportData('json')}
-                      className="flex items-center space-x-2 px-4 py-2 bg-primary text-white rounded-md hover:opacity-90 transition-opacity duration-150"
-                    >
-                      <Download className="w-4 h-4" />
-                      <span>Export</span>
-                    </button>
+                    <div className="flex items-center space-x-3">
+                      <select
+                        value={exportFormat}
+                        onChange={(e) => setExportFormat(e.target.value)}
+                        className="input flex-1"
+                      >
+                        {EXPORT_FORMATS.map(option => (
+                          <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleExportData(exportFormat)}
+                        className="flex items-center space-x-2 px-4 py-2 bg-primary text-white rounded-md hover:opacity-90 transition-opacity duration-150"
+                      >
+                        <Download className="w-4 h-4" />
+                        <span>Export</span>
+                      </button>
+                    </div>
+                    {exportScope && (
+                      <div className="space-y-1 text-sm text-text">
+                        <label className="flex items-center space-x-2">
+                          <input
+                            type="radio"
+                            checked={!exportCurrentView}
+                            onChange={() => setExportCurrentView(false)}
+                          />
+                          <span>
+                            All shipments
+                            {exportFormat === 'json' && <span className="text-gray-500"> (includes alerts and settings)</span>}
+                          </span>
+                        </label>
+                        <label className="flex items-center space-x-2">
+                          <input
+                            type="radio"
+                            checked={exportCurrentView}
+                            onChange={() => setExportCurrentView(true)}
+                          />
+                          <span>
+                            Current view: {exportScope.label}{' '}
+                            <span className="text-gray-500">
+                              ({exportScope.shipments.length} shipment{exportScope.shipments.length === 1 ? '' : 's'})
+                            </span>
+                          </span>
+                        </label>
+                      </div>
+                    )}
                   </div>
                   
-                  <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-                    <div>
-                      <h4 className="font-medium text-text">Import Data</h4>
-                      <p className="text-sm text-gray-500">Restore data from a previous export</p>
+                  {pendingImport ? (
+                    <ImportPreviewPanel
+                      plan={pendingImport.plan}
+                      fileName={pendingImport.fileName}
+                      exportDate={pendingImport.parsed.exportDate}
+                      onModeChange={handleImportModeChange}
+                      onConfirm={handleConfirmImport}
+                      onCancel={() => setPendingImport(null)}
+                      isApplying={isLoading}
+                    />
+                  ) : (
+                    <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                      <div>
+                        <h4 className="font-medium text-text">Import Data</h4>
+                        <p className="text-sm text-gray-500">Restore or merge data from a previous export</p>
+                      </div>
+                      <label className="flex items-center space-x-2 px-4 py-2 bg-surface border border-gray-300 text-text rounded-md hover:bg-gray-50 transition-colors duration-150 cursor-pointer">
+                        <Upload className="w-4 h-4" />
+                        <span>Import</span>
+                        <input
+                          type="file"
+                          accept=".json"
+                          onChange={handleImportData}
+                          className="hidden"
+                        />
+                      </label>
                     </div>
-                    <label className="flex items-center space-x-2 px-4 py-2 bg-surface border border-gray-300 text-text rounded-md hover:bg-gray-50 transition-colors duration-150 cursor-pointer">
-                      <Upload className="w-4 h-4" />
-                      <span>Import</span>
-                      <input
-                        type="file"
-                        accept=".json"
-                        onChange={handleImportData}
-                        className="hidden"
-                      />
-                    </label>
-                  </div>
+                  )}
+
+                  {importSnapshot && !pendingImport && (
+                    <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                      <div>
+                        <h4 className="font-medium text-text">Undo Last Import</h4>
+                        <p className="text-sm text-gray-500">
+                          Restore your data from before the {importSnapshot.mode} import on{' '}
+                          {format(importSnapshot.createdAt, 'MMM d, yyyy h:mm a')}
+                        </p>
+                      </div>
+                      <button
+                        onClick={handleUndoImport}
+                        disabled={isLoading}
+                        className="flex items-center space-x-2 px-4 py-2 bg-surface border border-gray-300 text-text rounded-md hover:bg-gray-50 transition-colors duration-150 disabled:opacity-50"
+                      >
+                        <Undo2 className="w-4 h-4" />
+                        <span>Undo</span>
+                      </button>
+                    </div>
+                  )}
+
+                  <StorageHealthPanel onMessage={showMessage} onFreed={onDataImported} />
+
+                  <BackupsPanel
+                    onMessage={showMessage}
+                    onRestored={() => {
+                      onDataImported?.();
+                      loadSettings();
+                    }}
+                  />
+
+                  <TrackingCachePanel />
                 </div>
               </div>
             </div>
@@ -8,11 +8,16 @@ import {
   MapPin, 
   Trash2, 
   Eye,
-  Calendar
+  EyeOff,
+  Calendar,
+  RefreshCw,
+  ChevronRight,
+  WifiOff,
+  Archive
 } from 'lucide-react';
-import { format, isToday, isTomorrow, isPast } from 'date-fns';
+import { format, isToday, isTomorrow, isPast, formatDistanceStrict } from 'date-fns';
 
-const statusConfig = {
+export const statusConfig = {
   'pending': { icon: Clock, color: 'text-gray-500', bg: 'bg-gray-100' },
   'in_transit': { icon: Truck, color: 'text-blue-500', bg: 'bg-blue-100' },
   'out_for_delivery': { icon: MapPin, color: 'text-orange-500', bg: 'bg-orange-100' },
@@ -21,7 +26,7 @@ const statusConfig = {
   'exception': { icon: AlertTriangle, color: 'text-red-500', bg: 'bg-red-100' },
 };
 
-const carrierNames = {
+export const carrierNames = {
   'ups': 'UPS',
   'fedex': 'FedEx',
   'usps': 'USPS',
@@ -29,8 +34,42 @@ const carrierNames = {
   'other': 'Other'
 };
 
-const ShipmentCard = ({ shipment, onDelete }) => {
-  const [showDetails, setShowDetails] = useState(false);
+const getRefreshText = (refreshState, refreshPaused, now) => {
+  if (!refreshState) return null;
+  if (refreshState.checking) return 'Checking for updates...';
+  if (refreshPaused) return 'Updates paused while tab is hidden';
+
+  const wait = refreshState.nextCheckAt <= now
+    ? 'shortly'
+    : `in ${formatDistanceStrict(refreshState.nextCheckAt, now)}`;
+
+  return refreshState.failures > 0
+    ? `Check failed, retrying ${wait}`
+    : `Next check ${wait}`;
+};
+
+/**
+ * When shown data stopped being current: set while a refresh is queued, or
+ * implied by the last update for active shipments while offline
+ */
+export const getStaleSince = (shipment, isOffline) => {
+  if (shipment.staleSince) return shipment.staleSince;
+  if (isOffline && shipment.status !== 'delivered') return shipment.lastUpdated;
+  return null;
+};
+
+const ShipmentCard = ({
+  shipment,
+  refreshState,
+  refreshPaused = false,
+  isOffline = false,
+  now = Date.now(),
+  onCheckNow,
+  onOpenDetails,
+  onArchive,
+  onDelete
+}) => {
+  const [showNumber, setShowNumber] = useState(false);
   const statusInfo = statusConfig[shipment.status] || statusConfig['pending'];
   const StatusIcon = statusInfo.icon;
   
@@ -46,7 +85,9 @@ const ShipmentCard = ({ shipment, onDelete }) => {
   const getDeliveryStatus = () => {
     if (shipment.status === 'delivered') {
       return {
-        text: `Delivered ${format(shipment.actualDelivery, 'MMM d, h:mm a')}`,
+        text: shipment.actualDelivery
+          ? `Delivered ${format(shipment.actualDelivery, 'MMM d, h:mm a')}`
+          : 'Delivered',
         class: 'text-green-600'
       };
     }
@@ -64,6 +105,8 @@ const ShipmentCard = ({ shipment, onDelete }) => {
   };
 
   const deliveryInfo = getDeliveryStatus();
+  const staleSince = getStaleSince(shipment, isOffline);
+  const refreshText = isOffline ? null : getRefreshText(refreshState, refreshPaused, now);
 
   return (
     <div className="card hover:shadow-lg transition-shadow duration-250 animate-fade-in">
@@ -79,13 +122,24 @@ const ShipmentCard = ({ shipment, onDelete }) => {
           </div>
         </div>
         
-        <button
-          onClick={onDelete}
-          className="p-1 text-gray-400 hover:text-red-500 transition-colors duration-150"
-          title="Delete shipment"
-        >
-          <Trash2 className="w-4 h-4" />
-        </button>
+        <div className="flex items-center space-x-1">
+          {onArchive && shipment.status === 'delivered' && (
+            <button
+              onClick={onArchive}
+              className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-150"
+              title="Move to history"
+            >
+              <Archive className="w-4 h-4" />
+            </button>
+          )}
+          <button
+            onClick={onDelete}
+            className="p-1 text-gray-400 hover:text-red-500 transition-colors duration-150"
+            title="Delete shipment"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
       </div>
 
       {/* Status */}
@@ -94,9 +148,11 @@ const ShipmentCard = ({ shipment, onDelete }) => {
           <span className={`text-sm font-medium ${statusInfo.color} capitalize`}>
             {shipment.status.replace('_', ' ')}
           </span>
-          <span className="text-xs text-gray-500">
-            {format(shipment.lastUpdated, 'MMM d, h:mm a')}
-          </span>
+          {shipment.lastUpdated && (
+            <span className="text-xs text-gray-500">
+              {format(shipment.lastUpdated, 'MMM d, h:mm a')}
+            </span>
+          )}
         </div>
         
         {/* Progress Bar */}
@@ -127,20 +183,52 @@ const ShipmentCard = ({ shipment, onDelete }) => {
         </div>
       </div>
 
+      {/* Stale Marker */}
+      {staleSince && (
+        <div className="mb-4 flex items-center space-x-2 text-xs text-yellow-700">
+          <WifiOff className="w-3 h-3" />
+          <span>Stale since {format(staleSince, 'MMM d, h:mm a')}</span>
+        </div>
+      )}
+
+      {/* Refresh Schedule */}
+      {refreshText && (
+        <div className="mb-4 flex items-center justify-between text-xs">
+          <span
+            className={refreshState.failures > 0 ? 'text-yellow-600' : 'text-gray-500'}
+            title={refreshState.lastError || undefined}
+          >
+            {refreshText}
+          </span>
+          {onCheckNow && (
+            <button
+              onClick={onCheckNow}
+              disabled={refreshState.checking}
+              className="flex items-center space-x-1 text-primary hover:text-blue-600 transition-colors duration-150 disabled:opacity-50"
+              title="Check now"
+            >
+              <RefreshCw className={`w-3 h-3 ${refreshState.checking ? 'animate-spin' : ''}`} />
+              <span>Check now</span>
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Tracking Number */}
       <div className="mb-4 p-3 bg-gray-50 rounded-md">
         <div className="flex items-center justify-between">
           <span className="text-xs text-gray-500">Tracking Number</span>
           <button
-            onClick={() => setShowDetails(!showDetails)}
+            onClick={() => setShowNumber(!showNumber)}
             className="flex items-center space-x-1 text-primary hover:text-blue-600 transition-colors duration-150"
+            title={showNumber ? 'Hide tracking number' : 'Show tracking number'}
           >
-            <Eye className="w-4 h-4" />
-            <span className="text-sm">{showDetails ? 'Hide' : 'Details'}</span>
+            {showNumber ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+            <span className="text-sm">{showNumber ? 'Hide' : 'Show'}</span>
           </button>
         </div>
         <div className="font-mono text-sm text-text mt-1">
-          {showDetails ? shipment.trackingNumber : 
+          {showNumber ? shipment.trackingNumber : 
            `${shipment.trackingNumber.slice(0, 4)}...${shipment.trackingNumber.slice(-4)}`}
         </div>
       </div>
@@ -159,6 +247,16 @@ const ShipmentCard = ({ shipment, onDelete }) => {
           </div>
         </div>
       )}
+
+      {onOpenDetails && (
+        <button
+          onClick={onOpenDetails}
+          className="mt-4 w-full flex items-center justify-center space-x-1 text-sm font-medium text-primary hover:text-blue-600 transition-colors duration-150"
+        >
+          <span>View details</span>
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      )}
     </div>
   );
 };
@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { X, MapPin, Package, Bell, BellOff, Save, History } from 'lucide-react';
+import { format } from 'date-fns';
+import { statusConfig, carrierNames } from './ShipmentCard';
+import { getRegisteredCarriers, detectCarrier } from '../services/carriers/index.js';
+
+const carriers = getRegisteredCarriers();
+
+const formatDateTime = (value, pattern = 'MMM d, yyyy h:mm a') => {
+  if (!value) return 'Unknown';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? 'Unknown' : format(date, pattern);
+};
+
+const formatStatus = (status) => (status || 'unknown').replace(/_/g, ' ');
+
+/**
+ * `snooze` is the shipment's { muted } from snoozeService, if any;
+ * `onToggleMute` mutes or unmutes its alerts.
+ */
+const ShipmentDetailPanel = ({ shipment, alerts = [], snooze = null, onUpdate, onToggleMute, onClose }) => {
+  const [nickname, setNickname] = useState(shipment.nickname);
+  const [carrier, setCarrier] = useState(shipment.carrier);
+  const [message, setMessage] = useState('');
+
+  // Reset the form when a different shipment is opened
+  useEffect(() => {
+    setNickname(shipment.nickname);
+    setCarrier(shipment.carrier);
+    setMessage('');
+  }, [shipment.shipmentId]);
+
+  const statusInfo = statusConfig[shipment.status] || statusConfig['pending'];
+  const StatusIcon = statusInfo.icon;
+  const detectedCarrier = detectCarrier(shipment.trackingNumber);
+  const timeline = [...(shipment.historicalStatuses || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const details = shipment.carrierDetails || {};
+  const isDirty = nickname.trim() !== shipment.nickname || carrier !== shipment.carrier;
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!nickname.trim()) {
+      setMessage('Nickname cannot be empty');
+      return;
+    }
+
+    onUpdate({ nickname: nickname.trim(), carrier });
+    setMessage('Changes saved');
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50" onClick={onClose}>
+      <div
+        className="bg-surface w-full max-w-xl h-full overflow-y-auto animate-slide-up"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 sticky top-0 bg-surface">
+          <div className="flex items-start justify-between">
+            <div className="flex items-center space-x-3">
+              <div className={`p-2 rounded-md ${statusInfo.bg}`}>
+                <StatusIcon className={`w-5 h-5 ${statusInfo.color}`} />
+              </div>
+              <div>
+                <h2 className="text-2xl font-bold text-text">{shipment.nickname}</h2>
+                <p className="text-sm text-gray-500">
+                  {carrierNames[shipment.carrier] || shipment.carrier} •{' '}
+                  <span className={`capitalize ${statusInfo.color}`}>{formatStatus(shipment.status)}</span>
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 rounded-md transition-colors duration-150"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {/* Summary */}
+          <section>
+            <div className="p-3 bg-gray-50 rounded-md mb-4">
+              <span className="text-xs text-gray-500">Tracking Number</span>
+              <div className="font-mono text-sm text-text mt-1 break-all">{shipment.trackingNumber}</div>
+            </div>
+            <dl className="grid grid-cols-2 gap-4 text-sm">
+              <div>
+                <dt className="text-gray-500">Estimated Delivery</dt>
+                <dd className="text-text">{formatDateTime(shipment.estimatedDelivery, 'MMM d, yyyy')}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Delivered</dt>
+                <dd className="text-text">
+                  {shipment.actualDelivery ? formatDateTime(shipment.actualDelivery) : '—'}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Last Updated</dt>
+                <dd className="text-text">{formatDateTime(shipment.lastUpdated)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Added</dt>
+                <dd className="text-text">{shipment.addedAt ? formatDateTime(shipment.addedAt) : '—'}</dd>
+              </div>
+            </dl>
+          </section>
+
+          {/* Carrier Details */}
+          <section>
+            <h3 className="flex items-center space-x-2 text-lg font-medium text-text mb-3">
+              <Package className="w-5 h-5 text-gray-400" />
+              <span>Package</span>
+            </h3>
+            <dl className="grid grid-cols-3 gap-4 text-sm">
+              <div>
+                <dt className="text-gray-500">Service</dt>
+                <dd className="text-text">{details.service || '—'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Weight</dt>
+                <dd className="text-text">{details.weight || '—'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Dimensions</dt>
+                <dd className="text-text">{details.dimensions || '—'}</dd>
+              </div>
+            </dl>
+          </section>
+
+          {/* Timeline */}
+          <section>
+            <h3 className="flex items-center space-x-2 text-lg font-medium text-text mb-3">
+              <MapPin className="w-5 h-5 text-gray-400" />
+              <span>Tracking History</span>
+            </h3>
+            {timeline.length === 0 ? (
+              <p className="text-sm text-gray-500">No tracking events yet</p>
+            ) : (
+              <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+                {timeline.map((event, index) => {
+                  const eventInfo = statusConfig[event.status] || statusConfig['pending'];
+                  return (
+                    <li key={`${event.timestamp}-${index}`} className="ml-4">
+                      <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-surface ${eventInfo.bg}`} />
+                      <div className="flex items-center justify-between">
+                        <span className={`text-sm font-medium capitalize ${eventInfo.color}`}>
+                          {formatStatus(event.status)}
+                        </span>
+                        <span className="text-xs text-gray-500">{formatDateTime(event.timestamp)}</span>
+                      </div>
+                      {event.description && (
+                        <p className="text-sm text-text">{event.description}</p>
+                      )}
+                      {event.location && (
+                        <p className="text-xs text-gray-500">{event.location}</p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </section>
+
+          {/* Alerts */}
+          <section>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="flex items-center space-x-2 text-lg font-medium text-text">
+                <Bell className="w-5 h-5 text-gray-400" />
+                <span>Alerts</span>
+              </h3>
+              {onToggleMute && (
+                <button
+                  onClick={onToggleMute}
+                  className="flex items-center space-x-1 text-sm text-primary hover:text-blue-600"
+                >
+                  {snooze?.muted ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+                  <span>{snooze?.muted ? 'Unmute' : 'Mute alerts'}</span>
+                </button>
+              )}
+            </div>
+            {snooze?.muted && (
+              <p className="text-sm text-gray-500 mb-3">
+                Muted: new alerts are kept here but not shown or sent.
+              </p>
+            )}
+            {alerts.length === 0 ? (
+              <p className="text-sm text-gray-500">No alerts for this shipment</p>
+            ) : (
+              <ul className="space-y-3">
+                {alerts.map(alert => (
+                  <li key={alert.id} className="p-3 border border-gray-200 rounded-md">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-text">
+                        {alert.icon} {alert.title}
+                      </span>
+                      <span className="text-xs text-gray-500">{formatDateTime(alert.timestamp)}</span>
+                    </div>
+                    <p className="text-sm text-gray-600">{alert.message}</p>
+                    <div className="mt-1 flex space-x-2 text-xs">
+                      <span className="capitalize text-gray-500">{alert.priority} priority</span>
+                      {alert.dismissed && <span className="text-gray-400">• Dismissed</span>}
+                      {(alert.snoozedUntil || alert.snoozedUntilStatus) && <span className="text-gray-400">• Snoozed</span>}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {/* Update Log */}
+          {shipment.changelog?.length > 0 && (
+            <section>
+              <h3 className="flex items-center space-x-2 text-lg font-medium text-text mb-3">
+                <History className="w-5 h-5 text-gray-400" />
+                <span>Update Log</span>
+              </h3>
+              <ul className="space-y-2 text-sm">
+                {shipment.changelog.map(change => (
+                  <li key={change.id} className="flex justify-between text-gray-600">
+                    <span>
+                      {change.statusChange && (
+                        <span className="capitalize">
+                          {formatStatus(change.statusChange.from)} → {formatStatus(change.statusChange.to)}.{' '}
+                        </span>
+                      )}
+                      {change.rejectedStatus && (
+                        <span className="text-yellow-600">Ignored: {change.rejectedStatus.reason}. </span>
+                      )}
+                      {change.etaChange && (
+                        <span>ETA now {formatDateTime(change.etaChange.to, 'MMM d')}. </span>
+                      )}
+                      {change.addedEvents.length > 0 && (
+                        <span>
+                          {change.addedEvents.length} new event{change.addedEvents.length === 1 ? '' : 's'}
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-xs text-gray-500 ml-4 whitespace-nowrap">
+                      {formatDateTime(change.refreshedAt, 'MMM d, h:mm a')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* Edit */}
+          <section>
+            <h3 className="text-lg font-medium text-text mb-3">Edit Shipment</h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label htmlFor="detail-nickname" className="block text-sm font-medium text-text mb-2">
+                  Nickname
+                </label>
+                <input
+                  id="detail-nickname"
+                  type="text"
+                  value={nickname}
+                  onChange={(e) => setNickname(e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label htmlFor="detail-carrier" className="block text-sm font-medium text-text mb-2">
+                  Carrier
+                </label>
+                <select
+                  id="detail-carrier"
+                  value={carrier}
+                  onChange={(e) => setCarrier(e.target.value)}
+                  className="input"
+                >
+                  {carriers.map(option => (
+                    <option key={option.id} value={option.id}>
+                      {option.name}{option.id === detectedCarrier ? ' (detected)' : ''}
+                    </option>
+                  ))}
+                  <option value="other">Other</option>
+                </select>
+              </div>
+              <div className="flex items-center space-x-4">
+                <button
+                  type="submit"
+                  disabled={!isDirty}
+                  className="btn-primary flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save Changes</span>
+                </button>
+                {message && <span className="text-sm text-gray-600">{message}</span>}
+              </div>
+            </form>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShipmentDetailPanel;
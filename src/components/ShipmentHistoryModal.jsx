@@ -0,0 +1,145 @@
+import React, { useState, useMemo } from 'react';
+import { X, Archive, Search, ArchiveRestore, Trash2, ChevronRight, AlertTriangle } from 'lucide-react';
+import { format } from 'date-fns';
+import { carrierNames } from './ShipmentCard';
+import { getRetentionPolicy } from '../services/subscriptionService.js';
+import { searchArchive, getDeliveredAt, getPurgeDate, getExpiredShipments } from '../services/archiveService.js';
+
+/**
+ * Archived shipments, searchable with the same syntax as the dashboard.
+ * Restoring puts a shipment back on the dashboard if the plan has room.
+ * Shipments kept past the plan's history limit are listed in a notice and
+ * only deleted when the user confirms (`onDeleteMany(ids)`).
+ */
+const ShipmentHistoryModal = ({ shipments, onRestore, onDelete, onDeleteMany, onUpgrade, onOpenDetails, onClose }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const policy = getRetentionPolicy();
+  const results = useMemo(() => searchArchive(shipments, searchTerm), [shipments, searchTerm]);
+  const expired = useMemo(() => getExpiredShipments(shipments, policy), [shipments, policy]);
+
+  const handleDelete = (shipment) => {
+    if (!confirm(`Delete ${shipment.nickname || shipment.trackingNumber} from your history?`)) return;
+    onDelete(shipment.shipmentId);
+  };
+
+  const handleDeleteExpired = () => {
+    if (!confirm(`Permanently delete ${expired.length} shipment(s) older than ${policy.keepArchivedDays} days from your history?`)) return;
+    onDeleteMany(expired.map(shipment => shipment.shipmentId));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-surface rounded-lg max-w-3xl w-full max-h-[90vh] flex flex-col animate-slide-up">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Archive className="w-6 h-6 text-primary" />
+            <div>
+              <h2 className="text-2xl font-bold text-text">Shipment History</h2>
+              <p className="text-gray-600 text-sm">
+                Delivered shipments move here after {policy.archiveAfterDays} days
+                {policy.keepArchivedDays === Infinity
+                  ? ' and are kept for as long as you like.'
+                  : `. Your plan includes ${policy.keepArchivedDays} days of history.`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-md transition-colors duration-150"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {expired.length > 0 && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start space-x-3">
+              <AlertTriangle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+              <div className="flex-1 text-sm text-yellow-800">
+                <p>
+                  {expired.length} shipment(s) are older than the {policy.keepArchivedDays} days of history your
+                  plan includes. Nothing is deleted until you choose to.
+                </p>
+                <div className="mt-2 flex items-center space-x-4">
+                  <button onClick={handleDeleteExpired} className="font-medium text-red-600 hover:text-red-800">
+                    Delete them
+                  </button>
+                  {onUpgrade && (
+                    <button onClick={onUpgrade} className="font-medium text-primary hover:text-blue-600">
+                      Upgrade to keep more history
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search history, e.g. carrier:ups or a tracking number"
+              className="input pl-9"
+            />
+          </div>
+
+          {results.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">
+              {searchTerm ? 'No archived shipments match your search' : 'No archived shipments yet'}
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {results.map(shipment => {
+                const purgeDate = getPurgeDate(shipment, policy);
+                return (
+                  <li key={shipment.shipmentId} className="py-3 flex items-center justify-between">
+                    <button
+                      onClick={() => onOpenDetails(shipment.shipmentId)}
+                      className="flex-1 text-left min-w-0 group"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-text truncate">{shipment.nickname}</span>
+                        <span className="text-sm text-gray-500">{carrierNames[shipment.carrier]}</span>
+                        <ChevronRight className="w-4 h-4 text-gray-300 group-hover:text-gray-500" />
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        <span className="font-mono">{shipment.trackingNumber}</span>
+                        {' · '}Delivered {format(new Date(getDeliveredAt(shipment)), 'MMM d, yyyy')}
+                        {' · '}Archived {format(new Date(shipment.archivedAt), 'MMM d, yyyy')}
+                        {purgeDate && (purgeDate <= new Date()
+                          ? ' · Past your plan\'s history'
+                          : ` · In your plan's history until ${format(purgeDate, 'MMM d, yyyy')}`)}
+                      </div>
+                    </button>
+                    <div className="flex items-center space-x-1 ml-4">
+                      <button
+                        onClick={() => onRestore(shipment.shipmentId)}
+                        className="flex items-center space-x-1 px-2 py-1 rounded-md text-sm text-gray-600 hover:bg-gray-100"
+                        title="Move back to the dashboard"
+                      >
+                        <ArchiveRestore className="w-4 h-4" />
+                        <span>Restore</span>
+                      </button>
+                      <button
+                        onClick={() => handleDelete(shipment)}
+                        className="p-1 rounded-md text-gray-400 hover:text-red-600 hover:bg-gray-100"
+                        title="Delete from history"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShipmentHistoryModal;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowUpDown, Trash2, WifiOff } from 'lucide-react';
+import { format, isPast } from 'date-fns';
+import { statusConfig, carrierNames, getStaleSince } from './ShipmentCard';
+
+const formatDate = (value, pattern) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : format(date, pattern);
+};
+
+const columns = [
+  { key: 'nickname', label: 'Shipment', sortable: true },
+  { key: 'carrier', label: 'Carrier', sortable: true },
+  { key: 'status', label: 'Status', sortable: true },
+  { key: 'estimatedDelivery', label: 'Delivery', sortable: true },
+  { key: 'lastUpdated', label: 'Last Updated', sortable: true },
+  { key: 'actions', label: '', sortable: false }
+];
+
+const SortIcon = ({ active, order }) => {
+  if (!active) return <ArrowUpDown className="w-3 h-3 text-gray-300" />;
+  return order === 'asc'
+    ? <ArrowUp className="w-3 h-3 text-primary" />
+    : <ArrowDown className="w-3 h-3 text-primary" />;
+};
+
+const ShipmentTable = ({ shipments, sortBy, sortOrder, onSort, onOpenDetails, onDelete, isOffline = false }) => {
+  return (
+    <div className="card p-0 overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            {columns.map(column => (
+              <th
+                key={column.key}
+                scope="col"
+                className="px-4 py-3 text-left font-medium text-gray-600 whitespace-nowrap"
+                aria-sort={sortBy === column.key ? (sortOrder === 'asc' ? 'ascending' : 'descending') : undefined}
+              >
+                {column.sortable ? (
+                  <button
+                    onClick={() => onSort(column.key)}
+                    className="flex items-center space-x-1 hover:text-text transition-colors duration-150"
+                  >
+                    <span>{column.label}</span>
+                    <SortIcon active={sortBy === column.key} order={sortOrder} />
+                  </button>
+                ) : column.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {shipments.map(shipment => {
+            const statusInfo = statusConfig[shipment.status] || statusConfig['pending'];
+            const StatusIcon = statusInfo.icon;
+            const isLate = shipment.status !== 'delivered' && shipment.estimatedDelivery &&
+              isPast(new Date(shipment.estimatedDelivery));
+            const staleSince = getStaleSince(shipment, isOffline);
+
+            return (
+              <tr
+                key={shipment.shipmentId}
+                onClick={() => onOpenDetails(shipment.shipmentId)}
+                className="hover:bg-gray-50 cursor-pointer transition-colors duration-150"
+              >
+                <td className="px-4 py-3">
+                  <div className="font-medium text-text">{shipment.nickname}</div>
+                  <div className="font-mono text-xs text-gray-500">{shipment.trackingNumber}</div>
+                </td>
+                <td className="px-4 py-3 text-gray-600">
+                  {carrierNames[shipment.carrier] || shipment.carrier}
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`inline-flex items-center space-x-1 px-2 py-0.5 rounded-sm ${statusInfo.bg} ${statusInfo.color}`}>
+                    <StatusIcon className="w-3 h-3" />
+                    <span className="capitalize">{shipment.status.replace(/_/g, ' ')}</span>
+                  </span>
+                </td>
+                <td className={`px-4 py-3 whitespace-nowrap ${isLate ? 'text-red-600' : 'text-gray-600'}`}>
+                  {shipment.status === 'delivered'
+                    ? formatDate(shipment.actualDelivery, 'MMM d, h:mm a')
+                    : formatDate(shipment.estimatedDelivery, 'MMM d, yyyy')}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-gray-500">
+                  {formatDate(shipment.lastUpdated, 'MMM d, h:mm a')}
+                  {staleSince && (
+                    <span
+                      className="ml-2 inline-flex items-center text-yellow-700"
+                      title={`Stale since ${formatDate(staleSince, 'MMM d, h:mm a')}`}
+                    >
+                      <WifiOff className="w-3 h-3" />
+                    </span>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDelete(shipment.shipmentId);
+                    }}
+                    className="p-1 text-gray-400 hover:text-red-500 transition-colors duration-150"
+                    title="Delete shipment"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ShipmentTable;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { HardDrive, AlertTriangle } from 'lucide-react';
+import { storageQuota } from '../services/storageService.js';
+
+const CATEGORIES = [
+  { key: 'shipments', label: 'Shipments', color: 'bg-primary' },
+  { key: 'alerts', label: 'Alerts', color: 'bg-yellow-500' },
+  { key: 'cache', label: 'Tracking cache', color: 'bg-green-500' },
+  { key: 'backups', label: 'Backups', color: 'bg-purple-500' },
+  { key: 'offlineQueue', label: 'Offline changes', color: 'bg-orange-500' },
+  { key: 'settings', label: 'Settings', color: 'bg-gray-400' }
+];
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+};
+
+/**
+ * How much browser storage the app uses, split by kind of data, with a way
+ * to run the same clean-up that kicks in when storage fills up.
+ */
+const StorageHealthPanel = ({ onFreed, onMessage }) => {
+  const [usage, setUsage] = useState(null);
+  const [breakdown, setBreakdown] = useState(null);
+  const [nearLimit, setNearLimit] = useState(false);
+  const [isFreeing, setIsFreeing] = useState(false);
+
+  const load = async () => {
+    setUsage(await storageQuota.getUsage());
+    setNearLimit(await storageQuota.isNearLimit());
+    setBreakdown(await storageQuota.getBreakdown());
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleFreeSpace = async () => {
+    if (!confirm('Clear the tracking cache and prune old history?')) return;
+
+    setIsFreeing(true);
+    try {
+      const { actions } = await storageQuota.recover();
+      onMessage('success', actions.length
+        ? `Freed space: ${actions.map(action => action.message).join('; ')}`
+        : 'Nothing to clean up');
+      if (actions.length) onFreed?.();
+      load();
+    } finally {
+      setIsFreeing(false);
+    }
+  };
+
+  const total = breakdown ? Object.values(breakdown).reduce((sum, bytes) => sum + bytes, 0) : 0;
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <HardDrive className="w-4 h-4 text-gray-500" />
+          <h4 className="font-medium text-text">Storage</h4>
+        </div>
+        <button
+          onClick={handleFreeSpace}
+          disabled={isFreeing}
+          className="text-sm text-primary hover:text-blue-600 transition-colors duration-150 disabled:opacity-50"
+        >
+          {isFreeing ? 'Freeing space...' : 'Free up space'}
+        </button>
+      </div>
+
+      {usage && usage.available > 0 && (
+        <div className="mb-4">
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>{formatBytes(usage.used)} of {formatBytes(usage.available)} used</span>
+            <span>{usage.percentage}%</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${nearLimit ? 'bg-red-500' : 'bg-primary'}`}
+              style={{ width: `${Math.min(100, Math.max(1, usage.percentage))}%` }}
+            />
+          </div>
+          {nearLimit && (
+            <p className="flex items-center space-x-1 mt-2 text-sm text-red-700">
+              <AlertTriangle className="w-4 h-4" />
+              <span>Storage is nearly full. Free up space to keep saving changes.</span>
+            </p>
+          )}
+        </div>
+      )}
+
+      {breakdown && (
+        <>
+          <div className="flex w-full h-2 rounded-full overflow-hidden bg-gray-100 mb-3">
+            {CATEGORIES.map(({ key, color }) => (
+              total > 0 && breakdown[key] > 0 && (
+                <div key={key} className={color} style={{ width: `${(breakdown[key] / total) * 100}%` }} />
+              )
+            ))}
+          </div>
+          <table className="w-full text-sm">
+            <tbody>
+              {CATEGORIES.map(({ key, label, color }) => (
+                <tr key={key}>
+                  <td className="py-1">
+                    <span className={`inline-block w-2 h-2 rounded-full mr-2 ${color}`} />
+                    {label}
+                  </td>
+                  <td className="py-1 text-right text-gray-600">{formatBytes(breakdown[key])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">Sizes are estimates.</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StorageHealthPanel;
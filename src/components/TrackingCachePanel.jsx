@@ -0,0 +1,74 @@
+import React, { useSyncExternalStore } from 'react';
+import { Database } from 'lucide-react';
+import {
+  CARRIER_CACHE_TTLS,
+  getCacheMetrics,
+  onCacheMetricsChange,
+  resetCacheMetrics
+} from '../services/trackingCache.js';
+import { cacheStorage } from '../services/storageService.js';
+import { carrierNames } from './ShipmentCard';
+
+const formatTtl = (ms) => `${Math.round(ms / 60000)} min`;
+
+const TrackingCachePanel = () => {
+  const metrics = useSyncExternalStore(onCacheMetricsChange, getCacheMetrics);
+  const lookups = metrics.hits + metrics.staleHits + metrics.misses + metrics.coalesced;
+
+  const handleClear = () => {
+    cacheStorage.clear();
+    resetCacheMetrics();
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <Database className="w-4 h-4 text-gray-500" />
+          <h4 className="font-medium text-text">Tracking Cache</h4>
+        </div>
+        <button
+          onClick={handleClear}
+          className="text-sm text-primary hover:text-blue-600 transition-colors duration-150"
+        >
+          Clear cache
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-3">
+        {lookups > 0
+          ? `${metrics.hitRate}% of ${lookups} lookups this session were answered without waiting on a carrier.`
+          : 'No tracking lookups yet this session.'}
+      </p>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 font-medium">Carrier</th>
+            <th className="py-1 font-medium">Fresh for</th>
+            <th className="py-1 font-medium text-right">Hits</th>
+            <th className="py-1 font-medium text-right">Stale</th>
+            <th className="py-1 font-medium text-right">Misses</th>
+            <th className="py-1 font-medium text-right">Shared</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {Object.entries(CARRIER_CACHE_TTLS).map(([carrier, ttl]) => {
+            const counts = metrics.byCarrier[carrier] || {};
+            return (
+              <tr key={carrier} className="text-gray-600">
+                <td className="py-1">{carrierNames[carrier] || carrier}</td>
+                <td className="py-1">{formatTtl(ttl)}</td>
+                <td className="py-1 text-right">{counts.hits || 0}</td>
+                <td className="py-1 text-right">{counts.staleHits || 0}</td>
+                <td className="py-1 text-right">{counts.misses || 0}</td>
+                <td className="py-1 text-right">{counts.coalesced || 0}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default TrackingCachePanel;
@@ -1,36 +1,75 @@
-import React, { useState } from 'react';
-import { Plus, Truck } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { Plus, Truck, CheckCircle, AlertTriangle, HelpCircle, ListPlus } from 'lucide-react';
+import {
+  getRegisteredCarriers,
+  getCarrierAdapter,
+  detectCarrier,
+  detectCarrierCandidates,
+  canonicalTrackingNumber,
+  DETECTION_THRESHOLD
+} from '../services/carriers/index.js';
 
-const carriers = [
-  { id: 'ups', name: 'UPS', pattern: /^1Z[0-9A-Z]{16}$/ },
-  { id: 'fedex', name: 'FedEx', pattern: /^[0-9]{12,14}$/ },
-  { id: 'usps', name: 'USPS', pattern: /^(94|93|92|94|95)[0-9]{18,20}$/ },
-  { id: 'dhl', name: 'DHL', pattern: /^[0-9]{10,11}$/ },
-];
+const carriers = getRegisteredCarriers();
 
-const TrackingInput = ({ onAddShipment, isLoading }) => {
+const carrierName = (carrierId) => getCarrierAdapter(carrierId)?.name || carrierId.toUpperCase();
+
+const DetectionFeedback = ({ candidates, trackingNumber }) => {
+  const [best, ...alternatives] = candidates;
+
+  if (!best) {
+    if (trackingNumber.replace(/\s+/g, '').length < 8) return null;
+    return (
+      <p className="flex items-center space-x-1 mt-2 text-sm text-gray-500">
+        <HelpCircle className="w-4 h-4" />
+        <span>Doesn't match a known carrier format</span>
+      </p>
+    );
+  }
+
+  const isConfident = best.confidence >= DETECTION_THRESHOLD;
+  const Icon = isConfident && best.checkDigit !== 'invalid' ? CheckCircle : AlertTriangle;
+  const color = isConfident && best.checkDigit !== 'invalid' ? 'text-green-600' : 'text-yellow-600';
+
+  return (
+    <div className="mt-2 text-sm">
+      <p className={`flex items-center space-x-1 ${color}`}>
+        <Icon className="w-4 h-4 flex-shrink-0" />
+        <span>
+          {isConfident ? 'Looks like' : 'Might be'} a {carrierName(best.carrier)} number
+          {best.checkDigit === 'valid' && ' (check digit verified)'}
+          {best.checkDigit === 'invalid' && ', but the check digit doesn\'t match. Check for typos.'}
+        </span>
+      </p>
+      {alternatives.length > 0 && (
+        <p className="mt-1 text-xs text-gray-500">
+          Could also be:{' '}
+          {alternatives
+            .map(candidate => `${carrierName(candidate.carrier)} (${Math.round(candidate.confidence * 100)}%)`)
+            .join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const TrackingInput = ({ onAddShipment, onBulkAdd, isLoading }) => {
   const [trackingNumber, setTrackingNumber] = useState('');
   const [nickname, setNickname] = useState('');
   const [selectedCarrier, setSelectedCarrier] = useState('');
 
-  const detectCarrier = (number) => {
-    for (const carrier of carriers) {
-      if (carrier.pattern.test(number)) {
-        return carrier.id;
-      }
-    }
-    return 'other';
-  };
+  const candidates = useMemo(() => detectCarrierCandidates(trackingNumber), [trackingNumber]);
+  const detectedCarrier = trackingNumber.trim() ? detectCarrier(trackingNumber) : 'other';
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!trackingNumber.trim()) return;
 
     const carrier = selectedCarrier || detectCarrier(trackingNumber);
+    const canonical = canonicalTrackingNumber(trackingNumber, carrier);
     
     onAddShipment({
-      trackingNumber: trackingNumber.trim(),
-      nickname: nickname.trim() || `Package ${trackingNumber.slice(-4)}`,
+      trackingNumber: canonical,
+      nickname: nickname.trim() || `Package ${canonical.slice(-4)}`,
       carrier,
     });
 
@@ -56,6 +95,7 @@ const TrackingInput = ({ onAddShipment, isLoading }) => {
             className="input"
             required
           />
+          <DetectionFeedback candidates={candidates} trackingNumber={trackingNumber} />
         </div>
         
         <div>
@@ -83,7 +123,9 @@ const TrackingInput = ({ onAddShipment, isLoading }) => {
           onChange={(e) => setSelectedCarrier(e.target.value)}
           className="input"
         >
-          <option value="">Auto-detect</option>
+          <option value="">
+            Auto-detect{detectedCarrier !== 'other' ? ` (${carrierName(detectedCarrier)})` : ''}
+          </option>
           {carriers.map(carrier => (
             <option key={carrier.id} value={carrier.id}>
               {carrier.name}
@@ -93,23 +135,35 @@ const TrackingInput = ({ onAddShipment, isLoading }) => {
         </select>
       </div>
 
-      <button
-        type="submit"
-        disabled={isLoading || !trackingNumber.trim()}
-        className="btn-primary w-full sm:w-auto flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
-      >
-        {isLoading ? (
-          <>
-            <Truck className="w-4 h-4 animate-pulse" />
-            <span>Adding...</span>
-          </>
-        ) : (
-          <>
-            <Plus className="w-4 h-4" />
-            <span>Add Shipment</span>
-          </>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          type="submit"
+          disabled={isLoading || !trackingNumber.trim()}
+          className="btn-primary w-full sm:w-auto flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLoading ? (
+            <>
+              <Truck className="w-4 h-4 animate-pulse" />
+              <span>Adding...</span>
+            </>
+          ) : (
+            <>
+              <Plus className="w-4 h-4" />
+              <span>Add Shipment</span>
+            </>
+          )}
+        </button>
+        {onBulkAdd && (
+          <button
+            type="button"
+            onClick={onBulkAdd}
+            className="btn-secondary w-full sm:w-auto flex items-center justify-center space-x-2"
+          >
+            <ListPlus className="w-4 h-4" />
+            <span>Bulk Add</span>
+          </button>
         )}
-      </button>
+      </div>
     </form>
   );
 };
@@ -0,0 +1,84 @@
+import React, { useState, useMemo } from 'react';
+import { Eye, EyeOff } from 'lucide-react';
+import { format } from 'date-fns';
+import {
+  DEFAULT_DIGEST_SCHEDULE,
+  buildWeeklyDigest,
+  hasDigestContent,
+  getNextDigestTime
+} from '../services/weeklyDigest.js';
+import { renderEmail } from '../services/email/index.js';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * When the weekly digest goes out, plus a preview of it built from the
+ * shipments as they are now
+ */
+const WeeklyDigestPanel = ({ preferences, onChange, shipments = [] }) => {
+  const [showPreview, setShowPreview] = useState(false);
+  const digestDay = preferences.digestDay ?? DEFAULT_DIGEST_SCHEDULE.digestDay;
+  const digestTime = preferences.digestTime || DEFAULT_DIGEST_SCHEDULE.digestTime;
+  const nextDigest = getNextDigestTime({ digestDay, digestTime });
+
+  const preview = useMemo(() => {
+    if (!showPreview) return null;
+    const digest = buildWeeklyDigest(shipments);
+    return { digest, email: renderEmail('weeklyDigest', { digest }) };
+  }, [showPreview, shipments]);
+
+  return (
+    <div className="ml-4 pl-4 border-l-2 border-gray-100 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-text">
+        <span>Send on</span>
+        <select
+          value={digestDay}
+          onChange={(e) => onChange('digestDay', Number(e.target.value))}
+          className="input w-auto py-1 text-sm"
+        >
+          {DAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+        </select>
+        <span>at</span>
+        <input
+          type="time"
+          value={digestTime}
+          onChange={(e) => e.target.value && onChange('digestTime', e.target.value)}
+          className="input w-auto py-1 text-sm"
+        />
+      </div>
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-500">Next digest {format(nextDigest, "EEEE, MMM d 'at' h:mm a")}</span>
+        <button
+          onClick={() => setShowPreview(!showPreview)}
+          className="flex items-center space-x-1 text-primary hover:text-blue-600"
+        >
+          {showPreview ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+          <span>{showPreview ? 'Hide preview' : 'Preview'}</span>
+        </button>
+      </div>
+
+      {preview && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500">
+            Based on your shipments right now. The real digest covers the 7 days before it's sent.
+          </p>
+          {hasDigestContent(preview.digest) ? (
+            <>
+              <p className="text-sm font-medium text-text">{preview.email.subject}</p>
+              <iframe
+                title="Weekly digest preview"
+                srcDoc={preview.email.html}
+                sandbox=""
+                className="w-full h-96 border border-gray-200 rounded-md bg-white"
+              />
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Nothing happened this week, so no digest would be sent.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WeeklyDigestPanel;
@@ -1,33 +1,139 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { 
   analyzeShipmentForAlerts, 
+  loadAlertRules,
   processAlertNotifications,
   deduplicateAlerts,
   cleanupOutdatedAlerts
 } from '../services/alertService.js';
-import { alertStorage } from '../services/storageService.js';
+import { alertStorage, preferencesStorage } from '../services/storageService.js';
+import { getVerifiedEmail } from '../services/profileService.js';
+import { routeAlerts, releaseDueAlerts, isShownInApp } from '../services/notificationChannels.js';
+import { resolveSnooze, takeServiceWorkerAlertSnoozes } from '../services/snoozeService.js';
+import { showAlertNotifications } from '../services/pushNotifications.js';
+import { isArchived } from '../services/archiveService.js';
+import { serializeAlert, deserializeAlerts } from '../services/shipmentSchema.js';
+import { publish, subscribe, isAnyTabVisible } from '../services/tabSync.js';
 
-export const useAlerts = (shipments) => {
-  const [alerts, setAlerts] = useState([]);
+// Save the full list and tell other tabs which alerts changed
+const persistAlerts = (nextAlerts, prevAlerts) => {
+  alertStorage.save(nextAlerts);
+
+  const prevById = new Map(prevAlerts.map(alert => [alert.id, alert]));
+  const nextIds = new Set(nextAlerts.map(alert => alert.id));
+  const put = nextAlerts.filter(alert => prevById.get(alert.id) !== alert);
+  const removed = prevAlerts.filter(alert => !nextIds.has(alert.id)).map(alert => alert.id);
+
+  if (put.length || removed.length) {
+    publish('alerts', { put: put.map(serializeAlert), removed });
+  }
+};
+
+// How often to look for held alerts to deliver and snoozed ones to bring back
+const RELEASE_INTERVAL = 60 * 1000;
+
+// Browser notifications for alerts nobody would otherwise see
+const showUnseenNotifications = (alerts, options) => {
+  const unseenAlerts = isAnyTabVisible() ? alerts.filter(alert => !isShownInApp(alert)) : alerts;
+  showAlertNotifications(unseenAlerts, options);
+};
+
+const readChangedTime = (alert) => (alert.readChangedAt ? new Date(alert.readChangedAt).getTime() : 0);
+
+// The dismissed flag only ever turns on, so keep it from either copy. Read
+// state comes from whichever copy changed it last; copies that never changed
+// it (e.g. a freshly raised duplicate) can only turn it on.
+const mergeAlert = (local, incoming) => {
+  const localTime = readChangedTime(local);
+  const incomingTime = readChangedTime(incoming);
+  const readFrom = incomingTime === localTime ? null : (incomingTime > localTime ? incoming : local);
+
+  return {
+    ...local,
+    ...incoming,
+    read: readFrom ? Boolean(readFrom.read) : Boolean(local.read || incoming.read),
+    readAt: readFrom ? readFrom.readAt : (incoming.readAt || local.readAt),
+    readChangedAt: readFrom ? readFrom.readChangedAt : incoming.readChangedAt || local.readChangedAt,
+    dismissed: Boolean(local.dismissed || incoming.dismissed),
+    dismissedAt: incoming.dismissedAt || local.dismissedAt
+  };
+};
+
+/**
+ * Alerts for the given shipments. Pass every shipment, archived ones too, so
+ * their alerts are kept for the history view; only active shipments raise
+ * new alerts. Only the leader tab (`generate`) raises new alerts and sends
+ * notifications; other tabs receive them through tab sync.
+ */
+export const useAlerts = (shipments, generate = true) => {
+  const [alerts, setAlertsState] = useState([]);
   const [previousShipments, setPreviousShipments] = useState([]);
 
-  // Load saved alerts on initialization
-  useEffect(() => {
-    const savedAlerts = alertStorage.load();
-    const cleanedAlerts = cleanupOutdatedAlerts(savedAlerts, shipments);
-    setAlerts(cleanedAlerts);
-    if (cleanedAlerts.length !== savedAlerts.length) {
-      alertStorage.save(cleanedAlerts);
-    }
+  // Changes are worked out from this ref rather than in state updaters, so
+  // saving and sending happen exactly once even when StrictMode runs an
+  // updater twice
+  const alertsRef = useRef(alerts);
+
+  const setAlerts = useCallback((nextAlerts) => {
+    alertsRef.current = nextAlerts;
+    setAlertsState(nextAlerts);
   }, []);
 
-  // Generate alerts based on shipment changes
+  // Apply `update` to the current alerts, then save and publish the result
+  const updateAlerts = useCallback((update) => {
+    const prevAlerts = alertsRef.current;
+    const nextAlerts = update(prevAlerts);
+    if (nextAlerts === prevAlerts) return prevAlerts;
+
+    persistAlerts(nextAlerts, prevAlerts);
+    setAlerts(nextAlerts);
+    return nextAlerts;
+  }, [setAlerts]);
+
+  // Load saved alerts on initialization. Shipments are usually still loading
+  // at this point and an empty list would wipe every alert, so wait for them
+  // before dropping alerts for removed shipments.
+  useEffect(() => {
+    alertStorage.cleanup();
+    setAlerts(alertStorage.load());
+  }, [setAlerts]);
+
+  // Merge alert changes made in other tabs
+  useEffect(() => {
+    return subscribe('alerts', ({ put = [], removed = [] }) => {
+      const { alerts: incoming } = deserializeAlerts(put);
+
+      let next = alertsRef.current.filter(alert => !removed.includes(alert.id));
+      incoming.forEach(remote => {
+        const local = next.find(alert => alert.id === remote.id);
+        next = local
+          ? next.map(alert => (alert === local ? mergeAlert(local, remote) : alert))
+          : [remote, ...next];
+      });
+      setAlerts(next);
+    });
+  }, [setAlerts]);
+
+  // Re-read saved alerts, e.g. after an import replaced them
+  const reload = useCallback(() => setAlerts(alertStorage.load()), [setAlerts]);
+
+  // An import in another tab rewrote storage
+  useEffect(() => subscribe('dataImported', reload), [reload]);
+
+  // Generate alerts based on shipment changes. The first shipments seen after
+  // loading are only the baseline: previous statuses aren't known yet, so
+  // rules like "delivered" would match every delivered shipment again.
   useEffect(() => {
     if (shipments.length === 0) return;
+    if (!generate || previousShipments.length === 0) {
+      setPreviousShipments(shipments);
+      return;
+    }
 
     const newAlerts = [];
+    const rules = loadAlertRules();
 
-    shipments.forEach(shipment => {
+    shipments.filter(shipment => !isArchived(shipment)).forEach(shipment => {
       // Find previous version of this shipment
       const previousShipment = previousShipments.find(
         prev => prev.shipmentId === shipment.shipmentId
@@ -36,92 +142,163 @@ export const useAlerts = (shipments) => {
       const previousStatus = previousShipment?.status;
       
       // Analyze shipment for potential alerts
-      const shipmentAlerts = analyzeShipmentForAlerts(shipment, previousStatus);
+      const shipmentAlerts = analyzeShipmentForAlerts(shipment, previousStatus, rules);
       newAlerts.push(...shipmentAlerts);
     });
 
-    if (newAlerts.length > 0) {
-      setAlerts(prevAlerts => {
-        // Deduplicate alerts to avoid spam
-        const uniqueNewAlerts = deduplicateAlerts(newAlerts, prevAlerts);
-        
-        if (uniqueNewAlerts.length === 0) return prevAlerts;
-        
-        const updatedAlerts = [...uniqueNewAlerts, ...prevAlerts];
-        
-        // Clean up outdated alerts
-        const cleanedAlerts = cleanupOutdatedAlerts(updatedAlerts, shipments);
-        
-        // Persist to storage
-        alertStorage.save(cleanedAlerts);
-        
-        // Send email notifications for new alerts (async, non-blocking)
-        if (uniqueNewAlerts.length > 0) {
-          processAlertNotifications(uniqueNewAlerts, 'user@example.com')
-            .catch(error => console.error('Failed to send alert notifications:', error));
-        }
-        
-        return cleanedAlerts;
-      });
+    // Deduplicate alerts to avoid spam, then decide where each one goes
+    const uniqueNewAlerts = newAlerts.length > 0
+      ? routeAlerts(deduplicateAlerts(newAlerts, alertsRef.current), preferencesStorage.load())
+      : [];
+
+    if (uniqueNewAlerts.length > 0) {
+      // Clean up outdated alerts and persist to storage
+      updateAlerts(prevAlerts => cleanupOutdatedAlerts([...uniqueNewAlerts, ...prevAlerts], shipments));
+
+      // Send email notifications for new alerts (async, non-blocking)
+      const dueAlerts = uniqueNewAlerts.filter(alert => !alert.heldUntil);
+      processAlertNotifications(dueAlerts, getVerifiedEmail())
+        .catch(error => console.error('Failed to send alert notifications:', error));
+
+      showUnseenNotifications(dueAlerts);
     }
 
     // Update previous shipments for next comparison
     setPreviousShipments(shipments);
-  }, [shipments, previousShipments]);
-
-  const dismissAlert = useCallback((alertId) => {
-    setAlerts(prevAlerts => {
-      const updatedAlerts = prevAlerts.map(alert =>
-        alert.id === alertId
-          ? { ...alert, dismissed: true, dismissedAt: new Date().toISOString() }
-          : alert
-      );
-      
-      alertStorage.save(updatedAlerts);
-      return updatedAlerts.filter(alert => !alert.dismissed);
-    });
-  }, []);
+  }, [shipments, previousShipments, generate, updateAlerts]);
 
-  const clearAllAlerts = useCallback(() => {
-    setAlerts([]);
-    alertStorage.save([]);
-  }, []);
+  // Deliver alerts held back by quiet hours or a snooze once that ends, and
+  // bring snoozed alerts back
+  useEffect(() => {
+    if (!generate) return;
 
-  const markAlertAsRead = useCallback((alertId) => {
-    setAlerts(prevAlerts => {
-      const updatedAlerts = prevAlerts.map(alert =>
-        alert.id === alertId
-          ? { ...alert, read: true, readAt: new Date().toISOString() }
-          : alert
+    const release = () => {
+      const { alerts: updatedAlerts, released, reminders } = releaseDueAlerts(
+        alertsRef.current,
+        preferencesStorage.load(),
+        shipments
       );
-      
-      alertStorage.save(updatedAlerts);
-      return updatedAlerts;
+      if (updatedAlerts === alertsRef.current) return;
+
+      updateAlerts(() => updatedAlerts);
+      processAlertNotifications(released, getVerifiedEmail(), { batch: true })
+        .catch(error => console.error('Failed to send held alert notifications:', error));
+      showUnseenNotifications(released, { batch: true });
+      showUnseenNotifications(reminders);
+    };
+
+    release();
+    const timer = setInterval(release, RELEASE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [shipments, generate, updateAlerts]);
+
+  // Dismissed alerts stay in storage, and in the inbox history, until cleanup
+  const dismissAlerts = useCallback((alertIds) => {
+    const ids = new Set(alertIds);
+    const dismissedAt = new Date();
+    updateAlerts(prevAlerts => prevAlerts.map(alert =>
+      ids.has(alert.id) && !alert.dismissed
+        ? { ...alert, dismissed: true, dismissedAt }
+        : alert
+    ));
+  }, [updateAlerts]);
+
+  const dismissAlert = useCallback((alertId) => dismissAlerts([alertId]), [dismissAlerts]);
+
+  const clearAllAlerts = useCallback(() => updateAlerts(() => []), [updateAlerts]);
+
+  // Mark alerts read, or unread again with `read` false
+  const markAlertsAsRead = useCallback((alertIds, read = true) => {
+    const ids = new Set(alertIds);
+    const changedAt = new Date();
+    updateAlerts(prevAlerts => prevAlerts.map(alert =>
+      ids.has(alert.id) && Boolean(alert.read) !== read
+        ? { ...alert, read, readAt: read ? changedAt : null, readChangedAt: changedAt.toISOString() }
+        : alert
+    ));
+  }, [updateAlerts]);
+
+  const markAlertAsRead = useCallback((alertId) => markAlertsAsRead([alertId]), [markAlertsAsRead]);
+
+  /**
+   * Hide an alert until the snooze `option` (see SNOOZE_OPTIONS, or a
+   * { until }) runs out. Other alerts for its shipment still come through;
+   * muting the shipment holds those back. Returns false if the alert isn't here.
+   */
+  const snoozeAlert = useCallback((alertId, option) => {
+    const alert = alertsRef.current.find(item => item.id === alertId);
+    if (!alert) return false;
+
+    const shipment = shipments.find(item => item.shipmentId === alert.shipmentId);
+    const snooze = resolveSnooze(option, shipment?.status ?? alert.metadata?.status);
+
+    updateAlerts(prevAlerts => prevAlerts.map(item =>
+      item.id === alertId
+        ? { ...item, snoozedUntil: snooze.until || null, snoozedUntilStatus: snooze.status || null }
+        : item
+    ));
+    return true;
+  }, [shipments, updateAlerts]);
+
+  // Alerts snoozed from a notification while the app was closed
+  useEffect(() => {
+    takeServiceWorkerAlertSnoozes().then(snoozes => {
+      snoozes.forEach(({ alertId, until }) => snoozeAlert(alertId, { until }));
     });
   }, []);
 
+  // Every alert raised for a shipment, including dismissed ones still in storage
+  const getShipmentAlerts = useCallback((shipmentId) => {
+    const stored = alertStorage.load().filter(alert => alert.shipmentId === shipmentId);
+    const storedIds = new Set(stored.map(alert => alert.id));
+    const pending = alerts.filter(alert => alert.shipmentId === shipmentId && !storedIds.has(alert.id));
+    
+    return [...pending, ...stored]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }, [alerts]);
+
+  // Alerts shown in the app: not dismissed and routed in-app
+  const visibleAlerts = useMemo(
+    () => alerts.filter(alert => !alert.dismissed && isShownInApp(alert)),
+    [alerts]
+  );
+
+  // Dismissed alerts still in storage, most recently dismissed first
+  const dismissedAlerts = useMemo(
+    () => alerts
+      .filter(alert => alert.dismissed)
+      .sort((a, b) => new Date(b.dismissedAt) - new Date(a.dismissedAt)),
+    [alerts]
+  );
+
   // Get alert counts by type/priority
   const getAlertCounts = useCallback(() => {
     return {
-      total: alerts.length,
-      unread: alerts.filter(alert => !alert.read).length,
-      high: alerts.filter(alert => alert.priority === 'high').length,
-      medium: alerts.filter(alert => alert.priority === 'medium').length,
-      low: alerts.filter(alert => alert.priority === 'low').length,
+      total: visibleAlerts.length,
+      unread: visibleAlerts.filter(alert => !alert.read).length,
+      high: visibleAlerts.filter(alert => alert.priority === 'high').length,
+      medium: visibleAlerts.filter(alert => alert.priority === 'medium').length,
+      low: visibleAlerts.filter(alert => alert.priority === 'low').length,
       byType: {
-        warning: alerts.filter(alert => alert.type === 'warning').length,
-        error: alerts.filter(alert => alert.type === 'error').length,
-        info: alerts.filter(alert => alert.type === 'info').length,
-        success: alerts.filter(alert => alert.type === 'success').length
+        warning: visibleAlerts.filter(alert => alert.type === 'warning').length,
+        error: visibleAlerts.filter(alert => alert.type === 'error').length,
+        info: visibleAlerts.filter(alert => alert.type === 'info').length,
+        success: visibleAlerts.filter(alert => alert.type === 'success').length
       }
     };
-  }, [alerts]);
+  }, [visibleAlerts]);
 
   return {
-    alerts: alerts.filter(alert => !alert.dismissed),
+    alerts: visibleAlerts,
+    dismissedAlerts,
     dismissAlert,
+    dismissAlerts,
     clearAllAlerts,
     markAlertAsRead,
-    getAlertCounts
+    markAlertsAsRead,
+    snoozeAlert,
+    getAlertCounts,
+    getShipmentAlerts,
+    reload
   };
 };
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import { getRetentionPolicy } from '../services/subscriptionService.js';
+import { getShipmentsToArchive } from '../services/archiveService.js';
+
+// How often to look for shipments due to be archived
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Archive delivered shipments per the plan, from one tab. History past the
+// plan's limit is left for the user to delete from the history view.
+export const useArchiveRetention = (shipments, { archiveShipments }, enabled) => {
+  // The interval reads the latest list without restarting on every change
+  const shipmentsRef = useRef(shipments);
+  shipmentsRef.current = shipments;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const applyRetention = () => {
+      const toArchive = getShipmentsToArchive(shipmentsRef.current, getRetentionPolicy());
+      if (toArchive.length) archiveShipments(toArchive);
+    };
+
+    applyRetention();
+    const timer = setInterval(applyRetention, CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [enabled, archiveShipments]);
+};
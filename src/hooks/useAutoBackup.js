@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+import { runScheduledBackup } from '../services/backupService.js';
+
+// How often to check whether the daily backup is due
+const CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Take the daily backup from one tab once data has loaded
+export const useAutoBackup = (enabled) => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    runScheduledBackup();
+    const timer = setInterval(runScheduledBackup, CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [enabled]);
+};
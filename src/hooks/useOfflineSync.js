@@ -0,0 +1,73 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchTrackingData } from '../services/api.js';
+import { shipmentStorage } from '../services/storageService.js';
+import {
+  QUEUED_ACTIONS,
+  isOnline,
+  getQueuedActions,
+  replayQueue,
+  onQueueChange
+} from '../services/offlineQueue.js';
+
+/**
+ * Tracks connectivity and replays actions queued while offline. Pass
+ * `enabled` only in the leader tab once shipments have loaded, so each
+ * queued action runs once and can find its shipment.
+ */
+export const useOfflineSync = (shipments, applyTrackingUpdate, enabled = true) => {
+  const [online, setOnline] = useState(isOnline);
+  const [queuedActions, setQueuedActions] = useState([]);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const shipmentsRef = useRef(shipments);
+  shipmentsRef.current = shipments;
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    const load = () => getQueuedActions().then(setQueuedActions);
+    load();
+    return onQueueChange(load);
+  }, []);
+
+  // Replay when the connection comes back (or this tab takes over as leader)
+  useEffect(() => {
+    if (!online || !enabled) return;
+
+    const fetchAndApply = async (action) => {
+      // Use the current tracking number and carrier in case they were edited
+      const shipment = shipmentsRef.current.find(s => s.shipmentId === action.shipmentId);
+      if (!shipment) return;
+      const trackingData = await fetchTrackingData(shipment.trackingNumber, shipment.carrier, { allowStale: false });
+      applyTrackingUpdate(action.shipmentId, trackingData);
+    };
+
+    const handlers = {
+      [QUEUED_ACTIONS.ADD]: fetchAndApply,
+      [QUEUED_ACTIONS.REFRESH]: fetchAndApply,
+      // Already removed locally; make sure no tab wrote it back in the meantime
+      [QUEUED_ACTIONS.DELETE]: (action) => shipmentStorage.removeShipment(action.shipmentId)
+    };
+
+    // Only show the syncing banner when there is something to sync
+    getQueuedActions().then(actions => {
+      if (actions.length === 0) return;
+      setIsReplaying(true);
+      return replayQueue(handlers).finally(() => setIsReplaying(false));
+    });
+  }, [online, enabled, applyTrackingUpdate]);
+
+  return {
+    isOnline: online,
+    queuedActions,
+    isReplaying
+  };
+};
@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from 'react';
+import { createRefreshScheduler } from '../services/refreshScheduler.js';
+import { publish, subscribe, isAnyTabVisible, onTabVisibilityChange } from '../services/tabSync.js';
+import { isOnline } from '../services/offlineQueue.js';
+
+// How often countdowns like "next check in 4 min" re-render
+const CLOCK_INTERVAL = 30 * 1000;
+
+/**
+ * Polling runs only in the leader tab (`isLeader`). Other tabs mirror its
+ * schedule and forward "check now" requests to it.
+ */
+export const useRefreshScheduler = (shipments, applyTrackingUpdate, enabled = true, isLeader = true) => {
+  const schedulerRef = useRef(null);
+  const [schedule, setSchedule] = useState({ running: false, paused: false, inFlight: 0, shipments: {} });
+  const [now, setNow] = useState(Date.now());
+
+  if (!schedulerRef.current) {
+    schedulerRef.current = createRefreshScheduler({
+      onResult: (shipmentId, trackingData) => applyTrackingUpdate(shipmentId, trackingData),
+      // Keep polling while the user is looking at any of the open tabs, unless offline
+      shouldPause: () => !isAnyTabVisible() || !isOnline()
+    });
+  }
+
+  const isPolling = enabled && isLeader;
+
+  // Start/stop with the store and mirror scheduler state into React and other tabs
+  useEffect(() => {
+    if (!isPolling) return;
+
+    const scheduler = schedulerRef.current;
+    const update = () => {
+      const snapshot = scheduler.getSnapshot();
+      setSchedule(snapshot);
+      publish('schedule', snapshot);
+    };
+    const unsubscribe = scheduler.subscribe(update);
+    const unsubscribeCheckNow = subscribe('checkNow', ({ shipmentId }) => scheduler.checkNow(shipmentId));
+    const unsubscribeVisibility = onTabVisibilityChange(() => scheduler.updatePaused());
+    window.addEventListener('online', scheduler.updatePaused);
+    window.addEventListener('offline', scheduler.updatePaused);
+    scheduler.start();
+    update();
+
+    return () => {
+      unsubscribe();
+      unsubscribeCheckNow();
+      unsubscribeVisibility();
+      window.removeEventListener('online', scheduler.updatePaused);
+      window.removeEventListener('offline', scheduler.updatePaused);
+      scheduler.stop();
+    };
+  }, [isPolling]);
+
+  // Follower tabs show the leader's schedule
+  useEffect(() => {
+    if (!enabled || isLeader) return;
+    return subscribe('schedule', setSchedule);
+  }, [enabled, isLeader]);
+
+  // Keep the schedule in step with the shipment list
+  useEffect(() => {
+    if (!isPolling) return;
+    schedulerRef.current.sync(shipments);
+  }, [shipments, isPolling]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  return {
+    schedule,
+    now,
+    checkNow: (shipmentId) => {
+      if (isLeader) {
+        schedulerRef.current.checkNow(shipmentId);
+      } else {
+        publish('checkNow', { shipmentId });
+      }
+    }
+  };
+};
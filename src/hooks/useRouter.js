@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Path patterns, checked in order. Captured groups map onto `keys`.
+const ROUTES = [
+  { name: 'shipment', pattern: /^\/shipments\/([^/]+)\/?$/, keys: ['shipmentId'] },
+  { name: 'settings', pattern: /^\/settings(?:\/([^/]+))?\/?$/, keys: ['tab'] },
+  { name: 'upgrade', pattern: /^\/upgrade\/?$/, keys: [] },
+  { name: 'bulkAdd', pattern: /^\/bulk-add\/?$/, keys: [] },
+  { name: 'history', pattern: /^\/history\/?$/, keys: [] },
+  { name: 'alerts', pattern: /^\/alerts\/?$/, keys: [] },
+  { name: 'dashboard', pattern: /^\/?$/, keys: [] }
+];
+
+/**
+ * Resolve a pathname to { name, params }. Unknown paths fall back to the dashboard.
+ */
+export const matchRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (match) {
+      const params = {};
+      route.keys.forEach((key, index) => {
+        if (match[index + 1]) params[key] = decodeURIComponent(match[index + 1]);
+      });
+      return { name: route.name, params };
+    }
+  }
+  return { name: 'dashboard', params: {} };
+};
+
+/**
+ * Build a URL from a pathname and a query object, dropping empty values
+ */
+export const buildUrl = (pathname, query = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      params.set(key, value);
+    }
+  });
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+};
+
+const readLocation = () => {
+  const { pathname, search } = window.location;
+  return {
+    pathname,
+    route: matchRoute(pathname),
+    query: Object.fromEntries(new URLSearchParams(search))
+  };
+};
+
+export const useRouter = () => {
+  const [location, setLocation] = useState(readLocation);
+
+  // Follow browser back/forward
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  /**
+   * Go to a path. The current query string is kept unless one is passed.
+   */
+  const navigate = useCallback((pathname, { query, replace = false } = {}) => {
+    const current = readLocation();
+    const url = buildUrl(pathname, query ?? current.query);
+
+    if (url !== `${current.pathname}${window.location.search}`) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    }
+    setLocation(readLocation());
+  }, []);
+
+  /**
+   * Merge values into the query string of the current path
+   */
+  const setQuery = useCallback((updates, { replace = false } = {}) => {
+    const current = readLocation();
+    navigate(current.pathname, { query: { ...current.query, ...updates }, replace });
+  }, [navigate]);
+
+  return {
+    ...location,
+    navigate,
+    setQuery
+  };
+};
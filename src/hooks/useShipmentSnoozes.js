@@ -0,0 +1,11 @@
+import { useState, useEffect } from 'react';
+import { getSnoozes, onSnoozesChange } from '../services/snoozeService.js';
+
+// Muted shipments, kept current across tabs
+export const useShipmentSnoozes = () => {
+  const [snoozes, setSnoozes] = useState(getSnoozes);
+
+  useEffect(() => onSnoozesChange(setSnoozes), []);
+
+  return snoozes;
+};
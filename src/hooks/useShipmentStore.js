@@ -1,8 +1,13 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { addHours, addDays, subHours } from 'date-fns';
 import { fetchTrackingData, detectCarrier } from '../services/api.js';
 import { canAddShipment } from '../services/subscriptionService.js';
 import { shipmentStorage, initializeStorage } from '../services/storageService.js';
+import { mergeTrackingUpdate, mergeShipmentRecords } from '../services/shipmentMerge.js';
+import { serializeShipment, deserializeShipments } from '../services/shipmentSchema.js';
+import { publish, subscribe } from '../services/tabSync.js';
+import { QUEUED_ACTIONS, enqueueAction, isOnline } from '../services/offlineQueue.js';
+import { getActiveShipments, isArchived } from '../services/archiveService.js';
 
 // Sample shipment data generator
 const generateShipmentId = () => {
@@ -87,21 +92,119 @@ const initialShipments = [
   }
 ];
 
+// Write changed records and let other open tabs merge them in
+const persistShipments = (records) => {
+  if (records.length === 0) return;
+  shipmentStorage.putShipments(records);
+  publish('shipments', { put: records.map(serializeShipment) });
+};
+
+const persistRemoval = (shipmentId) => {
+  shipmentStorage.removeShipment(shipmentId);
+  publish('shipments', { removed: [shipmentId] });
+};
+
+// Carrier lookups run at most this many at a time during a bulk add
+const BULK_ADD_CONCURRENCY = 4;
+
+/**
+ * Build a new shipment record. Offline, this is a placeholder that is
+ * filled in from the carrier once the queued add replays.
+ */
+const createShipment = async (trackingData) => {
+  // Auto-detect carrier if not provided
+  const carrier = trackingData.carrier || detectCarrier(trackingData.trackingNumber);
+  const nickname = trackingData.nickname || `${carrier.toUpperCase()} Package`;
+  
+  if (!isOnline()) {
+    const now = new Date();
+    const placeholder = {
+      shipmentId: generateShipmentId(),
+      trackingNumber: trackingData.trackingNumber,
+      carrier,
+      nickname,
+      status: 'pending',
+      estimatedDelivery: null,
+      actualDelivery: null,
+      lastUpdated: null,
+      historicalStatuses: [],
+      addedAt: now,
+      staleSince: now
+    };
+    await enqueueAction(QUEUED_ACTIONS.ADD, placeholder.shipmentId, {
+      trackingNumber: placeholder.trackingNumber,
+      carrier
+    });
+    return placeholder;
+  }
+  
+  // Fetch real tracking data from API
+  let shipmentData;
+  try {
+    shipmentData = await fetchTrackingData(trackingData.trackingNumber, carrier);
+  } catch (apiError) {
+    console.warn('API fetch failed, using mock data:', apiError);
+    // Fallback to mock data if API fails
+    shipmentData = generateTrackingData({ ...trackingData, carrier });
+  }
+  
+  return {
+    ...shipmentData,
+    shipmentId: generateShipmentId(),
+    nickname,
+    addedAt: new Date()
+  };
+};
+
+// Newest first; the sample shipments have no addedAt and sort last
+const sortByAddedDate = (shipments) => [...shipments].sort((a, b) =>
+  new Date(b.addedAt || 0).getTime() - new Date(a.addedAt || 0).getTime()
+);
+
 export const useShipmentStore = () => {
-  const [shipments, setShipments] = useState([]);
+  const [shipments, setShipmentsState] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
 
+  // Changes are worked out from this ref rather than in state updaters, so
+  // each record is saved and published exactly once
+  const shipmentsRef = useRef(shipments);
+
+  const setShipments = useCallback((nextShipments) => {
+    shipmentsRef.current = nextShipments;
+    setShipmentsState(nextShipments);
+  }, []);
+
+  // Replace each shipment with what `update` returns for it, then save and
+  // publish the ones that changed
+  const updateShipments = useCallback((update) => {
+    const changed = [];
+    const nextShipments = shipmentsRef.current.map(shipment => {
+      const updated = update(shipment);
+      if (updated === shipment) return shipment;
+      changed.push(updated);
+      return updated;
+    });
+    if (changed.length === 0) return;
+
+    setShipments(nextShipments);
+    persistShipments(changed);
+  }, [setShipments]);
+
   // Initialize storage and load saved shipments
   useEffect(() => {
     const initialize = async () => {
       try {
-        const storageAvailable = initializeStorage();
+        const storageAvailable = await initializeStorage();
         if (storageAvailable) {
-          const savedShipments = shipmentStorage.load();
-          if (savedShipments.length > 0) {
-            setShipments(savedShipments);
+          const { shipments: savedShipments, invalid } = await shipmentStorage.loadWithReport();
+          if (invalid.length > 0) {
+            setError(`${invalid.length} saved shipment(s) could not be read and were skipped`);
+          }
+          if (savedShipments.length > 0 || invalid.length > 0) {
+            // Records come back in key order; show the most recently added first
+            setShipments(sortByAddedDate(savedShipments));
           } else {
             // Load initial sample data if no saved shipments
             setShipments(initialShipments);
@@ -120,7 +223,48 @@ export const useShipmentStore = () => {
     };
 
     initialize();
-  }, []);
+  }, [setShipments]);
+
+  // Merge changes written by other tabs record by record
+  useEffect(() => {
+    return subscribe('shipments', ({ put = [], removed = [] }) => {
+      const { shipments: incoming } = deserializeShipments(put);
+
+      let next = shipmentsRef.current.filter(shipment => !removed.includes(shipment.shipmentId));
+      incoming.forEach(remote => {
+        const local = next.find(shipment => shipment.shipmentId === remote.shipmentId);
+        next = local
+          ? next.map(shipment => (shipment === local ? mergeShipmentRecords(local, remote) : shipment))
+          : [remote, ...next];
+      });
+      setShipments(next);
+    });
+  }, [setShipments]);
+
+  // Re-read everything from storage, e.g. after an import replaced it
+  const reload = useCallback(async () => {
+    const { shipments: savedShipments } = await shipmentStorage.loadWithReport();
+    setShipments(sortByAddedDate(savedShipments));
+  }, [setShipments]);
+
+  // An import in another tab rewrote storage
+  useEffect(() => subscribe('dataImported', reload), [reload]);
+
+  // Keep showing stored data but flag it as out of date until a refresh lands
+  const markStale = useCallback((shipmentIds) => {
+    updateShipments(s => (
+      !shipmentIds.includes(s.shipmentId) || s.staleSince ? s : { ...s, staleSince: s.lastUpdated || new Date() }
+    ));
+  }, [updateShipments]);
+
+  // Offline: remember the refresh and run it once reconnected
+  const queueRefresh = useCallback(async (targets) => {
+    await Promise.all(targets.map(s => enqueueAction(QUEUED_ACTIONS.REFRESH, s.shipmentId, {
+      trackingNumber: s.trackingNumber,
+      carrier: s.carrier
+    })));
+    markStale(targets.map(s => s.shipmentId));
+  }, [markStale]);
 
   const addShipment = useCallback(async (trackingData) => {
     setIsLoading(true);
@@ -128,97 +272,143 @@ export const useShipmentStore = () => {
     
     try {
       // Check subscription limits
-      if (!canAddShipment(shipments.length)) {
+      if (!canAddShipment(getActiveShipments(shipments).length)) {
         throw new Error('Shipment limit reached for your current plan');
       }
       
       // Check for duplicate tracking numbers
       const existingShipment = shipments.find(s => s.trackingNumber === trackingData.trackingNumber);
       if (existingShipment) {
-        throw new Error('This tracking number is already being tracked');
+        throw new Error(isArchived(existingShipment)
+          ? 'This tracking number is in your shipment history. Restore it from there to track it again.'
+          : 'This tracking number is already being tracked');
       }
       
-      // Auto-detect carrier if not provided
-      const carrier = trackingData.carrier || detectCarrier(trackingData.trackingNumber);
+      const newShipment = await createShipment(trackingData);
       
-      // Fetch real tracking data from API
-      let shipmentData;
-      try {
-        shipmentData = await fetchTrackingData(trackingData.trackingNumber, carrier);
-      } catch (apiError) {
-        console.warn('API fetch failed, using mock data:', apiError);
-        // Fallback to mock data if API fails
-        shipmentData = generateTrackingData({ ...trackingData, carrier });
-      }
+      // Update state and persist to storage
+      setShipments([newShipment, ...shipmentsRef.current]);
+      persistShipments([newShipment]);
       
-      // Create complete shipment object
-      const newShipment = {
-        ...shipmentData,
-        shipmentId: generateShipmentId(),
-        nickname: trackingData.nickname || `${carrier.toUpperCase()} Package`,
-        addedAt: new Date().toISOString()
-      };
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [shipments, setShipments]);
+
+  // Add several shipments in one batch (bulk import). Numbers already tracked
+  // and anything past the plan limit are skipped with a reason.
+  const addShipments = useCallback(async (entries) => {
+    setIsLoading(true);
+    setError(null);
+    
+    const tracked = new Set(shipments.map(s => s.trackingNumber));
+    const accepted = [];
+    const skipped = [];
+    
+    entries.forEach(entry => {
+      if (tracked.has(entry.trackingNumber)) {
+        skipped.push({ ...entry, reason: 'Already tracked' });
+      } else if (!canAddShipment(getActiveShipments(shipments).length + accepted.length)) {
+        skipped.push({ ...entry, reason: 'Shipment limit reached for your current plan' });
+      } else {
+        tracked.add(entry.trackingNumber);
+        accepted.push(entry);
+      }
+    });
+    
+    try {
+      const newShipments = [];
+      for (let i = 0; i < accepted.length; i += BULK_ADD_CONCURRENCY) {
+        const batch = accepted.slice(i, i + BULK_ADD_CONCURRENCY);
+        newShipments.push(...await Promise.all(batch.map(createShipment)));
+      }
       
-      // Update state and persist to storage
-      const updatedShipments = [newShipment, ...shipments];
-      setShipments(updatedShipments);
-      shipmentStorage.save(updatedShipments);
+      setShipments([...newShipments, ...shipmentsRef.current]);
+      persistShipments(newShipments);
       
+      return { added: newShipments, skipped };
     } catch (err) {
       setError(err.message);
+      return { added: [], skipped: [...skipped, ...accepted.map(entry => ({ ...entry, reason: err.message }))] };
     } finally {
       setIsLoading(false);
     }
-  }, [shipments]);
+  }, [shipments, setShipments]);
 
   const updateShipmentStatus = useCallback((shipmentId) => {
-    setShipments(prev => {
-      const updatedShipments = prev.map(shipment => {
-        if (shipment.shipmentId !== shipmentId) return shipment;
-        
-        const statuses = ['pending', 'in_transit', 'out_for_delivery', 'delivered'];
-        const currentIndex = statuses.indexOf(shipment.status);
-        
-        // Don't update if already delivered or if status progression doesn't make sense
-        if (shipment.status === 'delivered' || shipment.status === 'delayed') return shipment;
-        
-        const nextIndex = Math.min(currentIndex + 1, statuses.length - 1);
-        const newStatus = statuses[nextIndex];
-        
-        const now = new Date();
-        const newHistoricalStatus = {
-          status: newStatus,
-          timestamp: now,
-          location: `Updated location ${nextIndex + 1}`,
-          description: generateStatusDescription(newStatus)
-        };
-        
-        const updatedShipment = {
-          ...shipment,
-          status: newStatus,
-          lastUpdated: now,
-          actualDelivery: newStatus === 'delivered' ? now : shipment.actualDelivery,
-          historicalStatuses: [...shipment.historicalStatuses, newHistoricalStatus]
-        };
-        
-        return updatedShipment;
-      });
+    updateShipments(shipment => {
+      if (shipment.shipmentId !== shipmentId) return shipment;
+      
+      const statuses = ['pending', 'in_transit', 'out_for_delivery', 'delivered'];
+      const currentIndex = statuses.indexOf(shipment.status);
+      
+      // Don't update if already delivered or if status progression doesn't make sense
+      if (shipment.status === 'delivered' || shipment.status === 'delayed') return shipment;
       
-      // Persist to storage
-      shipmentStorage.save(updatedShipments);
-      return updatedShipments;
+      const nextIndex = Math.min(currentIndex + 1, statuses.length - 1);
+      const newStatus = statuses[nextIndex];
+      
+      const now = new Date();
+      const newHistoricalStatus = {
+        status: newStatus,
+        timestamp: now,
+        location: `Updated location ${nextIndex + 1}`,
+        description: generateStatusDescription(newStatus)
+      };
+      
+      return {
+        ...shipment,
+        status: newStatus,
+        lastUpdated: now,
+        actualDelivery: newStatus === 'delivered' ? now : shipment.actualDelivery,
+        historicalStatuses: [...shipment.historicalStatuses, newHistoricalStatus]
+      };
     });
-  }, []);
+  }, [updateShipments]);
+
+  // Apply user edits such as nickname or carrier
+  const updateShipment = useCallback((shipmentId, updates) => {
+    updateShipments(shipment => (shipment.shipmentId === shipmentId ? { ...shipment, ...updates } : shipment));
+  }, [updateShipments]);
 
   const deleteShipment = useCallback((shipmentId) => {
-    setShipments(prev => {
-      const filteredShipments = prev.filter(shipment => shipment.shipmentId !== shipmentId);
-      shipmentStorage.save(filteredShipments);
-      return filteredShipments;
-    });
-  }, []);
+    setShipments(shipmentsRef.current.filter(shipment => shipment.shipmentId !== shipmentId));
+    persistRemoval(shipmentId);
+    if (!isOnline()) {
+      enqueueAction(QUEUED_ACTIONS.DELETE, shipmentId);
+    }
+  }, [setShipments]);
+
+  const deleteShipments = useCallback((shipmentIds) => {
+    shipmentIds.forEach(deleteShipment);
+  }, [deleteShipment]);
 
-  // Refresh shipment data from API
+  // Move shipments to the archive; they stop counting against the plan limit
+  const archiveShipments = useCallback((shipmentIds) => {
+    const archivedAt = new Date();
+    updateShipments(s => (!shipmentIds.includes(s.shipmentId) || s.archivedAt ? s : { ...s, archivedAt }));
+  }, [updateShipments]);
+
+  // Bring an archived shipment back to the dashboard, if the plan has room
+  const restoreShipment = useCallback((shipmentId) => {
+    if (!canAddShipment(getActiveShipments(shipments).length)) {
+      setError('Shipment limit reached for your current plan');
+      return false;
+    }
+
+    const restoredAt = new Date();
+    updateShipments(s => (s.shipmentId === shipmentId ? { ...s, archivedAt: null, restoredAt } : s));
+    return true;
+  }, [shipments, updateShipments]);
+
+  // Merge tracking data fetched elsewhere (e.g. the background scheduler)
+  const applyTrackingUpdate = useCallback((shipmentId, trackingData) => {
+    updateShipments(s => (s.shipmentId === shipmentId ? mergeTrackingUpdate(s, trackingData).shipment : s));
+  }, [updateShipments]);
+
+  // Refresh shipment data from API, merging new events into the stored history
   const refreshShipment = useCallback(async (shipmentId) => {
     setIsLoading(true);
     setError(null);
@@ -229,24 +419,22 @@ export const useShipmentStore = () => {
         throw new Error('Shipment not found');
       }
       
-      const updatedData = await fetchTrackingData(shipment.trackingNumber, shipment.carrier);
+      if (!isOnline()) {
+        await queueRefresh([shipment]);
+        return;
+      }
       
-      setShipments(prev => {
-        const updatedShipments = prev.map(s =>
-          s.shipmentId === shipmentId
-            ? { ...s, ...updatedData, lastUpdated: new Date().toISOString() }
-            : s
-        );
-        shipmentStorage.save(updatedShipments);
-        return updatedShipments;
+      // A stale cached response comes back at once; the fresh one is merged when it lands
+      const updatedData = await fetchTrackingData(shipment.trackingNumber, shipment.carrier, {
+        onRevalidate: (freshData) => applyTrackingUpdate(shipmentId, freshData)
       });
-      
+      applyTrackingUpdate(shipmentId, updatedData);
     } catch (err) {
       setError(`Failed to refresh shipment: ${err.message}`);
     } finally {
       setIsLoading(false);
     }
-  }, [shipments]);
+  }, [shipments, queueRefresh, applyTrackingUpdate]);
 
   // Bulk refresh all active shipments
   const refreshAllShipments = useCallback(async () => {
@@ -254,30 +442,32 @@ export const useShipmentStore = () => {
     setError(null);
     
     try {
-      const activeShipments = shipments.filter(s => s.status !== 'delivered');
+      const activeShipments = getActiveShipments(shipments).filter(s => s.status !== 'delivered');
+      if (!isOnline()) {
+        await queueRefresh(activeShipments);
+        return;
+      }
+      
       const refreshPromises = activeShipments.map(async (shipment) => {
         try {
-          const updatedData = await fetchTrackingData(shipment.trackingNumber, shipment.carrier);
-          return { ...shipment, ...updatedData, lastUpdated: new Date().toISOString() };
+          const updatedData = await fetchTrackingData(shipment.trackingNumber, shipment.carrier, {
+            onRevalidate: (freshData) => applyTrackingUpdate(shipment.shipmentId, freshData)
+          });
+          return [shipment.shipmentId, updatedData];
         } catch (error) {
           console.warn(`Failed to refresh ${shipment.trackingNumber}:`, error);
-          return shipment; // Return original if refresh fails
+          return null; // Leave the stored shipment untouched if refresh fails
         }
       });
       
-      const refreshedShipments = await Promise.all(refreshPromises);
-      const deliveredShipments = shipments.filter(s => s.status === 'delivered');
-      
-      const allShipments = [...refreshedShipments, ...deliveredShipments];
-      setShipments(allShipments);
-      shipmentStorage.save(allShipments);
-      
+      const updates = new Map((await Promise.all(refreshPromises)).filter(Boolean));
+      updateShipments(s => (updates.has(s.shipmentId) ? mergeTrackingUpdate(s, updates.get(s.shipmentId)).shipment : s));
     } catch (err) {
       setError(`Failed to refresh shipments: ${err.message}`);
     } finally {
       setIsLoading(false);
     }
-  }, [shipments]);
+  }, [shipments, queueRefresh, applyTrackingUpdate, updateShipments]);
 
   // Add helper function for status descriptions
   const generateStatusDescription = (status) => {
@@ -295,10 +485,17 @@ export const useShipmentStore = () => {
   return {
     shipments,
     addShipment,
+    addShipments,
     updateShipmentStatus,
+    updateShipment,
     deleteShipment,
+    deleteShipments,
+    archiveShipments,
+    restoreShipment,
     refreshShipment,
     refreshAllShipments,
+    applyTrackingUpdate,
+    reload,
     isLoading,
     error,
     isInitialized
@@ -0,0 +1,11 @@
+import { useState, useEffect } from 'react';
+import { isLeaderTab, onLeadershipChange } from '../services/tabSync.js';
+
+// Whether this tab currently runs background work for all open tabs
+export const useTabLeader = () => {
+  const [isLeader, setIsLeader] = useState(isLeaderTab);
+
+  useEffect(() => onLeadershipChange(setIsLeader), []);
+
+  return isLeader;
+};
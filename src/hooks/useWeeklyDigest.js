@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+import { runScheduledDigest } from '../services/weeklyDigest.js';
+
+// How often to check whether the weekly digest is due
+const CHECK_INTERVAL = 15 * 60 * 1000;
+
+// Send the weekly digest from one tab once data has loaded
+export const useWeeklyDigest = (shipments, enabled) => {
+  // The interval reads the latest list without restarting on every change
+  const shipmentsRef = useRef(shipments);
+  shipmentsRef.current = shipments;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const check = () => runScheduledDigest(shipmentsRef.current);
+    check();
+    const timer = setInterval(check, CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [enabled]);
+};
@@ -0,0 +1,341 @@
+/**
+ * Alert Rules
+ * Alerts are raised by rules: a list of conditions on a shipment, a severity
+ * and a message. Built-in rules are plain data below; users can turn them off,
+ * change their severity and add their own, optionally limited to certain
+ * shipments. Nothing here touches storage, so rules can be evaluated anywhere.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const STATUS_VALUES = ['pending', 'in_transit', 'out_for_delivery', 'delivered', 'delayed', 'exception'];
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+// Why a delayed shipment is late, read from its latest tracking event
+const DELAY_REASONS = {
+  weather: 'Weather conditions causing delays',
+  customs: 'Customs processing delay',
+  address: 'Address verification required',
+  other: 'Unexpected delay in transit'
+};
+
+const getDelayReason = (shipment) => {
+  const location = shipment.historicalStatuses?.[shipment.historicalStatuses.length - 1]?.location?.toLowerCase() || '';
+  return ['weather', 'customs', 'address'].find(reason => location.includes(reason)) || 'other';
+};
+
+const sortedEvents = (shipment) => [...(shipment.historicalStatuses || [])]
+  .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+// When the shipment entered its current status: the start of the latest run of events with that status
+const getStatusSince = (shipment) => {
+  const events = sortedEvents(shipment);
+  let since = null;
+  for (let i = events.length - 1; i >= 0 && events[i].status === shipment.status; i--) {
+    since = events[i].timestamp;
+  }
+  return since || shipment.addedAt || null;
+};
+
+// How far the most recent ETA change pushed delivery back (negative if it moved earlier)
+const getEtaSlip = (shipment) => {
+  const etaChange = (shipment.changelog || []).find(change => change.etaChange)?.etaChange;
+  if (!etaChange?.from || !etaChange?.to) return null;
+  return (new Date(etaChange.to) - new Date(etaChange.from)) / DAY;
+};
+
+const elapsed = (since, now, unit) => (since ? Math.floor((now - new Date(since)) / unit) : null);
+
+/**
+ * Everything a rule can test about a shipment, plus values used in messages
+ */
+export const getShipmentFacts = (shipment, previousStatus = null, now = Date.now()) => {
+  const events = sortedEvents(shipment);
+  const locations = events.map(event => event.location);
+  const eta = shipment.estimatedDelivery ? new Date(shipment.estimatedDelivery) : null;
+  const delayReason = getDelayReason(shipment);
+
+  return {
+    status: shipment.status,
+    previousStatus,
+    carrier: shipment.carrier,
+    hoursSinceUpdate: elapsed(shipment.lastUpdated, now, HOUR),
+    daysInStatus: elapsed(getStatusSince(shipment), now, DAY),
+    daysInTransit: elapsed(events[0]?.timestamp, now, DAY),
+    daysOverdue: eta ? Math.ceil((now - eta) / DAY) : null,
+    etaSlipDays: getEtaSlip(shipment),
+    // Visits to a location already passed through
+    repeatedLocations: locations.length - new Set(locations).size,
+    delayReason,
+    delayReasonText: DELAY_REASONS[delayReason],
+    nickname: shipment.nickname || shipment.trackingNumber
+  };
+};
+
+// Fields rules can test. Enum fields offer a fixed list of values.
+export const RULE_FIELDS = {
+  status: { kind: 'enum', description: 'Status', values: STATUS_VALUES },
+  previousStatus: { kind: 'enum', description: 'Previous status', values: STATUS_VALUES },
+  carrier: { kind: 'enum', description: 'Carrier', values: ['ups', 'fedex', 'usps', 'dhl', 'other'] },
+  delayReason: { kind: 'enum', description: 'Delay reason', values: Object.keys(DELAY_REASONS) },
+  hoursSinceUpdate: { kind: 'number', description: 'Hours since last update', unit: 'hours' },
+  daysInStatus: { kind: 'number', description: 'Days in current status', unit: 'days' },
+  daysInTransit: { kind: 'number', description: 'Days since first scan', unit: 'days' },
+  daysOverdue: { kind: 'number', description: 'Days past estimated delivery', unit: 'days' },
+  etaSlipDays: { kind: 'number', description: 'Days the ETA last slipped', unit: 'days' },
+  repeatedLocations: { kind: 'number', description: 'Repeated locations', unit: '' }
+};
+
+const compare = (test) => (fact, value) => typeof fact === 'number' && test(fact, Number(value));
+
+export const RULE_OPERATORS = {
+  eq: { label: 'is', kinds: ['enum', 'number'], test: (fact, value) => String(fact) === String(value) },
+  neq: { label: 'is not', kinds: ['enum', 'number'], test: (fact, value) => String(fact) !== String(value) },
+  in: { label: 'is one of', kinds: ['enum'], test: (fact, value) => value.includes(fact) },
+  notIn: { label: 'is none of', kinds: ['enum'], test: (fact, value) => !value.includes(fact) },
+  gt: { label: '>', kinds: ['number'], test: compare((fact, value) => fact > value) },
+  gte: { label: '≥', kinds: ['number'], test: compare((fact, value) => fact >= value) },
+  lt: { label: '<', kinds: ['number'], test: compare((fact, value) => fact < value) },
+  lte: { label: '≤', kinds: ['number'], test: compare((fact, value) => fact <= value) }
+};
+
+/**
+ * The rules that shipped with the app. `alertType` names an entry in
+ * ALERT_TYPES; `premium` rules only run on plans with premium features.
+ */
+export const BUILT_IN_RULES = [
+  {
+    id: 'overdue',
+    name: 'Past estimated delivery',
+    alertType: 'DELAY_DETECTED',
+    conditions: [
+      { field: 'daysOverdue', op: 'gt', value: 0 },
+      { field: 'status', op: 'notIn', value: ['delivered', 'delayed'] }
+    ],
+    message: '{nickname} is {daysOverdue} day(s) overdue'
+  },
+  {
+    id: 'delayed_weather',
+    name: 'Weather delay',
+    alertType: 'WEATHER_DELAY',
+    conditions: [
+      { field: 'status', op: 'eq', value: 'delayed' },
+      { field: 'delayReason', op: 'eq', value: 'weather' }
+    ],
+    message: '{nickname}: {delayReasonText}'
+  },
+  {
+    id: 'delayed_customs',
+    name: 'Customs delay',
+    alertType: 'CUSTOMS_DELAY',
+    conditions: [
+      { field: 'status', op: 'eq', value: 'delayed' },
+      { field: 'delayReason', op: 'eq', value: 'customs' }
+    ],
+    message: '{nickname}: {delayReasonText}'
+  },
+  {
+    id: 'delayed_address',
+    name: 'Address problem',
+    alertType: 'ADDRESS_ISSUE',
+    conditions: [
+      { field: 'status', op: 'eq', value: 'delayed' },
+      { field: 'delayReason', op: 'eq', value: 'address' }
+    ],
+    message: '{nickname}: {delayReasonText}'
+  },
+  {
+    id: 'delayed',
+    name: 'Other delays',
+    alertType: 'DELAY_DETECTED',
+    conditions: [
+      { field: 'status', op: 'eq', value: 'delayed' },
+      { field: 'delayReason', op: 'eq', value: 'other' }
+    ],
+    message: '{nickname}: {delayReasonText}'
+  },
+  {
+    id: 'out_for_delivery',
+    name: 'Out for delivery',
+    alertType: 'DELIVERY_SOON',
+    conditions: [{ field: 'status', op: 'eq', value: 'out_for_delivery' }],
+    message: '{nickname} is out for delivery and should arrive today'
+  },
+  {
+    id: 'delivered',
+    name: 'Delivered',
+    alertType: 'DELIVERED',
+    conditions: [
+      { field: 'status', op: 'eq', value: 'delivered' },
+      { field: 'previousStatus', op: 'neq', value: 'delivered' }
+    ],
+    message: '{nickname} has been successfully delivered'
+  },
+  {
+    id: 'stuck',
+    name: 'No updates for 2 days',
+    alertType: 'EXCEPTION',
+    conditions: [
+      { field: 'status', op: 'in', value: ['in_transit', 'pending'] },
+      { field: 'hoursSinceUpdate', op: 'gt', value: 48 }
+    ],
+    message: "{nickname} hasn't been updated in {hoursSinceUpdate} hours"
+  },
+  {
+    id: 'unusual_routing',
+    name: 'Unusual routing',
+    alertType: 'EXCEPTION',
+    premium: true,
+    conditions: [{ field: 'repeatedLocations', op: 'gt', value: 1 }],
+    message: '{nickname} is taking an unusual route - may indicate processing issues',
+    metadata: { pattern: 'unusual_routing' }
+  },
+  {
+    id: 'usps_slow',
+    name: 'USPS quiet for 3 days',
+    alertType: 'DELAY_DETECTED',
+    premium: true,
+    conditions: [
+      { field: 'carrier', op: 'eq', value: 'usps' },
+      { field: 'hoursSinceUpdate', op: 'gt', value: 72 }
+    ],
+    message: '{nickname}: USPS packages often experience delays during peak seasons',
+    metadata: { pattern: 'carrier_issue' }
+  },
+  {
+    id: 'fedex_slow',
+    name: 'FedEx in transit over 5 days',
+    alertType: 'DELAY_DETECTED',
+    premium: true,
+    conditions: [
+      { field: 'carrier', op: 'eq', value: 'fedex' },
+      { field: 'status', op: 'eq', value: 'in_transit' },
+      { field: 'daysInTransit', op: 'gt', value: 5 }
+    ],
+    message: '{nickname}: FedEx shipment has been in transit longer than typical',
+    metadata: { pattern: 'carrier_issue' }
+  }
+].map(rule => ({ ...rule, builtIn: true, enabled: true, severity: null, scope: { shipmentIds: [] } }));
+
+/**
+ * Problems with a rule, as messages. An empty list means the rule is usable.
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['Rule is missing'];
+
+  if (!rule.builtIn && !String(rule.name || '').trim()) errors.push('Give the rule a name');
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) errors.push(`Unknown severity "${rule.severity}"`);
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push('Add at least one condition');
+    return errors;
+  }
+
+  rule.conditions.forEach((condition, index) => {
+    const field = RULE_FIELDS[condition?.field];
+    const operator = RULE_OPERATORS[condition?.op];
+    const label = `Condition ${index + 1}`;
+
+    if (!field) {
+      errors.push(`${label}: unknown field "${condition?.field}"`);
+    } else if (!operator || !operator.kinds.includes(field.kind)) {
+      errors.push(`${label}: "${condition.op}" can't be used with ${field.description.toLowerCase()}`);
+    } else if (['in', 'notIn'].includes(condition.op)) {
+      if (!Array.isArray(condition.value) || condition.value.length === 0) errors.push(`${label}: pick at least one value`);
+      else if (condition.value.some(value => !field.values.includes(value))) errors.push(`${label}: unknown value`);
+    } else if (field.kind === 'number' && (condition.value === '' || !Number.isFinite(Number(condition.value)))) {
+      errors.push(`${label}: enter a number`);
+    } else if (field.kind === 'enum' && !field.values.includes(condition.value)) {
+      errors.push(`${label}: unknown value "${condition.value}"`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Built-in rules with the user's overrides ({ [ruleId]: { enabled, severity } })
+ * applied, followed by the user's valid custom rules
+ */
+export const resolveRules = ({ overrides = {}, custom = [] } = {}) => [
+  ...BUILT_IN_RULES.map(rule => {
+    const override = overrides[rule.id] || {};
+    return {
+      ...rule,
+      enabled: override.enabled ?? rule.enabled,
+      severity: SEVERITIES.includes(override.severity) ? override.severity : rule.severity
+    };
+  }),
+  ...custom
+    .filter(rule => validateRule(rule).length === 0)
+    .map(rule => ({ enabled: true, severity: 'medium', scope: { shipmentIds: [] }, ...rule, builtIn: false }))
+];
+
+/**
+ * A new custom rule, e.g. { name, severity, conditions, scope }
+ */
+export const createCustomRule = (fields = {}) => ({
+  id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+  name: '',
+  enabled: true,
+  severity: 'medium',
+  conditions: [],
+  scope: { shipmentIds: [] },
+  ...fields,
+  builtIn: false
+});
+
+export const evaluateCondition = (condition, facts) => {
+  const fact = facts[condition.field];
+  if (fact === null || fact === undefined) return condition.op === 'neq' || condition.op === 'notIn';
+  return RULE_OPERATORS[condition.op].test(fact, condition.value);
+};
+
+// Rules limited to some shipments only apply to those
+const inScope = (rule, shipment) => {
+  const shipmentIds = rule.scope?.shipmentIds || [];
+  return shipmentIds.length === 0 || shipmentIds.includes(shipment.shipmentId);
+};
+
+/**
+ * Enabled rules whose conditions all hold for the shipment. Premium rules are
+ * skipped unless `premium` is set.
+ */
+export const matchRules = (rules, shipment, { previousStatus = null, now = Date.now(), premium = false } = {}) => {
+  const facts = getShipmentFacts(shipment, previousStatus, now);
+  return rules
+    .filter(rule => rule.enabled && (premium || !rule.premium) && inScope(rule, shipment))
+    .filter(rule => rule.conditions.every(condition => evaluateCondition(condition, facts)))
+    .map(rule => ({ rule, facts }));
+};
+
+/**
+ * Fill {placeholders} in a rule's message from the shipment facts. Custom
+ * rules without a message read "<nickname>: <rule name>".
+ */
+export const formatRuleMessage = (rule, facts) => {
+  const template = rule.message || '{nickname}: {name}';
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (key === 'name') return rule.name;
+    const value = facts[key];
+    if (typeof value === 'number') return String(Math.round(value * 10) / 10);
+    return value ?? placeholder;
+  });
+};
+
+const formatValue = (field, value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(item => (field.kind === 'enum' ? String(item).replace(/_/g, ' ') : `${item}${field.unit ? ` ${field.unit}` : ''}`)).join(', ');
+};
+
+/**
+ * A rule's conditions in words, e.g. "Carrier is dhl and Days in current status > 4 days"
+ */
+export const describeRule = (rule) => rule.conditions
+  .map(condition => {
+    const field = RULE_FIELDS[condition.field];
+    return `${field.description} ${RULE_OPERATORS[condition.op].label} ${formatValue(field, condition.value)}`;
+  })
+  .join(' and ');
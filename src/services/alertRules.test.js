@@ -0,0 +1,235 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUILT_IN_RULES,
+  evaluateCondition,
+  validateRule,
+  resolveRules,
+  createCustomRule,
+  matchRules,
+  formatRuleMessage,
+  getShipmentFacts
+} from './alertRules.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+const shipment = (fields = {}) => ({
+  shipmentId: 'ship_1',
+  trackingNumber: '1Z999AA12345678908',
+  carrier: 'ups',
+  status: 'in_transit',
+  lastUpdated: new Date(NOW - 2 * HOUR),
+  historicalStatuses: [
+    { status: 'pending', timestamp: new Date('2026-10-15T10:00:00Z'), location: 'Louisville, KY' },
+    { status: 'in_transit', timestamp: new Date('2026-10-16T10:00:00Z'), location: 'Atlanta, GA' }
+  ],
+  ...fields
+});
+
+const matchedIds = (rules, target, options = {}) =>
+  matchRules(rules, target, { now: NOW, ...options }).map(({ rule }) => rule.id);
+
+describe('evaluateCondition', () => {
+  const facts = { status: 'delayed', carrier: 'usps', hoursSinceUpdate: 50, daysOverdue: null };
+
+  it('compares enum fields', () => {
+    expect(evaluateCondition({ field: 'status', op: 'eq', value: 'delayed' }, facts)).toBe(true);
+    expect(evaluateCondition({ field: 'status', op: 'neq', value: 'delayed' }, facts)).toBe(false);
+    expect(evaluateCondition({ field: 'carrier', op: 'in', value: ['ups', 'usps'] }, facts)).toBe(true);
+    expect(evaluateCondition({ field: 'carrier', op: 'notIn', value: ['ups', 'usps'] }, facts)).toBe(false);
+  });
+
+  it('compares numbers, including values typed in as strings', () => {
+    expect(evaluateCondition({ field: 'hoursSinceUpdate', op: 'gt', value: 48 }, facts)).toBe(true);
+    expect(evaluateCondition({ field: 'hoursSinceUpdate', op: 'gte', value: '50' }, facts)).toBe(true);
+    expect(evaluateCondition({ field: 'hoursSinceUpdate', op: 'lt', value: 50 }, facts)).toBe(false);
+    expect(evaluateCondition({ field: 'hoursSinceUpdate', op: 'lte', value: '49' }, facts)).toBe(false);
+  });
+
+  it('treats a missing fact as matching only negative operators', () => {
+    expect(evaluateCondition({ field: 'daysOverdue', op: 'gt', value: 0 }, facts)).toBe(false);
+    expect(evaluateCondition({ field: 'daysOverdue', op: 'eq', value: 0 }, facts)).toBe(false);
+    expect(evaluateCondition({ field: 'daysOverdue', op: 'neq', value: 0 }, facts)).toBe(true);
+    expect(evaluateCondition({ field: 'previousStatus', op: 'notIn', value: ['delivered'] }, facts)).toBe(true);
+  });
+});
+
+describe('getShipmentFacts', () => {
+  it('works out timings from the tracking history', () => {
+    const facts = getShipmentFacts(shipment({ estimatedDelivery: new Date('2026-10-17T12:00:00Z') }), 'pending', NOW);
+
+    expect(facts).toMatchObject({
+      status: 'in_transit',
+      previousStatus: 'pending',
+      hoursSinceUpdate: 2,
+      daysInStatus: 3,
+      daysInTransit: 4,
+      daysOverdue: 2,
+      repeatedLocations: 0,
+      nickname: '1Z999AA12345678908'
+    });
+  });
+});
+
+describe('validateRule', () => {
+  const rule = (conditions, fields = {}) => createCustomRule({ name: 'Slow DHL', conditions, ...fields });
+
+  it('accepts a well-formed custom rule', () => {
+    expect(validateRule(rule([
+      { field: 'carrier', op: 'eq', value: 'dhl' },
+      { field: 'daysInStatus', op: 'gt', value: '4' }
+    ]))).toEqual([]);
+  });
+
+  it('accepts every built-in rule', () => {
+    BUILT_IN_RULES.forEach(builtIn => expect(validateRule(builtIn)).toEqual([]));
+  });
+
+  it('reports unknown fields and operators', () => {
+    expect(validateRule(rule([{ field: 'colour', op: 'eq', value: 'red' }])))
+      .toEqual(['Condition 1: unknown field "colour"']);
+    expect(validateRule(rule([{ field: 'carrier', op: 'like', value: 'dhl' }])))
+      .toEqual(['Condition 1: "like" can\'t be used with carrier']);
+  });
+
+  it('reports operators that do not fit the field', () => {
+    expect(validateRule(rule([{ field: 'carrier', op: 'gt', value: 'dhl' }])))
+      .toEqual(['Condition 1: "gt" can\'t be used with carrier']);
+    expect(validateRule(rule([{ field: 'hoursSinceUpdate', op: 'in', value: [1] }])))
+      .toEqual(['Condition 1: "in" can\'t be used with hours since last update']);
+  });
+
+  it('reports bad values', () => {
+    expect(validateRule(rule([{ field: 'hoursSinceUpdate', op: 'gt', value: 'soon' }])))
+      .toEqual(['Condition 1: enter a number']);
+    expect(validateRule(rule([{ field: 'status', op: 'eq', value: 'lost' }])))
+      .toEqual(['Condition 1: unknown value "lost"']);
+    expect(validateRule(rule([{ field: 'status', op: 'in', value: [] }])))
+      .toEqual(['Condition 1: pick at least one value']);
+    expect(validateRule(rule([{ field: 'status', op: 'notIn', value: ['delivered', 'lost'] }])))
+      .toEqual(['Condition 1: unknown value']);
+  });
+
+  it('requires a name, a known severity and at least one condition', () => {
+    expect(validateRule(rule([], { name: ' ', severity: 'urgent' }))).toEqual([
+      'Give the rule a name',
+      'Unknown severity "urgent"',
+      'Add at least one condition'
+    ]);
+    expect(validateRule(null)).toEqual(['Rule is missing']);
+  });
+});
+
+describe('resolveRules', () => {
+  it('falls back to the built-in rules when nothing is saved', () => {
+    expect(resolveRules()).toEqual(BUILT_IN_RULES);
+    expect(resolveRules({})).toEqual(BUILT_IN_RULES);
+  });
+
+  it('applies overrides to built-in rules and ignores unknown severities', () => {
+    const rules = resolveRules({
+      overrides: {
+        stuck: { enabled: false },
+        delivered: { severity: 'low' },
+        overdue: { severity: 'urgent' }
+      }
+    });
+    const byId = Object.fromEntries(rules.map(rule => [rule.id, rule]));
+
+    expect(byId.stuck.enabled).toBe(false);
+    expect(byId.delivered).toMatchObject({ enabled: true, severity: 'low' });
+    expect(byId.overdue.severity).toBeNull();
+  });
+
+  it('adds valid custom rules after the built-in ones with defaults filled in', () => {
+    const custom = { id: 'rule_dhl', name: 'Slow DHL', conditions: [{ field: 'carrier', op: 'eq', value: 'dhl' }] };
+    const rules = resolveRules({ custom: [custom] });
+
+    expect(rules.slice(0, BUILT_IN_RULES.length)).toEqual(BUILT_IN_RULES);
+    expect(rules[rules.length - 1]).toEqual({
+      ...custom,
+      enabled: true,
+      severity: 'medium',
+      scope: { shipmentIds: [] },
+      builtIn: false
+    });
+  });
+
+  it('drops invalid custom rules and keeps the rest', () => {
+    const rules = resolveRules({
+      custom: [
+        { id: 'bad_field', name: 'Bad', conditions: [{ field: 'colour', op: 'eq', value: 'red' }] },
+        { id: 'bad_op', name: 'Bad', conditions: [{ field: 'status', op: 'gt', value: 'delayed' }] },
+        { id: 'good', name: 'Good', conditions: [{ field: 'status', op: 'eq', value: 'delayed' }] }
+      ]
+    });
+
+    expect(rules.map(rule => rule.id)).not.toContain('bad_field');
+    expect(rules.map(rule => rule.id)).not.toContain('bad_op');
+    expect(rules[rules.length - 1].id).toBe('good');
+  });
+
+  it('does not let a custom rule pass itself off as built in', () => {
+    const [custom] = resolveRules({
+      custom: [{ id: 'sneaky', name: 'Sneaky', builtIn: true, conditions: [{ field: 'status', op: 'eq', value: 'delayed' }] }]
+    }).slice(-1);
+
+    expect(custom.builtIn).toBe(false);
+  });
+});
+
+describe('matchRules', () => {
+  it('raises only the delay rule for the delay reason found', () => {
+    const delayed = shipment({
+      status: 'delayed',
+      historicalStatuses: [{ status: 'delayed', timestamp: new Date(NOW - HOUR), location: 'Customs - JFK' }]
+    });
+
+    expect(matchedIds(resolveRules(), delayed)).toEqual(['delayed_customs']);
+  });
+
+  it('skips disabled rules', () => {
+    const stuck = shipment({ lastUpdated: new Date(NOW - 60 * HOUR) });
+
+    expect(matchedIds(resolveRules(), stuck)).toEqual(['stuck']);
+    expect(matchedIds(resolveRules({ overrides: { stuck: { enabled: false } } }), stuck)).toEqual([]);
+  });
+
+  it('runs premium rules only on premium plans', () => {
+    const quietUsps = shipment({ carrier: 'usps', lastUpdated: new Date(NOW - 80 * HOUR) });
+
+    expect(matchedIds(resolveRules(), quietUsps)).toEqual(['stuck']);
+    expect(matchedIds(resolveRules(), quietUsps, { premium: true })).toEqual(['stuck', 'usps_slow']);
+  });
+
+  it('applies scoped custom rules only to their shipments', () => {
+    const custom = createCustomRule({
+      id: 'rule_scoped',
+      name: 'Watch this one',
+      conditions: [{ field: 'status', op: 'eq', value: 'in_transit' }],
+      scope: { shipmentIds: ['ship_2'] }
+    });
+    const rules = resolveRules({ custom: [custom] });
+
+    expect(matchedIds(rules, shipment())).toEqual([]);
+    expect(matchedIds(rules, shipment({ shipmentId: 'ship_2' }))).toEqual(['rule_scoped']);
+  });
+
+  it('raises the delivered alert only on the change to delivered', () => {
+    const delivered = shipment({ status: 'delivered' });
+
+    expect(matchedIds(resolveRules(), delivered, { previousStatus: 'out_for_delivery' })).toEqual(['delivered']);
+    expect(matchedIds(resolveRules(), delivered, { previousStatus: 'delivered' })).toEqual([]);
+  });
+});
+
+describe('formatRuleMessage', () => {
+  it('fills placeholders from the facts and the rule name', () => {
+    const facts = { nickname: 'New laptop', daysOverdue: 2.345 };
+
+    expect(formatRuleMessage({ message: '{nickname} is {daysOverdue} day(s) overdue' }, facts))
+      .toBe('New laptop is 2.3 day(s) overdue');
+    expect(formatRuleMessage({ name: 'Slow DHL' }, facts)).toBe('New laptop: Slow DHL');
+    expect(formatRuleMessage({ message: '{nickname} {unknown}' }, facts)).toBe('New laptop {unknown}');
+  });
+});
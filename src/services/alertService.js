@@ -3,8 +3,10 @@
  * Handles proactive delay detection, smart notifications, and alert management
  */
 
-import { sendNotificationEmail, getUserPreferences } from './api.js';
+import { sendNotificationEmail } from './api.js';
 import { hasPremiumFeatures } from './subscriptionService.js';
+import { alertRulesStorage } from './storageService.js';
+import { resolveRules, matchRules, formatRuleMessage } from './alertRules.js';
 
 // Alert types and their configurations
 export const ALERT_TYPES = {
@@ -52,70 +54,45 @@ export const ALERT_TYPES = {
   }
 };
 
+// Alerts raised by user-defined rules
+export const CUSTOM_ALERT_TYPE = 'CUSTOM';
+
 /**
- * Analyze shipment for potential issues and generate alerts
+ * The ALERT_TYPES key an alert was raised as. Alerts saved before the key
+ * was recorded are matched by title.
  */
-export const analyzeShipmentForAlerts = (shipment, previousStatus = null) => {
-  const alerts = [];
-  const now = new Date();
-  
-  // Check for delivery delays
-  if (shipment.estimatedDelivery && now > new Date(shipment.estimatedDelivery)) {
-    if (shipment.status !== 'delivered' && shipment.status !== 'delayed') {
-      alerts.push(createAlert(
-        ALERT_TYPES.DELAY_DETECTED,
-        `${shipment.nickname} is ${getDaysOverdue(shipment.estimatedDelivery)} day(s) overdue`,
-        shipment
-      ));
-    }
-  }
-  
-  // Check for explicit delay status
-  if (shipment.status === 'delayed') {
-    const delayReason = getDelayReason(shipment);
-    const alertType = getDelayAlertType(delayReason);
-    
-    alerts.push(createAlert(
-      alertType,
-      `${shipment.nickname}: ${delayReason}`,
-      shipment
-    ));
-  }
-  
-  // Check for delivery today
-  if (shipment.status === 'out_for_delivery') {
-    alerts.push(createAlert(
-      ALERT_TYPES.DELIVERY_SOON,
-      `${shipment.nickname} is out for delivery and should arrive today`,
-      shipment
-    ));
-  }
-  
-  // Check for successful delivery
-  if (shipment.status === 'delivered' && previousStatus !== 'delivered') {
-    alerts.push(createAlert(
-      ALERT_TYPES.DELIVERED,
-      `${shipment.nickname} has been successfully delivered`,
-      shipment
-    ));
-  }
-  
-  // Check for stuck shipments (no updates for extended period)
-  if (isShipmentStuck(shipment)) {
-    alerts.push(createAlert(
-      ALERT_TYPES.EXCEPTION,
-      `${shipment.nickname} hasn't been updated in ${getHoursSinceUpdate(shipment)} hours`,
-      shipment
+export const getAlertTypeKey = (alert) => alert.metadata?.alertType ||
+  Object.keys(ALERT_TYPES).find(key => ALERT_TYPES[key].title === alert.title) ||
+  CUSTOM_ALERT_TYPE;
+
+/**
+ * Analyze shipment for potential issues and generate alerts, one per matching
+ * rule. `rules` defaults to the built-in rules plus the user's own.
+ */
+export const analyzeShipmentForAlerts = (shipment, previousStatus = null, rules = loadAlertRules()) => {
+  return matchRules(rules, shipment, { previousStatus, premium: hasPremiumFeatures() })
+    .map(({ rule, facts }) => createAlert(
+      getRuleAlertType(rule),
+      formatRuleMessage(rule, facts),
+      shipment,
+      { ruleId: rule.id, alertType: rule.alertType || CUSTOM_ALERT_TYPE, ...rule.metadata }
     ));
-  }
-  
-  // Premium feature: Advanced pattern detection
-  if (hasPremiumFeatures()) {
-    const advancedAlerts = detectAdvancedPatterns(shipment);
-    alerts.push(...advancedAlerts);
-  }
-  
-  return alerts;
+};
+
+/**
+ * The built-in and custom rules with the user's settings applied
+ */
+export const loadAlertRules = () => resolveRules(alertRulesStorage.load());
+
+// Custom rules raise warnings titled after the rule; severity sets the priority
+const getRuleAlertType = (rule) => {
+  const alertType = ALERT_TYPES[rule.alertType] || {
+    type: 'warning',
+    priority: 'medium',
+    title: rule.name,
+    icon: '🔔'
+  };
+  return rule.severity ? { ...alertType, priority: rule.severity } : alertType;
 };
 
 /**
@@ -142,174 +119,36 @@ const createAlert = (alertType, message, shipment, metadata = {}) => {
 };
 
 /**
- * Get delay reason from shipment history
- */
-const getDelayReason = (shipment) => {
-  const latestStatus = shipment.historicalStatuses?.[shipment.historicalStatuses.length - 1];
-  
-  if (latestStatus?.location?.toLowerCase().includes('weather')) {
-    return 'Weather conditions causing delays';
-  }
-  
-  if (latestStatus?.location?.toLowerCase().includes('customs')) {
-    return 'Customs processing delay';
-  }
-  
-  if (latestStatus?.location?.toLowerCase().includes('address')) {
-    return 'Address verification required';
-  }
-  
-  return 'Unexpected delay in transit';
-};
-
-/**
- * Get appropriate alert type based on delay reason
- */
-const getDelayAlertType = (reason) => {
-  if (reason.toLowerCase().includes('weather')) {
-    return ALERT_TYPES.WEATHER_DELAY;
-  }
-  
-  if (reason.toLowerCase().includes('customs')) {
-    return ALERT_TYPES.CUSTOMS_DELAY;
-  }
-  
-  if (reason.toLowerCase().includes('address')) {
-    return ALERT_TYPES.ADDRESS_ISSUE;
-  }
-  
-  return ALERT_TYPES.DELAY_DETECTED;
-};
-
-/**
- * Calculate days overdue
- */
-const getDaysOverdue = (estimatedDelivery) => {
-  const now = new Date();
-  const estimated = new Date(estimatedDelivery);
-  const diffTime = now - estimated;
-  return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-};
-
-/**
- * Check if shipment appears to be stuck
- */
-const isShipmentStuck = (shipment) => {
-  if (shipment.status === 'delivered') return false;
-  
-  const hoursSinceUpdate = getHoursSinceUpdate(shipment);
-  
-  // Consider stuck if no updates for more than 48 hours for active shipments
-  return hoursSinceUpdate > 48 && ['in_transit', 'pending'].includes(shipment.status);
-};
-
-/**
- * Get hours since last update
- */
-const getHoursSinceUpdate = (shipment) => {
-  const now = new Date();
-  const lastUpdate = new Date(shipment.lastUpdated);
-  return Math.floor((now - lastUpdate) / (1000 * 60 * 60));
-};
-
-/**
- * Advanced pattern detection for premium users
- */
-const detectAdvancedPatterns = (shipment) => {
-  const alerts = [];
-  
-  // Detect unusual routing patterns
-  if (hasUnusualRouting(shipment)) {
-    alerts.push(createAlert(
-      ALERT_TYPES.EXCEPTION,
-      `${shipment.nickname} is taking an unusual route - may indicate processing issues`,
-      shipment,
-      { pattern: 'unusual_routing' }
-    ));
-  }
-  
-  // Detect carrier-specific issues
-  const carrierIssues = detectCarrierIssues(shipment);
-  if (carrierIssues) {
-    alerts.push(createAlert(
-      ALERT_TYPES.DELAY_DETECTED,
-      `${shipment.nickname}: ${carrierIssues}`,
-      shipment,
-      { pattern: 'carrier_issue' }
-    ));
-  }
-  
-  return alerts;
-};
-
-/**
- * Detect unusual routing patterns
+ * Process and send email notifications for alerts routed to email (see
+ * notificationChannels.js). Does nothing without a (verified) `userEmail`.
+ * With `batch`, e.g. for alerts held back during quiet hours, they all go
+ * out in a single digest.
  */
-const hasUnusualRouting = (shipment) => {
-  if (!shipment.historicalStatuses || shipment.historicalStatuses.length < 3) {
-    return false;
-  }
-  
-  // Simple heuristic: if package has been to the same location multiple times
-  const locations = shipment.historicalStatuses.map(status => status.location);
-  const uniqueLocations = new Set(locations);
-  
-  return locations.length > uniqueLocations.size + 1;
-};
-
-/**
- * Detect carrier-specific issues
- */
-const detectCarrierIssues = (shipment) => {
-  // Mock carrier-specific issue detection
-  // In a real app, this would analyze carrier-specific patterns
-  
-  if (shipment.carrier === 'usps' && getHoursSinceUpdate(shipment) > 72) {
-    return 'USPS packages often experience delays during peak seasons';
-  }
-  
-  if (shipment.carrier === 'fedex' && shipment.status === 'in_transit') {
-    const transitDays = Math.floor((new Date() - new Date(shipment.historicalStatuses[0]?.timestamp)) / (1000 * 60 * 60 * 24));
-    if (transitDays > 5) {
-      return 'FedEx shipment has been in transit longer than typical';
-    }
-  }
-  
-  return null;
-};
-
-/**
- * Process and send email notifications for alerts
- */
-export const processAlertNotifications = async (alerts, userEmail) => {
-  if (!alerts.length) return;
+export const processAlertNotifications = async (alerts, userEmail, { batch = false } = {}) => {
+  const filteredAlerts = alerts.filter(alert => alert.channels?.email);
+  if (!filteredAlerts.length || !userEmail) return;
   
   try {
-    const preferences = await getUserPreferences();
-    
-    if (!preferences.emailNotifications) return;
+    if (batch) {
+      await sendNotificationEmail(userEmail, 'digest', { alerts: filteredAlerts, count: filteredAlerts.length });
+      return;
+    }
     
-    // Filter alerts based on user preferences
-    const filteredAlerts = alerts.filter(alert => {
-      if (alert.type === 'warning' && !preferences.delayAlerts) return false;
-      if (alert.type === 'success' && !preferences.deliveryAlerts) return false;
-      return true;
-    });
+    // Deliveries get their own email
+    const isDelivery = (alert) => alert.metadata?.ruleId === 'delivered';
+    for (const alert of filteredAlerts.filter(isDelivery)) {
+      await sendNotificationEmail(userEmail, 'delivered', { alert });
+    }
     
     // Send notifications for high-priority alerts immediately
-    const highPriorityAlerts = filteredAlerts.filter(alert => alert.priority === 'high');
+    const highPriorityAlerts = filteredAlerts.filter(alert => !isDelivery(alert) && alert.priority === 'high');
     
     for (const alert of highPriorityAlerts) {
-      await sendNotificationEmail(userEmail, 'alert', {
-        trackingNumber: alert.trackingNumber,
-        status: alert.metadata.status,
-        message: alert.message,
-        title: alert.title
-      });
+      await sendNotificationEmail(userEmail, 'alert', { alert });
     }
     
     // Batch medium/low priority alerts for digest
-    const otherAlerts = filteredAlerts.filter(alert => alert.priority !== 'high');
+    const otherAlerts = filteredAlerts.filter(alert => !isDelivery(alert) && alert.priority !== 'high');
     if (otherAlerts.length > 0) {
       await sendNotificationEmail(userEmail, 'digest', {
         alerts: otherAlerts,
@@ -3,50 +3,56 @@
  * Handles all external API communications including tracking, payments, and notifications
  */
 
+import { getCarrierAdapter } from './carriers/index.js';
+import { getCachedTracking } from './trackingCache.js';
+import { preferencesStorage, mockTrackingStorage } from './storageService.js';
+import { sendEmail } from './email/index.js';
+
+export { detectCarrier, detectCarrierCandidates } from './carriers/detection.js';
+
 // Mock API endpoints - In production, these would be real API endpoints
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://api.shipmenttrackr.com';
 const TRACKING_API_KEY = import.meta.env.VITE_TRACKING_API_KEY || 'demo_key';
 
-// Carrier detection patterns
-const CARRIER_PATTERNS = {
-  ups: /^1Z[0-9A-Z]{16}$/,
-  fedex: /^[0-9]{12,14}$/,
-  usps: /^(94|93|92|94|95)[0-9]{20}$/,
-  dhl: /^[0-9]{10,11}$/
-};
+// 'mock' serves generated demo data; 'live' routes through the carrier adapters
+const TRACKING_MODE = import.meta.env.VITE_TRACKING_MODE || 'mock';
+
+// Points every carrier adapter at one host, e.g. the local fixture stub server
+const CARRIER_API_BASE_URL = import.meta.env.VITE_CARRIER_API_BASE_URL || null;
 
 /**
- * Detect carrier from tracking number pattern
+ * Fetch shipment tracking data, served from the tracking cache when possible.
+ * `options` are passed to getCachedTracking: { allowStale, onRevalidate }.
  */
-export const detectCarrier = (trackingNumber) => {
-  const cleaned = trackingNumber.replace(/\s+/g, '').toUpperCase();
-  
-  for (const [carrier, pattern] of Object.entries(CARRIER_PATTERNS)) {
-    if (pattern.test(cleaned)) {
-      return carrier;
-    }
-  }
-  
-  return 'unknown';
+export const fetchTrackingData = (trackingNumber, carrier, options) => {
+  return getCachedTracking(trackingNumber, carrier, () => fetchFromCarrier(trackingNumber, carrier), options);
 };
 
 /**
- * Fetch shipment tracking data from carrier APIs
+ * Call the carrier API (or the mock) directly
  */
-export const fetchTrackingData = async (trackingNumber, carrier) => {
+const fetchFromCarrier = async (trackingNumber, carrier) => {
   try {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-    
-    // Mock API response - In production, this would call real carrier APIs
-    const mockResponse = generateMockTrackingData(trackingNumber, carrier);
-    
-    // Simulate occasional API failures
-    if (Math.random() < 0.1) {
-      throw new Error('Carrier API temporarily unavailable');
+    if (TRACKING_MODE !== 'live') {
+      return await fetchMockTrackingData(trackingNumber, carrier);
     }
-    
-    return mockResponse;
+
+    const adapter = getCarrierAdapter(carrier);
+    if (!adapter) {
+      throw new Error(`No tracking integration for carrier "${carrier}"`);
+    }
+
+    const parsedNumber = adapter.parseTrackingNumber(trackingNumber);
+    if (!parsedNumber) {
+      throw new Error(`${trackingNumber} is not a valid ${adapter.name} tracking number`);
+    }
+
+    const payload = await adapter.fetchTracking(parsedNumber, {
+      baseUrl: CARRIER_API_BASE_URL || adapter.defaultBaseUrl,
+      apiKey: TRACKING_API_KEY
+    });
+
+    return adapter.normalize(payload);
   } catch (error) {
     console.error('Tracking API Error:', error);
     throw new Error(`Failed to fetch tracking data: ${error.message}`);
@@ -54,61 +60,115 @@ export const fetchTrackingData = async (trackingNumber, carrier) => {
 };
 
 /**
- * Generate mock tracking data for development/demo
+ * Simulated carrier call used in demo mode
+ */
+const fetchMockTrackingData = async (trackingNumber, carrier) => {
+  // Simulate API call delay
+  await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+
+  // Simulate occasional API failures
+  if (Math.random() < 0.1) {
+    throw new Error('Carrier API temporarily unavailable');
+  }
+
+  return generateMockTrackingData(trackingNumber, carrier);
+};
+
+/**
+ * Small deterministic PRNG so a tracking number always produces the same
+ * mock timeline and repeated polls don't invent new history
+ */
+const createSeededRandom = (value) => {
+  let seed = 0;
+  for (let i = 0; i < value.length; i++) {
+    seed = (seed * 31 + value.charCodeAt(i)) % 2147483647;
+  }
+  seed = seed || 1;
+
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// When demo mode first saw the tracking number, remembered so its timeline
+// never starts over
+const getFirstSeenAt = (key, now) => {
+  const firstSeen = mockTrackingStorage.load();
+  if (!firstSeen[key]) {
+    mockTrackingStorage.save({ ...firstSeen, [key]: now.toISOString() });
+    return now.getTime();
+  }
+  return new Date(firstSeen[key]).getTime();
+};
+
+/**
+ * Generate mock tracking data for development/demo.
+ * Each tracking number follows a fixed timeline starting when it was first
+ * looked up, so the status advances as time passes rather than changing at
+ * random between polls.
  */
 const generateMockTrackingData = (trackingNumber, carrier) => {
-  const statuses = ['pending', 'in_transit', 'out_for_delivery', 'delivered'];
-  const currentStatusIndex = Math.floor(Math.random() * statuses.length);
-  const currentStatus = statuses[currentStatusIndex];
-  
-  // Simulate delays
-  const isDelayed = Math.random() < 0.15;
-  const finalStatus = isDelayed && currentStatus !== 'delivered' ? 'delayed' : currentStatus;
-  
+  const key = `${carrier}:${trackingNumber}`;
+  const random = createSeededRandom(key);
   const now = new Date();
-  const estimatedDelivery = new Date(now.getTime() + (Math.random() * 7 + 1) * 24 * 60 * 60 * 1000);
-  
-  // Generate realistic tracking history
-  const historicalStatuses = [];
-  const statusesToShow = isDelayed ? currentStatusIndex + 1 : currentStatusIndex + 1;
-  
-  for (let i = 0; i < statusesToShow; i++) {
-    const hoursAgo = (statusesToShow - i) * 8 + Math.random() * 4;
-    historicalStatuses.push({
-      status: statuses[i],
-      timestamp: new Date(now.getTime() - hoursAgo * 60 * 60 * 1000),
-      location: generateLocation(carrier, statuses[i]),
-      description: generateStatusDescription(statuses[i])
-    });
-  }
-  
+
+  // Drawn first, so they don't depend on how many milestones have passed
+  const carrierDetails = {
+    service: getCarrierService(carrier, random),
+    weight: `${(random() * 10 + 0.5).toFixed(1)} lbs`,
+    dimensions: `${Math.floor(random() * 20 + 5)}"x${Math.floor(random() * 15 + 5)}"x${Math.floor(random() * 10 + 3)}"`
+  };
+
+  // Shipped up to two days before the number was first looked up
+  const shippedAt = getFirstSeenAt(key, now) - Math.floor(random() * 48) * HOUR;
+
+  const isDelayed = random() < 0.15;
+  const delayHours = isDelayed ? 24 + Math.floor(random() * 24) : 0;
+
+  const milestones = [
+    { status: 'pending', at: shippedAt },
+    { status: 'in_transit', at: shippedAt + (6 + Math.floor(random() * 12)) * HOUR }
+  ];
+  const transitHours = 24 + Math.floor(random() * 72);
   if (isDelayed) {
-    historicalStatuses.push({
-      status: 'delayed',
-      timestamp: new Date(now.getTime() - 2 * 60 * 60 * 1000),
-      location: 'In Transit',
-      description: 'Package delayed due to weather conditions'
-    });
+    milestones.push({ status: 'delayed', at: milestones[1].at + Math.floor(transitHours / 2) * HOUR });
   }
-  
+  const outForDeliveryAt = milestones[1].at + (transitHours + delayHours) * HOUR;
+  milestones.push({ status: 'out_for_delivery', at: outForDeliveryAt });
+  milestones.push({ status: 'delivered', at: outForDeliveryAt + (3 + Math.floor(random() * 6)) * HOUR });
+
+  const historicalStatuses = milestones
+    .map(milestone => ({
+      status: milestone.status,
+      timestamp: new Date(milestone.at),
+      location: milestone.status === 'delayed' ? 'In Transit' : generateLocation(carrier, random),
+      description: milestone.status === 'delayed'
+        ? 'Package delayed due to weather conditions'
+        : generateStatusDescription(milestone.status)
+    }))
+    .filter(event => event.timestamp.getTime() <= now.getTime());
+
+  const latest = historicalStatuses[historicalStatuses.length - 1];
+  const finalStatus = latest ? latest.status : 'pending';
+  const deliveredAt = milestones[milestones.length - 1].at;
+
   return {
     trackingNumber,
     carrier,
     status: finalStatus,
-    estimatedDelivery,
-    actualDelivery: finalStatus === 'delivered' ? 
-      new Date(now.getTime() - Math.random() * 24 * 60 * 60 * 1000) : null,
+    // The carrier's original promise, so delayed packages show as late
+    estimatedDelivery: new Date(deliveredAt - delayHours * HOUR),
+    actualDelivery: finalStatus === 'delivered' ? new Date(deliveredAt) : null,
     lastUpdated: now,
     historicalStatuses,
-    carrierDetails: {
-      service: getCarrierService(carrier),
-      weight: `${(Math.random() * 10 + 0.5).toFixed(1)} lbs`,
-      dimensions: `${Math.floor(Math.random() * 20 + 5)}"x${Math.floor(Math.random() * 15 + 5)}"x${Math.floor(Math.random() * 10 + 3)}"`
-    }
+    carrierDetails
   };
 };
 
-const generateLocation = (carrier, status) => {
+const generateLocation = (carrier, random = Math.random) => {
   const locations = {
     ups: ['Atlanta, GA', 'Louisville, KY', 'Chicago, IL', 'Los Angeles, CA'],
     fedex: ['Memphis, TN', 'Indianapolis, IN', 'Oakland, CA', 'Newark, NJ'],
@@ -117,7 +177,7 @@ const generateLocation = (carrier, status) => {
   };
   
   const carrierLocations = locations[carrier] || locations.ups;
-  return carrierLocations[Math.floor(Math.random() * carrierLocations.length)];
+  return carrierLocations[Math.floor(random() * carrierLocations.length)];
 };
 
 const generateStatusDescription = (status) => {
@@ -132,7 +192,7 @@ const generateStatusDescription = (status) => {
   return descriptions[status] || 'Status update';
 };
 
-const getCarrierService = (carrier) => {
+const getCarrierService = (carrier, random = Math.random) => {
   const services = {
     ups: ['UPS Ground', 'UPS 2nd Day Air', 'UPS Next Day Air'],
     fedex: ['FedEx Ground', 'FedEx Express', 'FedEx 2Day'],
@@ -141,7 +201,7 @@ const getCarrierService = (carrier) => {
   };
   
   const carrierServices = services[carrier] || services.ups;
-  return carrierServices[Math.floor(Math.random() * carrierServices.length)];
+  return carrierServices[Math.floor(random() * carrierServices.length)];
 };
 
 /**
@@ -189,23 +249,15 @@ export const createSubscription = async (paymentMethodId, planType, userEmail) =
 
 /**
  * Email Notification Service
+ * Renders the `notificationType` template (alert, digest or delivered) with
+ * `data` and sends it through the configured email transport
  */
-export const sendNotificationEmail = async (userEmail, notificationType, shipmentData) => {
-  try {
-    // Mock email service call
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    console.log(`Email sent to ${userEmail}:`, {
-      type: notificationType,
-      shipment: shipmentData.trackingNumber,
-      status: shipmentData.status
-    });
-    
-    return { success: true, messageId: `msg_${Date.now()}` };
-  } catch (error) {
-    console.error('Email notification failed:', error);
-    throw error;
+export const sendNotificationEmail = async (userEmail, notificationType, data) => {
+  const result = await sendEmail({ to: userEmail, type: notificationType, data });
+  if (!result.success) {
+    throw new Error(`Email notification failed: ${result.error}`);
   }
+  return result;
 };
 
 /**
@@ -215,8 +267,8 @@ export const updateUserPreferences = async (userId, preferences) => {
   try {
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    // Store in localStorage for demo
-    localStorage.setItem('userPreferences', JSON.stringify(preferences));
+    // Store locally for demo
+    preferencesStorage.save(preferences);
     
     return { success: true };
   } catch (error) {
@@ -226,19 +278,22 @@ export const updateUserPreferences = async (userId, preferences) => {
 
 export const getUserPreferences = async (userId) => {
   try {
-    const stored = localStorage.getItem('userPreferences');
-    return stored ? JSON.parse(stored) : {
+    return preferencesStorage.load() || {
       emailNotifications: true,
       delayAlerts: true,
       deliveryAlerts: true,
-      weeklyDigest: false
+      weeklyDigest: false,
+      digestDay: 1,
+      digestTime: '09:00'
     };
   } catch (error) {
     return {
       emailNotifications: true,
       delayAlerts: true,
       deliveryAlerts: true,
-      weeklyDigest: false
+      weeklyDigest: false,
+      digestDay: 1,
+      digestTime: '09:00'
     };
   }
 };
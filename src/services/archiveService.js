@@ -0,0 +1,60 @@
+/**
+ * Shipment Archive
+ * Delivered shipments move to the archive a number of days after delivery,
+ * where they stop counting against the plan's shipment limit and are no
+ * longer refreshed. How long the plan keeps them depends on the plan; ones
+ * past that are only deleted once the user confirms.
+ */
+
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { parseSearchQuery, matchesSearchQuery } from './searchQuery.js';
+
+export const isArchived = (shipment) => Boolean(shipment.archivedAt);
+
+// Shipments that count against the plan limit and show on the dashboard
+export const getActiveShipments = (shipments) => shipments.filter(shipment => !isArchived(shipment));
+
+// Archived shipments, most recently delivered first
+export const getArchivedShipments = (shipments) => shipments
+  .filter(isArchived)
+  .sort((a, b) => new Date(getDeliveredAt(b)).getTime() - new Date(getDeliveredAt(a)).getTime());
+
+export const getDeliveredAt = (shipment) => shipment.actualDelivery || shipment.archivedAt || shipment.lastUpdated;
+
+/**
+ * When an archived shipment goes past `policy`'s history limit, or null if never
+ */
+export const getPurgeDate = (shipment, policy) => (
+  policy.keepArchivedDays === Infinity ? null : addDays(new Date(shipment.archivedAt), policy.keepArchivedDays)
+);
+
+// Shipments restored from the archive count from the restore, so they stay
+// on the dashboard for another `archiveAfterDays`
+const getArchiveCountdownStart = (shipment) => {
+  const deliveredAt = new Date(getDeliveredAt(shipment));
+  const restoredAt = shipment.restoredAt ? new Date(shipment.restoredAt) : null;
+  return restoredAt && restoredAt > deliveredAt ? restoredAt : deliveredAt;
+};
+
+/**
+ * Delivered shipments `policy` says should be archived now, as shipment ids
+ */
+export const getShipmentsToArchive = (shipments, policy, now = new Date()) => shipments
+  .filter(shipment => !isArchived(shipment) && shipment.status === 'delivered' && getDeliveredAt(shipment))
+  .filter(shipment => differenceInCalendarDays(now, getArchiveCountdownStart(shipment)) >= policy.archiveAfterDays)
+  .map(shipment => shipment.shipmentId);
+
+/**
+ * Archived shipments kept longer than `policy` allows. They stay until the
+ * user deletes them or upgrades.
+ */
+export const getExpiredShipments = (shipments, policy, now = new Date()) => shipments
+  .filter(shipment => isArchived(shipment) && getPurgeDate(shipment, policy) && getPurgeDate(shipment, policy) <= now);
+
+/**
+ * Archived shipments matching a search, using the same syntax as the dashboard
+ */
+export const searchArchive = (shipments, searchTerm, now = Date.now()) => {
+  const query = parseSearchQuery(searchTerm);
+  return getArchivedShipments(shipments).filter(shipment => matchesSearchQuery(shipment, query, now));
+};
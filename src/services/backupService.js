@@ -0,0 +1,112 @@
+/**
+ * Automatic Backups
+ * Rolling restore points of shipments, alerts, preferences and app state,
+ * kept in IndexedDB so they survive localStorage being cleared or a bad
+ * import. One is taken automatically per day, and the user can take more.
+ * The newest MAX_BACKUPS of each kind are kept, so manual backups never
+ * push out the daily ones.
+ */
+
+import { STORES, isDatabaseAvailable, withStore } from './database.js';
+import { dataExport, dataImport } from './storageService.js';
+import { IMPORT_MODES } from './importPlan.js';
+
+export const BACKUP_INTERVAL = 24 * 60 * 60 * 1000;
+export const MAX_BACKUPS = 7;
+
+export const BACKUP_REASONS = {
+  AUTOMATIC: 'automatic',
+  MANUAL: 'manual'
+};
+
+export const isBackupAvailable = () => isDatabaseAvailable();
+
+const readAll = () => withStore(STORES.BACKUPS, 'readonly', store => store.getAll());
+
+// Everything except the (large) data itself
+const toSummary = ({ data, ...summary }) => ({ ...summary, createdAt: new Date(summary.createdAt) });
+
+/**
+ * Backups newest first, without their data
+ */
+export const listBackups = async () => {
+  if (!isBackupAvailable()) return [];
+
+  try {
+    const backups = await readAll();
+    return backups
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(toSummary);
+  } catch (error) {
+    console.error('Error reading backups:', error);
+    return [];
+  }
+};
+
+// Drop the oldest backups taken for `reason` beyond MAX_BACKUPS
+const pruneBackups = async (reason) => {
+  const backups = (await readAll())
+    .filter(backup => backup.reason === reason)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const expired = backups.slice(MAX_BACKUPS).map(backup => backup.id);
+  if (expired.length === 0) return;
+
+  await withStore(STORES.BACKUPS, 'readwrite', store => {
+    expired.forEach(id => store.delete(id));
+  });
+};
+
+/**
+ * Take a backup now and drop the oldest of the same kind beyond MAX_BACKUPS.
+ * Returns the new backup's summary, or null if it couldn't be saved.
+ */
+export const createBackup = async (reason = BACKUP_REASONS.MANUAL) => {
+  if (!isBackupAvailable()) return null;
+
+  try {
+    const data = await dataExport.exportAll();
+    const { shipments, alerts } = JSON.parse(data);
+    const backup = {
+      id: `backup_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      createdAt: new Date().toISOString(),
+      reason,
+      counts: { shipments: shipments.length, alerts: alerts.length },
+      size: data.length,
+      data
+    };
+
+    await withStore(STORES.BACKUPS, 'readwrite', store => store.put(backup));
+    await pruneBackups(reason);
+    return toSummary(backup);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return null;
+  }
+};
+
+/**
+ * Take the daily automatic backup if the newest automatic one is older than
+ * BACKUP_INTERVAL. Returns the new backup's summary, or null if none was due.
+ */
+export const runScheduledBackup = async () => {
+  const [latest] = (await listBackups()).filter(backup => backup.reason === BACKUP_REASONS.AUTOMATIC);
+  if (latest && Date.now() - latest.createdAt.getTime() < BACKUP_INTERVAL) return null;
+  return createBackup(BACKUP_REASONS.AUTOMATIC);
+};
+
+const loadBackupData = async (backupId) => {
+  const backup = await withStore(STORES.BACKUPS, 'readonly', store => store.get(backupId));
+  if (!backup) throw new Error('Backup not found');
+  return dataImport.parse(backup.data);
+};
+
+/**
+ * What restoring a backup would change, as an import plan (see importPlan.js).
+ * In replace mode this is a straight comparison of the backup with current data.
+ */
+export const compareBackup = async (backupId, mode = IMPORT_MODES.REPLACE) =>
+  dataImport.preview(await loadBackupData(backupId), mode);
+
+export const deleteBackup = async (backupId) => {
+  await withStore(STORES.BACKUPS, 'readwrite', store => store.delete(backupId));
+};
@@ -0,0 +1,150 @@
+/**
+ * Bulk Tracking Number Import
+ * Finds tracking number candidates in pasted text, CSV files and forwarded
+ * order-confirmation emails, and prepares rows for the bulk-add review.
+ */
+
+import { detectCarrierCandidates, DETECTION_THRESHOLD } from './carriers/index.js';
+import { parseCSV } from './csv.js';
+
+const KNOWN_CARRIERS = ['ups', 'fedex', 'usps', 'dhl', 'other'];
+
+// Whole tokens long enough to be a tracking number
+const TOKEN_PATTERN = /\b[A-Z0-9]{8,35}\b/gi;
+// Numbers printed in groups, e.g. "9400 1000 0000 0000 0000 00"
+const GROUPED_DIGITS_PATTERN = /\b\d{2,6}(?:[ -]\d{2,6}){2,8}\b/g;
+// Grouped like a North American phone number, "800 555 1234". One in seven
+// of those passes the DHL Express check digit, so they are never taken.
+const PHONE_PATTERN = /^\d{3}[ -]\d{3}[ -]\d{4}$/;
+
+const normalize = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+const toCandidate = (raw, extra = {}) => {
+  const [best] = detectCarrierCandidates(normalize(raw));
+  if (!best) return null;
+
+  return {
+    trackingNumber: best.trackingNumber,
+    carrier: best.confidence >= DETECTION_THRESHOLD ? best.carrier : 'other',
+    confidence: best.confidence,
+    checkDigit: best.checkDigit,
+    format: best.format,
+    ...extra
+  };
+};
+
+/**
+ * Pull a nickname hint from an email's Subject line, minus Fwd:/Re: prefixes
+ */
+const getEmailSubject = (text) => {
+  const match = text.match(/^subject:\s*(.+)$/im);
+  if (!match) return '';
+  return match[1].replace(/^((fwd?|re):\s*)+/i, '').trim().slice(0, 60);
+};
+
+/**
+ * Tracking numbers mentioned anywhere in free text. Only confident matches
+ * with a check digit that isn't wrong are kept, to skip order numbers, and
+ * numbers written like phone numbers are left out.
+ */
+export const extractFromText = (text) => {
+  const nickname = getEmailSubject(text);
+  const matches = [
+    ...(text.match(TOKEN_PATTERN) || []),
+    ...(text.match(GROUPED_DIGITS_PATTERN) || []).filter(match => !PHONE_PATTERN.test(match))
+  ];
+
+  return matches
+    .map(match => toCandidate(match, { nickname }))
+    .filter(candidate => candidate &&
+      candidate.confidence >= DETECTION_THRESHOLD &&
+      candidate.checkDigit !== 'invalid');
+};
+
+/**
+ * Rows of a CSV file. With a "tracking" column, every value in it is taken
+ * (plus optional carrier and nickname columns); otherwise cells are scanned
+ * like free text.
+ */
+export const extractFromCSV = (text) => {
+  const rows = parseCSV(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const trackingColumn = header.findIndex(cell => cell.includes('tracking'));
+  if (trackingColumn === -1) {
+    return extractFromText(rows.map(row => row.join(' ')).join('\n'));
+  }
+
+  const carrierColumn = header.findIndex(cell => cell.includes('carrier'));
+  const nicknameColumn = header.findIndex(cell => /nickname|name|description|item/.test(cell));
+
+  return rows.slice(1)
+    .filter(row => normalize(row[trackingColumn]))
+    .map(row => {
+      const givenCarrier = (row[carrierColumn] || '').trim().toLowerCase();
+      const nickname = (row[nicknameColumn] || '').trim();
+      const candidate = toCandidate(row[trackingColumn], { nickname }) || {
+        trackingNumber: normalize(row[trackingColumn]),
+        carrier: 'other',
+        confidence: 0,
+        checkDigit: 'unchecked',
+        format: 'Unrecognized',
+        nickname
+      };
+      return KNOWN_CARRIERS.includes(givenCarrier) ? { ...candidate, carrier: givenCarrier } : candidate;
+    });
+};
+
+/**
+ * Extract candidates from pasted content or an uploaded file's text
+ */
+export const extractTrackingNumbers = (text, fileName = '') => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const looksLikeCSV = /\.csv$/i.test(fileName) || (firstLine.includes(',') && /tracking/i.test(firstLine));
+  return looksLikeCSV ? extractFromCSV(text) : extractFromText(text);
+};
+
+/**
+ * Turn candidates into review rows: repeats within the input are merged and
+ * numbers already tracked are flagged. Rows start selected unless they are
+ * duplicates or carry no verified check digit.
+ */
+export const buildReviewRows = (candidates, shipments) => {
+  const tracked = new Set(shipments.map(shipment => normalize(shipment.trackingNumber)));
+  const seen = new Map();
+
+  candidates.forEach(candidate => {
+    const key = normalize(candidate.trackingNumber);
+    const existing = seen.get(key);
+    if (existing) {
+      existing.occurrences += 1;
+      if (!existing.nickname && candidate.nickname) existing.nickname = candidate.nickname;
+      return;
+    }
+
+    const duplicate = tracked.has(key);
+    seen.set(key, {
+      id: key,
+      ...candidate,
+      nickname: candidate.nickname || '',
+      occurrences: 1,
+      duplicate,
+      selected: !duplicate && (candidate.checkDigit === 'valid' || candidate.confidence >= DETECTION_THRESHOLD)
+    });
+  });
+
+  return Array.from(seen.values());
+};
+
+/**
+ * Mark selected rows that would go past the plan's remaining shipment slots
+ */
+export const applyPlanLimit = (rows, remaining) => {
+  let used = 0;
+  return rows.map(row => {
+    if (!row.selected || row.duplicate) return { ...row, overLimit: false };
+    used += 1;
+    return { ...row, overLimit: used > remaining };
+  });
+};
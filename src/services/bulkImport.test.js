@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { extractTrackingNumbers, buildReviewRows } from './bulkImport.js';
+
+const UPS_NUMBER = '1Z999AA10123456784';
+const USPS_NUMBER = '9205551234567890123458';
+
+const ORDER_EMAIL = [
+  'From: orders@example.com',
+  'Subject: Fwd: Your order #40123456 has shipped',
+  '',
+  `Your headphones are on their way with UPS: ${UPS_NUMBER}`,
+  'The charger ships separately by USPS: 9205 5512 3456 7890 1234 58',
+  'Questions? Call us at 1-800-555-1234 or text (800) 555-1245.'
+].join('\n');
+
+const summarize = (candidates) => candidates.map(({ trackingNumber, carrier, checkDigit }) => ({ trackingNumber, carrier, checkDigit }));
+
+describe('extractTrackingNumbers from text', () => {
+  it('finds tracking numbers in a forwarded order email, including grouped ones', () => {
+    const candidates = extractTrackingNumbers(ORDER_EMAIL);
+
+    expect(summarize(candidates)).toEqual([
+      { trackingNumber: UPS_NUMBER, carrier: 'ups', checkDigit: 'valid' },
+      { trackingNumber: USPS_NUMBER, carrier: 'usps', checkDigit: 'valid' }
+    ]);
+    expect(candidates.every(candidate => candidate.nickname === 'Your order #40123456 has shipped')).toBe(true);
+  });
+
+  it('skips phone numbers, even ones passing the DHL check digit', () => {
+    // 8005551234 and 8005551245 are valid DHL Express numbers when written unbroken
+    expect(extractTrackingNumbers('Call 800-555-1234, 1 800 555 1245 or (800) 555-1245')).toEqual([]);
+  });
+
+  it('skips numbers with a wrong check digit', () => {
+    expect(extractTrackingNumbers('Tracking: 1Z999AA10123456785')).toEqual([]);
+  });
+});
+
+describe('extractTrackingNumbers from CSV', () => {
+  it('takes every value in the tracking column, with carrier and nickname columns', () => {
+    const csv = [
+      'Tracking Number,Carrier,Nickname',
+      `${UPS_NUMBER},,Headphones`,
+      `${USPS_NUMBER},usps,"Charger, spare"`,
+      'ABC123,dhl,Gift'
+    ].join('\n');
+
+    expect(extractTrackingNumbers(csv, 'orders.csv').map(({ trackingNumber, carrier, nickname, format }) => ({ trackingNumber, carrier, nickname, format })))
+      .toEqual([
+        { trackingNumber: UPS_NUMBER, carrier: 'ups', nickname: 'Headphones', format: 'UPS 1Z' },
+        { trackingNumber: USPS_NUMBER, carrier: 'usps', nickname: 'Charger, spare', format: 'USPS IMpb' },
+        { trackingNumber: 'ABC123', carrier: 'dhl', nickname: 'Gift', format: 'Unrecognized' }
+      ]);
+  });
+
+  it('scans the cells like free text without a tracking column', () => {
+    const csv = ['Order,Shipment,Support', `40123456,${UPS_NUMBER},800-555-1234`].join('\n');
+
+    expect(summarize(extractTrackingNumbers(csv, 'export.csv'))).toEqual([
+      { trackingNumber: UPS_NUMBER, carrier: 'ups', checkDigit: 'valid' }
+    ]);
+  });
+});
+
+describe('buildReviewRows', () => {
+  it('merges repeats and flags numbers already tracked', () => {
+    const candidates = extractTrackingNumbers(`${UPS_NUMBER}\n${USPS_NUMBER}\n1z999aa10123456784`);
+    const rows = buildReviewRows(candidates, [{ trackingNumber: USPS_NUMBER }]);
+
+    expect(rows.map(({ trackingNumber, occurrences, duplicate, selected }) => ({ trackingNumber, occurrences, duplicate, selected })))
+      .toEqual([
+        { trackingNumber: UPS_NUMBER, occurrences: 2, duplicate: false, selected: true },
+        { trackingNumber: USPS_NUMBER, occurrences: 1, duplicate: true, selected: false }
+      ]);
+  });
+});
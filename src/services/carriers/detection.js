@@ -0,0 +1,201 @@
+/**
+ * Carrier Detection
+ * Single source of truth for recognizing tracking number formats. Every format
+ * validates its check digit where the carrier defines one, and detection returns
+ * ranked candidates instead of a single guess.
+ */
+
+import { cleanTrackingNumber } from './shared.js';
+
+// Minimum confidence for auto-detection to commit to a carrier
+export const DETECTION_THRESHOLD = 0.5;
+
+const digitsOf = (value) => value.split('').map(Number);
+
+/**
+ * Mod 10 with alternating 3/1 weights from the right (USPS IMpb, FedEx Ground)
+ */
+const mod10Weighted = (payload) => {
+  const sum = digitsOf(payload)
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * UPS 1Z check digit: letters map to (charCode - 63) mod 10, even positions doubled
+ */
+const upsCheckDigit = (payload) => {
+  const sum = payload.split('').reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10;
+    return total + value * (index % 2 === 1 ? 2 : 1);
+  }, 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * FedEx Express 12-digit check digit: weights 1, 3, 7 from the right, mod 11
+ */
+const fedexExpressCheckDigit = (payload) => {
+  const weights = [1, 3, 7];
+  const sum = digitsOf(payload)
+    .reverse()
+    .reduce((total, digit, index) => total + digit * weights[index % 3], 0);
+  return (sum % 11) % 10;
+};
+
+/**
+ * UPU S10 check digit: weights 8,6,4,2,3,5,9,7, mod 11 with 10 -> 0 and 11 -> 5
+ */
+const s10CheckDigit = (serial) => {
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  const sum = digitsOf(serial).reduce((total, digit, index) => total + digit * weights[index], 0);
+  const check = 11 - (sum % 11);
+  if (check === 10) return 0;
+  if (check === 11) return 5;
+  return check;
+};
+
+/**
+ * Known tracking number formats. `validate` receives the regex match and returns
+ * true/false for a check digit, or null when the format has none. `canonical`
+ * extracts the number the carrier API expects.
+ */
+const FORMATS = [
+  {
+    carrier: 'ups',
+    label: 'UPS 1Z',
+    pattern: /^1Z([0-9A-Z]{15})([0-9])$/,
+    validate: ([, payload, check]) => upsCheckDigit(payload) === Number(check),
+    confidence: { valid: 0.98, invalid: 0.6 }
+  },
+  {
+    carrier: 'fedex',
+    label: 'FedEx Express',
+    pattern: /^([0-9]{11})([0-9])$/,
+    validate: ([, payload, check]) => fedexExpressCheckDigit(payload) === Number(check),
+    confidence: { valid: 0.9, invalid: 0.15 }
+  },
+  {
+    carrier: 'fedex',
+    label: 'FedEx Ground',
+    pattern: /^([0-9]{14})([0-9])$/,
+    validate: ([, payload, check]) => mod10Weighted(payload) === Number(check),
+    confidence: { valid: 0.85, invalid: 0.15 }
+  },
+  {
+    carrier: 'fedex',
+    label: 'FedEx Ground 96',
+    pattern: /^96[0-9]{5}([0-9]{14})([0-9])$/,
+    validate: ([, payload, check]) => mod10Weighted(payload) === Number(check),
+    confidence: { valid: 0.95, invalid: 0.4 }
+  },
+  {
+    carrier: 'fedex',
+    label: 'FedEx',
+    pattern: /^[0-9]{13,14}$/,
+    validate: () => null,
+    confidence: { unchecked: 0.3 }
+  },
+  {
+    carrier: 'usps',
+    label: 'USPS IMpb',
+    pattern: /^(?:420[0-9]{5}(?:[0-9]{4})?)?((9[2-5][0-9]{17,23})([0-9]))$/,
+    validate: ([, , payload, check]) => mod10Weighted(payload) === Number(check),
+    canonical: ([, number]) => number,
+    confidence: { valid: 0.95, invalid: 0.35 }
+  },
+  {
+    carrier: 'usps',
+    label: 'S10 international',
+    pattern: /^[A-Z]{2}([0-9]{8})([0-9])([A-Z]{2})$/,
+    validate: ([, serial, check]) => s10CheckDigit(serial) === Number(check),
+    confidence: ([, , , country]) => (country === 'US'
+      ? { valid: 0.95, invalid: 0.3 }
+      : { valid: 0.7, invalid: 0.2 })
+  },
+  {
+    carrier: 'dhl',
+    label: 'DHL Express',
+    pattern: /^([0-9]{9})([0-9])$/,
+    validate: ([, payload, check]) => Number(payload) % 7 === Number(check),
+    confidence: { valid: 0.8, invalid: 0.2 }
+  },
+  {
+    carrier: 'dhl',
+    label: 'DHL Express',
+    pattern: /^[0-9]{11}$/,
+    validate: () => null,
+    confidence: { unchecked: 0.3 }
+  },
+  {
+    carrier: 'dhl',
+    label: 'DHL Parcel',
+    pattern: /^J{1,2}D[0-9]{10,20}$/,
+    validate: () => null,
+    confidence: { unchecked: 0.75 }
+  }
+];
+
+/**
+ * Return every carrier the tracking number could belong to, best match first.
+ * Each candidate is { carrier, confidence, checkDigit, format, trackingNumber }
+ * where checkDigit is 'valid', 'invalid' or 'unchecked'.
+ */
+export const detectCarrierCandidates = (trackingNumber) => {
+  const cleaned = cleanTrackingNumber(trackingNumber);
+  if (!cleaned) return [];
+
+  const bestByCarrier = new Map();
+
+  FORMATS.forEach(format => {
+    const match = cleaned.match(format.pattern);
+    if (!match) return;
+
+    const result = format.validate(match);
+    const checkDigit = result === null ? 'unchecked' : result ? 'valid' : 'invalid';
+    const confidences = typeof format.confidence === 'function'
+      ? format.confidence(match)
+      : format.confidence;
+
+    const candidate = {
+      carrier: format.carrier,
+      confidence: confidences[checkDigit],
+      checkDigit,
+      format: format.label,
+      trackingNumber: format.canonical ? format.canonical(match) : cleaned
+    };
+
+    const existing = bestByCarrier.get(format.carrier);
+    if (!existing || candidate.confidence > existing.confidence) {
+      bestByCarrier.set(format.carrier, candidate);
+    }
+  });
+
+  return Array.from(bestByCarrier.values()).sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Detect the most likely carrier, or 'other' when nothing is confident enough
+ */
+export const detectCarrier = (trackingNumber) => {
+  const [best] = detectCarrierCandidates(trackingNumber);
+  return best && best.confidence >= DETECTION_THRESHOLD ? best.carrier : 'other';
+};
+
+/**
+ * Return the canonical tracking number if it matches one of the carrier's formats
+ */
+export const parseTrackingNumber = (trackingNumber, carrier) => {
+  const candidate = detectCarrierCandidates(trackingNumber).find(c => c.carrier === carrier);
+  return candidate ? candidate.trackingNumber : null;
+};
+
+/**
+ * The tracking number to store for `carrier`: its canonical form when it
+ * matches one of the carrier's formats, otherwise just cleaned up, so the
+ * same number typed with or without spaces is the same shipment
+ */
+export const canonicalTrackingNumber = (trackingNumber, carrier) => {
+  return parseTrackingNumber(trackingNumber, carrier) || cleanTrackingNumber(trackingNumber);
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectCarrierCandidates,
+  detectCarrier,
+  parseTrackingNumber,
+  canonicalTrackingNumber
+} from './detection.js';
+
+const best = (trackingNumber) => {
+  const [candidate] = detectCarrierCandidates(trackingNumber);
+  return candidate && { carrier: candidate.carrier, format: candidate.format, checkDigit: candidate.checkDigit };
+};
+
+describe('detectCarrierCandidates', () => {
+  it('checks the UPS 1Z check digit', () => {
+    expect(best('1Z999AA10123456784')).toEqual({ carrier: 'ups', format: 'UPS 1Z', checkDigit: 'valid' });
+    expect(best('1Z999AA10123456785')).toEqual({ carrier: 'ups', format: 'UPS 1Z', checkDigit: 'invalid' });
+  });
+
+  it('checks the FedEx Express check digit', () => {
+    expect(best('987654321010')).toEqual({ carrier: 'fedex', format: 'FedEx Express', checkDigit: 'valid' });
+    expect(best('987654321011')).toEqual({ carrier: 'fedex', format: 'FedEx Express', checkDigit: 'invalid' });
+  });
+
+  it('accepts USPS IMpb numbers from 22 to 26 digits', () => {
+    expect(best('9205551234567890123458')).toEqual({ carrier: 'usps', format: 'USPS IMpb', checkDigit: 'valid' });
+    expect(best('92612901234567890123456786')).toEqual({ carrier: 'usps', format: 'USPS IMpb', checkDigit: 'valid' });
+    expect(best('92612901234567890123456787')).toEqual({ carrier: 'usps', format: 'USPS IMpb', checkDigit: 'invalid' });
+  });
+
+  it('strips the 420 ZIP routing prefix from IMpb barcodes', () => {
+    expect(detectCarrierCandidates('42010001 9205551234567890123458')[0].trackingNumber).toBe('9205551234567890123458');
+    expect(detectCarrierCandidates('420100011234 92612901234567890123456786')[0].trackingNumber)
+      .toBe('92612901234567890123456786');
+  });
+
+  it('trusts S10 numbers from the US more than from elsewhere', () => {
+    const [us] = detectCarrierCandidates('EE123456785US');
+    const [other] = detectCarrierCandidates('EE123456785GB');
+
+    expect(us).toMatchObject({ carrier: 'usps', checkDigit: 'valid' });
+    expect(other).toMatchObject({ carrier: 'usps', checkDigit: 'valid' });
+    expect(us.confidence).toBeGreaterThan(other.confidence);
+  });
+
+  it('checks the DHL Express mod 7 check digit', () => {
+    expect(best('1234567891')).toEqual({ carrier: 'dhl', format: 'DHL Express', checkDigit: 'valid' });
+    expect(best('1234567892')).toEqual({ carrier: 'dhl', format: 'DHL Express', checkDigit: 'invalid' });
+  });
+
+  it('ranks candidates best first and keeps one per carrier', () => {
+    const candidates = detectCarrierCandidates('1234567890128');
+
+    expect(candidates.map(candidate => candidate.carrier)).toEqual(['fedex']);
+    expect(candidates[0]).toMatchObject({ format: 'FedEx', checkDigit: 'unchecked' });
+  });
+
+  it('returns nothing for unknown formats', () => {
+    expect(detectCarrierCandidates('ABC123')).toEqual([]);
+    expect(detectCarrierCandidates('')).toEqual([]);
+  });
+});
+
+describe('detectCarrier', () => {
+  it('only commits to a carrier above the detection threshold', () => {
+    expect(detectCarrier('1Z999AA10123456784')).toBe('ups');
+    expect(detectCarrier('987654321011')).toBe('other');
+    expect(detectCarrier('12345678901')).toBe('other');
+  });
+});
+
+describe('canonical tracking numbers', () => {
+  it('treats spacing and case variants as the same number', () => {
+    expect(canonicalTrackingNumber('1z 999a a101 2345 6784', 'ups')).toBe('1Z999AA10123456784');
+    expect(canonicalTrackingNumber('9205-5512-3456-7890-1234-58', 'usps')).toBe('9205551234567890123458');
+  });
+
+  it('falls back to the cleaned number when it does not fit the carrier', () => {
+    expect(parseTrackingNumber('1Z999AA10123456784', 'fedex')).toBeNull();
+    expect(canonicalTrackingNumber(' abc-123 ', 'fedex')).toBe('ABC123');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * DHL carrier adapter
+ * Talks to the DHL Shipment Tracking - Unified API and normalizes its events
+ */
+
+import { parseTrackingNumber } from './detection.js';
+import {
+  requestJson,
+  formatLocation,
+  formatWeight,
+  formatDimensions,
+  buildShipment
+} from './shared.js';
+
+// DHL unified status codes mapped to app statuses
+const STATUS_CODES = {
+  'pre-transit': 'pending',
+  transit: 'in_transit',
+  delivered: 'delivered',
+  failure: 'delayed',
+  unknown: 'in_transit'
+};
+
+const statusForEvent = (event) => {
+  if (event.statusCode === 'transit' && /out for delivery|with delivery courier/i.test(event.description || '')) {
+    return 'out_for_delivery';
+  }
+  return STATUS_CODES[event.statusCode] || 'in_transit';
+};
+
+const dhl = {
+  id: 'dhl',
+  name: 'DHL',
+  defaultBaseUrl: 'https://api-eu.dhl.com',
+
+  parseTrackingNumber: (trackingNumber) => parseTrackingNumber(trackingNumber, 'dhl'),
+
+  fetchTracking: (trackingNumber, { baseUrl, apiKey }) => {
+    return requestJson(
+      `${baseUrl}/track/shipments?trackingNumber=${encodeURIComponent(trackingNumber)}`,
+      {
+        headers: {
+          'DHL-API-Key': apiKey
+        }
+      }
+    );
+  },
+
+  normalize: (payload) => {
+    const shipment = payload?.shipments?.[0];
+    if (!shipment) {
+      throw new Error('DHL response did not include any shipments');
+    }
+
+    const events = (shipment.events || []).map(event => ({
+      status: statusForEvent(event),
+      timestamp: new Date(event.timestamp),
+      location: formatLocation(event.location?.address?.addressLocality),
+      description: event.description
+    }));
+
+    const details = shipment.details || {};
+    const dimensions = details.dimensions;
+
+    return buildShipment({
+      trackingNumber: shipment.id,
+      carrier: 'dhl',
+      events,
+      estimatedDelivery: shipment.estimatedTimeOfDelivery,
+      actualDelivery: shipment.status?.statusCode === 'delivered' ? shipment.status.timestamp : null,
+      carrierDetails: {
+        service: details.product?.productName,
+        weight: details.weight && formatWeight(details.weight.value, details.weight.unitText),
+        dimensions: dimensions && formatDimensions(
+          dimensions.length?.value,
+          dimensions.width?.value,
+          dimensions.height?.value,
+          dimensions.length?.unitText
+        )
+      }
+    });
+  }
+};
+
+export default dhl;
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import dhl from './dhl.js';
+import fixtures from './fixtures/dhl.json';
+
+const TRACKING_NUMBER = '1234567891';
+
+describe('dhl adapter', () => {
+  it('normalizes the recorded in-transit response', () => {
+    const shipment = dhl.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(shipment).toMatchObject({
+      trackingNumber: TRACKING_NUMBER,
+      carrier: 'dhl',
+      status: 'in_transit',
+      actualDelivery: null,
+      carrierDetails: { service: 'DHL Express Worldwide', weight: '2.3 kg', dimensions: '30x20x15 cm' }
+    });
+    // DHL sends local times without an offset
+    expect(shipment.estimatedDelivery).toEqual(new Date('2026-10-20T18:00:00'));
+  });
+
+  it('orders events oldest first and maps status codes', () => {
+    const { historicalStatuses } = dhl.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(historicalStatuses.map(({ status, timestamp, location, description }) => ({ status, timestamp, location, description })))
+      .toEqual([
+        { status: 'pending', timestamp: new Date('2026-10-17T10:00:00'), location: 'LEIPZIG - GERMANY', description: 'Shipment information received' },
+        { status: 'in_transit', timestamp: new Date('2026-10-17T19:02:00'), location: 'LEIPZIG - GERMANY', description: 'Shipment picked up' },
+        { status: 'in_transit', timestamp: new Date('2026-10-18T22:15:00'), location: 'LEIPZIG - GERMANY', description: 'Departed Facility' },
+        { status: 'in_transit', timestamp: new Date('2026-10-19T06:40:00'), location: 'CINCINNATI HUB - USA', description: 'Clearance processing complete' }
+      ]);
+  });
+
+  it('rejects a response without shipments', () => {
+    expect(() => dhl.normalize({ shipments: [] })).toThrow('DHL response did not include any shipments');
+  });
+
+  it('parses its own tracking numbers', () => {
+    expect(dhl.parseTrackingNumber('12345 67891')).toBe(TRACKING_NUMBER);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * FedEx carrier adapter
+ * Talks to the FedEx Track API (v1) and normalizes its scan events
+ */
+
+import { parseTrackingNumber } from './detection.js';
+import {
+  requestJson,
+  formatLocation,
+  formatWeight,
+  formatDimensions,
+  buildShipment
+} from './shared.js';
+
+// FedEx derived status codes mapped to app statuses
+const STATUS_CODES = {
+  OC: 'pending',
+  PU: 'in_transit',
+  IT: 'in_transit',
+  AR: 'in_transit',
+  DP: 'in_transit',
+  OD: 'out_for_delivery',
+  DL: 'delivered',
+  DE: 'delayed',
+  DY: 'delayed',
+  SE: 'delayed',
+  CA: 'exception'
+};
+
+const fedex = {
+  id: 'fedex',
+  name: 'FedEx',
+  defaultBaseUrl: 'https://apis.fedex.com',
+
+  parseTrackingNumber: (trackingNumber) => parseTrackingNumber(trackingNumber, 'fedex'),
+
+  fetchTracking: (trackingNumber, { baseUrl, apiKey }) => {
+    return requestJson(`${baseUrl}/track/v1/trackingnumbers`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        includeDetailedScans: true,
+        trackingInfo: [{ trackingNumberInfo: { trackingNumber } }]
+      })
+    });
+  },
+
+  normalize: (payload) => {
+    const result = payload?.output?.completeTrackResults?.[0]?.trackResults?.[0];
+    if (!result) {
+      throw new Error('FedEx response did not include track results');
+    }
+
+    if (result.error) {
+      throw new Error(result.error.message || 'FedEx could not find this tracking number');
+    }
+
+    const events = (result.scanEvents || []).map(scan => ({
+      status: STATUS_CODES[scan.derivedStatusCode] || STATUS_CODES[scan.eventType] || 'in_transit',
+      timestamp: new Date(scan.date),
+      location: formatLocation(scan.scanLocation?.city, scan.scanLocation?.stateOrProvinceCode),
+      description: scan.eventDescription
+    }));
+
+    const dateOfType = (type) => result.dateAndTimes?.find(d => d.type === type)?.dateTime;
+    const weight = result.packageDetails?.weightAndDimensions?.weight?.[0];
+    const dimensions = result.packageDetails?.weightAndDimensions?.dimensions?.[0];
+
+    return buildShipment({
+      trackingNumber: result.trackingNumberInfo?.trackingNumber,
+      carrier: 'fedex',
+      events,
+      estimatedDelivery: dateOfType('ESTIMATED_DELIVERY')
+        || result.estimatedDeliveryTimeWindow?.window?.ends,
+      actualDelivery: dateOfType('ACTUAL_DELIVERY'),
+      carrierDetails: {
+        service: result.serviceDetail?.description,
+        weight: weight && formatWeight(weight.value, weight.unit),
+        dimensions: dimensions && formatDimensions(
+          dimensions.length,
+          dimensions.width,
+          dimensions.height,
+          dimensions.units
+        )
+      }
+    });
+  }
+};
+
+export default fedex;
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import fedex from './fedex.js';
+import fixtures from './fixtures/fedex.json';
+
+const TRACKING_NUMBER = '784123456786';
+
+describe('fedex adapter', () => {
+  it('normalizes the recorded delivered response', () => {
+    const shipment = fedex.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(shipment).toMatchObject({
+      trackingNumber: TRACKING_NUMBER,
+      carrier: 'fedex',
+      status: 'delivered',
+      estimatedDelivery: null,
+      carrierDetails: { service: 'FedEx 2Day', weight: '1.8 lbs', dimensions: '12"x9"x3"' }
+    });
+    expect(shipment.actualDelivery).toEqual(new Date('2026-10-16T14:42:00-05:00'));
+  });
+
+  it('orders scan events oldest first and maps event types', () => {
+    const { historicalStatuses } = fedex.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(historicalStatuses.map(({ status, timestamp, location, description }) => ({ status, timestamp, location, description })))
+      .toEqual([
+        { status: 'pending', timestamp: new Date('2026-10-14T09:30:00-05:00'), location: 'In Transit', description: 'Shipment information sent to FedEx' },
+        { status: 'in_transit', timestamp: new Date('2026-10-14T17:05:00-05:00'), location: 'Indianapolis, IN', description: 'Picked up' },
+        { status: 'in_transit', timestamp: new Date('2026-10-15T03:27:00-05:00'), location: 'Memphis, TN', description: 'Departed FedEx hub' },
+        { status: 'out_for_delivery', timestamp: new Date('2026-10-16T08:10:00-05:00'), location: 'Oakland, CA', description: 'On FedEx vehicle for delivery' },
+        { status: 'delivered', timestamp: new Date('2026-10-16T14:42:00-05:00'), location: 'Oakland, CA', description: 'Delivered' }
+      ]);
+  });
+
+  it('rejects a response without track results', () => {
+    expect(() => fedex.normalize({ output: { completeTrackResults: [] } })).toThrow('FedEx response did not include track results');
+  });
+
+  it('passes on the error FedEx reports for an unknown number', () => {
+    const payload = {
+      output: {
+        completeTrackResults: [{ trackResults: [{ error: { code: 'TRACKING.TRACKINGNUMBER.NOTFOUND', message: 'Tracking number cannot be found.' } }] }]
+      }
+    };
+    expect(() => fedex.normalize(payload)).toThrow('Tracking number cannot be found.');
+  });
+
+  it('parses its own tracking numbers', () => {
+    expect(fedex.parseTrackingNumber('7841 2345 6786')).toBe(TRACKING_NUMBER);
+  });
+});
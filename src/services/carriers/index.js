@@ -0,0 +1,52 @@
+/**
+ * Carrier Adapter Registry
+ * Each carrier module parses tracking numbers, calls its API and normalizes
+ * the raw payload into the app's shipment shape
+ */
+
+import ups from './ups.js';
+import fedex from './fedex.js';
+import usps from './usps.js';
+import dhl from './dhl.js';
+
+const adapters = new Map();
+
+/**
+ * Register a carrier adapter. Adapters must expose
+ * id, name, defaultBaseUrl, parseTrackingNumber, fetchTracking and normalize.
+ */
+export const registerCarrier = (adapter) => {
+  const required = ['parseTrackingNumber', 'fetchTracking', 'normalize'];
+  const missing = required.filter(method => typeof adapter?.[method] !== 'function');
+
+  if (!adapter?.id || missing.length > 0) {
+    throw new Error(`Invalid carrier adapter ${adapter?.id || ''}: missing ${missing.join(', ') || 'id'}`);
+  }
+
+  adapters.set(adapter.id, adapter);
+  return adapter;
+};
+
+/**
+ * Look up the adapter for a carrier id, or null if none is registered
+ */
+export const getCarrierAdapter = (carrierId) => {
+  return adapters.get(carrierId) || null;
+};
+
+/**
+ * List registered carriers as { id, name } pairs
+ */
+export const getRegisteredCarriers = () => {
+  return Array.from(adapters.values()).map(({ id, name }) => ({ id, name }));
+};
+
+[ups, fedex, usps, dhl].forEach(registerCarrier);
+
+export {
+  detectCarrier,
+  detectCarrierCandidates,
+  parseTrackingNumber,
+  canonicalTrackingNumber,
+  DETECTION_THRESHOLD
+} from './detection.js';
@@ -0,0 +1,123 @@
+/**
+ * Shared helpers for carrier adapters
+ * Request plumbing and the pieces of normalization every carrier needs
+ */
+
+// Descriptions used when a carrier event arrives without one
+export const STATUS_DESCRIPTIONS = {
+  pending: 'Package information received',
+  in_transit: 'Package is in transit to destination',
+  out_for_delivery: 'Package is out for delivery',
+  delivered: 'Package has been delivered',
+  delayed: 'Package delivery delayed',
+  exception: 'Delivery exception'
+};
+
+/**
+ * Strip whitespace and dashes and normalize case before pattern matching
+ */
+export const cleanTrackingNumber = (trackingNumber) => {
+  return String(trackingNumber || '').replace(/[\s-]+/g, '').toUpperCase();
+};
+
+/**
+ * Perform a request against a carrier API and return the parsed JSON body
+ */
+export const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Carrier API responded with ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Parse a date value, returning null for anything missing or invalid
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Join location parts, skipping blanks ("Memphis, TN")
+ */
+export const formatLocation = (...parts) => {
+  const location = parts.filter(Boolean).join(', ');
+  return location || 'In Transit';
+};
+
+/**
+ * Format a weight as "2.5 lbs"
+ */
+export const formatWeight = (value, unit = 'lbs') => {
+  const amount = parseFloat(value);
+  if (Number.isNaN(amount)) return null;
+
+  const units = { LB: 'lbs', LBS: 'lbs', KG: 'kg', KGS: 'kg', OZ: 'oz' };
+  return `${amount.toFixed(1)} ${units[String(unit).toUpperCase()] || unit}`;
+};
+
+/**
+ * Format dimensions as 12"x8"x4" (or 30x20x10 cm for metric units)
+ */
+export const formatDimensions = (length, width, height, unit = 'IN') => {
+  const values = [length, width, height].map(value => Math.round(parseFloat(value)));
+  if (values.some(Number.isNaN)) return null;
+
+  if (['IN', 'INCHES'].includes(String(unit).toUpperCase())) {
+    return values.map(value => `${value}"`).join('x');
+  }
+
+  return `${values.join('x')} ${String(unit).toLowerCase()}`;
+};
+
+/**
+ * Assemble the shipment shape used throughout the app from normalized events
+ */
+export const buildShipment = ({
+  trackingNumber,
+  carrier,
+  events,
+  estimatedDelivery = null,
+  actualDelivery = null,
+  carrierDetails = {}
+}) => {
+  const historicalStatuses = events
+    .filter(event => event.timestamp)
+    .map(event => ({
+      ...event,
+      description: event.description || STATUS_DESCRIPTIONS[event.status] || 'Status update'
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const latestEvent = historicalStatuses[historicalStatuses.length - 1];
+  const status = latestEvent?.status || 'pending';
+
+  return {
+    trackingNumber,
+    carrier,
+    status,
+    estimatedDelivery: toDate(estimatedDelivery),
+    actualDelivery: status === 'delivered'
+      ? toDate(actualDelivery) || latestEvent.timestamp
+      : null,
+    lastUpdated: new Date(),
+    historicalStatuses,
+    carrierDetails: {
+      service: carrierDetails.service || null,
+      weight: carrierDetails.weight || null,
+      dimensions: carrierDetails.dimensions || null
+    }
+  };
+};
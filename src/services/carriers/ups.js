@@ -0,0 +1,96 @@
+/**
+ * UPS carrier adapter
+ * Talks to the UPS Track API (v1) and normalizes its package activity
+ */
+
+import { parseTrackingNumber } from './detection.js';
+import {
+  requestJson,
+  formatLocation,
+  formatWeight,
+  formatDimensions,
+  buildShipment
+} from './shared.js';
+
+// UPS activity status types mapped to app statuses
+const STATUS_TYPES = {
+  M: 'pending',
+  P: 'in_transit',
+  I: 'in_transit',
+  O: 'out_for_delivery',
+  D: 'delivered',
+  X: 'delayed'
+};
+
+/**
+ * UPS sends dates as YYYYMMDD and times as HHMMSS
+ */
+const parseUpsDateTime = (date, time = '000000') => {
+  if (!date) return null;
+  const [, year, month, day] = date.match(/^(\d{4})(\d{2})(\d{2})$/) || [];
+  const [, hours, minutes, seconds] = time.match(/^(\d{2})(\d{2})(\d{2})$/) || [, '00', '00', '00'];
+  if (!year) return null;
+  return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}`);
+};
+
+const ups = {
+  id: 'ups',
+  name: 'UPS',
+  defaultBaseUrl: 'https://onlinetools.ups.com/api',
+
+  parseTrackingNumber: (trackingNumber) => parseTrackingNumber(trackingNumber, 'ups'),
+
+  fetchTracking: (trackingNumber, { baseUrl, apiKey }) => {
+    return requestJson(`${baseUrl}/track/v1/details/${encodeURIComponent(trackingNumber)}`, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        transId: `st_${Date.now()}`,
+        transactionSrc: 'shipmenttrackr'
+      }
+    });
+  },
+
+  normalize: (payload) => {
+    const pkg = payload?.trackResponse?.shipment?.[0]?.package?.[0];
+    if (!pkg) {
+      throw new Error('UPS response did not include package details');
+    }
+
+    const events = (pkg.activity || []).map(activity => ({
+      status: STATUS_TYPES[activity.status?.type] || 'in_transit',
+      timestamp: parseUpsDateTime(activity.date, activity.time),
+      location: formatLocation(
+        activity.location?.address?.city,
+        activity.location?.address?.stateProvince
+      ),
+      description: activity.status?.description
+    }));
+
+    const deliveryDate = (type) => {
+      const entry = pkg.deliveryDate?.find(d => d.type === type);
+      return entry ? parseUpsDateTime(entry.date, pkg.deliveryTime?.endTime) : null;
+    };
+
+    const dimension = pkg.dimension;
+
+    return buildShipment({
+      trackingNumber: pkg.trackingNumber,
+      carrier: 'ups',
+      events,
+      estimatedDelivery: deliveryDate('SDD') || deliveryDate('RDD'),
+      actualDelivery: deliveryDate('DEL'),
+      carrierDetails: {
+        service: pkg.service?.description ? `UPS ${pkg.service.description}` : null,
+        weight: pkg.weight && formatWeight(pkg.weight.weight, pkg.weight.unitOfMeasurement),
+        dimensions: dimension && formatDimensions(
+          dimension.length,
+          dimension.width,
+          dimension.height,
+          dimension.unitOfDimension
+        )
+      }
+    });
+  }
+};
+
+export default ups;
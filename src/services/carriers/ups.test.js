@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import ups from './ups.js';
+import fixtures from './fixtures/ups.json';
+
+const TRACKING_NUMBER = '1Z999AA12345678908';
+
+describe('ups adapter', () => {
+  it('normalizes the recorded in-transit response', () => {
+    const shipment = ups.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(shipment).toMatchObject({
+      trackingNumber: TRACKING_NUMBER,
+      carrier: 'ups',
+      status: 'in_transit',
+      actualDelivery: null,
+      carrierDetails: { service: 'UPS Ground', weight: '3.4 lbs', dimensions: '14"x10"x6"' }
+    });
+    // UPS sends local dates and times without an offset
+    expect(shipment.estimatedDelivery).toEqual(new Date('2026-10-21T20:00:00'));
+  });
+
+  it('orders activity oldest first and maps status types', () => {
+    const { historicalStatuses } = ups.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(historicalStatuses.map(({ status, timestamp, location, description }) => ({ status, timestamp, location, description })))
+      .toEqual([
+        {
+          status: 'pending',
+          timestamp: new Date('2026-10-17T16:04:00'),
+          location: 'In Transit',
+          description: 'Shipper created a label, UPS has not received the package yet.'
+        },
+        { status: 'in_transit', timestamp: new Date('2026-10-18T09:12:00'), location: 'Louisville, KY', description: 'Pickup Scan' },
+        { status: 'in_transit', timestamp: new Date('2026-10-18T21:30:00'), location: 'Atlanta, GA', description: 'Arrived at Facility' },
+        { status: 'in_transit', timestamp: new Date('2026-10-19T04:15:00'), location: 'Atlanta, GA', description: 'Departed from Facility' }
+      ]);
+  });
+
+  it('rejects a response without package details', () => {
+    expect(() => ups.normalize({ trackResponse: { shipment: [] } })).toThrow('UPS response did not include package details');
+  });
+
+  it('parses its own tracking numbers', () => {
+    expect(ups.parseTrackingNumber('1z 999 aa1 2345 6789 08')).toBe(TRACKING_NUMBER);
+  });
+});
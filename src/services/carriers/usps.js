@@ -0,0 +1,75 @@
+/**
+ * USPS carrier adapter
+ * Talks to the USPS Tracking API (v3) and normalizes its tracking events
+ */
+
+import { parseTrackingNumber } from './detection.js';
+import {
+  requestJson,
+  formatLocation,
+  formatWeight,
+  buildShipment
+} from './shared.js';
+
+// USPS event types mapped to app statuses, checked in order
+const EVENT_STATUSES = [
+  [/label created|pre-shipment|shipping label/i, 'pending'],
+  [/out for delivery/i, 'out_for_delivery'],
+  [/delivered/i, 'delivered'],
+  [/delay|alert|exception|attempted|notice left|undeliverable/i, 'delayed']
+];
+
+const statusForEvent = (eventType = '') => {
+  const match = EVENT_STATUSES.find(([pattern]) => pattern.test(eventType));
+  return match ? match[1] : 'in_transit';
+};
+
+const usps = {
+  id: 'usps',
+  name: 'USPS',
+  defaultBaseUrl: 'https://apis.usps.com',
+
+  parseTrackingNumber: (trackingNumber) => parseTrackingNumber(trackingNumber, 'usps'),
+
+  fetchTracking: (trackingNumber, { baseUrl, apiKey }) => {
+    return requestJson(
+      `${baseUrl}/tracking/v3/tracking/${encodeURIComponent(trackingNumber)}?expand=DETAIL`,
+      {
+        headers: {
+          Authorization: `Bearer ${apiKey}`
+        }
+      }
+    );
+  },
+
+  normalize: (payload) => {
+    if (!payload?.trackingNumber) {
+      throw new Error('USPS response did not include a tracking number');
+    }
+
+    const events = (payload.trackingEvents || []).map(event => ({
+      status: statusForEvent(event.eventType),
+      timestamp: new Date(event.eventTimestamp),
+      location: formatLocation(event.eventCity, event.eventState),
+      description: event.eventType
+    }));
+
+    const deliveredEvent = payload.trackingEvents?.find(
+      event => statusForEvent(event.eventType) === 'delivered'
+    );
+
+    return buildShipment({
+      trackingNumber: payload.trackingNumber,
+      carrier: 'usps',
+      events,
+      estimatedDelivery: payload.expectedDeliveryDate,
+      actualDelivery: deliveredEvent?.eventTimestamp,
+      carrierDetails: {
+        service: payload.mailClass ? `USPS ${payload.mailClass}` : null,
+        weight: payload.weight && formatWeight(payload.weight, payload.weightUnit)
+      }
+    });
+  }
+};
+
+export default usps;
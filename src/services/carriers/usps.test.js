@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import usps from './usps.js';
+import fixtures from './fixtures/usps.json';
+
+const TRACKING_NUMBER = '9205551234567890123458';
+
+describe('usps adapter', () => {
+  it('normalizes the recorded failed-attempt response as delayed', () => {
+    const shipment = usps.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(shipment).toMatchObject({
+      trackingNumber: TRACKING_NUMBER,
+      carrier: 'usps',
+      status: 'delayed',
+      actualDelivery: null,
+      carrierDetails: { service: 'USPS Priority Mail', weight: '0.9 lbs', dimensions: null }
+    });
+    expect(shipment.estimatedDelivery).toEqual(new Date('2026-10-18'));
+  });
+
+  it('orders tracking events oldest first and maps event types', () => {
+    const { historicalStatuses } = usps.normalize(fixtures[TRACKING_NUMBER]);
+
+    expect(historicalStatuses.map(({ status, timestamp, location, description }) => ({ status, timestamp, location, description })))
+      .toEqual([
+        {
+          status: 'pending',
+          timestamp: new Date('2026-10-15T18:01:00-05:00'),
+          location: 'CHICAGO, IL',
+          description: 'Shipping Label Created, USPS Awaiting Item'
+        },
+        { status: 'in_transit', timestamp: new Date('2026-10-16T15:20:00-05:00'), location: 'CHICAGO, IL', description: 'USPS in possession of item' },
+        { status: 'in_transit', timestamp: new Date('2026-10-17T02:48:00-04:00'), location: 'JERSEY CITY, NJ', description: 'Arrived at USPS Regional Facility' },
+        { status: 'out_for_delivery', timestamp: new Date('2026-10-18T07:12:00-04:00'), location: 'BROOKLYN, NY', description: 'Out for Delivery' },
+        {
+          status: 'delayed',
+          timestamp: new Date('2026-10-18T16:05:00-04:00'),
+          location: 'BROOKLYN, NY',
+          description: 'Delivery Attempted - No Access to Delivery Location'
+        }
+      ]);
+  });
+
+  it('rejects a response without a tracking number', () => {
+    expect(() => usps.normalize({ trackingEvents: [] })).toThrow('USPS response did not include a tracking number');
+  });
+
+  it('parses its own tracking numbers', () => {
+    expect(usps.parseTrackingNumber('9205 5512 3456 7890 1234 58')).toBe(TRACKING_NUMBER);
+  });
+});
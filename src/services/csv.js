@@ -0,0 +1,67 @@
+/**
+ * CSV Reading and Writing
+ * RFC 4180: comma-separated fields, optional double quotes, "" for a quote
+ * inside a quoted field, and CRLF line endings (LF is accepted when reading).
+ */
+
+/**
+ * Parse CSV text into an array of rows, each an array of field strings.
+ * Blank lines are skipped.
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Write rows (arrays of values) as CSV. Fields are quoted only when they
+ * contain a comma, quote, line break or surrounding whitespace.
+ */
+export const toCSV = (rows) =>
+  rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
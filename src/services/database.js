@@ -0,0 +1,167 @@
+/**
+ * IndexedDB Database
+ * Opens the app database and upgrades its schema through a versioned list of
+ * migrations. Each migration runs once, in order, inside the upgrade transaction.
+ */
+
+const DB_NAME = 'shipmenttrackr';
+
+export const STORES = {
+  SHIPMENTS: 'shipments',
+  META: 'meta',
+  ACTION_QUEUE: 'actionQueue',
+  BACKUPS: 'backups'
+};
+
+// Written by storageService before shipments moved to IndexedDB
+const LEGACY_SHIPMENTS_KEY = 'shipmenttrackr_shipments';
+
+/**
+ * Read shipments saved by the localStorage implementation. Its payload is
+ * { shipments, lastUpdated, version: '1.0' }; earlier builds stored a bare array.
+ */
+const readLegacyShipments = () => {
+  try {
+    const raw = localStorage.getItem(LEGACY_SHIPMENTS_KEY);
+    if (!raw) return [];
+
+    const data = JSON.parse(raw);
+    if (Array.isArray(data)) return data;
+    if (data && (data.version === '1.0' || data.version === undefined) && Array.isArray(data.shipments)) {
+      return data.shipments;
+    }
+
+    console.warn(`Skipping legacy shipments with unknown version ${data?.version}`);
+    return [];
+  } catch (error) {
+    console.error('Failed to read legacy shipments:', error);
+    return [];
+  }
+};
+
+/**
+ * Schema migrations. `upgrade(db, transaction)` must only use the upgrade
+ * transaction it is given; it cannot await anything outside IndexedDB.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create shipments store with status, carrier and trackingNumber indexes',
+    upgrade: (db) => {
+      const shipments = db.createObjectStore(STORES.SHIPMENTS, { keyPath: 'shipmentId' });
+      shipments.createIndex('status', 'status');
+      shipments.createIndex('carrier', 'carrier');
+      shipments.createIndex('trackingNumber', 'trackingNumber');
+
+      db.createObjectStore(STORES.META, { keyPath: 'key' });
+    }
+  },
+  {
+    version: 2,
+    description: 'Import shipments from localStorage',
+    upgrade: (db, transaction) => {
+      const legacyShipments = readLegacyShipments().filter(shipment => shipment?.shipmentId);
+      const store = transaction.objectStore(STORES.SHIPMENTS);
+
+      legacyShipments.forEach(shipment => store.put(shipment));
+      transaction.objectStore(STORES.META).put({
+        key: 'legacyImport',
+        importedAt: new Date().toISOString(),
+        count: legacyShipments.length
+      });
+
+      // Only drop the old copy once the import has committed
+      transaction.addEventListener('complete', () => {
+        localStorage.removeItem(LEGACY_SHIPMENTS_KEY);
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Create action queue for changes made while offline',
+    upgrade: (db) => {
+      const queue = db.createObjectStore(STORES.ACTION_QUEUE, { keyPath: 'id', autoIncrement: true });
+      queue.createIndex('shipmentId', 'shipmentId');
+    }
+  },
+  {
+    version: 4,
+    description: 'Create backups store for automatic restore points',
+    upgrade: (db) => {
+      const backups = db.createObjectStore(STORES.BACKUPS, { keyPath: 'id' });
+      backups.createIndex('createdAt', 'createdAt');
+    }
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply every migration between two schema versions
+ */
+export const runMigrations = (db, transaction, oldVersion, newVersion = DB_VERSION) => {
+  MIGRATIONS
+    .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+    .forEach(migration => {
+      console.info(`Running database migration ${migration.version}: ${migration.description}`);
+      migration.upgrade(db, transaction);
+    });
+};
+
+export const isDatabaseAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+let databasePromise = null;
+
+/**
+ * Open (and if needed upgrade) the database. The connection is shared.
+ */
+export const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab is upgrading the schema; let it proceed
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      console.warn('Database upgrade is waiting for other tabs to close');
+    };
+  });
+
+  return databasePromise;
+};
+
+/**
+ * Run `callback(store)` in a transaction and resolve once it commits.
+ * If the callback returns an IDBRequest, its result is the resolved value.
+ */
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request instanceof IDBRequest ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
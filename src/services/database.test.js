@@ -0,0 +1,176 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MIGRATIONS, STORES, DB_VERSION, runMigrations, openDatabase } from './database.js';
+
+const LEGACY_SHIPMENTS_KEY = 'shipmenttrackr_shipments';
+
+// Node has no localStorage; the v2 migration only needs these three methods
+const createLocalStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+let dbName;
+let nextDb = 0;
+
+// Open the test database at `version`, running migrations like openDatabase does
+const openAt = (version) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, version);
+  request.onupgradeneeded = (event) => {
+    runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const readAll = (db, storeName) => new Promise((resolve, reject) => {
+  const request = db.transaction(storeName).objectStore(storeName).getAll();
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const put = (db, storeName, value) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeName, 'readwrite');
+  transaction.objectStore(storeName).put(value);
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const indexNames = (db, storeName) => [...db.transaction(storeName).objectStore(storeName).indexNames].sort();
+
+const legacyShipment = (shipmentId, status = 'in_transit') => ({
+  shipmentId,
+  trackingNumber: `1Z${shipmentId}`,
+  carrier: 'ups',
+  status
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'info').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  globalThis.localStorage = createLocalStorage();
+  dbName = `shipmenttrackr-test-${nextDb++}`;
+});
+
+describe('database migrations', () => {
+  it('are numbered 1..n in order', () => {
+    expect(MIGRATIONS.map(migration => migration.version)).toEqual(MIGRATIONS.map((_, index) => index + 1));
+    expect(DB_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  it('v1 creates the shipments store with its indexes and the meta store', async () => {
+    const db = await openAt(1);
+
+    expect([...db.objectStoreNames].sort()).toEqual([STORES.META, STORES.SHIPMENTS]);
+    expect(indexNames(db, STORES.SHIPMENTS)).toEqual(['carrier', 'status', 'trackingNumber']);
+    const store = db.transaction(STORES.SHIPMENTS).objectStore(STORES.SHIPMENTS);
+    expect(store.keyPath).toBe('shipmentId');
+    db.close();
+  });
+
+  it('v2 imports shipments saved in localStorage and removes the old copy', async () => {
+    localStorage.setItem(LEGACY_SHIPMENTS_KEY, JSON.stringify({
+      shipments: [legacyShipment('a'), legacyShipment('b', 'delivered'), { trackingNumber: 'no-id' }],
+      lastUpdated: '2026-10-01T00:00:00.000Z',
+      version: '1.0'
+    }));
+
+    const db = await openAt(2);
+
+    const shipments = await readAll(db, STORES.SHIPMENTS);
+    expect(shipments.map(shipment => shipment.shipmentId).sort()).toEqual(['a', 'b']);
+    const [legacyImport] = await readAll(db, STORES.META);
+    expect(legacyImport).toMatchObject({ key: 'legacyImport', count: 2 });
+    expect(localStorage.getItem(LEGACY_SHIPMENTS_KEY)).toBeNull();
+    db.close();
+  });
+
+  it('v2 accepts the bare array written by early builds', async () => {
+    localStorage.setItem(LEGACY_SHIPMENTS_KEY, JSON.stringify([legacyShipment('a')]));
+
+    const db = await openAt(2);
+
+    expect(await readAll(db, STORES.SHIPMENTS)).toEqual([legacyShipment('a')]);
+    db.close();
+  });
+
+  it('v2 skips legacy data with an unknown version', async () => {
+    localStorage.setItem(LEGACY_SHIPMENTS_KEY, JSON.stringify({ shipments: [legacyShipment('a')], version: '9.0' }));
+
+    const db = await openAt(2);
+
+    expect(await readAll(db, STORES.SHIPMENTS)).toEqual([]);
+    db.close();
+  });
+
+  it('v2 records an empty import when there is nothing in localStorage', async () => {
+    const db = await openAt(2);
+
+    expect(await readAll(db, STORES.SHIPMENTS)).toEqual([]);
+    expect((await readAll(db, STORES.META))[0]).toMatchObject({ key: 'legacyImport', count: 0 });
+    db.close();
+  });
+
+  it('does not import localStorage data again once it has been imported', async () => {
+    localStorage.setItem(LEGACY_SHIPMENTS_KEY, JSON.stringify([legacyShipment('a')]));
+    let db = await openAt(2);
+    await put(db, STORES.SHIPMENTS, { ...legacyShipment('a'), status: 'delivered' });
+    const [firstImport] = await readAll(db, STORES.META);
+    db.close();
+
+    // Data left behind (e.g. written by an old tab) shows up again
+    localStorage.setItem(LEGACY_SHIPMENTS_KEY, JSON.stringify([legacyShipment('a'), legacyShipment('b')]));
+    db = await openAt(DB_VERSION);
+
+    expect(await readAll(db, STORES.SHIPMENTS)).toEqual([{ ...legacyShipment('a'), status: 'delivered' }]);
+    expect(await readAll(db, STORES.META)).toEqual([firstImport]);
+    expect(localStorage.getItem(LEGACY_SHIPMENTS_KEY)).not.toBeNull();
+    db.close();
+  });
+
+  it('v3 creates the offline action queue', async () => {
+    const db = await openAt(3);
+
+    const queue = db.transaction(STORES.ACTION_QUEUE).objectStore(STORES.ACTION_QUEUE);
+    expect(queue.autoIncrement).toBe(true);
+    expect(indexNames(db, STORES.ACTION_QUEUE)).toEqual(['shipmentId']);
+    db.close();
+  });
+
+  it('v4 creates the backups store', async () => {
+    const db = await openAt(4);
+
+    expect(indexNames(db, STORES.BACKUPS)).toEqual(['createdAt']);
+    expect(db.transaction(STORES.BACKUPS).objectStore(STORES.BACKUPS).keyPath).toBe('id');
+    db.close();
+  });
+
+  it('upgrades one version at a time to the same schema as a fresh install', async () => {
+    localStorage.setItem(LEGACY_SHIPMENTS_KEY, JSON.stringify([legacyShipment('a')]));
+    for (const { version } of MIGRATIONS) {
+      const db = await openAt(version);
+      db.close();
+    }
+    const upgraded = await openAt(DB_VERSION);
+    const upgradedSchema = Object.values(STORES).map(store => [store, indexNames(upgraded, store)]);
+    expect(await readAll(upgraded, STORES.SHIPMENTS)).toEqual([legacyShipment('a')]);
+    upgraded.close();
+
+    dbName = `${dbName}-fresh`;
+    const fresh = await openAt(DB_VERSION);
+    expect(Object.values(STORES).map(store => [store, indexNames(fresh, store)])).toEqual(upgradedSchema);
+    fresh.close();
+  });
+
+  it('openDatabase opens the app database at the latest version', async () => {
+    const db = await openDatabase();
+
+    expect(db.version).toBe(DB_VERSION);
+    expect([...db.objectStoreNames].sort()).toEqual(Object.values(STORES).sort());
+    expect(await openDatabase()).toBe(db);
+  });
+});
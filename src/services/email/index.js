@@ -0,0 +1,75 @@
+/**
+ * Email Delivery
+ * Renders notification templates and sends them through a pluggable
+ * transport, picked with VITE_EMAIL_TRANSPORT: 'mailbox' (default, keeps
+ * messages locally), 'http' (a server-side send endpoint, see
+ * transports/http.js) or 'smtp' (via a relay).
+ */
+
+import { renderEmail } from './templates.js';
+import mailbox from './transports/mailbox.js';
+import http from './transports/http.js';
+import smtp from './transports/smtp.js';
+
+const EMAIL_TRANSPORT = import.meta.env.VITE_EMAIL_TRANSPORT || 'mailbox';
+const EMAIL_FROM = import.meta.env.VITE_EMAIL_FROM || 'ShipmentTrackr <notifications@shipmenttrackr.com>';
+
+// Settings passed to each transport's send()
+const TRANSPORT_CONFIG = {
+  http: {
+    url: import.meta.env.VITE_EMAIL_API_URL || null
+  },
+  smtp: {
+    relayUrl: import.meta.env.VITE_SMTP_RELAY_URL || 'http://localhost:4025'
+  }
+};
+
+const transports = new Map();
+
+/**
+ * Register a transport. Transports must expose id, name and
+ * send(message, config), resolving to { messageId }.
+ */
+export const registerTransport = (transport) => {
+  if (!transport?.id || typeof transport.send !== 'function') {
+    throw new Error(`Invalid email transport ${transport?.id || ''}: missing ${transport?.id ? 'send' : 'id'}`);
+  }
+
+  transports.set(transport.id, transport);
+  return transport;
+};
+
+/**
+ * The transport emails go through unless a send asks for another
+ */
+export const getActiveTransport = () => transports.get(EMAIL_TRANSPORT) || mailbox;
+
+/**
+ * Render and send one email. `transport` overrides the configured one, e.g.
+ * 'mailbox' in tests. Returns { success, messageId } or { success: false, error }.
+ */
+export const sendEmail = async ({ to, type, data, transport: transportId }) => {
+  const transport = transportId ? transports.get(transportId) : getActiveTransport();
+  if (!transport) {
+    return { success: false, error: `Unknown email transport "${transportId}"` };
+  }
+
+  try {
+    const message = {
+      ...renderEmail(type, data),
+      type,
+      from: EMAIL_FROM,
+      to,
+      messageId: `${Date.now()}.${Math.random().toString(36).substr(2, 8)}@shipmenttrackr`
+    };
+    const { messageId } = await transport.send(message, TRANSPORT_CONFIG[transport.id] || {});
+    return { success: true, messageId };
+  } catch (error) {
+    console.error(`Email (${type}) to ${to} failed via ${transport.id}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+[mailbox, http, smtp].forEach(registerTransport);
+
+export { renderEmail, EMAIL_TYPES } from './templates.js';
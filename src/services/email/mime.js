@@ -0,0 +1,55 @@
+/**
+ * MIME Messages
+ * Builds a multipart/alternative RFC 5322 message (text and HTML parts) from a
+ * rendered email. Used by the SMTP transport and the local mail relay script,
+ * so it sticks to APIs available in both browsers and Node.
+ */
+
+const CRLF = '\r\n';
+
+const toBase64 = (value) => {
+  const bytes = new TextEncoder().encode(value);
+  let binary = '';
+  // Chunked so large bodies don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const wrap = (value, width = 76) => value.match(new RegExp(`.{1,${width}}`, 'g'))?.join(CRLF) || '';
+
+// Non-ASCII header values become RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${toBase64(value)}?=`);
+
+/**
+ * The bare address from "Name <address>" or "address"
+ */
+export const getAddress = (value) => (String(value).match(/<([^>]+)>/)?.[1] || String(value)).trim();
+
+export const buildMimeMessage = ({ from, to, subject, html, text, messageId, date = new Date() }) => {
+  const boundary = `=_part_${Math.random().toString(36).substr(2, 12)}`;
+  const recipients = Array.isArray(to) ? to : [to];
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrap(toBase64(body))
+  ].join(CRLF);
+
+  return [
+    `From: ${from}`,
+    `To: ${recipients.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', text),
+    part('text/html', html),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+};
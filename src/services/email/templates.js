@@ -0,0 +1,218 @@
+/**
+ * Email Templates
+ * Renders each notification type to { subject, html, text }. The HTML uses
+ * inline styles and tables so it survives mail clients; the text version
+ * carries the same content for clients that don't show HTML.
+ */
+
+import { format } from 'date-fns';
+
+const APP_NAME = 'ShipmentTrackr';
+const APP_URL = import.meta.env.VITE_APP_URL || 'https://shipmenttrackr.com';
+
+const COLORS = {
+  primary: 'hsl(210, 70%, 50%)',
+  text: 'hsl(210, 36%, 18%)',
+  muted: '#6b7280',
+  background: 'hsl(210, 36%, 96%)'
+};
+
+const PRIORITY_COLORS = { high: '#dc2626', medium: '#d97706', low: '#6b7280' };
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const shipmentUrl = (shipmentId) => `${APP_URL}/shipments/${encodeURIComponent(shipmentId)}`;
+
+const formatTime = (date) => (date ? format(new Date(date), 'MMM d, h:mm a') : '');
+
+// Shared page chrome around a template's body
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:${COLORS.background};font-family:Arial,Helvetica,sans-serif;color:${COLORS.text};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:16px;">
+<tr><td style="padding:24px 24px 0;font-size:20px;font-weight:bold;color:${COLORS.primary};">${APP_NAME}</td></tr>
+<tr><td style="padding:16px 24px 24px;">${body}</td></tr>
+<tr><td style="padding:16px 24px;font-size:12px;color:${COLORS.muted};border-top:1px solid #e5e7eb;">
+You're receiving this because email notifications are on. Change them in <a href="${APP_URL}/settings/notifications" style="color:${COLORS.primary};">Settings</a>.
+</td></tr>
+</table>
+</body>
+</html>`;
+
+const textFooter = `--\nYou're receiving this because email notifications are on. Change them at ${APP_URL}/settings/notifications`;
+
+const button = (href, label) =>
+  `<a href="${href}" style="display:inline-block;padding:10px 16px;background:${COLORS.primary};color:#ffffff;text-decoration:none;border-radius:10px;">${escapeHtml(label)}</a>`;
+
+const alertRowHtml = (alert) => `<tr>
+<td style="padding:8px 0;border-bottom:1px solid #f3f4f6;">
+<span style="font-size:12px;font-weight:bold;color:${PRIORITY_COLORS[alert.priority] || COLORS.muted};text-transform:uppercase;">${escapeHtml(alert.priority || '')}</span>
+<div style="font-weight:bold;">${escapeHtml(alert.title)}</div>
+<div><a href="${shipmentUrl(alert.shipmentId)}" style="color:${COLORS.text};">${escapeHtml(alert.message)}</a></div>
+<div style="font-size:12px;color:${COLORS.muted};">${escapeHtml(alert.trackingNumber)} · ${escapeHtml(formatTime(alert.timestamp))}</div>
+</td>
+</tr>`;
+
+const alertRowText = (alert) =>
+  `- [${(alert.priority || '').toUpperCase()}] ${alert.title}: ${alert.message}\n  ${alert.trackingNumber} · ${shipmentUrl(alert.shipmentId)}`;
+
+const TEMPLATES = {
+  // One high-priority alert: { alert }
+  alert: ({ alert }) => ({
+    subject: `${alert.title}: ${alert.message}`,
+    html: layout(alert.title, `
+<h1 style="font-size:18px;margin:0 0 8px;">${escapeHtml(alert.title)}</h1>
+<p style="margin:0 0 16px;">${escapeHtml(alert.message)}</p>
+<p style="margin:0 0 16px;font-size:14px;color:${COLORS.muted};">Tracking number ${escapeHtml(alert.trackingNumber)}${alert.metadata?.status ? ` · status ${escapeHtml(alert.metadata.status.replace(/_/g, ' '))}` : ''}</p>
+${button(shipmentUrl(alert.shipmentId), 'View shipment')}`),
+    text: [
+      alert.title,
+      '',
+      alert.message,
+      `Tracking number ${alert.trackingNumber}${alert.metadata?.status ? ` · status ${alert.metadata.status.replace(/_/g, ' ')}` : ''}`,
+      '',
+      `View shipment: ${shipmentUrl(alert.shipmentId)}`,
+      '',
+      textFooter
+    ].join('\n')
+  }),
+
+  // Several lower-priority alerts at once: { alerts }
+  digest: ({ alerts }) => ({
+    subject: `${alerts.length} shipment update${alerts.length === 1 ? '' : 's'}`,
+    html: layout('Shipment updates', `
+<h1 style="font-size:18px;margin:0 0 16px;">${alerts.length} shipment update${alerts.length === 1 ? '' : 's'}</h1>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">${alerts.map(alertRowHtml).join('')}</table>
+<p style="margin:16px 0 0;">${button(APP_URL, 'Open ShipmentTrackr')}</p>`),
+    text: [
+      `${alerts.length} shipment update${alerts.length === 1 ? '' : 's'}`,
+      '',
+      ...alerts.map(alertRowText),
+      '',
+      textFooter
+    ].join('\n')
+  }),
+
+  // A package arrived: { alert }
+  delivered: ({ alert }) => ({
+    subject: alert.message,
+    html: layout('Package delivered', `
+<h1 style="font-size:18px;margin:0 0 8px;color:#16a34a;">Package delivered</h1>
+<p style="margin:0 0 16px;">${escapeHtml(alert.message)}</p>
+<p style="margin:0 0 16px;font-size:14px;color:${COLORS.muted};">Tracking number ${escapeHtml(alert.trackingNumber)} · ${escapeHtml(formatTime(alert.timestamp))}</p>
+${button(shipmentUrl(alert.shipmentId), 'View delivery details')}`),
+    text: [
+      'Package delivered',
+      '',
+      alert.message,
+      `Tracking number ${alert.trackingNumber} · ${formatTime(alert.timestamp)}`,
+      '',
+      `View delivery details: ${shipmentUrl(alert.shipmentId)}`,
+      '',
+      textFooter
+    ].join('\n')
+  }),
+
+  // The week in review: { digest } from buildWeeklyDigest
+  weeklyDigest: ({ digest }) => {
+    const { periodStart, periodEnd, delivered, inTransit, delays, carriers } = digest;
+    const period = `${format(periodStart, 'MMM d')} – ${format(periodEnd, 'MMM d, yyyy')}`;
+    const name = (shipment) => shipment.nickname || shipment.trackingNumber;
+    const formatDay = (date) => (date ? format(new Date(date), 'EEE, MMM d') : 'no estimate yet');
+
+    const sections = [
+      {
+        title: `Delivered (${delivered.length})`,
+        rows: delivered.map(({ shipment, deliveredAt, daysLate }) => ({
+          shipmentId: shipment.shipmentId,
+          label: name(shipment),
+          detail: `${formatDay(deliveredAt)}${daysLate > 0 ? ` · ${daysLate} day(s) late` : daysLate === 0 ? ' · on time' : ''}`
+        }))
+      },
+      {
+        title: `Delayed (${delays.length})`,
+        rows: delays.map(({ shipment, daysOverdue }) => ({
+          shipmentId: shipment.shipmentId,
+          label: name(shipment),
+          detail: daysOverdue > 0 ? `${daysOverdue} day(s) overdue` : 'reported delayed by the carrier'
+        }))
+      },
+      {
+        title: `In transit (${inTransit.length})`,
+        rows: inTransit.map(({ shipment, estimatedDelivery }) => ({
+          shipmentId: shipment.shipmentId,
+          label: name(shipment),
+          detail: `expected ${formatDay(estimatedDelivery)}`
+        }))
+      }
+    ].filter(section => section.rows.length > 0);
+
+    const carrierRate = ({ onTimeRate }) => (onTimeRate === null ? 'no estimates' : `${onTimeRate}% on time`);
+
+    return {
+      subject: `Your week in shipments: ${delivered.length} delivered, ${inTransit.length + delays.length} on the way`,
+      html: layout('Weekly digest', `
+<h1 style="font-size:18px;margin:0 0 4px;">Your week in shipments</h1>
+<p style="margin:0 0 16px;font-size:14px;color:${COLORS.muted};">${escapeHtml(period)}</p>
+${sections.map(section => `
+<h2 style="font-size:16px;margin:16px 0 8px;">${escapeHtml(section.title)}</h2>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">${section.rows.map(row => `<tr>
+<td style="padding:6px 0;border-bottom:1px solid #f3f4f6;"><a href="${shipmentUrl(row.shipmentId)}" style="color:${COLORS.text};">${escapeHtml(row.label)}</a></td>
+<td style="padding:6px 0;border-bottom:1px solid #f3f4f6;text-align:right;font-size:14px;color:${COLORS.muted};">${escapeHtml(row.detail)}</td>
+</tr>`).join('')}</table>`).join('')}
+${carriers.length ? `
+<h2 style="font-size:16px;margin:16px 0 8px;">Carrier performance</h2>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">${carriers.map(carrier => `<tr>
+<td style="padding:6px 0;">${escapeHtml(carrier.name)}</td>
+<td style="padding:6px 0;text-align:right;font-size:14px;">${carrier.delivered} delivered · ${escapeHtml(carrierRate(carrier))}</td>
+</tr>`).join('')}</table>` : ''}
+<p style="margin:16px 0 0;">${button(APP_URL, 'Open ShipmentTrackr')}</p>`),
+      text: [
+        'Your week in shipments',
+        period,
+        ...sections.flatMap(section => ['', section.title, ...section.rows.map(row => `- ${row.label}: ${row.detail}`)]),
+        ...(carriers.length
+          ? ['', 'Carrier performance', ...carriers.map(carrier => `- ${carrier.name}: ${carrier.delivered} delivered, ${carrierRate(carrier)}`)]
+          : []),
+        '',
+        textFooter
+      ].join('\n')
+    };
+  },
+
+  // Confirms the address on the user's profile: { code }
+  verification: ({ code }) => ({
+    subject: `Your ${APP_NAME} confirmation code is ${code}`,
+    html: layout('Confirm your email', `
+<h1 style="font-size:18px;margin:0 0 8px;">Confirm your email</h1>
+<p style="margin:0 0 16px;">Enter this code in Settings to start getting shipment notifications at this address:</p>
+<p style="margin:0 0 16px;font-size:28px;font-weight:bold;letter-spacing:6px;">${escapeHtml(code)}</p>
+<p style="margin:0;font-size:14px;color:${COLORS.muted};">The code expires in 30 minutes. If you didn't ask for it, you can ignore this email.</p>`),
+    text: [
+      'Confirm your email',
+      '',
+      'Enter this code in Settings to start getting shipment notifications at this address:',
+      '',
+      code,
+      '',
+      "The code expires in 30 minutes. If you didn't ask for it, you can ignore this email."
+    ].join('\n')
+  })
+};
+
+export const EMAIL_TYPES = Object.keys(TEMPLATES);
+
+/**
+ * Render a notification. Throws for unknown types.
+ */
+export const renderEmail = (type, data) => {
+  const template = TEMPLATES[type];
+  if (!template) throw new Error(`Unknown email type "${type}"`);
+  return template(data);
+};
@@ -0,0 +1,31 @@
+/**
+ * HTTP transport
+ * Posts the rendered message as JSON to a send endpoint on a server: the
+ * local mail relay's /send, or a proxy that adds the email provider's API
+ * key. The key must never come from VITE_* settings, since Vite builds those
+ * into the bundle every visitor downloads.
+ */
+
+const http = {
+  id: 'http',
+  name: 'HTTP email API',
+
+  send: async ({ from, to, subject, html, text, messageId }, { url }) => {
+    if (!url) throw new Error('No email API URL configured (VITE_EMAIL_API_URL)');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from, to, subject, html, text })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Email API responded ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { messageId: body.id || body.messageId || messageId };
+  }
+};
+
+export default http;
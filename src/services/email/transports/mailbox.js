@@ -0,0 +1,19 @@
+/**
+ * Mailbox transport
+ * Keeps sent messages in local storage instead of delivering them, so emails
+ * can be read in Settings during development and checked in tests.
+ */
+
+import { mailboxStorage } from '../../storageService.js';
+
+const mailbox = {
+  id: 'mailbox',
+  name: 'Local mailbox',
+
+  send: async (message) => {
+    mailboxStorage.add({ ...message, sentAt: new Date().toISOString() });
+    return { messageId: message.messageId };
+  }
+};
+
+export default mailbox;
@@ -0,0 +1,35 @@
+/**
+ * SMTP transport
+ * Browsers can't open SMTP connections, so the message is built as raw MIME
+ * here and handed to an SMTP relay (see scripts/mail-relay-server.js), which
+ * delivers it to the configured mail server.
+ */
+
+import { buildMimeMessage, getAddress } from '../mime.js';
+
+const smtp = {
+  id: 'smtp',
+  name: 'SMTP',
+
+  send: async (message, { relayUrl }) => {
+    const recipients = Array.isArray(message.to) ? message.to : [message.to];
+    const response = await fetch(`${relayUrl}/smtp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        from: getAddress(message.from),
+        to: recipients.map(getAddress),
+        raw: buildMimeMessage(message)
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `SMTP relay responded ${response.status}`);
+    }
+
+    return { messageId: message.messageId };
+  }
+};
+
+export default smtp;
@@ -0,0 +1,229 @@
+/**
+ * Import Planning
+ * Validates an export file and works out what importing it would add, update
+ * and remove, in "merge" or "replace" mode. Nothing here touches storage; the
+ * resulting plan is shown as a preview and then applied by dataImport.apply.
+ */
+
+import { serializeShipment, deserializeShipment, deserializeAlerts } from './shipmentSchema.js';
+import { mergeShipmentRecords } from './shipmentMerge.js';
+
+export const IMPORT_MODES = {
+  // Keep everything and fold the file in; matching shipments are merged
+  MERGE: 'merge',
+  // Make local data match the file exactly
+  REPLACE: 'replace'
+};
+
+const describeShipment = (record, index) =>
+  record?.nickname || record?.trackingNumber || record?.shipmentId || `Shipment #${index + 1}`;
+
+const numberKey = (shipment) => String(shipment.trackingNumber || '').replace(/[\s-]/g, '').toUpperCase();
+
+// Missing values and empty lists count as the same thing
+const comparable = (value) => JSON.stringify(Array.isArray(value) && value.length === 0 ? null : value ?? null);
+
+const changedFields = (before, after) =>
+  Object.keys({ ...before, ...after })
+    .filter(field => comparable(before[field]) !== comparable(after[field]));
+
+/**
+ * Read an export file. Throws if it isn't JSON or holds no app data; otherwise
+ * returns the valid records plus `errors`, one entry per record that was
+ * skipped or repaired: { type, label, errors, skipped }.
+ */
+export const parseImportData = (jsonData) => {
+  let data;
+  try {
+    data = JSON.parse(jsonData);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const known = ['shipments', 'alerts', 'preferences', 'appState'];
+  if (!data || typeof data !== 'object' || !known.some(key => key in data)) {
+    throw new Error('The file does not contain any ShipmentTrackr data');
+  }
+
+  const errors = [];
+  const shipments = [];
+  const seenIds = new Set();
+
+  if (data.shipments !== undefined && !Array.isArray(data.shipments)) {
+    errors.push({ type: 'shipments', label: 'Shipments', errors: ['"shipments" is not a list'], skipped: true });
+  }
+  (Array.isArray(data.shipments) ? data.shipments : []).forEach((raw, index) => {
+    const { value, valid, errors: recordErrors } = deserializeShipment(raw);
+    const label = describeShipment(raw, index);
+
+    if (valid && seenIds.has(value.shipmentId)) {
+      errors.push({ type: 'shipment', label, errors: [`duplicate shipmentId ${value.shipmentId}`], skipped: true });
+      return;
+    }
+    if (recordErrors.length) {
+      errors.push({ type: 'shipment', label, errors: recordErrors, skipped: !valid });
+    }
+    if (valid) {
+      seenIds.add(value.shipmentId);
+      shipments.push(value);
+    }
+  });
+
+  const { alerts, invalid } = deserializeAlerts(Array.isArray(data.alerts) ? data.alerts : []);
+  invalid.forEach(({ record, errors: recordErrors }) => {
+    errors.push({ type: 'alert', label: record?.message || record?.id || 'Alert', errors: recordErrors, skipped: true });
+  });
+
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+  return {
+    shipments: Array.isArray(data.shipments) ? shipments : null,
+    alerts: Array.isArray(data.alerts) ? alerts : null,
+    preferences: isObject(data.preferences) ? data.preferences : null,
+    appState: isObject(data.appState) ? data.appState : null,
+    exportDate: data.exportDate || null,
+    errors
+  };
+};
+
+// Read and dismissed flags only ever turn on, so keep them from either copy
+const mergeAlert = (local, incoming) => ({
+  ...incoming,
+  ...local,
+  read: Boolean(local.read || incoming.read),
+  readAt: local.readAt || incoming.readAt,
+  dismissed: Boolean(local.dismissed || incoming.dismissed),
+  dismissedAt: local.dismissedAt || incoming.dismissedAt
+});
+
+const planShipments = (current, incoming, mode) => {
+  const byId = new Map(current.map(shipment => [shipment.shipmentId, shipment]));
+  const byNumber = new Map(current.map(shipment => [numberKey(shipment), shipment]));
+  const matched = new Set();
+  // Incoming shipmentId -> id it ends up with, so merged alerts follow their shipment
+  const idMap = new Map();
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+
+  incoming.forEach(record => {
+    // Exports from another device use different ids for the same package
+    const local = byId.get(record.shipmentId) || byNumber.get(numberKey(record));
+    if (!local || matched.has(local.shipmentId)) {
+      added.push(record);
+      idMap.set(record.shipmentId, record.shipmentId);
+      return;
+    }
+
+    matched.add(local.shipmentId);
+    const next = mode === IMPORT_MODES.MERGE
+      ? mergeShipmentRecords(local, { ...record, shipmentId: local.shipmentId })
+      : record;
+    idMap.set(record.shipmentId, next.shipmentId);
+
+    const fields = changedFields(serializeShipment(local), serializeShipment(next));
+    if (fields.length) {
+      updated.push({ before: local, after: next, fields });
+    } else {
+      unchanged.push(next);
+    }
+  });
+
+  const untouched = current.filter(shipment => !matched.has(shipment.shipmentId));
+  const removed = mode === IMPORT_MODES.REPLACE ? untouched : [];
+  const kept = mode === IMPORT_MODES.MERGE ? untouched : [];
+
+  return {
+    added,
+    updated,
+    removed,
+    unchanged: unchanged.length,
+    result: [...added, ...updated.map(change => change.after), ...unchanged, ...kept],
+    idMap
+  };
+};
+
+const planAlerts = (current, incoming, mode, idMap) => {
+  if (mode === IMPORT_MODES.REPLACE) {
+    const incomingIds = new Set(incoming.map(alert => alert.id));
+    const currentIds = new Set(current.map(alert => alert.id));
+    return {
+      added: incoming.filter(alert => !currentIds.has(alert.id)).length,
+      removed: current.filter(alert => !incomingIds.has(alert.id)).length,
+      result: incoming
+    };
+  }
+
+  const byId = new Map(current.map(alert => [alert.id, alert]));
+  let added = 0;
+  incoming.forEach(alert => {
+    const remapped = { ...alert, shipmentId: idMap.get(alert.shipmentId) || alert.shipmentId };
+    const local = byId.get(alert.id);
+    if (!local) added += 1;
+    byId.set(alert.id, local ? mergeAlert(local, remapped) : remapped);
+  });
+
+  return { added, removed: 0, result: [...byId.values()] };
+};
+
+const planAppState = (current, incoming, mode) => {
+  if (mode === IMPORT_MODES.REPLACE) return incoming;
+
+  // Keep this device's view settings; bring in saved searches it doesn't have
+  const names = new Set((current.savedSearches || []).map(search => search.name));
+  return {
+    ...current,
+    savedSearches: [
+      ...(current.savedSearches || []),
+      ...(incoming.savedSearches || []).filter(search => !names.has(search.name))
+    ]
+  };
+};
+
+/**
+ * Compare parsed file data with `current` ({ shipments, alerts, preferences,
+ * appState }). Sections missing from the file are left as they are.
+ */
+export const planImport = (current, parsed, mode = IMPORT_MODES.MERGE) => {
+  const shipments = parsed.shipments
+    ? planShipments(current.shipments, parsed.shipments, mode)
+    : { added: [], updated: [], removed: [], unchanged: current.shipments.length, result: null, idMap: new Map() };
+
+  const alerts = parsed.alerts
+    ? planAlerts(current.alerts, parsed.alerts, mode, shipments.idMap)
+    : { added: 0, removed: 0, result: null };
+
+  const preferences = parsed.preferences
+    ? (mode === IMPORT_MODES.MERGE ? { ...current.preferences, ...parsed.preferences } : parsed.preferences)
+    : null;
+
+  const appState = parsed.appState ? planAppState(current.appState || {}, parsed.appState, mode) : null;
+
+  return {
+    mode,
+    shipments,
+    alerts,
+    preferences: {
+      changed: Boolean(preferences) && changedFields(current.preferences || {}, preferences).length > 0,
+      result: preferences
+    },
+    appState: {
+      changed: Boolean(appState) && changedFields(current.appState || {}, appState)
+        .some(field => field !== 'lastUpdated'),
+      result: appState
+    },
+    errors: parsed.errors
+  };
+};
+
+/**
+ * Whether applying the plan would change anything
+ */
+export const hasImportChanges = (plan) =>
+  plan.shipments.added.length > 0 ||
+  plan.shipments.updated.length > 0 ||
+  plan.shipments.removed.length > 0 ||
+  plan.alerts.added > 0 ||
+  plan.alerts.removed > 0 ||
+  plan.preferences.changed ||
+  plan.appState.changed;
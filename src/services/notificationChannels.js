@@ -0,0 +1,130 @@
+/**
+ * Notification Channels
+ * Decides where each new alert is delivered — the in-app banner, a browser
+ * notification, email — from the per-alert-type routing in preferences
+ * (`channels: { [alertType]: { inApp, push, email } }`), and when: alerts
+ * raised during quiet hours carry a `heldUntil` and go out in a batch once
+ * it passes. Alerts for a muted shipment go nowhere.
+ *
+ * Snoozed alerts (`snoozedUntil`, or `snoozedUntilStatus` for "until the
+ * status changes") stay out of the app until they wake up.
+ */
+
+import { ALERT_TYPES, CUSTOM_ALERT_TYPE, getAlertTypeKey } from './alertService.js';
+import { isShipmentMuted } from './snoozeService.js';
+import { getQuietHours, getQuietHoursEnd } from './quietHours.js';
+
+export const CHANNELS = [
+  { id: 'inApp', label: 'In-app', description: 'Banner on the dashboard' },
+  { id: 'push', label: 'Push', description: 'Browser notification, even with the app in the background' },
+  { id: 'email', label: 'Email', description: 'Sent to your confirmed address' }
+];
+
+// Alert types start out on every channel
+const DEFAULT_ROUTE = { inApp: true, push: true, email: true };
+
+export const ROUTABLE_ALERT_TYPES = [
+  ...Object.entries(ALERT_TYPES).map(([key, config]) => ({ key, label: config.title, icon: config.icon })),
+  { key: CUSTOM_ALERT_TYPE, label: 'Custom rules', icon: '🔔' }
+];
+
+/**
+ * The routing for every alert type, with defaults filled in
+ */
+export const getChannelRouting = (preferences) => Object.fromEntries(
+  ROUTABLE_ALERT_TYPES.map(({ key }) => [key, { ...DEFAULT_ROUTE, ...preferences?.channels?.[key] }])
+);
+
+/**
+ * Preferences with one alert type's channel switched on or off
+ */
+export const setChannelRoute = (preferences, alertType, channel, enabled) => ({
+  ...preferences,
+  channels: {
+    ...preferences.channels,
+    [alertType]: { ...getChannelRouting(preferences)[alertType], [channel]: enabled }
+  }
+});
+
+/**
+ * Where one alert goes. The delay and delivery switches and the email master
+ * switch still apply on top of the routing.
+ */
+export const getAlertChannels = (alert, preferences) => {
+  const route = getChannelRouting(preferences)[getAlertTypeKey(alert)] || DEFAULT_ROUTE;
+  const wanted = !(alert.type === 'warning' && preferences?.delayAlerts === false) &&
+    !(alert.type === 'success' && preferences?.deliveryAlerts === false);
+
+  return {
+    inApp: route.inApp,
+    push: route.push && wanted,
+    email: route.email && wanted && preferences?.emailNotifications !== false
+  };
+};
+
+const isOutgoing = (channels) => channels.push || channels.email;
+
+/**
+ * New alerts stamped with the channels they go to and, during quiet hours,
+ * when they may go out
+ */
+export const routeAlerts = (alerts, preferences, now = new Date()) => {
+  const quietUntil = getQuietHoursEnd(getQuietHours(preferences), now);
+
+  return alerts.map(alert => {
+    const channels = getAlertChannels(alert, preferences);
+
+    // Kept for the shipment's history only
+    if (isShipmentMuted(alert.shipmentId)) {
+      return { ...alert, channels: { inApp: false, push: false, email: false } };
+    }
+    if (quietUntil && isOutgoing(channels)) {
+      return { ...alert, channels, heldUntil: quietUntil.toISOString() };
+    }
+    return { ...alert, channels };
+  });
+};
+
+/**
+ * Wake snoozed alerts that are due and release held ones, unless quiet hours
+ * have started in the meantime. `alerts` comes back unchanged (same array)
+ * when nothing is due. `released` are held alerts to deliver now;
+ * `reminders` are alerts whose snooze time is up, to notify about again.
+ * Alerts snoozed until a status change come back without a reminder, since
+ * the change raises alerts of its own.
+ */
+export const releaseDueAlerts = (alerts, preferences, shipments, now = new Date()) => {
+  const quietUntil = getQuietHoursEnd(getQuietHours(preferences), now);
+  const statusById = new Map(shipments.map(shipment => [shipment.shipmentId, shipment.status]));
+  const released = [];
+  const reminders = [];
+
+  const next = alerts.map(alert => {
+    let updated = alert;
+    const snoozeTimeUp = Boolean(alert.snoozedUntil) && new Date(alert.snoozedUntil) <= now;
+    const statusChanged = Boolean(alert.snoozedUntilStatus) && statusById.has(alert.shipmentId) &&
+      statusById.get(alert.shipmentId) !== alert.snoozedUntilStatus;
+
+    if (snoozeTimeUp || statusChanged) {
+      updated = { ...updated, snoozedUntil: null, snoozedUntilStatus: null };
+    }
+
+    if (alert.heldUntil && new Date(alert.heldUntil) <= now) {
+      updated = { ...updated, heldUntil: quietUntil ? quietUntil.toISOString() : null };
+      if (!quietUntil) released.push(updated);
+    } else if (snoozeTimeUp) {
+      reminders.push(updated);
+    }
+    return updated;
+  });
+
+  const changed = next.some((alert, index) => alert !== alerts[index]);
+  return { alerts: changed ? next : alerts, released, reminders };
+};
+
+/**
+ * Whether the alert shows up in the app. Alerts from before routing existed
+ * have no channels and always do.
+ */
+export const isShownInApp = (alert) =>
+  alert.channels?.inApp !== false && !alert.snoozedUntil && !alert.snoozedUntilStatus;
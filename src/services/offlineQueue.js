@@ -0,0 +1,149 @@
+/**
+ * Offline Action Queue
+ * Adds, deletes and refreshes made without a connection are stored in
+ * IndexedDB and replayed in order once the browser is back online.
+ */
+
+import { STORES, isDatabaseAvailable, withStore } from './database.js';
+import { publish, subscribe } from './tabSync.js';
+
+export const QUEUED_ACTIONS = {
+  ADD: 'add',
+  DELETE: 'delete',
+  REFRESH: 'refresh'
+};
+
+// Attempts before a queued action is given up on
+const MAX_ATTEMPTS = 5;
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+// Used only when IndexedDB is unavailable; does not survive a reload
+let memoryQueue = [];
+let memoryId = 0;
+
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach(listener => listener());
+  publish('actionQueue', null);
+};
+
+const readAll = async () => {
+  if (!isDatabaseAvailable()) return [...memoryQueue];
+  return withStore(STORES.ACTION_QUEUE, 'readonly', store => store.getAll());
+};
+
+const writeChanges = async ({ put = [], remove = [] }) => {
+  if (!isDatabaseAvailable()) {
+    memoryQueue = memoryQueue.filter(action => !remove.includes(action.id));
+    put.forEach(action => {
+      if (action.id === undefined) {
+        memoryQueue.push({ ...action, id: ++memoryId });
+      } else {
+        memoryQueue = memoryQueue.map(queued => (queued.id === action.id ? action : queued));
+      }
+    });
+    return;
+  }
+
+  await withStore(STORES.ACTION_QUEUE, 'readwrite', store => {
+    remove.forEach(id => store.delete(id));
+    put.forEach(action => store.put(action));
+  });
+};
+
+/**
+ * Queued actions in the order they were made
+ */
+export const getQueuedActions = async () => {
+  try {
+    return await readAll();
+  } catch (error) {
+    console.error('Error reading action queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Queue an action for a shipment. `details` carries what replay needs,
+ * e.g. trackingNumber and carrier. Redundant actions are folded together:
+ * a refresh is skipped if one is already pending, and deleting a shipment
+ * drops its queued work (and the delete itself if the add never synced).
+ */
+export const enqueueAction = async (type, shipmentId, details = {}) => {
+  try {
+    const pending = (await readAll()).filter(action => action.shipmentId === shipmentId);
+
+    if (type === QUEUED_ACTIONS.REFRESH && pending.some(action => action.type !== QUEUED_ACTIONS.DELETE)) {
+      return false;
+    }
+
+    const changes = { put: [], remove: [] };
+    if (type === QUEUED_ACTIONS.DELETE) {
+      changes.remove = pending.map(action => action.id);
+    }
+    if (!(type === QUEUED_ACTIONS.DELETE && pending.some(action => action.type === QUEUED_ACTIONS.ADD))) {
+      changes.put.push({ type, shipmentId, ...details, queuedAt: new Date().toISOString(), attempts: 0 });
+    }
+
+    await writeChanges(changes);
+    notify();
+    return true;
+  } catch (error) {
+    console.error('Error queueing offline action:', error);
+    return false;
+  }
+};
+
+let replaying = false;
+
+/**
+ * Run queued actions in order with `handlers[type](action)`. Stops early if the
+ * connection drops again; failed actions stay queued until MAX_ATTEMPTS.
+ * Returns the number of actions completed.
+ */
+export const replayQueue = async (handlers) => {
+  if (replaying) return 0;
+  replaying = true;
+  let completed = 0;
+
+  try {
+    for (const action of await readAll()) {
+      if (!isOnline()) break;
+
+      try {
+        await handlers[action.type](action);
+        await writeChanges({ remove: [action.id] });
+        completed += 1;
+      } catch (error) {
+        const attempts = action.attempts + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+          console.warn(`Giving up on queued ${action.type} for ${action.shipmentId}:`, error);
+          await writeChanges({ remove: [action.id] });
+        } else {
+          await writeChanges({ put: [{ ...action, attempts, lastError: error.message }] });
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error replaying action queue:', error);
+  } finally {
+    replaying = false;
+    notify();
+  }
+
+  return completed;
+};
+
+/**
+ * Be told when the queue changes in this or another tab. Returns an unsubscribe function.
+ */
+export const onQueueChange = (listener) => {
+  listeners.add(listener);
+  const unsubscribeRemote = subscribe('actionQueue', listener);
+  return () => {
+    listeners.delete(listener);
+    unsubscribeRemote();
+  };
+};
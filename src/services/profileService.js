@@ -0,0 +1,88 @@
+/**
+ * User Profile
+ * The email address notifications go to. An address only receives shipment
+ * emails once it's confirmed: we send it a 6-digit code and the user enters
+ * it in Settings. Codes are generated and checked on this device, as there's
+ * no account backend yet, so this catches mistyped addresses but doesn't
+ * prove who owns one. The UI calls such an address confirmed, not verified.
+ */
+
+import { profileStorage } from './storageService.js';
+import { sendEmail } from './email/index.js';
+
+const CODE_TTL = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+
+const generateCode = () => {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return String(value % 1000000).padStart(6, '0');
+};
+
+export const getProfile = () => profileStorage.load();
+
+/**
+ * The address to send notifications to, or null if there's no verified one
+ */
+export const getVerifiedEmail = () => {
+  const { email, verifiedAt } = profileStorage.load();
+  return email && verifiedAt ? email : null;
+};
+
+/**
+ * Email a verification code to `email`. The current verified address, if
+ * any, keeps receiving notifications until the new one is confirmed.
+ */
+export const startEmailVerification = async (email) => {
+  const address = String(email || '').trim();
+  if (!isValidEmail(address)) {
+    return { success: false, error: 'Enter a valid email address' };
+  }
+
+  const code = generateCode();
+  const result = await sendEmail({ to: address, type: 'verification', data: { code } });
+  if (!result.success) {
+    return { success: false, error: `Couldn't send the code: ${result.error}` };
+  }
+
+  profileStorage.save({
+    ...profileStorage.load(),
+    pending: { email: address, code, expiresAt: new Date(Date.now() + CODE_TTL).toISOString(), attempts: 0 }
+  });
+  return { success: true };
+};
+
+/**
+ * Check a code against the pending address and make it the verified one
+ */
+export const confirmEmailVerification = (code) => {
+  const profile = profileStorage.load();
+  const { pending } = profile;
+
+  if (!pending) {
+    return { success: false, error: 'Request a verification code first' };
+  }
+  if (new Date(pending.expiresAt) < new Date() || pending.attempts >= MAX_ATTEMPTS) {
+    profileStorage.save({ ...profile, pending: null });
+    return { success: false, error: 'That code has expired. Request a new one.' };
+  }
+  if (String(code).trim() !== pending.code) {
+    profileStorage.save({ ...profile, pending: { ...pending, attempts: pending.attempts + 1 } });
+    return { success: false, error: 'That code is not right' };
+  }
+
+  profileStorage.save({ email: pending.email, verifiedAt: new Date().toISOString(), pending: null });
+  return { success: true, email: pending.email };
+};
+
+export const cancelEmailVerification = () => {
+  profileStorage.save({ ...profileStorage.load(), pending: null });
+};
+
+/**
+ * Stop sending notifications to the verified address
+ */
+export const removeEmail = () => {
+  profileStorage.save({ email: null, verifiedAt: null, pending: null });
+};
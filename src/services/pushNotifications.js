@@ -0,0 +1,199 @@
+/**
+ * Push Notifications
+ * Browser notifications for alerts. While the app is open the leader tab
+ * hands alerts to the service worker, which shows them with "View shipment"
+ * and "Snooze" buttons. With VITE_PUSH_SERVER_URL set, the browser also
+ * subscribes to Web Push through that server (see scripts/push-server.js),
+ * so the service worker can show notifications while the app is closed.
+ *
+ * The service worker is only registered in production builds; on the dev
+ * server notifications fall back to the plain Notification API, without
+ * buttons.
+ */
+
+const PUSH_SERVER_URL = (import.meta.env.VITE_PUSH_SERVER_URL || '').replace(/\/$/, '');
+
+// Above this many alerts at once, the rest are summed up in one notification
+const MAX_NOTIFICATIONS = 3;
+
+const actionListeners = new Set();
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+ */
+export const getNotificationPermission = () =>
+  (isNotificationSupported() ? Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  return Notification.requestPermission();
+};
+
+const getRegistration = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+};
+
+/**
+ * Call `listener({ action, shipmentId, alertId })` when a notification or one
+ * of its buttons is clicked. Returns an unsubscribe function.
+ */
+export const onNotificationAction = (listener) => {
+  actionListeners.add(listener);
+  return () => actionListeners.delete(listener);
+};
+
+const emitAction = (event) => actionListeners.forEach(listener => listener(event));
+
+// Clicks the service worker passes on to an open window
+if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'notificationAction') emitAction(event.data);
+  });
+}
+
+/**
+ * The notification for an alert, in the same shape the push server sends
+ */
+export const buildNotification = (alert) => ({
+  title: `${alert.icon ? `${alert.icon} ` : ''}${alert.title}`,
+  body: alert.message,
+  tag: alert.id,
+  shipmentId: alert.shipmentId,
+  alertId: alert.id,
+  priority: alert.priority
+});
+
+const showNotification = async (notification) => {
+  const registration = await getRegistration();
+  if (registration?.active) {
+    registration.active.postMessage({ type: 'showNotification', notification });
+    return;
+  }
+
+  const shown = new Notification(notification.title, { body: notification.body, tag: notification.tag });
+  shown.onclick = () => {
+    window.focus();
+    shown.close();
+    if (notification.shipmentId) {
+      emitAction({ action: 'view', shipmentId: notification.shipmentId, alertId: notification.alertId });
+    }
+  };
+};
+
+/**
+ * Show browser notifications for alerts routed to push. With `batch`, e.g.
+ * for alerts held back during quiet hours, more than one alert is summed up
+ * in a single notification. Returns how many notifications were shown.
+ */
+export const showAlertNotifications = async (alerts, { batch = false } = {}) => {
+  const pushAlerts = alerts.filter(alert => alert.channels?.push);
+  if (!pushAlerts.length || getNotificationPermission() !== 'granted') return 0;
+
+  const limit = batch && pushAlerts.length > 1 ? 0 : MAX_NOTIFICATIONS;
+  const shown = pushAlerts.slice(0, limit).map(buildNotification);
+  const remaining = pushAlerts.length - shown.length;
+  if (remaining > 0) {
+    shown.push({
+      title: shown.length ? 'More shipment updates' : `${remaining} shipment updates`,
+      body: shown.length
+        ? `${remaining} more update${remaining === 1 ? '' : 's'} in ShipmentTrackr`
+        : [
+          ...pushAlerts.slice(0, MAX_NOTIFICATIONS).map(alert => alert.message),
+          ...(remaining > MAX_NOTIFICATIONS ? [`and ${remaining - MAX_NOTIFICATIONS} more`] : [])
+        ].join('\n'),
+      tag: 'shipmenttrackr-more'
+    });
+  }
+
+  try {
+    for (const notification of shown) {
+      await showNotification(notification);
+    }
+    return shown.length;
+  } catch (error) {
+    console.error('Failed to show notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * A sample notification so the user can see what they look like
+ */
+export const showTestNotification = () => showNotification({
+  title: '📦 Delivery Today',
+  body: 'This is what shipment notifications look like',
+  tag: 'shipmenttrackr-test'
+});
+
+const base64UrlToBytes = (value) => {
+  const base64 = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+const sameBytes = (buffer, bytes) => {
+  const other = buffer ? new Uint8Array(buffer) : new Uint8Array();
+  return other.length === bytes.length && other.every((byte, index) => byte === bytes[index]);
+};
+
+export const isPushServerConfigured = () => Boolean(PUSH_SERVER_URL);
+
+export const getPushServerUrl = () => PUSH_SERVER_URL;
+
+/**
+ * The browser's current push subscription, or null
+ */
+export const getPushSubscription = async () => {
+  const registration = await getRegistration();
+  return registration?.pushManager ? registration.pushManager.getSubscription() : null;
+};
+
+const postToPushServer = async (path, body) => {
+  const response = await fetch(`${PUSH_SERVER_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) throw new Error(`Push server returned ${response.status}`);
+};
+
+/**
+ * Subscribe to Web Push and register the subscription with the push server.
+ * Throws if there is no server, no service worker or permission is missing.
+ */
+export const subscribeToPush = async () => {
+  if (!isPushServerConfigured()) throw new Error('No push server is configured');
+  const registration = await getRegistration();
+  if (!registration?.pushManager) {
+    throw new Error('Push needs the service worker, which runs in production builds only');
+  }
+
+  const response = await fetch(`${PUSH_SERVER_URL}/vapid-public-key`);
+  if (!response.ok) throw new Error(`Push server returned ${response.status}`);
+  const { publicKey } = await response.json();
+  const options = { userVisibleOnly: true, applicationServerKey: base64UrlToBytes(publicKey) };
+
+  let subscription = await registration.pushManager.getSubscription();
+  // Subscribed with keys the server no longer has, e.g. after it was reset
+  if (subscription && !sameBytes(subscription.options?.applicationServerKey, options.applicationServerKey)) {
+    await subscription.unsubscribe();
+    subscription = null;
+  }
+  subscription = subscription || await registration.pushManager.subscribe(options);
+
+  await postToPushServer('/subscriptions', subscription.toJSON());
+  return subscription;
+};
+
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  if (isPushServerConfigured()) {
+    await postToPushServer('/unsubscribe', { endpoint: subscription.endpoint })
+      .catch(error => console.warn('Failed to remove subscription from push server:', error));
+  }
+  await subscription.unsubscribe();
+};
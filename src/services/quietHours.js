@@ -0,0 +1,85 @@
+/**
+ * Quiet Hours
+ * A daily window, in a chosen time zone, when push and email notifications
+ * are held back. Preferences keep it as
+ * `quietHours: { enabled, start: 'HH:mm', end: 'HH:mm', timeZone }`; a
+ * window whose end is before its start runs past midnight.
+ */
+
+import { addMinutes, startOfMinute } from 'date-fns';
+
+export const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', timeZone: null };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * The device's time zone, used when the user hasn't picked one
+ */
+export const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Time zones to choose from, with the device's first
+ */
+export const getTimeZones = () => {
+  const device = getDeviceTimeZone();
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+  return [device, ...zones.filter(zone => zone !== device)];
+};
+
+/**
+ * The quiet hours settings with defaults and bad values filled in
+ */
+export const getQuietHours = (preferences) => {
+  const saved = { ...DEFAULT_QUIET_HOURS, ...preferences?.quietHours };
+  return {
+    enabled: Boolean(saved.enabled),
+    start: TIME_PATTERN.test(saved.start) ? saved.start : DEFAULT_QUIET_HOURS.start,
+    end: TIME_PATTERN.test(saved.end) ? saved.end : DEFAULT_QUIET_HOURS.end,
+    timeZone: saved.timeZone && isValidTimeZone(saved.timeZone) ? saved.timeZone : getDeviceTimeZone()
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight on the wall clock in `timeZone`
+const getZonedMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type)?.value || 0);
+  return part('hour') * 60 + part('minute');
+};
+
+export const isInQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours.enabled) return false;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const current = getZonedMinutes(now, quietHours.timeZone);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * When the current quiet hours end, or null outside them. Counted in wall
+ * clock minutes, so a daylight saving change inside the window moves the
+ * end by up to an hour.
+ */
+export const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!isInQuietHours(quietHours, now)) return null;
+  const minutesLeft = (toMinutes(quietHours.end) - getZonedMinutes(now, quietHours.timeZone) + 1440) % 1440;
+  return addMinutes(startOfMinute(now), minutesLeft);
+};
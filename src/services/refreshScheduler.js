@@ -0,0 +1,236 @@
+/**
+ * Refresh Scheduler Service
+ * Polls carriers in the background with per-shipment adaptive intervals,
+ * jittered exponential backoff on failures, a concurrency cap and a pause
+ * while the tab is hidden
+ */
+
+import { fetchTrackingData } from './api.js';
+
+const MINUTE = 60 * 1000;
+
+// How often to poll a shipment in each status. Missing statuses are not polled.
+export const POLL_INTERVALS = {
+  out_for_delivery: 5 * MINUTE,
+  delayed: 20 * MINUTE,
+  exception: 20 * MINUTE,
+  in_transit: 30 * MINUTE,
+  pending: 2 * 60 * MINUTE
+};
+
+const BACKOFF_BASE = 1 * MINUTE;
+const BACKOFF_MAX = 60 * MINUTE;
+const MAX_CONCURRENT_REFRESHES = 2;
+
+/**
+ * Delay before retrying after consecutive failures, with "equal jitter":
+ * half the exponential delay is fixed and the other half random
+ */
+export const getBackoffDelay = (failures, random = Math.random) => {
+  const exponential = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** Math.max(0, failures - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+};
+
+/**
+ * Create a scheduler. `onResult(shipmentId, trackingData)` receives every
+ * successful response; the caller decides how to merge it.
+ */
+export const createRefreshScheduler = ({
+  onResult,
+  fetchTracking = fetchTrackingData,
+  maxConcurrent = MAX_CONCURRENT_REFRESHES,
+  shouldPause = () => typeof document !== 'undefined' && document.hidden
+}) => {
+  const entries = new Map();
+  const listeners = new Set();
+  let timer = null;
+  let running = false;
+  let paused = shouldPause();
+  let inFlight = 0;
+  let snapshot = null;
+
+  const notify = () => {
+    snapshot = null;
+    listeners.forEach(listener => listener());
+  };
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const planNextTimer = () => {
+    clearTimer();
+    if (!running || paused) return;
+
+    const waiting = Array.from(entries.values()).filter(entry => !entry.checking);
+    if (waiting.length === 0) return;
+
+    const nextCheckAt = Math.min(...waiting.map(entry => entry.nextCheckAt));
+    timer = setTimeout(tick, Math.max(0, nextCheckAt - Date.now()));
+  };
+
+  const refreshEntry = async (entry) => {
+    entry.checking = true;
+    inFlight += 1;
+    notify();
+
+    try {
+      // A poll is itself the revalidation, so don't settle for a stale cache entry
+      const trackingData = await fetchTracking(entry.trackingNumber, entry.carrier, { allowStale: false });
+      entry.failures = 0;
+      entry.lastError = null;
+      onResult(entry.shipmentId, trackingData);
+    } catch (error) {
+      entry.failures += 1;
+      entry.lastError = error.message;
+    } finally {
+      inFlight -= 1;
+      entry.checking = false;
+      entry.lastCheckedAt = Date.now();
+
+      // A merged result may have changed the status; sync() reschedules in
+      // that case, this covers failures and unchanged statuses
+      if (entries.get(entry.shipmentId) === entry) {
+        entry.nextCheckAt = entry.failures > 0
+          ? entry.lastCheckedAt + getBackoffDelay(entry.failures)
+          : entry.lastCheckedAt + entry.interval;
+      }
+
+      notify();
+      tick();
+    }
+  };
+
+  const tick = () => {
+    if (!running || paused) return;
+
+    const now = Date.now();
+    const due = Array.from(entries.values())
+      .filter(entry => !entry.checking && entry.nextCheckAt <= now)
+      .sort((a, b) => a.nextCheckAt - b.nextCheckAt);
+
+    due.slice(0, Math.max(0, maxConcurrent - inFlight)).forEach(refreshEntry);
+    planNextTimer();
+  };
+
+  const updatePaused = () => {
+    paused = shouldPause();
+    notify();
+    if (paused) {
+      clearTimer();
+    } else {
+      tick();
+    }
+  };
+
+  return {
+    /**
+     * Reconcile the schedule with the current shipment list
+     */
+    sync: (shipments) => {
+      const now = Date.now();
+      const activeIds = new Set();
+
+      shipments.forEach(shipment => {
+        const interval = POLL_INTERVALS[shipment.status];
+        if (!interval) return;
+
+        activeIds.add(shipment.shipmentId);
+        const existing = entries.get(shipment.shipmentId);
+
+        if (!existing) {
+          const lastUpdated = new Date(shipment.lastUpdated).getTime() || now;
+          entries.set(shipment.shipmentId, {
+            shipmentId: shipment.shipmentId,
+            trackingNumber: shipment.trackingNumber,
+            carrier: shipment.carrier,
+            status: shipment.status,
+            interval,
+            nextCheckAt: Math.max(now, lastUpdated + interval),
+            lastCheckedAt: null,
+            failures: 0,
+            lastError: null,
+            checking: false
+          });
+          return;
+        }
+
+        if (existing.status !== shipment.status || existing.carrier !== shipment.carrier) {
+          existing.status = shipment.status;
+          existing.carrier = shipment.carrier;
+          existing.interval = interval;
+          if (!existing.checking && existing.failures === 0) {
+            existing.nextCheckAt = (existing.lastCheckedAt || now) + interval;
+          }
+        }
+      });
+
+      // Delivered and deleted shipments drop out of the schedule
+      Array.from(entries.keys()).forEach(id => {
+        if (!activeIds.has(id)) entries.delete(id);
+      });
+
+      notify();
+      tick();
+    },
+
+    start: () => {
+      if (running) return;
+      running = true;
+      if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', updatePaused);
+      }
+      tick();
+    },
+
+    stop: () => {
+      running = false;
+      clearTimer();
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', updatePaused);
+      }
+      notify();
+    },
+
+    // Re-read `shouldPause` after something other than this document's visibility changed
+    updatePaused,
+
+    /**
+     * Check a shipment now, ignoring its interval and backoff
+     */
+    checkNow: (shipmentId) => {
+      const entry = entries.get(shipmentId);
+      if (!entry || entry.checking) return;
+      entry.nextCheckAt = Date.now();
+      tick();
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Immutable view of the schedule for the UI
+     */
+    getSnapshot: () => {
+      if (!snapshot) {
+        const shipments = {};
+        entries.forEach((entry, id) => {
+          shipments[id] = {
+            nextCheckAt: entry.nextCheckAt,
+            lastCheckedAt: entry.lastCheckedAt,
+            failures: entry.failures,
+            lastError: entry.lastError,
+            checking: entry.checking
+          };
+        });
+        snapshot = { running, paused, inFlight, shipments };
+      }
+      return snapshot;
+    }
+  };
+};
@@ -0,0 +1,317 @@
+/**
+ * Shipment Search Query Language
+ * Parses queries such as `carrier:fedex status:delayed eta:<3d added:>2026-09-01 "birthday"`
+ * into terms, reports validation errors and offers autocomplete suggestions
+ */
+
+import { startOfDay, endOfDay, addDays, format } from 'date-fns';
+
+const HOUR = 60 * 60 * 1000;
+const DURATION_UNITS = { h: HOUR, d: 24 * HOUR, w: 7 * 24 * HOUR };
+
+const STATUS_VALUES = ['pending', 'in_transit', 'out_for_delivery', 'delivered', 'delayed', 'exception'];
+
+// Searchable fields. Date fields are 'future' (compared against now + duration)
+// or 'past' (compared by age).
+export const SEARCH_FIELDS = {
+  carrier: {
+    kind: 'enum',
+    description: 'Carrier',
+    values: ['ups', 'fedex', 'usps', 'dhl', 'other'],
+    get: shipment => shipment.carrier
+  },
+  status: {
+    kind: 'enum',
+    description: 'Current status',
+    values: STATUS_VALUES,
+    aliases: { transit: 'in_transit', out: 'out_for_delivery', late: 'delayed' },
+    get: shipment => shipment.status
+  },
+  eta: {
+    kind: 'date',
+    direction: 'future',
+    description: 'Estimated delivery',
+    get: shipment => shipment.estimatedDelivery
+  },
+  delivered: {
+    kind: 'date',
+    direction: 'past',
+    description: 'Delivery date',
+    get: shipment => shipment.actualDelivery
+  },
+  added: {
+    kind: 'date',
+    direction: 'past',
+    description: 'Date added',
+    get: shipment => shipment.addedAt
+  },
+  updated: {
+    kind: 'date',
+    direction: 'past',
+    description: 'Last update',
+    get: shipment => shipment.lastUpdated
+  },
+  name: {
+    kind: 'text',
+    description: 'Nickname contains',
+    get: shipment => shipment.nickname
+  },
+  tracking: {
+    kind: 'text',
+    description: 'Tracking number contains',
+    get: shipment => shipment.trackingNumber
+  }
+};
+
+const DATE_SUGGESTIONS = {
+  future: ['<1d', '<3d', '<1w', '>1w', 'today', 'tomorrow'],
+  past: ['<1d', '<7d', '>30d', 'today', 'yesterday']
+};
+
+// -field:"quoted value" | -field:value | -"quoted" | -word
+const TOKEN_PATTERN = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))?/g;
+
+/**
+ * Split a query into raw tokens with their positions
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+    if (match[0] === '') {
+      TOKEN_PATTERN.lastIndex += 1;
+      continue;
+    }
+    tokens.push({
+      raw: match[0],
+      negate: match[1] === '-',
+      field: match[2] ? match[2].toLowerCase() : null,
+      value: match[3] !== undefined ? match[3] : (match[4] || ''),
+      quoted: match[3] !== undefined,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a date filter value such as "<3d", ">=2026-09-01" or "today"
+ */
+const parseDateValue = (value) => {
+  const [, op = '=', operand] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+  const text = operand.toLowerCase();
+
+  const duration = text.match(/^(\d+)([hdw])$/);
+  if (duration) {
+    return { op, duration: Number(duration[1]) * DURATION_UNITS[duration[2]] };
+  }
+
+  const today = startOfDay(new Date());
+  const named = { today, tomorrow: addDays(today, 1), yesterday: addDays(today, -1) };
+  if (named[text]) {
+    return { op, date: named[text] };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(`${text}T00:00:00`);
+    if (!Number.isNaN(date.getTime())) return { op, date };
+  }
+
+  return null;
+};
+
+const compare = (a, op, b) => {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return a === b;
+  }
+};
+
+/**
+ * Parse a query string into { terms, errors }. Invalid terms are reported
+ * and left out of `terms` so the rest of the query still applies.
+ */
+export const parseSearchQuery = (input = '') => {
+  const terms = [];
+  const errors = [];
+
+  tokenize(input).forEach(token => {
+    const position = { start: token.start, end: token.end };
+
+    if (!token.field) {
+      if (token.value) {
+        terms.push({ type: 'text', value: token.value.toLowerCase(), negate: token.negate });
+      }
+      return;
+    }
+
+    const definition = SEARCH_FIELDS[token.field];
+    if (!definition) {
+      errors.push({
+        ...position,
+        message: `Unknown filter "${token.field}". Try ${Object.keys(SEARCH_FIELDS).join(', ')}.`
+      });
+      return;
+    }
+
+    if (!token.value) {
+      errors.push({ ...position, message: `"${token.field}:" needs a value` });
+      return;
+    }
+
+    if (definition.kind === 'enum') {
+      const values = token.value.toLowerCase().split(',').filter(Boolean)
+        .map(value => definition.aliases?.[value] || value);
+      const invalid = values.filter(value => !definition.values.includes(value));
+      if (invalid.length > 0) {
+        errors.push({
+          ...position,
+          message: `Unknown ${token.field} "${invalid.join(', ')}". Use ${definition.values.join(', ')}.`
+        });
+        return;
+      }
+      terms.push({ type: 'field', field: token.field, values, negate: token.negate });
+      return;
+    }
+
+    if (definition.kind === 'date') {
+      const parsed = parseDateValue(token.value);
+      if (!parsed) {
+        errors.push({
+          ...position,
+          message: `Can't read "${token.value}" as a date. Use e.g. <3d, >2w, today or 2026-09-01.`
+        });
+        return;
+      }
+      terms.push({ type: 'field', field: token.field, ...parsed, negate: token.negate });
+      return;
+    }
+
+    terms.push({ type: 'field', field: token.field, value: token.value.toLowerCase(), negate: token.negate });
+  });
+
+  return { terms, errors };
+};
+
+const matchesDateTerm = (term, definition, value, now) => {
+  if (!value) return false;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return false;
+
+  if (term.duration !== undefined) {
+    if (definition.direction === 'past') {
+      // added:<7d means "added less than 7 days ago"
+      return compare(now - time, term.op === '=' ? '<=' : term.op, term.duration);
+    }
+    const target = now + term.duration;
+    if (term.op === '=') {
+      return startOfDay(target).getTime() === startOfDay(time).getTime();
+    }
+    return compare(time, term.op, target);
+  }
+
+  const dayStart = startOfDay(term.date).getTime();
+  const dayEnd = endOfDay(term.date).getTime();
+  switch (term.op) {
+    case '<': return time < dayStart;
+    case '<=': return time <= dayEnd;
+    case '>': return time > dayEnd;
+    case '>=': return time >= dayStart;
+    default: return time >= dayStart && time <= dayEnd;
+  }
+};
+
+const matchesTerm = (shipment, term, now) => {
+  if (term.type === 'text') {
+    return [shipment.nickname, shipment.trackingNumber]
+      .some(value => (value || '').toLowerCase().includes(term.value));
+  }
+
+  const definition = SEARCH_FIELDS[term.field];
+  const value = definition.get(shipment);
+
+  if (definition.kind === 'enum') return term.values.includes(value);
+  if (definition.kind === 'date') return matchesDateTerm(term, definition, value, now);
+  return (value || '').toLowerCase().includes(term.value);
+};
+
+/**
+ * Check a shipment against a parsed query. All terms must match.
+ */
+export const matchesSearchQuery = (shipment, query, now = Date.now()) => {
+  return query.terms.every(term => matchesTerm(shipment, term, now) !== term.negate);
+};
+
+/**
+ * Autocomplete suggestions for the token being typed at the end of the input.
+ * Each suggestion is { label, description, value } where value is the full new input.
+ */
+export const getSearchSuggestions = (input = '', savedSearches = []) => {
+  const quoteCount = (input.match(/"/g) || []).length;
+  if (quoteCount % 2 === 1) return [];
+
+  const lastSpace = input.lastIndexOf(' ');
+  const prefix = input.slice(0, lastSpace + 1);
+  const current = input.slice(lastSpace + 1);
+  const negate = current.startsWith('-') ? '-' : '';
+  const body = current.slice(negate.length);
+  const suggestions = [];
+
+  const fieldMatch = body.match(/^([a-zA-Z]+):(.*)$/);
+  if (fieldMatch) {
+    const field = fieldMatch[1].toLowerCase();
+    const partial = fieldMatch[2];
+    const definition = SEARCH_FIELDS[field];
+    if (!definition) return [];
+
+    let options = [];
+    if (definition.kind === 'enum') {
+      const done = partial.split(',').slice(0, -1);
+      const last = partial.split(',').pop().toLowerCase();
+      options = definition.values
+        .filter(value => value.startsWith(last) && !done.includes(value))
+        .map(value => [...done, value].join(','));
+    } else if (definition.kind === 'date') {
+      options = [...DATE_SUGGESTIONS[definition.direction], format(new Date(), 'yyyy-MM-dd')]
+        .filter(value => value.startsWith(partial) && value !== partial);
+    }
+
+    return options.map(option => ({
+      label: `${field}:${option}`,
+      description: definition.description,
+      value: `${prefix}${negate}${field}:${option} `
+    }));
+  }
+
+  if (/^[a-zA-Z]*$/.test(body)) {
+    Object.entries(SEARCH_FIELDS)
+      .filter(([field]) => field.startsWith(body.toLowerCase()))
+      .forEach(([field, definition]) => {
+        suggestions.push({
+          label: `${field}:`,
+          description: definition.description,
+          value: `${prefix}${negate}${field}:`
+        });
+      });
+  }
+
+  if (!input.trim()) {
+    savedSearches.forEach(saved => {
+      suggestions.unshift({
+        label: saved.name,
+        description: saved.query,
+        value: saved.query,
+        savedSearchId: saved.id
+      });
+    });
+  }
+
+  return suggestions;
+};
@@ -0,0 +1,14 @@
+/**
+ * Service Worker Registration
+ * Registers public/sw.js in production builds. The dev server serves modules
+ * that change on every edit, so caching them would only get in the way.
+ */
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
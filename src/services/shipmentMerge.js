@@ -0,0 +1,176 @@
+/**
+ * Shipment Merge Engine
+ * Folds a fresh carrier response into a stored shipment: appends only new
+ * tracking events, refuses impossible status regressions and records what
+ * changed in a per-refresh changelog
+ */
+
+// Progress order of statuses. delayed/exception sit beside in_transit so a
+// package can move into and out of them without counting as a regression.
+export const STATUS_RANK = {
+  pending: 0,
+  in_transit: 1,
+  delayed: 1,
+  exception: 1,
+  out_for_delivery: 2,
+  delivered: 3
+};
+
+// Number of changelog entries kept per shipment
+const CHANGELOG_LIMIT = 20;
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Identity of a tracking event for deduplication
+ */
+export const getEventKey = (event) => {
+  const time = toTime(event.timestamp);
+  return [
+    time === null ? '' : new Date(time).toISOString(),
+    (event.location || '').trim().toLowerCase(),
+    event.status
+  ].join('|');
+};
+
+/**
+ * Check whether moving from one status to another is possible
+ */
+export const isValidTransition = (fromStatus, toStatus) => {
+  if (!fromStatus || fromStatus === toStatus) return true;
+  if (fromStatus === 'delivered') return false;
+
+  const fromRank = STATUS_RANK[fromStatus] ?? 0;
+  const toRank = STATUS_RANK[toStatus] ?? 0;
+
+  // Failed delivery attempts land in delayed/exception from out_for_delivery
+  if (toStatus === 'delayed' || toStatus === 'exception') return true;
+
+  return toRank >= fromRank;
+};
+
+const datesDiffer = (a, b) => toTime(a) !== toTime(b);
+
+/**
+ * Carriers omit fields between responses; keep the last known value for those
+ */
+const mergeCarrierDetails = (stored = {}, update = {}) => {
+  const known = Object.entries(update || {}).filter(([, value]) => value !== null && value !== undefined);
+  return { ...stored, ...Object.fromEntries(known) };
+};
+
+/**
+ * Merge a carrier response into a stored shipment.
+ * Returns { shipment, change } where change is the changelog entry for this refresh.
+ */
+export const mergeTrackingUpdate = (stored, update, refreshedAt = new Date()) => {
+  const existingEvents = stored.historicalStatuses || [];
+  const seenKeys = new Set(existingEvents.map(getEventKey));
+
+  const addedEvents = [];
+  (update.historicalStatuses || []).forEach(event => {
+    const key = getEventKey(event);
+    if (seenKeys.has(key)) return;
+    seenKeys.add(key);
+    addedEvents.push(event);
+  });
+
+  const historicalStatuses = [...existingEvents, ...addedEvents]
+    .sort((a, b) => (toTime(a.timestamp) ?? 0) - (toTime(b.timestamp) ?? 0));
+
+  let status = stored.status;
+  let statusChange = null;
+  let rejectedStatus = null;
+
+  if (update.status && update.status !== stored.status) {
+    if (isValidTransition(stored.status, update.status)) {
+      status = update.status;
+      statusChange = { from: stored.status, to: update.status };
+    } else {
+      rejectedStatus = {
+        from: stored.status,
+        to: update.status,
+        reason: stored.status === 'delivered'
+          ? 'Shipment is already delivered'
+          : `Cannot move from ${stored.status} back to ${update.status}`
+      };
+    }
+  }
+
+  const estimatedDelivery = update.estimatedDelivery ?? stored.estimatedDelivery;
+  const etaChange = datesDiffer(stored.estimatedDelivery, estimatedDelivery)
+    ? { from: stored.estimatedDelivery || null, to: estimatedDelivery || null }
+    : null;
+
+  let actualDelivery = stored.actualDelivery || null;
+  if (status === 'delivered' && !actualDelivery) {
+    const deliveredEvent = historicalStatuses.filter(event => event.status === 'delivered').pop();
+    actualDelivery = update.actualDelivery || deliveredEvent?.timestamp || refreshedAt;
+  }
+
+  const change = {
+    id: `chg_${refreshedAt.getTime()}_${Math.random().toString(36).substr(2, 5)}`,
+    refreshedAt: refreshedAt.toISOString(),
+    statusChange,
+    rejectedStatus,
+    etaChange,
+    addedEvents
+  };
+
+  const hasChanges = Boolean(statusChange || rejectedStatus || etaChange || addedEvents.length);
+
+  return {
+    shipment: {
+      ...stored,
+      status,
+      estimatedDelivery,
+      actualDelivery,
+      historicalStatuses,
+      carrierDetails: mergeCarrierDetails(stored.carrierDetails, update.carrierDetails),
+      lastUpdated: refreshedAt,
+      staleSince: null,
+      changelog: hasChanges
+        ? [change, ...(stored.changelog || [])].slice(0, CHANGELOG_LIMIT)
+        : stored.changelog || []
+    },
+    change: hasChanges ? change : null
+  };
+};
+
+/**
+ * Combine two copies of the same shipment, e.g. one written by another tab.
+ * Fields from `incoming` win, but tracking events and changelog entries from
+ * both copies are kept.
+ */
+export const mergeShipmentRecords = (local, incoming) => {
+  const events = new Map();
+  [...(local.historicalStatuses || []), ...(incoming.historicalStatuses || [])]
+    .forEach(event => events.set(getEventKey(event), event));
+
+  const changes = new Map();
+  [...(incoming.changelog || []), ...(local.changelog || [])]
+    .forEach(change => {
+      if (!changes.has(change.id)) changes.set(change.id, change);
+    });
+
+  return {
+    ...local,
+    ...incoming,
+    historicalStatuses: [...events.values()]
+      .sort((a, b) => (toTime(a.timestamp) ?? 0) - (toTime(b.timestamp) ?? 0)),
+    changelog: [...changes.values()]
+      .sort((a, b) => (toTime(b.refreshedAt) ?? 0) - (toTime(a.refreshedAt) ?? 0))
+      .slice(0, CHANGELOG_LIMIT)
+  };
+};
+
+/**
+ * Latest changelog entry for a shipment, if any
+ */
+export const getLatestChange = (shipment) => {
+  return shipment.changelog?.[0] || null;
+};
@@ -0,0 +1,175 @@
+/**
+ * Shipment Reports
+ * iCalendar (.ics) feeds of expected delivery dates and a self-contained,
+ * printable HTML report that the browser can save as PDF.
+ */
+
+import { format, addDays } from 'date-fns';
+import { getCarrierAdapter } from './carriers/index.js';
+import { escapeHtml } from './email/templates.js';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_transit: 'In Transit',
+  out_for_delivery: 'Out for Delivery',
+  delivered: 'Delivered',
+  delayed: 'Delayed',
+  exception: 'Exception'
+};
+
+export const getStatusLabel = (status) => STATUS_LABELS[status] || status;
+
+const getCarrierName = (carrier) => getCarrierAdapter(carrier)?.name || String(carrier || '').toUpperCase();
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * iCalendar
+ */
+const escapeICalText = (text) =>
+  String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const encoder = new TextEncoder();
+
+// Content lines are limited to 75 octets; longer ones continue after CRLF + space
+const foldLine = (line) => {
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * An all-day event on each undelivered shipment's expected delivery date
+ */
+export const toICalendar = (shipments, { now = new Date() } = {}) => {
+  const events = shipments
+    .filter(shipment => shipment.status !== 'delivered' && toDate(shipment.estimatedDelivery))
+    .flatMap(shipment => {
+      const date = toDate(shipment.estimatedDelivery);
+      const name = shipment.nickname || `Package ${shipment.trackingNumber.slice(-4)}`;
+      return [
+        'BEGIN:VEVENT',
+        `UID:${shipment.shipmentId}@shipmenttrackr`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `DTSTART;VALUE=DATE:${format(date, 'yyyyMMdd')}`,
+        `DTEND;VALUE=DATE:${format(addDays(date, 1), 'yyyyMMdd')}`,
+        `SUMMARY:${escapeICalText(`Delivery: ${name}`)}`,
+        `DESCRIPTION:${escapeICalText(
+          `${getCarrierName(shipment.carrier)} ${shipment.trackingNumber}\nStatus: ${getStatusLabel(shipment.status)}`
+        )}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      ];
+    });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ShipmentTrackr//Expected Deliveries//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Expected Deliveries',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Printable report
+ */
+const formatDay = (value) => (toDate(value) ? format(toDate(value), 'MMM d, yyyy') : '—');
+
+/**
+ * A standalone HTML document listing the shipments, with a status summary.
+ * `scope` describes which shipments are included, e.g. "Active · search: dhl".
+ */
+export const toHTMLReport = (shipments, { scope = 'All shipments', now = new Date() } = {}) => {
+  const counts = shipments.reduce((totals, shipment) => {
+    totals[shipment.status] = (totals[shipment.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  const summary = Object.entries(counts)
+    .map(([status, count]) => `<li><strong>${count}</strong> ${escapeHtml(getStatusLabel(status))}</li>`)
+    .join('');
+
+  const rows = shipments.map(shipment => `
+        <tr>
+          <td>${escapeHtml(shipment.nickname)}</td>
+          <td class="mono">${escapeHtml(shipment.trackingNumber)}</td>
+          <td>${escapeHtml(getCarrierName(shipment.carrier))}</td>
+          <td class="status-${escapeHtml(shipment.status)}">${escapeHtml(getStatusLabel(shipment.status))}</td>
+          <td>${formatDay(shipment.estimatedDelivery)}</td>
+          <td>${formatDay(shipment.actualDelivery)}</td>
+          <td>${formatDay(shipment.lastUpdated)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Shipment Report – ${format(now, 'MMM d, yyyy')}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    .meta { color: #6b7280; font-size: 0.875rem; margin-bottom: 1rem; }
+    ul.summary { display: flex; gap: 1.5rem; list-style: none; padding: 0; margin: 0 0 1.5rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f9fafb; }
+    .mono { font-family: ui-monospace, monospace; }
+    .status-delivered { color: #15803d; }
+    .status-delayed, .status-exception { color: #b91c1c; }
+    @media print {
+      body { margin: 0; }
+      tr { break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>Shipment Report</h1>
+  <p class="meta">
+    ${escapeHtml(scope)} · ${shipments.length} shipment${shipments.length === 1 ? '' : 's'} ·
+    generated ${format(now, 'MMM d, yyyy h:mm a')}
+  </p>
+  <ul class="summary">${summary}</ul>
+  <table>
+    <thead>
+      <tr>
+        <th>Nickname</th>
+        <th>Tracking Number</th>
+        <th>Carrier</th>
+        <th>Status</th>
+        <th>Estimated Delivery</th>
+        <th>Delivered</th>
+        <th>Last Updated</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,191 @@
+/**
+ * Shipment and Alert Schema
+ * Field types for persisted records plus codecs that convert between the
+ * in-memory shape (Date objects) and the stored/exported shape (ISO strings).
+ * Deserializing validates records and reports problems instead of throwing.
+ */
+
+import { STATUS_RANK } from './shipmentMerge.js';
+
+const EVENT_SCHEMA = {
+  status: { type: 'enum', values: Object.keys(STATUS_RANK), required: true },
+  timestamp: { type: 'date', required: true },
+  location: { type: 'string' },
+  description: { type: 'string' }
+};
+
+export const SHIPMENT_SCHEMA = {
+  shipmentId: { type: 'string', required: true },
+  trackingNumber: { type: 'string', required: true },
+  carrier: { type: 'string', required: true },
+  nickname: { type: 'string' },
+  status: { type: 'enum', values: Object.keys(STATUS_RANK), required: true },
+  estimatedDelivery: { type: 'date' },
+  actualDelivery: { type: 'date' },
+  lastUpdated: { type: 'date' },
+  addedAt: { type: 'date' },
+  staleSince: { type: 'date' },
+  archivedAt: { type: 'date' },
+  restoredAt: { type: 'date' },
+  historicalStatuses: { type: 'list', of: EVENT_SCHEMA }
+};
+
+// Carrier responses: a shipment without the fields the app assigns itself
+const TRACKING_SCHEMA = {
+  ...SHIPMENT_SCHEMA,
+  shipmentId: { type: 'string' }
+};
+
+export const ALERT_SCHEMA = {
+  id: { type: 'string', required: true },
+  shipmentId: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  message: { type: 'string' },
+  timestamp: { type: 'date', required: true },
+  readAt: { type: 'date' },
+  dismissedAt: { type: 'date' }
+};
+
+const toDate = (value) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Decode one value. Returns { value, error } where error is a message or null.
+ */
+const decodeField = (definition, value, path) => {
+  const missing = value === null || value === undefined || value === '';
+  if (missing) {
+    return {
+      value: definition.type === 'list' ? [] : null,
+      error: definition.required ? `${path} is missing` : null
+    };
+  }
+
+  switch (definition.type) {
+    case 'date': {
+      const date = toDate(value);
+      return { value: date, error: date ? null : `${path} is not a valid date (${JSON.stringify(value)})` };
+    }
+    case 'enum':
+      return definition.values.includes(value)
+        ? { value, error: null }
+        : { value: null, error: `${path} has unknown value "${value}"` };
+    case 'list': {
+      if (!Array.isArray(value)) return { value: [], error: `${path} is not a list` };
+      const errors = [];
+      const items = [];
+      value.forEach((item, index) => {
+        const decoded = decodeRecord(definition.of, item, `${path}[${index}]`);
+        errors.push(...decoded.errors);
+        if (decoded.valid) items.push(decoded.value);
+      });
+      return { value: items, error: errors.length ? errors.join('; ') : null };
+    }
+    default:
+      return typeof value === 'string'
+        ? { value, error: null }
+        : { value: String(value), error: null };
+  }
+};
+
+/**
+ * Decode a record against a schema. Fields not in the schema pass through untouched.
+ * A record is invalid if a required field is missing or unreadable; bad optional
+ * fields are cleared and reported.
+ */
+const decodeRecord = (schema, raw, path) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, valid: false, errors: [`${path} is not an object`] };
+  }
+
+  const value = { ...raw };
+  const errors = [];
+  let valid = true;
+
+  Object.entries(schema).forEach(([field, definition]) => {
+    const decoded = decodeField(definition, raw[field], `${path}.${field}`);
+    value[field] = decoded.value;
+    if (decoded.error) {
+      errors.push(decoded.error);
+      if (definition.required) valid = false;
+    }
+  });
+
+  return { value, valid, errors };
+};
+
+const encodeRecord = (schema, record) => {
+  const encoded = { ...record };
+
+  Object.entries(schema).forEach(([field, definition]) => {
+    const value = record[field];
+    if (definition.type === 'date') {
+      const date = toDate(value);
+      encoded[field] = date ? date.toISOString() : null;
+    } else if (definition.type === 'list' && Array.isArray(value)) {
+      encoded[field] = value.map(item => encodeRecord(definition.of, item));
+    }
+  });
+
+  return encoded;
+};
+
+const decodeMany = (schema, label, records = []) => {
+  const valid = [];
+  const invalid = [];
+
+  (Array.isArray(records) ? records : []).forEach((raw, index) => {
+    const id = raw?.shipmentId || raw?.id || `#${index}`;
+    const decoded = decodeRecord(schema, raw, `${label} ${id}`);
+    if (decoded.valid) {
+      valid.push(decoded.value);
+      if (decoded.errors.length) {
+        console.warn(`Repaired ${label} ${id}:`, decoded.errors);
+      }
+    } else {
+      invalid.push({ record: raw, errors: decoded.errors });
+    }
+  });
+
+  if (invalid.length) {
+    console.warn(`Skipped ${invalid.length} malformed ${label} record(s):`, invalid);
+  }
+
+  return { valid, invalid };
+};
+
+export const serializeShipment = (shipment) => encodeRecord(SHIPMENT_SCHEMA, shipment);
+
+export const deserializeShipment = (raw) => decodeRecord(SHIPMENT_SCHEMA, raw, 'shipment');
+
+/**
+ * Decode a list of stored shipments into { shipments, invalid }
+ */
+export const deserializeShipments = (records) => {
+  const { valid, invalid } = decodeMany(SHIPMENT_SCHEMA, 'shipment', records);
+  return { shipments: valid, invalid };
+};
+
+export const serializeTrackingData = (trackingData) => encodeRecord(TRACKING_SCHEMA, trackingData);
+
+/**
+ * Decode cached tracking data, or null if it is unusable
+ */
+export const deserializeTrackingData = (raw) => {
+  const decoded = decodeRecord(TRACKING_SCHEMA, raw, 'tracking data');
+  return decoded.valid ? decoded.value : null;
+};
+
+export const serializeAlert = (alert) => encodeRecord(ALERT_SCHEMA, alert);
+
+/**
+ * Decode a list of stored alerts into { alerts, invalid }
+ */
+export const deserializeAlerts = (records) => {
+  const { valid, invalid } = decodeMany(ALERT_SCHEMA, 'alert', records);
+  return { alerts: valid, invalid };
+};
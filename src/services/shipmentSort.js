@@ -0,0 +1,74 @@
+/**
+ * Shipment Sorting
+ * Sort options for the dashboard grid and table views
+ */
+
+// Higher numbers need attention first
+export const STATUS_SEVERITY = {
+  exception: 5,
+  delayed: 4,
+  out_for_delivery: 3,
+  in_transit: 2,
+  pending: 1,
+  delivered: 0
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const compareText = (a = '', b = '') => a.localeCompare(b, undefined, { sensitivity: 'base' });
+
+export const SORT_OPTIONS = {
+  estimatedDelivery: {
+    label: 'Estimated delivery',
+    defaultOrder: 'asc',
+    value: shipment => toTime(shipment.actualDelivery || shipment.estimatedDelivery)
+  },
+  lastUpdated: {
+    label: 'Last updated',
+    defaultOrder: 'desc',
+    value: shipment => toTime(shipment.lastUpdated)
+  },
+  carrier: {
+    label: 'Carrier',
+    defaultOrder: 'asc',
+    value: shipment => shipment.carrier,
+    compare: compareText
+  },
+  status: {
+    label: 'Status severity',
+    defaultOrder: 'desc',
+    value: shipment => STATUS_SEVERITY[shipment.status] ?? 1
+  },
+  nickname: {
+    label: 'Nickname',
+    defaultOrder: 'asc',
+    value: shipment => shipment.nickname,
+    compare: compareText
+  }
+};
+
+/**
+ * Return a sorted copy. Missing values always sort last, and ties keep
+ * insertion order.
+ */
+export const sortShipments = (shipments, sortBy = 'lastUpdated', sortOrder = 'desc') => {
+  const option = SORT_OPTIONS[sortBy] || SORT_OPTIONS.lastUpdated;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const compare = option.compare || ((a, b) => a - b);
+
+  return shipments
+    .map((shipment, index) => ({ shipment, index, value: option.value(shipment) }))
+    .sort((a, b) => {
+      const aMissing = a.value === null || a.value === undefined;
+      const bMissing = b.value === null || b.value === undefined;
+      if (aMissing || bMissing) {
+        return aMissing === bMissing ? a.index - b.index : aMissing ? 1 : -1;
+      }
+      return compare(a.value, b.value) * direction || a.index - b.index;
+    })
+    .map(({ shipment }) => shipment);
+};
@@ -0,0 +1,129 @@
+/**
+ * Snooze Service
+ * Snoozing hides one alert until a time or until its shipment's status moves
+ * on (the alert carries `snoozedUntil` / `snoozedUntilStatus`); the options
+ * for that live here. Holding back every alert for a shipment is done by
+ * muting it, kept per shipment as `{ muted: true }`.
+ *
+ * The app keeps mutes in localStorage; the service worker can't read that,
+ * so each one is also mirrored into a Cache Storage entry it checks before
+ * showing a push. Alerts snoozed from a notification's "Snooze" button while
+ * no window is open are left there for the app to pick up.
+ */
+
+import { addDays, addHours, setHours, startOfDay } from 'date-fns';
+import { snoozeStorage } from './storageService.js';
+import { publish, subscribe } from './tabSync.js';
+
+// Must match SNOOZE_CACHE and the URLs in public/sw.js
+const SNOOZE_CACHE = 'shipmenttrackr-snoozes';
+const snoozeUrl = (shipmentId) => `/__snoozes/${encodeURIComponent(shipmentId)}`;
+const ALERT_SNOOZE_PREFIX = '/__alert-snoozes/';
+
+// "Until tomorrow" wakes up at this hour
+const TOMORROW_HOUR = 8;
+
+export const SNOOZE_OPTIONS = [
+  { id: 'hour', label: 'For 1 hour' },
+  { id: 'tomorrow', label: `Until tomorrow, ${TOMORROW_HOUR} AM` },
+  { id: 'statusChange', label: 'Until the status changes' }
+];
+
+const changeListeners = new Set();
+
+const hasCacheStorage = () => typeof caches !== 'undefined';
+
+const mirrorToCache = async (shipmentId, entry) => {
+  if (!hasCacheStorage()) return;
+  try {
+    const cache = await caches.open(SNOOZE_CACHE);
+    if (entry) {
+      await cache.put(snoozeUrl(shipmentId), new Response(JSON.stringify({ shipmentId, ...entry })));
+    } else {
+      await cache.delete(snoozeUrl(shipmentId));
+    }
+  } catch (error) {
+    console.warn('Failed to share mute with the service worker:', error);
+  }
+};
+
+/**
+ * Muted shipments, keyed by shipment ID. Entries saved by older versions
+ * with only a snooze time or status no longer count.
+ */
+export const getSnoozes = () => Object.fromEntries(
+  Object.entries(snoozeStorage.load())
+    .filter(([, entry]) => entry?.muted)
+    .map(([shipmentId]) => [shipmentId, { muted: true }])
+);
+
+/**
+ * The shipment's { muted } in effect, or null
+ */
+export const getShipmentSnooze = (shipmentId) => getSnoozes()[shipmentId] || null;
+
+export const isShipmentMuted = (shipmentId) => Boolean(getShipmentSnooze(shipmentId)?.muted);
+
+/**
+ * Be told when mutes change here or in another tab. Returns an unsubscribe function.
+ */
+export const onSnoozesChange = (listener) => {
+  changeListeners.add(listener);
+  const unsubscribe = subscribe('snoozes', () => listener(getSnoozes()));
+  return () => {
+    changeListeners.delete(listener);
+    unsubscribe();
+  };
+};
+
+const setMuted = async (shipmentId, muted) => {
+  const { [shipmentId]: previous, ...rest } = getSnoozes();
+  const entry = muted ? { muted: true } : null;
+
+  const next = entry ? { ...rest, [shipmentId]: entry } : rest;
+  snoozeStorage.save(next);
+  changeListeners.forEach(listener => listener(next));
+  publish('snoozes', null);
+  await mirrorToCache(shipmentId, entry);
+  return entry;
+};
+
+/**
+ * What a snooze option means for an alert whose shipment is in `status`:
+ * { until } or { status }. An already resolved { until } passes through.
+ */
+export const resolveSnooze = (option, status, now = new Date()) => {
+  if (option?.until) return { until: new Date(option.until).toISOString() };
+  if (option === 'statusChange') return { status };
+  if (option === 'tomorrow') return { until: setHours(startOfDay(addDays(now, 1)), TOMORROW_HOUR).toISOString() };
+  return { until: addHours(now, 1).toISOString() };
+};
+
+export const muteShipment = (shipmentId) => setMuted(shipmentId, true);
+
+export const unmuteShipment = (shipmentId) => setMuted(shipmentId, false);
+
+/**
+ * Take the alert snoozes the service worker saved while the app was closed,
+ * as [{ alertId, until }], removing them from its cache
+ */
+export const takeServiceWorkerAlertSnoozes = async () => {
+  if (!hasCacheStorage()) return [];
+
+  try {
+    const cache = await caches.open(SNOOZE_CACHE);
+    const snoozes = [];
+
+    for (const request of await cache.keys()) {
+      if (!new URL(request.url).pathname.startsWith(ALERT_SNOOZE_PREFIX)) continue;
+      const response = await cache.match(request);
+      const { alertId, until } = await response.json();
+      if (alertId && until) snoozes.push({ alertId, until });
+      await cache.delete(request);
+    }
+    return snoozes;
+  } catch (error) {
+    console.warn('Failed to read snoozes from the service worker:', error);
+    return [];
+  }
+};
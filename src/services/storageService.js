@@ -3,6 +3,18 @@
  * Handles local storage, data synchronization, and offline capabilities
  */
 
+import { format, isValid } from 'date-fns';
+import { STORES, isDatabaseAvailable, openDatabase, withStore } from './database.js';
+import {
+  serializeShipment,
+  deserializeShipments,
+  serializeAlert,
+  deserializeAlerts
+} from './shipmentSchema.js';
+import { toCSV } from './csv.js';
+import { IMPORT_MODES, parseImportData, planImport } from './importPlan.js';
+import { toICalendar, toHTMLReport } from './shipmentReports.js';
+
 // Storage keys
 const STORAGE_KEYS = {
   SHIPMENTS: 'shipmenttrackr_shipments',
@@ -10,11 +22,20 @@ const STORAGE_KEYS = {
   USER_PREFERENCES: 'shipmenttrackr_preferences',
   SUBSCRIPTION: 'shipmenttrackr_subscription',
   APP_STATE: 'shipmenttrackr_app_state',
-  CACHE: 'shipmenttrackr_cache'
+  CACHE: 'shipmenttrackr_cache',
+  ALERT_RULES: 'shipmenttrackr_alert_rules',
+  PROFILE: 'shipmenttrackr_profile',
+  MAILBOX: 'shipmenttrackr_mailbox',
+  DIGEST: 'shipmenttrackr_digest',
+  SNOOZES: 'shipmenttrackr_snoozes',
+  MOCK_TRACKING: 'shipmenttrackr_mock_tracking'
 };
 
+// Messages kept by the local mailbox email transport
+const MAILBOX_LIMIT = 50;
+
 // Cache expiration times (in milliseconds)
-const CACHE_EXPIRATION = {
+export const CACHE_EXPIRATION = {
   TRACKING_DATA: 5 * 60 * 1000, // 5 minutes
   USER_PREFERENCES: 30 * 60 * 1000, // 30 minutes
   SUBSCRIPTION_STATUS: 60 * 60 * 1000 // 1 hour
@@ -40,6 +61,11 @@ export const storage = {
       return true;
     } catch (error) {
       console.error(`Error writing to storage (${key}):`, error);
+      if (isQuotaError(error)) {
+        // Make room in the background and write again once there is space
+        const data = JSON.stringify(value);
+        storageQuota.recover(() => localStorage.setItem(key, data), { store: 'localStorage' });
+      }
       return false;
     }
   },
@@ -54,12 +80,17 @@ export const storage = {
     }
   },
 
-  clear: () => {
+  // Shipments and queued offline changes live in IndexedDB, so this is async
+  clear: async () => {
     try {
       // Only clear our app's data
       Object.values(STORAGE_KEYS).forEach(key => {
         localStorage.removeItem(key);
       });
+      if (!await shipmentStorage.clear()) return false;
+      if (isDatabaseAvailable()) {
+        await withStore(STORES.ACTION_QUEUE, 'readwrite', store => store.clear());
+      }
       return true;
     } catch (error) {
       console.error('Error clearing storage:', error);
@@ -70,47 +101,148 @@ export const storage = {
 
 /**
  * Shipment data persistence
+ * Shipments live in IndexedDB, one record per shipment. Browsers without
+ * IndexedDB fall back to a single localStorage entry. All methods are async.
+ * Records are stored serialized (ISO date strings) and decoded on read.
  */
-export const shipmentStorage = {
-  save: (shipments) => {
-    const data = {
-      shipments,
-      lastUpdated: new Date().toISOString(),
-      version: '1.0'
-    };
-    return storage.set(STORAGE_KEYS.SHIPMENTS, data);
-  },
+const legacyShipmentStorage = {
+  save: (shipments) => storage.set(STORAGE_KEYS.SHIPMENTS, {
+    shipments: shipments.map(serializeShipment),
+    lastUpdated: new Date().toISOString(),
+    version: '1.0'
+  }),
 
   load: () => {
     const data = storage.get(STORAGE_KEYS.SHIPMENTS, { shipments: [], lastUpdated: null });
     return data.shipments || [];
+  }
+};
+
+const readAllRecords = async () => {
+  if (!isDatabaseAvailable()) return legacyShipmentStorage.load();
+
+  try {
+    return await withStore(STORES.SHIPMENTS, 'readonly', store => store.getAll());
+  } catch (error) {
+    console.error('Error loading shipments:', error);
+    return [];
+  }
+};
+
+export const shipmentStorage = {
+  load: async () => {
+    const { shipments } = await shipmentStorage.loadWithReport();
+    return shipments;
+  },
+
+  // Like load, but also returns the records that failed validation as `invalid`
+  loadWithReport: async () => deserializeShipments(await readAllRecords()),
+
+  // Replace every stored shipment (used by import)
+  save: async (shipments) => {
+    if (!isDatabaseAvailable()) return legacyShipmentStorage.save(shipments);
+
+    const write = () => withStore(STORES.SHIPMENTS, 'readwrite', store => {
+      store.clear();
+      shipments.forEach(shipment => store.put(serializeShipment(shipment)));
+    });
+
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      console.error('Error saving shipments:', error);
+      return isQuotaError(error) ? (await storageQuota.recover(write)).recovered : false;
+    }
   },
 
-  addShipment: (shipment) => {
-    const shipments = shipmentStorage.load();
-    const updatedShipments = [shipment, ...shipments];
-    return shipmentStorage.save(updatedShipments);
+  // Write only the given records, leaving the rest untouched
+  putShipments: async (shipments) => {
+    if (shipments.length === 0) return true;
+
+    if (!isDatabaseAvailable()) {
+      const ids = new Set(shipments.map(s => s.shipmentId));
+      const others = (await shipmentStorage.load()).filter(s => !ids.has(s.shipmentId));
+      return legacyShipmentStorage.save([...shipments, ...others]);
+    }
+
+    const write = () => withStore(STORES.SHIPMENTS, 'readwrite', store => {
+      shipments.forEach(shipment => store.put(serializeShipment(shipment)));
+    });
+
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      console.error('Error writing shipments:', error);
+      return isQuotaError(error) ? (await storageQuota.recover(write)).recovered : false;
+    }
   },
 
-  updateShipment: (shipmentId, updates) => {
-    const shipments = shipmentStorage.load();
-    const updatedShipments = shipments.map(shipment =>
-      shipment.shipmentId === shipmentId
-        ? { ...shipment, ...updates, lastUpdated: new Date().toISOString() }
-        : shipment
-    );
-    return shipmentStorage.save(updatedShipments);
+  addShipment: (shipment) => shipmentStorage.putShipments([shipment]),
+
+  // Remove every stored shipment
+  clear: async () => {
+    if (!isDatabaseAvailable()) return storage.remove(STORAGE_KEYS.SHIPMENTS);
+
+    try {
+      await withStore(STORES.SHIPMENTS, 'readwrite', store => store.clear());
+      return true;
+    } catch (error) {
+      console.error('Error clearing shipments:', error);
+      return false;
+    }
+  },
+
+  updateShipment: async (shipmentId, updates) => {
+    const shipment = await shipmentStorage.getShipment(shipmentId);
+    if (!shipment) return false;
+    return shipmentStorage.putShipments([{ ...shipment, ...updates, lastUpdated: new Date() }]);
+  },
+
+  removeShipment: async (shipmentId) => {
+    if (!isDatabaseAvailable()) {
+      return legacyShipmentStorage.save(
+        (await shipmentStorage.load()).filter(s => s.shipmentId !== shipmentId)
+      );
+    }
+
+    try {
+      await withStore(STORES.SHIPMENTS, 'readwrite', store => store.delete(shipmentId));
+      return true;
+    } catch (error) {
+      console.error('Error removing shipment:', error);
+      return false;
+    }
   },
 
-  removeShipment: (shipmentId) => {
-    const shipments = shipmentStorage.load();
-    const filteredShipments = shipments.filter(s => s.shipmentId !== shipmentId);
-    return shipmentStorage.save(filteredShipments);
+  getShipment: async (shipmentId) => {
+    if (!isDatabaseAvailable()) {
+      return (await shipmentStorage.load()).find(s => s.shipmentId === shipmentId);
+    }
+
+    try {
+      const record = await withStore(STORES.SHIPMENTS, 'readonly', store => store.get(shipmentId));
+      return record ? deserializeShipments([record]).shipments[0] : undefined;
+    } catch (error) {
+      console.error('Error reading shipment:', error);
+      return undefined;
+    }
   },
 
-  getShipment: (shipmentId) => {
-    const shipments = shipmentStorage.load();
-    return shipments.find(s => s.shipmentId === shipmentId);
+  // Look up shipments by an indexed field: 'status', 'carrier' or 'trackingNumber'
+  findBy: async (index, value) => {
+    if (!isDatabaseAvailable()) {
+      return (await shipmentStorage.load()).filter(s => s[index] === value);
+    }
+
+    try {
+      const records = await withStore(STORES.SHIPMENTS, 'readonly', store => store.index(index).getAll(value));
+      return deserializeShipments(records).shipments;
+    } catch (error) {
+      console.error(`Error querying shipments by ${index}:`, error);
+      return [];
+    }
   }
 };
 
@@ -120,7 +252,7 @@ export const shipmentStorage = {
 export const alertStorage = {
   save: (alerts) => {
     const data = {
-      alerts,
+      alerts: alerts.map(serializeAlert),
       lastUpdated: new Date().toISOString()
     };
     return storage.set(STORAGE_KEYS.ALERTS, data);
@@ -128,7 +260,7 @@ export const alertStorage = {
 
   load: () => {
     const data = storage.get(STORAGE_KEYS.ALERTS, { alerts: [] });
-    return data.alerts || [];
+    return deserializeAlerts(data.alerts).alerts;
   },
 
   addAlert: (alert) => {
@@ -141,7 +273,7 @@ export const alertStorage = {
     const alerts = alertStorage.load();
     const updatedAlerts = alerts.map(alert =>
       alert.id === alertId
-        ? { ...alert, dismissed: true, dismissedAt: new Date().toISOString() }
+        ? { ...alert, dismissed: true, dismissedAt: new Date() }
         : alert
     );
     return alertStorage.save(updatedAlerts);
@@ -167,6 +299,88 @@ export const alertStorage = {
   }
 };
 
+/**
+ * User preferences persistence
+ * Preferences used to be kept under an unprefixed key; they are moved over
+ * the first time they are read.
+ */
+const LEGACY_PREFERENCES_KEY = 'userPreferences';
+
+export const preferencesStorage = {
+  save: (preferences) => storage.set(STORAGE_KEYS.USER_PREFERENCES, preferences),
+
+  // Saved preferences, or null if none have been saved yet
+  load: () => {
+    const preferences = storage.get(STORAGE_KEYS.USER_PREFERENCES);
+    if (preferences) return preferences;
+
+    const legacy = storage.get(LEGACY_PREFERENCES_KEY);
+    if (legacy && preferencesStorage.save(legacy)) storage.remove(LEGACY_PREFERENCES_KEY);
+    return legacy;
+  }
+};
+
+/**
+ * Alert rule settings: overrides for built-in rules ({ [ruleId]: { enabled, severity } })
+ * and the user's custom rules. See alertRules.js.
+ */
+export const alertRulesStorage = {
+  save: (settings) => storage.set(STORAGE_KEYS.ALERT_RULES, settings),
+
+  load: () => ({ overrides: {}, custom: [], ...storage.get(STORAGE_KEYS.ALERT_RULES, {}) })
+};
+
+/**
+ * The user's profile: { email, verifiedAt, pending } where `pending` is an
+ * address waiting for its verification code
+ */
+export const profileStorage = {
+  save: (profile) => storage.set(STORAGE_KEYS.PROFILE, profile),
+
+  load: () => ({ email: null, verifiedAt: null, pending: null, ...storage.get(STORAGE_KEYS.PROFILE, {}) })
+};
+
+/**
+ * Weekly digest bookkeeping: { lastSentAt }
+ */
+export const digestStorage = {
+  save: (state) => storage.set(STORAGE_KEYS.DIGEST, state),
+
+  load: () => storage.get(STORAGE_KEYS.DIGEST, {})
+};
+
+/**
+ * When demo mode first saw each tracking number: { [carrier:trackingNumber]: ISO date }
+ */
+export const mockTrackingStorage = {
+  save: (firstSeen) => storage.set(STORAGE_KEYS.MOCK_TRACKING, firstSeen),
+
+  load: () => storage.get(STORAGE_KEYS.MOCK_TRACKING, {})
+};
+
+/**
+ * Muted shipments: { [shipmentId]: { muted } }. See snoozeService.js.
+ */
+export const snoozeStorage = {
+  save: (snoozes) => storage.set(STORAGE_KEYS.SNOOZES, snoozes),
+
+  load: () => storage.get(STORAGE_KEYS.SNOOZES, {})
+};
+
+/**
+ * Emails "sent" by the local mailbox transport, newest first
+ */
+export const mailboxStorage = {
+  add: (message) => storage.set(
+    STORAGE_KEYS.MAILBOX,
+    [message, ...mailboxStorage.load()].slice(0, MAILBOX_LIMIT)
+  ),
+
+  load: () => storage.get(STORAGE_KEYS.MAILBOX, []),
+
+  clear: () => storage.remove(STORAGE_KEYS.MAILBOX)
+};
+
 /**
  * App state persistence
  */
@@ -185,7 +399,8 @@ export const appStateStorage = {
       searchTerm: '',
       sortBy: 'lastUpdated',
       sortOrder: 'desc',
-      viewMode: 'grid'
+      viewMode: 'grid',
+      savedSearches: []
     });
   },
 
@@ -202,6 +417,34 @@ export const appStateStorage = {
   updateSort: (sortBy, sortOrder = 'desc') => {
     const state = appStateStorage.load();
     return appStateStorage.save({ ...state, sortBy, sortOrder });
+  },
+
+  updateViewMode: (viewMode) => {
+    const state = appStateStorage.load();
+    return appStateStorage.save({ ...state, viewMode });
+  },
+
+  saveSearch: (name, query) => {
+    const state = appStateStorage.load();
+    const savedSearch = {
+      id: `search_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      name,
+      query,
+      createdAt: new Date().toISOString()
+    };
+    const savedSearches = [
+      ...(state.savedSearches || []).filter(search => search.name !== name),
+      savedSearch
+    ];
+    appStateStorage.save({ ...state, savedSearches });
+    return savedSearches;
+  },
+
+  removeSavedSearch: (searchId) => {
+    const state = appStateStorage.load();
+    const savedSearches = (state.savedSearches || []).filter(search => search.id !== searchId);
+    appStateStorage.save({ ...state, savedSearches });
+    return savedSearches;
   }
 };
 
@@ -236,6 +479,14 @@ export const cacheStorage = {
     return item.data;
   },
 
+  // The stored item with its timestamp, so callers can judge freshness themselves
+  getEntry: (key) => {
+    const cache = storage.get(STORAGE_KEYS.CACHE, {});
+    const item = cache[key];
+    if (!item || Date.now() - item.timestamp > item.expiration) return null;
+    return item;
+  },
+
   remove: (key) => {
     const cache = storage.get(STORAGE_KEYS.CACHE, {});
     delete cache[key];
@@ -265,38 +516,45 @@ export const cacheStorage = {
  * Data export functionality
  */
 export const dataExport = {
-  exportShipments: (format = 'json') => {
-    const shipments = shipmentStorage.load();
-    const exportData = {
-      shipments,
-      exportDate: new Date().toISOString(),
-      version: '1.0'
-    };
-
-    if (format === 'json') {
-      return JSON.stringify(exportData, null, 2);
+  /**
+   * Export shipments as 'json', 'csv', 'ics' (expected deliveries) or 'html'
+   * (printable report). Pass `shipments` to export a filtered subset instead
+   * of everything stored; `scope` labels that subset in the report.
+   */
+  exportShipments: async (format = 'json', { shipments, scope } = {}) => {
+    const records = shipments || await shipmentStorage.load();
+
+    switch (format) {
+      case 'json':
+        return JSON.stringify({
+          shipments: records.map(serializeShipment),
+          exportDate: new Date().toISOString(),
+          version: '1.0'
+        }, null, 2);
+      case 'csv':
+        return convertToCSV(records);
+      case 'ics':
+        return toICalendar(records);
+      case 'html':
+        return toHTMLReport(records, { scope });
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
     }
-
-    if (format === 'csv') {
-      return convertToCSV(shipments);
-    }
-
-    throw new Error(`Unsupported export format: ${format}`);
   },
 
   exportAlerts: () => {
     const alerts = alertStorage.load();
     return JSON.stringify({
-      alerts,
+      alerts: alerts.map(serializeAlert),
       exportDate: new Date().toISOString()
     }, null, 2);
   },
 
-  exportAll: () => {
+  exportAll: async () => {
     return JSON.stringify({
-      shipments: shipmentStorage.load(),
-      alerts: alertStorage.load(),
-      preferences: storage.get(STORAGE_KEYS.USER_PREFERENCES),
+      shipments: (await shipmentStorage.load()).map(serializeShipment),
+      alerts: alertStorage.load().map(serializeAlert),
+      preferences: preferencesStorage.load(),
       appState: appStateStorage.load(),
       exportDate: new Date().toISOString(),
       version: '1.0'
@@ -306,34 +564,123 @@ export const dataExport = {
 
 /**
  * Data import functionality
+ * Files are validated and planned first (see importPlan.js) so the user can
+ * preview the changes. Applying a plan saves a snapshot of the current data
+ * beforehand, which `undo` restores.
  */
+const IMPORT_SNAPSHOT_KEY = 'importSnapshot';
+
+// Used only when IndexedDB is unavailable; does not survive a reload
+let memorySnapshot = null;
+
+const importSnapshotStorage = {
+  save: async (snapshot) => {
+    if (!isDatabaseAvailable()) {
+      memorySnapshot = snapshot;
+      return;
+    }
+    await withStore(STORES.META, 'readwrite', store => store.put({ key: IMPORT_SNAPSHOT_KEY, ...snapshot }));
+  },
+
+  load: async () => {
+    if (!isDatabaseAvailable()) return memorySnapshot;
+    return (await withStore(STORES.META, 'readonly', store => store.get(IMPORT_SNAPSHOT_KEY))) || null;
+  },
+
+  clear: async () => {
+    if (!isDatabaseAvailable()) {
+      memorySnapshot = null;
+      return;
+    }
+    await withStore(STORES.META, 'readwrite', store => store.delete(IMPORT_SNAPSHOT_KEY));
+  }
+};
+
+const loadCurrentData = async () => ({
+  shipments: await shipmentStorage.load(),
+  alerts: alertStorage.load(),
+  preferences: preferencesStorage.load() || {},
+  appState: appStateStorage.load()
+});
+
 export const dataImport = {
-  importShipments: (jsonData) => {
+  // Validate a file without changing anything. Throws if it can't be used at all.
+  parse: (jsonData) => parseImportData(jsonData),
+
+  // What importing the parsed file in `mode` would change
+  preview: async (parsed, mode = IMPORT_MODES.MERGE) => planImport(await loadCurrentData(), parsed, mode),
+
+  /**
+   * Write a plan from `preview`. Unless `snapshot` is false, the data it
+   * replaces is kept so the import can be undone.
+   */
+  apply: async (plan, { snapshot = true } = {}) => {
     try {
-      const data = JSON.parse(jsonData);
-      if (data.shipments && Array.isArray(data.shipments)) {
-        return shipmentStorage.save(data.shipments);
+      if (snapshot) {
+        await importSnapshotStorage.save({
+          data: await dataExport.exportAll(),
+          createdAt: new Date().toISOString(),
+          mode: plan.mode
+        });
+      }
+
+      if (plan.shipments.result) {
+        const saved = await shipmentStorage.save(plan.shipments.result);
+        if (!saved) throw new Error('Could not save shipments');
       }
-      throw new Error('Invalid shipment data format');
+      if (plan.alerts.result) alertStorage.save(plan.alerts.result);
+      if (plan.preferences.result) preferencesStorage.save(plan.preferences.result);
+      if (plan.appState.result) appStateStorage.save(plan.appState.result);
+
+      return { success: true, skipped: plan.errors.filter(error => error.skipped).length };
     } catch (error) {
       console.error('Import failed:', error);
-      return false;
+      return { success: false, skipped: 0, error: error.message };
     }
   },
 
-  importAll: (jsonData) => {
+  // The snapshot taken before the last import, as { createdAt, mode }, or null
+  getSnapshot: async () => {
     try {
-      const data = JSON.parse(jsonData);
-      
-      if (data.shipments) shipmentStorage.save(data.shipments);
-      if (data.alerts) alertStorage.save(data.alerts);
-      if (data.preferences) storage.set(STORAGE_KEYS.USER_PREFERENCES, data.preferences);
-      if (data.appState) appStateStorage.save(data.appState);
-      
-      return true;
+      const snapshot = await importSnapshotStorage.load();
+      return snapshot ? { createdAt: new Date(snapshot.createdAt), mode: snapshot.mode } : null;
+    } catch (error) {
+      console.error('Error reading import snapshot:', error);
+      return null;
+    }
+  },
+
+  // Put back the data from before the last import
+  undo: async () => {
+    const snapshot = await importSnapshotStorage.load();
+    if (!snapshot) return { success: false, skipped: 0, error: 'Nothing to undo' };
+
+    const plan = await dataImport.preview(parseImportData(snapshot.data), IMPORT_MODES.REPLACE);
+    const result = await dataImport.apply(plan, { snapshot: false });
+    if (result.success) await importSnapshotStorage.clear();
+    return result;
+  },
+
+  importShipments: async (jsonData) => {
+    try {
+      const parsed = parseImportData(jsonData);
+      if (!parsed.shipments) throw new Error('Invalid shipment data format');
+      const plan = await dataImport.preview({ ...parsed, alerts: null, preferences: null, appState: null }, IMPORT_MODES.REPLACE);
+      return dataImport.apply(plan);
     } catch (error) {
       console.error('Import failed:', error);
-      return false;
+      return { success: false, skipped: 0, error: error.message };
+    }
+  },
+
+  // Replace everything with the file's contents
+  importAll: async (jsonData) => {
+    try {
+      const plan = await dataImport.preview(parseImportData(jsonData), IMPORT_MODES.REPLACE);
+      return dataImport.apply(plan);
+    } catch (error) {
+      console.error('Import failed:', error);
+      return { success: false, skipped: 0, error: error.message };
     }
   }
 };
@@ -342,8 +689,6 @@ export const dataImport = {
  * Convert shipments to CSV format
  */
 const convertToCSV = (shipments) => {
-  if (!shipments.length) return '';
-
   const headers = [
     'Tracking Number',
     'Carrier',
@@ -354,45 +699,239 @@ const convertToCSV = (shipments) => {
     'Last Updated'
   ];
 
+  // yyyy-MM-dd reads the same whatever the browser's locale; the day is the
+  // local one, as in the calendar export
+  const formatDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && isValid(date) ? format(date, 'yyyy-MM-dd') : '';
+  };
+
   const rows = shipments.map(shipment => [
     shipment.trackingNumber,
     shipment.carrier,
     shipment.nickname,
     shipment.status,
-    shipment.estimatedDelivery ? new Date(shipment.estimatedDelivery).toLocaleDateString() : '',
-    shipment.actualDelivery ? new Date(shipment.actualDelivery).toLocaleDateString() : '',
-    new Date(shipment.lastUpdated).toLocaleDateString()
+    formatDate(shipment.estimatedDelivery),
+    formatDate(shipment.actualDelivery),
+    formatDate(shipment.lastUpdated)
   ]);
 
-  const csvContent = [headers, ...rows]
-    .map(row => row.map(field => `"${field}"`).join(','))
-    .join('\n');
-
-  return csvContent;
+  return toCSV([headers, ...rows]);
 };
 
 /**
  * Storage quota management
  */
+// Percentage of the origin's quota above which storage counts as nearly full
+const NEAR_LIMIT_PERCENTAGE = 80;
+
+// What pruning keeps per shipment
+const HISTORY_KEEP = { events: 10, changelog: 5, dismissedAlerts: 20, backups: 3 };
+
+// The shipment with its tracking events and changelog cut to HISTORY_KEEP,
+// or the same object if they already fit
+const pruneHistory = (shipment) => {
+  const history = shipment.historicalStatuses || [];
+  const changelog = shipment.changelog || [];
+  if (history.length <= HISTORY_KEEP.events && changelog.length <= HISTORY_KEEP.changelog) return shipment;
+  return {
+    ...shipment,
+    historicalStatuses: history.slice(-HISTORY_KEEP.events),
+    changelog: changelog.slice(0, HISTORY_KEEP.changelog)
+  };
+};
+
+export const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' ||
+  error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error?.code === 22 ||
+  error?.code === 1014;
+
+const localStorageSize = (...keys) =>
+  // localStorage keeps strings as UTF-16, two bytes per character
+  keys.reduce((total, key) => total + ((localStorage.getItem(key) || '').length + key.length) * 2, 0);
+
+const storeSize = async (storeName) => {
+  if (!isDatabaseAvailable()) return 0;
+  const records = await withStore(storeName, 'readonly', store => store.getAll());
+  return records.reduce((total, record) => total + JSON.stringify(record).length, 0);
+};
+
+/**
+ * Recovery steps, cheapest first. Each frees some space and returns
+ * { type, message } describing what it did, or null if it had nothing to do.
+ * `indexedDB` is set when space there would help, i.e. a write to IndexedDB
+ * failed or recovery was run on demand.
+ */
+const RECOVERY_STEPS = [
+  async () => {
+    const count = Object.keys(storage.get(STORAGE_KEYS.CACHE, {})).length;
+    if (count === 0) return null;
+    // Removed rather than rewritten, since writing may be what is failing
+    storage.remove(STORAGE_KEYS.CACHE);
+    return { type: 'cache', message: `cleared ${count} cached tracking response(s)` };
+  },
+
+  async ({ indexedDB }) => {
+    // Shipments and backups only take IndexedDB space when it is available,
+    // so a full localStorage leaves them alone
+    const freesIndexedDB = indexedDB && isDatabaseAvailable();
+
+    let events = 0;
+    if (freesIndexedDB || !isDatabaseAvailable()) {
+      // Only the trimmed records are written back; a full rewrite would drop
+      // the ones that fail validation
+      const pruned = (await shipmentStorage.load())
+        .map(shipment => {
+          events += Math.max(0, (shipment.historicalStatuses || []).length - HISTORY_KEEP.events);
+          return [shipment, pruneHistory(shipment)];
+        })
+        .filter(([shipment, trimmed]) => trimmed !== shipment)
+        .map(([, trimmed]) => trimmed);
+      await shipmentStorage.putShipments(pruned);
+    }
+
+    // Dismissed alerts make up the inbox history until the 7-day cleanup, so
+    // only the oldest go
+    const alerts = alertStorage.load();
+    const evicted = new Set(alerts
+      .filter(alert => alert.dismissed)
+      .sort((a, b) => new Date(b.dismissedAt || b.timestamp) - new Date(a.dismissedAt || a.timestamp))
+      .slice(HISTORY_KEEP.dismissedAlerts)
+      .map(alert => alert.id));
+    const keptAlerts = alerts.filter(alert => !evicted.has(alert.id));
+    if (evicted.size > 0) alertStorage.save(keptAlerts);
+
+    let backups = 0;
+    if (freesIndexedDB) {
+      // Keep the newest few restore points
+      const ids = await withStore(STORES.BACKUPS, 'readonly', store => store.index('createdAt').getAllKeys());
+      const expired = ids.slice(0, -HISTORY_KEEP.backups);
+      if (expired.length) {
+        await withStore(STORES.BACKUPS, 'readwrite', store => expired.forEach(id => store.delete(id)));
+      }
+      backups = expired.length;
+    }
+
+    const removedAlerts = alerts.length - keptAlerts.length;
+    if (events === 0 && removedAlerts === 0 && backups === 0) return null;
+    const parts = [
+      events > 0 && `${events} old tracking event(s)`,
+      removedAlerts > 0 && `${removedAlerts} dismissed alert(s)`,
+      backups > 0 && `${backups} older backup(s)`
+    ].filter(Boolean);
+    return { type: 'history', message: `removed ${parts.join(', ')}` };
+  }
+];
+
+let recovering = false;
+let indexedDBWriteFailed = false;
+const pendingRetries = [];
+const recoveryListeners = new Set();
+
+// Try the writes that failed; true once none are left
+const retryPending = async () => {
+  for (const retry of [...pendingRetries]) {
+    try {
+      await retry();
+      pendingRetries.splice(pendingRetries.indexOf(retry), 1);
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        console.error('Write still failing after freeing space:', error);
+        pendingRetries.splice(pendingRetries.indexOf(retry), 1);
+      }
+    }
+  }
+  return pendingRetries.length === 0;
+};
+
 export const storageQuota = {
-  getUsage: () => {
+  getUsage: async () => {
     if (!navigator.storage || !navigator.storage.estimate) {
       return { used: 0, available: 0, percentage: 0 };
     }
 
-    return navigator.storage.estimate().then(estimate => ({
+    const estimate = await navigator.storage.estimate();
+    return {
       used: estimate.usage || 0,
       available: estimate.quota || 0,
       percentage: estimate.quota ? Math.round((estimate.usage / estimate.quota) * 100) : 0
-    }));
+    };
   },
 
   isNearLimit: async () => {
     const usage = await storageQuota.getUsage();
-    return usage.percentage > 80;
+    return usage.percentage > NEAR_LIMIT_PERCENTAGE;
   },
 
-  cleanup: () => {
+  // Approximate bytes used by each kind of data
+  getBreakdown: async () => {
+    const idbSize = async (storeName) => {
+      try {
+        return await storeSize(storeName);
+      } catch (error) {
+        console.error(`Error measuring ${storeName}:`, error);
+        return 0;
+      }
+    };
+
+    return {
+      shipments: isDatabaseAvailable() ? await idbSize(STORES.SHIPMENTS) : localStorageSize(STORAGE_KEYS.SHIPMENTS),
+      alerts: localStorageSize(STORAGE_KEYS.ALERTS),
+      cache: localStorageSize(STORAGE_KEYS.CACHE),
+      backups: await idbSize(STORES.BACKUPS),
+      offlineQueue: await idbSize(STORES.ACTION_QUEUE),
+      settings: localStorageSize(STORAGE_KEYS.USER_PREFERENCES, STORAGE_KEYS.APP_STATE, STORAGE_KEYS.SUBSCRIPTION, STORAGE_KEYS.ALERT_RULES, STORAGE_KEYS.PROFILE, STORAGE_KEYS.MAILBOX, STORAGE_KEYS.SNOOZES)
+    };
+  },
+
+  /**
+   * Free space after a quota error: evict the tracking cache, then prune old
+   * history, stopping as soon as `retry` (the write that failed) succeeds.
+   * `store` says where that write went, 'indexedDB' or 'localStorage'.
+   * Without `retry` every step runs.
+   * Listeners are told what was done, with `requested` set when it was run
+   * on demand rather than after a failed write. Resolves to { recovered, actions }.
+   */
+  recover: async (retry, { store = 'indexedDB' } = {}) => {
+    const requested = !retry;
+    if (retry) pendingRetries.push(retry);
+    if (retry && store === 'indexedDB') indexedDBWriteFailed = true;
+    // Writes failing during recovery are retried at its end
+    if (recovering) return { recovered: false, actions: [] };
+    recovering = true;
+
+    const actions = [];
+    let recovered = false;
+    try {
+      for (const step of RECOVERY_STEPS) {
+        const action = await step({ indexedDB: requested || indexedDBWriteFailed });
+        if (action) actions.push(action);
+        if (pendingRetries.length > 0 && await retryPending()) {
+          recovered = true;
+          break;
+        }
+      }
+      if (pendingRetries.length === 0) recovered = true;
+    } catch (error) {
+      console.error('Storage recovery failed:', error);
+    } finally {
+      recovering = false;
+      indexedDBWriteFailed = false;
+      pendingRetries.length = 0;
+    }
+
+    recoveryListeners.forEach(listener => listener({ recovered, actions, requested }));
+    return { recovered, actions };
+  },
+
+  // Be told when recovery runs. Returns an unsubscribe function.
+  onRecovery: (listener) => {
+    recoveryListeners.add(listener);
+    return () => recoveryListeners.delete(listener);
+  },
+
+  cleanup: async () => {
     // Clean up old cache entries
     cacheStorage.cleanup();
     
@@ -400,7 +939,7 @@ export const storageQuota = {
     alertStorage.cleanup();
     
     // Remove any orphaned data
-    const shipments = shipmentStorage.load();
+    const shipments = await shipmentStorage.load();
     const alerts = alertStorage.load();
     
     // Remove alerts for non-existent shipments
@@ -417,16 +956,21 @@ export const storageQuota = {
 /**
  * Initialize storage on app start
  */
-export const initializeStorage = () => {
+export const initializeStorage = async () => {
   try {
-    // Run cleanup on initialization
-    storageQuota.cleanup();
-    
     // Check storage availability
     if (typeof Storage === 'undefined') {
       console.warn('Local storage not available');
       return false;
     }
+
+    // Open the database first so pending migrations run before anything reads it
+    if (isDatabaseAvailable()) {
+      await openDatabase();
+    }
+
+    // Run cleanup on initialization
+    await storageQuota.cleanup();
     
     return true;
   } catch (error) {
@@ -11,29 +11,37 @@ export const SUBSCRIPTION_PLANS = {
     name: 'Free',
     price: 0,
     shipmentLimit: 3,
+    // Delivered shipments are archived after `archiveAfterDays`; archived ones
+    // older than `keepArchivedDays` are offered for deletion, never removed
+    // without asking
+    retention: { archiveAfterDays: 3, keepArchivedDays: 30 },
     features: [
       'Track up to 3 shipments',
       'Basic tracking updates',
-      'Email notifications'
+      'Email notifications',
+      '30 days of shipment history'
     ]
   },
   basic: {
     name: 'Basic',
     price: 5,
     shipmentLimit: 10,
+    retention: { archiveAfterDays: 7, keepArchivedDays: 365 },
     features: [
       'Track up to 10 shipments',
       'Basic tracking updates',
       'Email notifications',
-      'Shipment history'
+      'Shipment history for a year'
     ]
   },
   premium: {
     name: 'Premium',
     price: 10,
     shipmentLimit: Infinity,
+    retention: { archiveAfterDays: 30, keepArchivedDays: Infinity },
     features: [
       'Unlimited shipments',
+      'Unlimited shipment history',
       'Real-time tracking updates',
       'Proactive delay alerts',
       'Advanced filtering & search',
@@ -106,6 +114,15 @@ export const getRemainingShipments = (currentShipmentCount) => {
   return Math.max(0, plan.shipmentLimit - currentShipmentCount);
 };
 
+/**
+ * Archive and history retention for the current plan
+ */
+export const getRetentionPolicy = () => {
+  const subscription = getCurrentSubscription();
+  const plan = SUBSCRIPTION_PLANS[subscription.plan] || SUBSCRIPTION_PLANS.free;
+  return plan.retention;
+};
+
 /**
  * Check if user has access to premium features
  */
@@ -0,0 +1,200 @@
+/**
+ * Cross-Tab Sync
+ * Lets open tabs tell each other about record changes and elects a single
+ * leader tab for background work such as refresh polling.
+ * Uses BroadcastChannel and Web Locks where available, falling back to
+ * localStorage `storage` events and a heartbeat lease.
+ */
+
+const CHANNEL_NAME = 'shipmenttrackr_sync';
+const SYNC_KEY = 'shipmenttrackr_sync_message';
+const LEADER_LOCK = 'shipmenttrackr_leader';
+const LEADER_KEY = 'shipmenttrackr_leader';
+
+// Heartbeat fallback timings
+const LEASE_DURATION = 6000;
+const HEARTBEAT_INTERVAL = 2000;
+
+const TAB_ID = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+const listeners = new Map();
+let transport = null;
+
+const deliver = (message) => {
+  if (!message || message.source === TAB_ID) return;
+  listeners.get(message.type)?.forEach(listener => listener(message.payload));
+};
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => deliver(event.data);
+    transport = { post: (message) => channel.postMessage(message) };
+    return transport;
+  }
+
+  // storage events fire in every other tab when a key changes
+  window.addEventListener('storage', (event) => {
+    if (event.key !== SYNC_KEY || !event.newValue) return;
+    try {
+      deliver(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Ignoring unreadable sync message:', error);
+    }
+  });
+  transport = {
+    post: (message) => {
+      try {
+        localStorage.setItem(SYNC_KEY, JSON.stringify(message));
+      } catch (error) {
+        console.error('Failed to send sync message:', error);
+      }
+    }
+  };
+  return transport;
+};
+
+/**
+ * Send a message to every other open tab. Payloads must be JSON-safe.
+ */
+export const publish = (type, payload) => {
+  getTransport().post({
+    type,
+    payload,
+    source: TAB_ID,
+    // Makes repeated identical messages still count as a storage change
+    sentAt: Date.now()
+  });
+};
+
+/**
+ * Listen for messages of one type from other tabs. Returns an unsubscribe function.
+ */
+export const subscribe = (type, listener) => {
+  getTransport();
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  return () => listeners.get(type).delete(listener);
+};
+
+/**
+ * Visibility of all open tabs, so background work can pause only when none
+ * of them is being looked at
+ */
+const visibleTabs = new Set();
+const visibilityListeners = new Set();
+let visibilityStarted = false;
+
+const notifyVisibility = () => visibilityListeners.forEach(listener => listener(isAnyTabVisible()));
+
+const announceVisibility = (visible = !document.hidden) => {
+  publish('visibility', { tabId: TAB_ID, visible });
+};
+
+const startVisibilityTracking = () => {
+  if (visibilityStarted) return;
+  visibilityStarted = true;
+
+  subscribe('visibility', ({ tabId, visible }) => {
+    if (visible) visibleTabs.add(tabId);
+    else visibleTabs.delete(tabId);
+    notifyVisibility();
+  });
+  // A tab that just started asks the others where they stand
+  subscribe('visibilityQuery', () => announceVisibility());
+
+  document.addEventListener('visibilitychange', () => {
+    announceVisibility();
+    notifyVisibility();
+  });
+  window.addEventListener('beforeunload', () => announceVisibility(false));
+
+  announceVisibility();
+  publish('visibilityQuery', null);
+};
+
+export const isAnyTabVisible = () => !document.hidden || visibleTabs.size > 0;
+
+/**
+ * Be told when any tab becomes visible or all tabs become hidden.
+ * Returns an unsubscribe function.
+ */
+export const onTabVisibilityChange = (listener) => {
+  startVisibilityTracking();
+  visibilityListeners.add(listener);
+  return () => visibilityListeners.delete(listener);
+};
+
+/**
+ * Leader election
+ */
+const leadershipListeners = new Set();
+let isLeader = false;
+let electionStarted = false;
+
+const setLeader = (value) => {
+  if (isLeader === value) return;
+  isLeader = value;
+  leadershipListeners.forEach(listener => listener(isLeader));
+};
+
+const readLease = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LEADER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const startHeartbeatElection = () => {
+  const beat = () => {
+    const lease = readLease();
+    if (!lease || lease.tabId === TAB_ID || lease.expiresAt < Date.now()) {
+      localStorage.setItem(LEADER_KEY, JSON.stringify({ tabId: TAB_ID, expiresAt: Date.now() + LEASE_DURATION }));
+    }
+    // Re-read so two tabs claiming at once settle on whichever write landed last
+    setLeader(readLease()?.tabId === TAB_ID);
+  };
+
+  beat();
+  setInterval(beat, HEARTBEAT_INTERVAL);
+  window.addEventListener('beforeunload', () => {
+    if (readLease()?.tabId === TAB_ID) localStorage.removeItem(LEADER_KEY);
+  });
+};
+
+const startElection = () => {
+  if (electionStarted) return;
+  electionStarted = true;
+
+  if (navigator.locks?.request) {
+    // The lock is held until this tab closes, then the next waiting tab gets it
+    navigator.locks.request(LEADER_LOCK, () => {
+      setLeader(true);
+      return new Promise(() => {});
+    }).catch(error => {
+      console.error('Leader lock failed, falling back to heartbeat:', error);
+      startHeartbeatElection();
+    });
+    return;
+  }
+
+  startHeartbeatElection();
+};
+
+export const isLeaderTab = () => isLeader;
+
+/**
+ * Be told when this tab gains or loses leadership. The listener is called
+ * right away with the current state. Returns an unsubscribe function.
+ */
+export const onLeadershipChange = (listener) => {
+  startElection();
+  // Every tab reports its visibility so the leader knows when to pause
+  startVisibilityTracking();
+  leadershipListeners.add(listener);
+  listener(isLeader);
+  return () => leadershipListeners.delete(listener);
+};
@@ -0,0 +1,133 @@
+/**
+ * Tracking Response Cache
+ * Wraps carrier calls with stale-while-revalidate caching and coalesces
+ * concurrent requests for the same tracking number into one call.
+ * Keeps per-carrier hit/miss counters for the UI.
+ */
+
+import { cacheStorage, CACHE_EXPIRATION } from './storageService.js';
+import { serializeTrackingData, deserializeTrackingData } from './shipmentSchema.js';
+
+// How long a response counts as fresh, per carrier
+export const CARRIER_CACHE_TTLS = {
+  ups: 5 * 60 * 1000,
+  fedex: 5 * 60 * 1000,
+  usps: 10 * 60 * 1000,
+  dhl: 15 * 60 * 1000,
+  other: CACHE_EXPIRATION.TRACKING_DATA
+};
+
+// Stale responses older than this are not served at all
+const MAX_STALE_AGE = 24 * 60 * 60 * 1000;
+
+export const getCacheTtl = (carrier) => CARRIER_CACHE_TTLS[carrier] ?? CACHE_EXPIRATION.TRACKING_DATA;
+
+const getCacheKey = (trackingNumber, carrier) =>
+  `tracking:${carrier}:${trackingNumber.replace(/[\s-]/g, '').toUpperCase()}`;
+
+const inFlight = new Map();
+
+/**
+ * Metrics
+ */
+const EMPTY_COUNTS = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, errors: 0 };
+let metrics = {};
+let metricsSnapshot = null;
+const metricsListeners = new Set();
+
+const record = (carrier, counter) => {
+  metrics[carrier] = { ...EMPTY_COUNTS, ...metrics[carrier] };
+  metrics[carrier][counter] += 1;
+  metricsSnapshot = null;
+  metricsListeners.forEach(listener => listener());
+};
+
+/**
+ * Counters since page load: totals, per carrier, and hitRate (fresh and
+ * stale hits over all lookups, 0-100)
+ */
+export const getCacheMetrics = () => {
+  if (metricsSnapshot) return metricsSnapshot;
+
+  const totals = { ...EMPTY_COUNTS };
+  Object.values(metrics).forEach(counts => {
+    Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+  });
+
+  const lookups = totals.hits + totals.staleHits + totals.misses + totals.coalesced;
+  metricsSnapshot = {
+    ...totals,
+    hitRate: lookups ? Math.round(((totals.hits + totals.staleHits + totals.coalesced) / lookups) * 100) : 0,
+    byCarrier: Object.fromEntries(Object.entries(metrics).map(([carrier, counts]) => [carrier, { ...counts }]))
+  };
+  return metricsSnapshot;
+};
+
+export const onCacheMetricsChange = (listener) => {
+  metricsListeners.add(listener);
+  return () => metricsListeners.delete(listener);
+};
+
+export const resetCacheMetrics = () => {
+  metrics = {};
+  metricsSnapshot = null;
+  metricsListeners.forEach(listener => listener());
+};
+
+/**
+ * Fetch through the network, sharing one call between concurrent callers
+ */
+const fetchAndStore = (key, carrier, fetcher) => {
+  if (inFlight.has(key)) {
+    record(carrier, 'coalesced');
+    return inFlight.get(key);
+  }
+
+  const request = fetcher()
+    .then(trackingData => {
+      cacheStorage.set(key, serializeTrackingData(trackingData), MAX_STALE_AGE);
+      return trackingData;
+    })
+    .catch(error => {
+      record(carrier, 'errors');
+      throw error;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+};
+
+/**
+ * Look up tracking data, calling `fetcher()` only when needed.
+ * - fresh cache entry: returned as is
+ * - stale entry with `allowStale` (default): returned immediately while a
+ *   background fetch updates the cache and calls `onRevalidate(freshData)`
+ * - otherwise: waits for the network (sharing any call already in flight)
+ */
+export const getCachedTracking = async (trackingNumber, carrier, fetcher, { allowStale = true, onRevalidate } = {}) => {
+  const key = getCacheKey(trackingNumber, carrier);
+  const entry = cacheStorage.getEntry(key);
+  const cached = entry ? deserializeTrackingData(entry.data) : null;
+
+  if (cached) {
+    const age = Date.now() - entry.timestamp;
+    if (age <= getCacheTtl(carrier)) {
+      record(carrier, 'hits');
+      return cached;
+    }
+
+    if (allowStale) {
+      record(carrier, 'staleHits');
+      // Joining a refresh that is already running still counts as this caller's revalidation
+      const revalidation = inFlight.get(key) || fetchAndStore(key, carrier, fetcher);
+      revalidation
+        .then(fresh => onRevalidate?.(fresh))
+        .catch(error => console.warn(`Background refresh failed for ${trackingNumber}:`, error));
+      return cached;
+    }
+  }
+
+  if (!inFlight.has(key)) record(carrier, 'misses');
+  return fetchAndStore(key, carrier, fetcher);
+};
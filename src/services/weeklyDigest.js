@@ -0,0 +1,148 @@
+/**
+ * Weekly Digest
+ * Summarizes the past week for the user — deliveries, shipments still on the
+ * way, delays and how punctual each carrier was — and works out when the next
+ * digest is due from the day and time in their preferences.
+ */
+
+import { subDays, endOfDay, differenceInCalendarDays, setHours, setMinutes, startOfMinute, addDays } from 'date-fns';
+import { getCarrierAdapter } from './carriers/index.js';
+import { isArchived, getDeliveredAt } from './archiveService.js';
+import { digestStorage } from './storageService.js';
+import { getUserPreferences, sendNotificationEmail } from './api.js';
+import { getVerifiedEmail } from './profileService.js';
+
+export const DIGEST_PERIOD_DAYS = 7;
+
+// Monday at 9:00 unless the user picks otherwise
+export const DEFAULT_DIGEST_SCHEDULE = { digestDay: 1, digestTime: '09:00' };
+
+const getCarrierName = (carrier) => getCarrierAdapter(carrier)?.name || String(carrier || '').toUpperCase();
+
+// Delivered by the end of the estimated day counts as on time; no estimate means unknown
+const getDaysLate = (shipment) => {
+  if (!shipment.estimatedDelivery) return null;
+  return Math.max(0, differenceInCalendarDays(new Date(getDeliveredAt(shipment)), new Date(shipment.estimatedDelivery)));
+};
+
+const etaTime = ({ estimatedDelivery }) => (estimatedDelivery ? new Date(estimatedDelivery).getTime() : Infinity);
+
+/**
+ * The digest for the week ending at `now`. Pass every shipment, archived
+ * ones included, so deliveries that were archived since still count.
+ */
+export const buildWeeklyDigest = (shipments, now = new Date()) => {
+  const periodEnd = new Date(now);
+  const periodStart = subDays(periodEnd, DIGEST_PERIOD_DAYS);
+
+  const delivered = shipments
+    .filter(shipment => shipment.status === 'delivered' && getDeliveredAt(shipment))
+    .map(shipment => ({ shipment, deliveredAt: new Date(getDeliveredAt(shipment)), daysLate: getDaysLate(shipment) }))
+    .filter(({ deliveredAt }) => deliveredAt > periodStart && deliveredAt <= periodEnd)
+    .sort((a, b) => b.deliveredAt - a.deliveredAt);
+
+  const open = shipments.filter(shipment => shipment.status !== 'delivered' && !isArchived(shipment));
+
+  const delays = open
+    .map(shipment => ({
+      shipment,
+      daysOverdue: shipment.estimatedDelivery && endOfDay(new Date(shipment.estimatedDelivery)) < periodEnd
+        ? differenceInCalendarDays(periodEnd, new Date(shipment.estimatedDelivery))
+        : 0
+    }))
+    .filter(({ shipment, daysOverdue }) => daysOverdue > 0 || shipment.status === 'delayed')
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+  const delayedIds = new Set(delays.map(({ shipment }) => shipment.shipmentId));
+  const inTransit = open
+    .filter(shipment => !delayedIds.has(shipment.shipmentId))
+    .map(shipment => ({ shipment, estimatedDelivery: shipment.estimatedDelivery || null }))
+    .sort((a, b) => etaTime(a) - etaTime(b));
+
+  const byCarrier = new Map();
+  delivered.forEach(({ shipment, daysLate }) => {
+    const stats = byCarrier.get(shipment.carrier) || { carrier: shipment.carrier, name: getCarrierName(shipment.carrier), delivered: 0, onTime: 0, known: 0 };
+    stats.delivered += 1;
+    if (daysLate !== null) {
+      stats.known += 1;
+      if (daysLate === 0) stats.onTime += 1;
+    }
+    byCarrier.set(shipment.carrier, stats);
+  });
+
+  const carriers = [...byCarrier.values()]
+    .map(({ known, ...stats }) => ({ ...stats, onTimeRate: known ? Math.round((stats.onTime / known) * 100) : null }))
+    .sort((a, b) => b.delivered - a.delivered);
+
+  return { periodStart, periodEnd, delivered, inTransit, delays, carriers };
+};
+
+/**
+ * Whether the digest has anything worth sending
+ */
+export const hasDigestContent = (digest) =>
+  digest.delivered.length > 0 || digest.inTransit.length > 0 || digest.delays.length > 0;
+
+const scheduleFor = (preferences) => ({
+  digestDay: Number.isInteger(preferences?.digestDay) ? preferences.digestDay : DEFAULT_DIGEST_SCHEDULE.digestDay,
+  digestTime: /^\d{2}:\d{2}$/.test(preferences?.digestTime || '') ? preferences.digestTime : DEFAULT_DIGEST_SCHEDULE.digestTime
+});
+
+// The scheduled day and time in the week containing `date` (local time)
+const scheduledInWeekOf = (date, { digestDay, digestTime }) => {
+  const [hours, minutes] = digestTime.split(':').map(Number);
+  const day = addDays(date, digestDay - date.getDay());
+  return startOfMinute(setMinutes(setHours(day, hours), minutes));
+};
+
+/**
+ * The most recent scheduled digest time at or before `now`
+ */
+export const getPreviousDigestTime = (preferences, now = new Date()) => {
+  const scheduled = scheduledInWeekOf(now, scheduleFor(preferences));
+  return scheduled <= now ? scheduled : subDays(scheduled, 7);
+};
+
+/**
+ * The next scheduled digest time after `now`
+ */
+export const getNextDigestTime = (preferences, now = new Date()) =>
+  addDays(getPreviousDigestTime(preferences, now), 7);
+
+/**
+ * Send the digest if its scheduled time has passed since the last one went
+ * out. Returns the digest if one was sent, otherwise null.
+ */
+export const runScheduledDigest = async (shipments, now = new Date()) => {
+  const preferences = await getUserPreferences();
+  if (!preferences.weeklyDigest || !preferences.emailNotifications) return null;
+
+  const { lastSentAt } = digestStorage.load();
+  // First check after turning the digest on: start counting from now rather than sending a late one
+  if (!lastSentAt) {
+    digestStorage.save({ lastSentAt: now.toISOString() });
+    return null;
+  }
+  if (new Date(lastSentAt) >= getPreviousDigestTime(preferences, now)) return null;
+
+  const userEmail = getVerifiedEmail();
+  const digest = buildWeeklyDigest(shipments, now);
+  digestStorage.save({ lastSentAt: now.toISOString() });
+  if (!userEmail || !hasDigestContent(digest)) return null;
+
+  try {
+    await sendNotificationEmail(userEmail, 'weeklyDigest', { digest });
+    return digest;
+  } catch (error) {
+    console.error('Failed to send weekly digest:', error);
+    return null;
+  }
+};
+
+/**
+ * Forget when the last digest went out, e.g. when the digest is turned back
+ * on, so the first one goes out at the next scheduled time
+ */
+export const resetDigestSchedule = () => {
+  digestStorage.save({});
+};